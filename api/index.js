@@ -7,44 +7,101 @@ const cors = require("cors");
 const path = require("path");
 const fs = require("fs");
 const multer = require("multer");
-const mammoth = require("mammoth");
-const pdfParse = require("pdf-parse");
 
-// Configuración de multer para archivos
+// Configuración de multer para archivos. Sin fileFilter: el mimetype lo
+// manda el cliente, el tipo real se valida por contenido (services/extractors)
 const storage = multer.memoryStorage();
 const upload = multer({
   storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Tipo de archivo no permitido. Solo PDF, DOC, DOCX o TXT.'));
-    }
-  }
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
 });
 
 // Importaciones seguras
-const { validateApiKey, logRequest } = require("../middleware/security.js");
+const { assignRequestId, validateApiKey, logRequest, requireCronSecret } = require("../middleware/security.js");
+const { requireScope } = require("../middleware/permissions.js");
+const { validateRequest, invalidRequest } = require("../middleware/validation.js");
 const { rateLimit } = require("../middleware/rateLimit.js");
-const { checkAndConsumePublicQuota, analyzePublicCvText } = require("../services/publicCvService.js");
+const { language } = require("../middleware/language.js");
+const { t, localizeError, localizeDetails, SUPPORTED_LANGUAGES } = require("../services/i18n.js");
+const {
+  PUBLIC_FREE_ANALYSES,
+  checkPublicQuotaOrCache,
+  getPublicQuotaStatus,
+  analyzePublicCvText,
+  storePublicAnalysis,
+  getStoredAnalysis
+} = require("../services/publicCvService.js");
+const { isExpired } = require("../services/analysisStore.js");
+const { buildAnalysisReport, renderReportHtml, renderReportPdf } = require("../services/reportService.js");
+const { buildBlindProfile } = require("../services/blindProfileService.js");
+const { parseCvSections } = require("../services/cvSectionParser.js");
+const { extractTextFromFile, listFormats, UnsupportedFormatError } = require("../services/extractors/index.js");
+const { getTaxonomy } = require("../services/skillsTaxonomy.js");
+const { analyzeProfile, ProfileValidationError } = require("../services/profileAnalysisService.js");
+const { parseSearchQuery, searchProfiles } = require("../services/searchService.js");
+const { submitBatch, getBatch, drainBatches, toBatchResponse, BatchValidationError } = require("../services/batchService.js");
+const { parseUsageQuery, getUsageStats, UsageQueryError } = require("../services/usageStatsService.js");
+const { matchCandidate, MatchValidationError } = require("../services/matchService.js");
+const { parseLogQuery, listRequestLogs, getRequestLogStats } = require("../services/requestLogService.js");
+const {
+  JobValidationError,
+  createJob,
+  getJob,
+  listJobs,
+  updateJob,
+  deleteJob,
+  rankCandidates
+} = require("../services/jobService.js");
+const {
+  ApiKeyValidationError,
+  createKey,
+  getKey,
+  listKeys,
+  updateKey,
+  rotateKey,
+  revokeKey,
+  publicKey
+} = require("../services/apiKeyService.js");
+const {
+  WEBHOOK_EVENTS,
+  PUBLIC_CLIENT_ID,
+  WebhookValidationError,
+  createWebhook,
+  getWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  sendTestEvent,
+  emitEvent,
+  analysisEvent,
+  publicWebhook
+} = require("../services/webhookService.js");
+
+const { apiSpec, documentRoutes } = require("./openapi.js");
+
+// TRUST_PROXY: "true"/"false", cantidad de proxies ("1") o subredes de Express ("loopback")
+function parseTrustProxy(value) {
+  const v = String(value).trim().toLowerCase();
+  if (v === "true" || v === "false") return v === "true";
+  if (/^\d+$/.test(v)) return Number(v);
+  return v;
+}
 
 const app = express();
+// Detrás de un proxy (Vercel) req.ip sale de X-Forwarded-For: la cuota pública y el rate limit dependen de eso
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY || (process.env.VERCEL ? "1" : "false")));
+// Valida parámetros y cuerpo de cada ruta contra el spec (400 INVALID_REQUEST)
+const validate = validateRequest(apiSpec);
 
 // Middlewares
 // index.js - Actualiza CORS
 app.use(cors({ 
   origin: "*",  // ← PERMITE TODOS LOS ORÍGENES
   credentials: false,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
 // Manejar preflight OPTIONS
@@ -53,8 +110,9 @@ app.use(cors({
 // O manejar específicamente:
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, X-Request-Id');
+  res.header('Access-Control-Expose-Headers', 'X-Request-Id');
   
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -65,27 +123,23 @@ app.use((req, res, next) => {
 
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+// X-Request-Id en todas las respuestas (correlación con api_request_logs)
+app.use(assignRequestId);
+// Idioma de la respuesta (lang o Accept-Language)
+app.use(language);
 
 // ========== HELPER FUNCTIONS ==========
 
-/**
- * Extrae texto de diferentes tipos de archivos
- */
-async function extractTextFromFile(fileBuffer, mimetype) {
-  try {
-    if (mimetype === 'application/pdf') {
-      const pdfData = await pdfParse(fileBuffer);
-      return pdfData.text;
-    } else if (mimetype.includes('word') || mimetype.includes('document')) {
-      const result = await mammoth.extractRawText({ buffer: fileBuffer });
-      return result.value;
-    } else if (mimetype === 'text/plain') {
-      return fileBuffer.toString('utf8');
-    }
-    return '';
-  } catch (error) {
-    console.error("Error extrayendo texto:", error);
-    throw new Error(`Error procesando archivo: ${error.message}`);
+// Webhooks de los análisis públicos (suscripciones del cliente PUBLIC_CLIENT_ID)
+function notifyPublicAnalysis({ analysisId, source, analysis, email, quota }) {
+  emitEvent(PUBLIC_CLIENT_ID, "analysis.completed", analysisEvent({ analysisId, source, analysis, email: email || null }));
+  // El análisis que consumió el último uso gratuito del día
+  if (quota.consumed && quota.remaining === 0) {
+    emitEvent(PUBLIC_CLIENT_ID, "quota.exhausted", {
+      email: email || null,
+      limit: PUBLIC_FREE_ANALYSES,
+      reset_in: "24h"
+    });
   }
 }
 
@@ -101,8 +155,11 @@ app.get("/", (req, res) => {
     features: {
       text_analysis: "/v1/public/analyze/cv-text",
       file_analysis: "/v1/public/analyze/cv-file",
-      file_formats: ["pdf", "doc", "docx", "txt"],
-      export: "/v1/public/export/analysis"
+      file_formats: listFormats(),
+      languages: SUPPORTED_LANGUAGES,
+      export: "/v1/public/export/analysis",
+      quota: "/v1/public/quota",
+      skills_taxonomy: "/v1/public/taxonomy/skills"
     }
   });
 });
@@ -113,13 +170,15 @@ app.get("/health", (req, res) => {
     service: "petrolink-api", 
     status: "healthy",
     timestamp: new Date().toISOString(),
-    node: process.version
+    node: process.version,
+    request_logging: getRequestLogStats()
   });
 });
 
 // Endpoint para texto - OPTIMIZADO
 app.post("/v1/public/analyze/cv-text", 
   rateLimit({ windowMs: 60_000, max: 30 }),
+  validate,
   async (req, res) => {
     console.log("📨 CV text analysis request");
     
@@ -131,7 +190,7 @@ app.post("/v1/public/analyze/cv-text",
         return res.status(400).json({
           ok: false,
           code: "CV_TEXT_REQUIRED",
-          message: "El campo 'cv_text' es requerido y debe ser texto."
+          message: t(req.lang, "errors.CV_TEXT_REQUIRED")
         });
       }
       
@@ -140,75 +199,89 @@ app.post("/v1/public/analyze/cv-text",
         return res.status(400).json({
           ok: false,
           code: "CV_TEXT_TOO_SHORT",
-          message: "El texto del CV debe tener al menos 50 caracteres.",
+          message: t(req.lang, "errors.CV_TEXT_TOO_SHORT"),
           current_length: cleanText.length
         });
       }
       
-      // Check quota
-      const quota = await checkAndConsumePublicQuota({
+      // Check quota (un CV ya cacheado no consume)
+      const { cached, quota } = await checkPublicQuotaOrCache({
         cvText: cleanText,
         email,
-        maxFree: 3
+        ip: req.ip,
+        maxFree: PUBLIC_FREE_ANALYSES,
+        lang: req.lang
       });
       
       if (!quota.allowed) {
         return res.status(429).json({
           ok: false,
           code: "QUOTA_EXCEEDED",
-          message: "Has alcanzado el límite gratuito para este CV.",
+          message: t(req.lang, "errors.QUOTA_EXCEEDED"),
           remaining: 0,
-          reset_in: "24 horas",
+          reset_in: t(req.lang, "quota.reset_in"),
           upgrade_url: "https://www.petrolinkvzla.com/plans"
         });
       }
       
       // Análisis del CV
-      const analysis = await analyzePublicCvText(cleanText);
+      const analysis = {
+        ...(cached || await analyzePublicCvText(cleanText, { refresh: true, lang: req.lang })),
+        text_length: cleanText.length,
+        processed_at: new Date().toISOString()
+      };
       
-      // Generar ID único para exportación
-      const analysisId = `analysis_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      // Estructura del CV (contacto, experiencia, educación...)
+      const parsed = parseCvSections(cleanText);
+      
+      // Guardar bajo un ID único para exportación
+      const { id: analysisId } = await storePublicAnalysis({
+        cvText: cleanText,
+        email,
+        source: "text",
+        analysis,
+        parsed
+      });
+      notifyPublicAnalysis({ analysisId, source: "text", analysis, email, quota });
       
       // Respuesta optimizada
       return res.json({
         ok: true,
-        request_id: `req_${Date.now()}`,
+        request_id: req.requestId,
         analysis_id: analysisId,
+        cache: analysis.cache,
         quota: {
           remaining: quota.remaining,
-          limit: 3,
-          reset: "24h"
-        },
-        analysis: {
-          ...analysis,
-          text_length: cleanText.length,
-          processed_at: new Date().toISOString()
+          limit: PUBLIC_FREE_ANALYSES,
+          reset: "24h",
+          consumed: quota.consumed
         },
+        analysis,
+        parsed,
         export: {
           pdf: `${req.protocol}://${req.get('host')}/v1/public/export/analysis/${analysisId}?format=pdf`,
           json: `${req.protocol}://${req.get('host')}/v1/public/export/analysis/${analysisId}?format=json`,
           html: `${req.protocol}://${req.get('host')}/v1/public/export/analysis/${analysisId}?format=html`
         },
         cta: {
-          message: "✨ Para análisis completos, seguimiento personalizado y oportunidades exclusivas",
-          action: "Únete al Hub de Petrolink",
+          message: t(req.lang, "cta.text_message"),
+          action: t(req.lang, "cta.text_action"),
           url: "https://www.petrolinkvzla.com/register",
-          features: [
-            "Análisis profundo por IA",
-            "Match con oportunidades",
-            "Dashboard personalizado",
-            "Alertas de empleo"
-          ]
+          features: t(req.lang, "cta.text_features")
         },
         timestamp: new Date().toISOString()
       });
       
     } catch (error) {
       console.error("Error en análisis de texto:", error);
+      emitEvent(PUBLIC_CLIENT_ID, "analysis.failed", {
+        source: "text",
+        error: { code: "INTERNAL_ERROR", message: error.message }
+      });
       return res.status(500).json({
         ok: false,
         code: "INTERNAL_ERROR",
-        message: "Error procesando tu CV. Por favor, intenta nuevamente.",
+        message: t(req.lang, "internal.cv_text"),
         support_url: "https://www.petrolinkvzla.com/support",
         timestamp: new Date().toISOString()
       });
@@ -220,6 +293,9 @@ app.post("/v1/public/analyze/cv-text",
 app.post("/v1/public/analyze/cv-file",
   rateLimit({ windowMs: 60_000, max: 15 }),
   upload.single('cv_file'),
+  // multer recién parseó el form: `lang` puede venir como campo
+  language,
+  validate,
   async (req, res) => {
     console.log("📁 CV file analysis request");
     
@@ -228,242 +304,898 @@ app.post("/v1/public/analyze/cv-file",
         return res.status(400).json({
           ok: false,
           code: "FILE_REQUIRED",
-          message: "Debes subir un archivo (PDF, DOC, DOCX o TXT).",
+          message: t(req.lang, "errors.FILE_REQUIRED", { formats: listFormats().join(", ").toUpperCase() }),
           max_size: "10MB",
-          allowed_types: ["pdf", "doc", "docx", "txt"]
+          allowed_types: listFormats()
         });
       }
       
       const { email } = req.body || {};
       const file = req.file;
       
-      // Extraer texto del archivo
+      // Extraer texto del archivo (el formato se detecta por contenido)
       console.log(`Procesando archivo: ${file.originalname}, tipo: ${file.mimetype}`);
-      const extractedText = await extractTextFromFile(file.buffer, file.mimetype);
+      const { text: extractedText, format } = await extractTextFromFile(file);
       
       if (!extractedText || extractedText.trim().length < 50) {
         return res.status(400).json({
           ok: false,
           code: "FILE_CONTENT_INVALID",
-          message: "El archivo no contiene suficiente texto válido para análisis.",
+          message: t(req.lang, "errors.FILE_CONTENT_INVALID"),
           extracted_length: extractedText?.length || 0
         });
       }
       
-      // Check quota con hash del texto extraído
-      const quota = await checkAndConsumePublicQuota({
+      // Check quota con hash del texto extraído (un CV ya cacheado no consume)
+      const { cached, quota } = await checkPublicQuotaOrCache({
         cvText: extractedText,
         email,
-        maxFree: 3
+        ip: req.ip,
+        maxFree: PUBLIC_FREE_ANALYSES,
+        lang: req.lang
       });
       
       if (!quota.allowed) {
         return res.status(429).json({
           ok: false,
           code: "QUOTA_EXCEEDED",
-          message: "Has alcanzado el límite gratuito.",
+          message: t(req.lang, "errors.QUOTA_EXCEEDED"),
           remaining: 0,
-          reset_in: "24 horas"
+          reset_in: t(req.lang, "quota.reset_in")
         });
       }
       
       // Análisis del texto extraído
-      const analysis = await analyzePublicCvText(extractedText);
+      const analysis = {
+        ...(cached || await analyzePublicCvText(extractedText, { refresh: true, lang: req.lang })),
+        source: "file_upload",
+        processed_at: new Date().toISOString()
+      };
       
-      // ID para exportación
-      const analysisId = `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      // Estructura del CV (contacto, experiencia, educación...)
+      const parsed = parseCvSections(extractedText);
+      
+      // Guardar bajo un ID para exportación
+      const { id: analysisId } = await storePublicAnalysis({
+        cvText: extractedText,
+        email,
+        source: "file_upload",
+        analysis,
+        parsed,
+        idPrefix: "file"
+      });
+      notifyPublicAnalysis({ analysisId, source: "file_upload", analysis, email, quota });
       
       return res.json({
         ok: true,
-        request_id: `file_${Date.now()}`,
+        request_id: req.requestId,
         analysis_id: analysisId,
         file_info: {
           name: file.originalname,
           size: file.size,
           type: file.mimetype,
+          format,
           extracted_length: extractedText.length
         },
+        cache: analysis.cache,
         quota: {
           remaining: quota.remaining,
-          limit: 3,
-          reset: "24h"
-        },
-        analysis: {
-          ...analysis,
-          source: "file_upload",
-          processed_at: new Date().toISOString()
+          limit: PUBLIC_FREE_ANALYSES,
+          reset: "24h",
+          consumed: quota.consumed
         },
+        analysis,
+        parsed,
         export: {
           pdf: `${req.protocol}://${req.get('host')}/v1/public/export/analysis/${analysisId}?format=pdf`,
           json: `${req.protocol}://${req.get('host')}/v1/public/export/analysis/${analysisId}?format=json`
         },
         cta: {
-          message: "✨ Archivo analizado exitosamente",
-          action: "Ver oportunidades relacionadas",
-          url: `https://www.petrolinkvzla.com/opportunities?skills=${encodeURIComponent(analysis.skills.join(','))}`
+          message: t(req.lang, "cta.file_message"),
+          action: t(req.lang, "cta.file_action"),
+          url: `https://www.petrolinkvzla.com/opportunities?skills=${encodeURIComponent((analysis.skills || []).join(','))}`
         },
         timestamp: new Date().toISOString()
       });
       
     } catch (error) {
+      if (error instanceof UnsupportedFormatError) {
+        return res.status(error.status).json({
+          ok: false,
+          code: error.code,
+          message: localizeError(req.lang, error),
+          details: error.details
+        });
+      }
+      
       console.error("Error en análisis de archivo:", error);
       
       if (error instanceof multer.MulterError) {
         return res.status(400).json({
           ok: false,
           code: "FILE_UPLOAD_ERROR",
-          message: `Error al subir archivo: ${error.message}`,
+          message: t(req.lang, "errors.FILE_UPLOAD_ERROR", { detail: error.message }),
           max_size: "10MB"
         });
       }
       
+      emitEvent(PUBLIC_CLIENT_ID, "analysis.failed", {
+        source: "file_upload",
+        error: { code: "FILE_PROCESSING_ERROR", message: error.message }
+      });
       return res.status(500).json({
         ok: false,
         code: "FILE_PROCESSING_ERROR",
-        message: `Error procesando archivo: ${error.message}`,
+        message: t(req.lang, "errors.FILE_PROCESSING_ERROR", { detail: error.message }),
         support_url: "https://www.petrolinkvzla.com/support"
       });
     }
   }
 );
 
-// Endpoint para exportar análisis
-app.get("/v1/public/export/analysis/:id", (req, res) => {
-  const { id } = req.params;
+// Cuota gratuita restante (la UI la muestra antes de subir un CV)
+app.get("/v1/public/quota",
+  rateLimit({ windowMs: 60_000, max: 60 }),
+  validate,
+  async (req, res) => {
+    const { email } = req.query;
+    
+    try {
+      const quota = await getPublicQuotaStatus({ email, ip: req.ip });
+      
+      return res.json({
+        ok: true,
+        email: email ? String(email).trim().toLowerCase() : null,
+        quota,
+        upgrade_url: "https://www.petrolinkvzla.com/plans",
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error("Error consultando cuota:", error);
+      return res.status(500).json({
+        ok: false,
+        code: "INTERNAL_ERROR",
+        message: t(req.lang, "internal.quota"),
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// Taxonomía de skills (ids canónicos que devuelven los análisis y acepta la búsqueda)
+app.get("/v1/public/taxonomy/skills", (req, res) => {
+  res.set("Cache-Control", "public, max-age=3600");
+  res.json({ ok: true, ...getTaxonomy() });
+});
+
+// Reporte de un análisis guardado en json, html o pdf (export público y privado)
+async function sendAnalysisReport(req, res, record) {
   const { format = 'json' } = req.query;
+  // blind=true: perfil anónimo (sin nombre, contacto, foto, género, edad ni nacionalidad)
+  const blind = req.query.blind === 'true';
   
-  // En un sistema real, aquí buscarías el análisis de una DB
-  // Por ahora, devolvemos un ejemplo
+  if (isExpired(record)) {
+    return res.status(410).json({
+      ok: false,
+      code: "ANALYSIS_EXPIRED",
+      message: t(req.lang, "errors.ANALYSIS_EXPIRED"),
+      expired_at: record.expires_at,
+      timestamp: new Date().toISOString()
+    });
+  }
   
-  const analysisData = {
-    id: id,
-    generated_at: new Date().toISOString(),
-    analysis: {
-      industry: "IT",
-      role_seniority: "Senior",
-      score: 8,
-      skills: ["React", "Node.js", "TypeScript"],
-      summary: "Análisis profesional generado por Petrolink AI"
-    },
-    metadata: {
-      service: "Petrolink CV Analyzer",
-      version: "2.0.0",
-      exported_at: new Date().toISOString()
-    }
-  };
+  const report = buildAnalysisReport(record, { blind, lang: req.lang });
+  const filename = blind ? `petrolink-blind-${report.id}` : `petrolink-analysis-${record.id}`;
   
-  switch (format.toLowerCase()) {
+  switch (String(format).toLowerCase()) {
     case 'pdf':
-      // Para PDF necesitarías una librería como pdfkit
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="petrolink-analysis-${id}.pdf"`);
-      res.send(`PDF export for ${id} - Implement PDF generation here`);
-      break;
+      try {
+        const pdf = await renderReportPdf(report, { lang: req.lang });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        res.setHeader('Content-Length', pdf.length);
+        return res.end(pdf);
+      } catch (error) {
+        console.error("Error generando PDF:", error);
+        return res.status(500).json({
+          ok: false,
+          code: "EXPORT_FAILED",
+          message: t(req.lang, "errors.EXPORT_FAILED"),
+          timestamp: new Date().toISOString()
+        });
+      }
       
     case 'html':
-      res.setHeader('Content-Type', 'text/html');
-      res.send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>Petrolink Analysis - ${id}</title>
-          <style>
-            body { font-family: Arial, sans-serif; padding: 20px; }
-            .header { background: #1a365d; color: white; padding: 20px; border-radius: 10px; }
-            .section { margin: 20px 0; padding: 15px; border: 1px solid #e2e8f0; border-radius: 8px; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1>📊 Análisis de CV - Petrolink</h1>
-            <p>ID: ${id} | Generado: ${new Date().toLocaleDateString()}</p>
-          </div>
-          <div class="section">
-            <h2>Resumen del Análisis</h2>
-            <p>${analysisData.analysis.summary}</p>
-          </div>
-        </body>
-        </html>
-      `);
-      break;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(renderReportHtml(report, { lang: req.lang }));
       
     default: // json
-      res.json(analysisData);
+      return res.json(report);
+  }
+}
+
+function analysisNotFound(req, res, id) {
+  return res.status(404).json({
+    ok: false,
+    code: "ANALYSIS_NOT_FOUND",
+    message: t(req.lang, "errors.ANALYSIS_NOT_FOUND", { id }),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Endpoint para exportar análisis públicos (el analysis_id es la única credencial)
+app.get("/v1/public/export/analysis/:id", validate, async (req, res) => {
+  const { id } = req.params;
+  
+  let record;
+  try {
+    record = await getStoredAnalysis(id);
+  } catch (error) {
+    console.error("Error leyendo análisis:", error);
+    return res.status(500).json({
+      ok: false,
+      code: "INTERNAL_ERROR",
+      message: t(req.lang, "internal.export"),
+      support_url: "https://www.petrolinkvzla.com/support",
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  // Los análisis con client_id (perfiles, lotes, matching) solo salen por /v1/private/export
+  if (!record || record.client_id) {
+    return analysisNotFound(req, res, id);
   }
+  
+  return sendAnalysisReport(req, res, record);
 });
 
 // ========== ENDPOINTS PROTEGIDOS ==========
 app.use("/v1/private", validateApiKey, logRequest);
 
-app.get("/v1/private/search", (req, res) => {
-  res.json({
-    ok: true,
-    request_id: req.requestId,
-    client: req.clientId,
-    results: [],
-    pagination: { limit: 20, offset: 0, total: 0 }
-  });
+// Los clientes privados pueden saltear la caché de análisis de CV
+function wantsFreshAnalysis(req) {
+  return /no-cache/i.test(req.get('cache-control') || '') || req.query.refresh === 'true';
+}
+
+// Análisis de perfil estructurado (Intelligence Hub / integradores)
+app.post("/v1/analyze/profile", validateApiKey, logRequest, requireScope("analyze:write"), validate, async (req, res) => {
+  try {
+    const { id, analysis, options } = await analyzeProfile(req.body || {}, {
+      clientId: req.clientId,
+      aiProvider: req.aiProvider,
+      lang: req.lang,
+      requireRedaction: req.requirePiiRedaction
+    });
+    res.locals.aiProvider = analysis.ai?.provider || null;
+    emitEvent(req.clientId, "analysis.completed", analysisEvent({ analysisId: id, source: "profile", analysis }));
+    
+    return res.json({
+      ok: true,
+      request_id: req.requestId,
+      analysis_id: id,
+      client: req.clientId,
+      options,
+      analysis,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof ProfileValidationError) {
+      return res.status(400).json({
+        ok: false,
+        code: error.code,
+        message: localizeError(req.lang, error)
+      });
+    }
+    
+    console.error("Error en análisis de perfil:", error);
+    emitEvent(req.clientId, "analysis.failed", {
+      source: "profile",
+      request_id: req.requestId,
+      error: { code: "INTERNAL_ERROR", message: error.message }
+    });
+    return res.status(500).json({
+      ok: false,
+      code: "INTERNAL_ERROR",
+      message: t(req.lang, "internal.profile"),
+      request_id: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
 });
 
-// 1. Definimos la especificación como una constante (Fuente única de verdad)
-const apiSpec = {
-  openapi: "3.0.0",
-  info: {
-    title: "Petrolink CV Analysis API",
-    version: "2.0.0",
-    description: "API para análisis de CVs con IA para la reinserción laboral en Venezuela y LATAM."
-  },
-  servers: [
-    { url: "https://petrolink-api.vercel.app", description: "Production" },
-    { url: "http://localhost:3000", description: "Development" }
-  ],
-  paths: {
-    "/v1/public/analyze/cv-text": {
-      post: {
-        summary: "Analizar texto de CV",
-        tags: ["Público"],
-        requestBody: {
-          required: true,
-          content: {
-            "application/json": {
-              schema: {
-                type: "object",
-                properties: {
-                  cv_text: { type: "string", minLength: 50, description: "Contenido del CV en texto plano" },
-                  email: { type: "string", format: "email", description: "Email para control de cuota" }
-                },
-                required: ["cv_text", "email"]
-              }
-            }
-          }
-        },
-        responses: {
-          "200": { description: "Análisis completado exitosamente" },
-          "429": { description: "Cuota de análisis gratuitos superada" }
-        }
-      }
-    },
-    "/v1/public/analyze/cv-file": {
-      post: {
-        summary: "Analizar archivo de CV (PDF/DOCX)",
-        tags: ["Público"],
-        requestBody: {
-          content: {
-            "multipart/form-data": {
-              schema: {
-                type: "object",
-                properties: {
-                  cv_file: { type: "string", format: "binary" },
-                  email: { type: "string", format: "email" }
-                }
-              }
-            }
-          }
-        }
-      }
+// Análisis por lotes: responde de inmediato y procesa en segundo plano
+app.post("/v1/batch/analyze", validateApiKey, logRequest, requireScope("analyze:write"), validate, async (req, res) => {
+  try {
+    const batch = await submitBatch(req.body || {}, {
+      clientId: req.clientId,
+      aiProvider: req.aiProvider,
+      refresh: wantsFreshAnalysis(req),
+      lang: req.lang,
+      requireRedaction: req.requirePiiRedaction
+    });
+    
+    return res.status(202).json({
+      ok: true,
+      request_id: req.requestId,
+      batch_id: batch.id,
+      status: batch.status,
+      total: batch.total,
+      status_url: `${req.protocol}://${req.get('host')}/v1/batch/${batch.id}`,
+      callback_url: batch.callback_url,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof BatchValidationError) {
+      return res.status(400).json({
+        ok: false,
+        code: error.code,
+        message: localizeError(req.lang, error),
+        ...(error.details ? { details: error.details } : {})
+      });
     }
+    
+    console.error("Error creando lote:", error);
+    return res.status(500).json({
+      ok: false,
+      code: "INTERNAL_ERROR",
+      message: t(req.lang, "internal.batch_create"),
+      request_id: req.requestId
+    });
   }
-};
+});
+
+app.get("/v1/batch/:id", validateApiKey, logRequest, requireScope("analyze:read"), validate, async (req, res) => {
+  try {
+    const batch = await getBatch(req.params.id, req.clientId);
+    
+    if (!batch) {
+      return res.status(404).json({
+        ok: false,
+        code: "BATCH_NOT_FOUND",
+        message: t(req.lang, "errors.BATCH_NOT_FOUND", { id: req.params.id })
+      });
+    }
+    
+    return res.json({
+      ok: true,
+      request_id: req.requestId,
+      ...toBatchResponse(batch, { includeResults: req.query.include_results === "true" })
+    });
+  } catch (error) {
+    console.error("Error leyendo lote:", error);
+    return res.status(500).json({
+      ok: false,
+      code: "INTERNAL_ERROR",
+      message: t(req.lang, "internal.batch_get"),
+      request_id: req.requestId
+    });
+  }
+});
+
+// Cron (vercel.json): retoma los lotes que una instancia dejó sin terminar
+app.get("/v1/internal/cron/batches", requireCronSecret, async (req, res) => {
+  try {
+    const batches = await drainBatches();
+    return res.json({
+      ok: true,
+      request_id: req.requestId,
+      batches,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error("Error retomando lotes:", error);
+    return res.status(500).json({
+      ok: false,
+      code: "INTERNAL_ERROR",
+      message: t(req.lang, "internal.batch_drain"),
+      request_id: req.requestId
+    });
+  }
+});
+
+// Estadísticas de uso del cliente (a partir del log de requests)
+app.get("/v1/stats/usage", validateApiKey, logRequest, requireScope("stats:read"), validate, async (req, res) => {
+  try {
+    const range = parseUsageQuery(req.query);
+    const stats = await getUsageStats(req.clientId, range, { apiKeyId: req.apiKeyId });
+    
+    return res.json({
+      ok: true,
+      request_id: req.requestId,
+      client: req.clientId,
+      ...stats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof UsageQueryError) {
+      return res.status(400).json({
+        ok: false,
+        code: error.code,
+        message: localizeError(req.lang, error),
+        errors: localizeDetails(req.lang, error.details)
+      });
+    }
+    
+    console.error("Error calculando estadísticas:", error);
+    return res.status(500).json({
+      ok: false,
+      code: "INTERNAL_ERROR",
+      message: t(req.lang, "internal.usage"),
+      request_id: req.requestId
+    });
+  }
+});
+
+app.get("/v1/private/search", requireScope("search:read"), validate, async (req, res) => {
+  const { filters, errors } = parseSearchQuery(req.query);
+  
+  if (errors.length) {
+    return res.status(400).json({
+      ok: false,
+      code: "INVALID_SEARCH_PARAMS",
+      message: t(req.lang, "errors.INVALID_SEARCH_PARAMS"),
+      errors: localizeDetails(req.lang, errors)
+    });
+  }
+  
+  try {
+    const { results, pagination } = await searchProfiles(req.clientId, filters);
+    
+    return res.json({
+      ok: true,
+      request_id: req.requestId,
+      client: req.clientId,
+      results,
+      pagination
+    });
+  } catch (error) {
+    console.error("Error en búsqueda:", error);
+    return res.status(500).json({
+      ok: false,
+      code: "INTERNAL_ERROR",
+      message: t(req.lang, "internal.search"),
+      request_id: req.requestId
+    });
+  }
+});
+
+// Log de requests propios (auditoría, correlación por X-Request-Id)
+app.get("/v1/private/logs", requireScope("logs:read"), validate, async (req, res) => {
+  const { filters, errors } = parseLogQuery(req.query);
+
+  if (errors.length) {
+    return res.status(400).json({
+      ok: false,
+      code: "INVALID_LOG_PARAMS",
+      message: t(req.lang, "errors.INVALID_LOG_PARAMS"),
+      errors: localizeDetails(req.lang, errors)
+    });
+  }
+
+  try {
+    const { results, pagination } = await listRequestLogs(req.clientId, filters);
+
+    return res.json({
+      ok: true,
+      request_id: req.requestId,
+      client: req.clientId,
+      logs: results,
+      pagination
+    });
+  } catch (error) {
+    console.error("Error leyendo logs:", error);
+    return res.status(500).json({
+      ok: false,
+      code: "INTERNAL_ERROR",
+      message: t(req.lang, "internal.logs"),
+      request_id: req.requestId
+    });
+  }
+});
+
+// Exportar análisis propios del cliente (o públicos) en json, html o pdf
+app.get("/v1/private/export/analysis/:id", requireScope("export:read"), validate, async (req, res) => {
+  const { id } = req.params;
+  
+  let record;
+  try {
+    record = await getStoredAnalysis(id);
+  } catch (error) {
+    console.error("Error leyendo análisis:", error);
+    return res.status(500).json({
+      ok: false,
+      code: "INTERNAL_ERROR",
+      message: t(req.lang, "internal.export"),
+      request_id: req.requestId
+    });
+  }
+  
+  if (!record || (record.client_id && record.client_id !== req.clientId)) {
+    return analysisNotFound(req, res, id);
+  }
+  
+  return sendAnalysisReport(req, res, record);
+});
+
+// Perfil ciego de un análisis para screening sin datos de identidad
+app.get("/v1/private/analyses/:id/blind", requireScope("export:read"), validate, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const record = await getStoredAnalysis(id);
+    
+    // Igual que en el matching: propios del cliente o públicos (sin client_id)
+    if (!record || (record.client_id && record.client_id !== req.clientId)) {
+      return res.status(404).json({
+        ok: false,
+        code: "ANALYSIS_NOT_FOUND",
+        message: t(req.lang, "errors.ANALYSIS_NOT_FOUND", { id })
+      });
+    }
+    
+    if (isExpired(record)) {
+      return res.status(410).json({
+        ok: false,
+        code: "ANALYSIS_EXPIRED",
+        message: t(req.lang, "errors.ANALYSIS_EXPIRED"),
+        expired_at: record.expires_at
+      });
+    }
+    
+    return res.json({
+      ok: true,
+      request_id: req.requestId,
+      profile: buildBlindProfile(record, { lang: req.lang }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error("Error generando perfil ciego:", error);
+    return res.status(500).json({
+      ok: false,
+      code: "INTERNAL_ERROR",
+      message: t(req.lang, "internal.blind"),
+      request_id: req.requestId
+    });
+  }
+});
+
+// Matching candidato ↔ oferta con análisis de brechas
+app.post("/v1/private/match", requireScope("match:write"), validate, async (req, res) => {
+  try {
+    const { job, candidate, match } = await matchCandidate(req.body || {}, {
+      clientId: req.clientId,
+      aiProvider: req.aiProvider,
+      refresh: wantsFreshAnalysis(req),
+      lang: req.lang,
+      requireRedaction: req.requirePiiRedaction
+    });
+    res.locals.aiProvider = candidate.ai_provider;
+    
+    return res.json({
+      ok: true,
+      request_id: req.requestId,
+      job,
+      candidate,
+      match,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof MatchValidationError) {
+      return res.status(error.status).json({
+        ok: false,
+        code: error.code,
+        message: localizeError(req.lang, error),
+        ...(error.details ? { details: error.details } : {})
+      });
+    }
+    
+    console.error("Error en matching:", error);
+    return res.status(500).json({
+      ok: false,
+      code: "INTERNAL_ERROR",
+      message: t(req.lang, "internal.match"),
+      request_id: req.requestId
+    });
+  }
+});
+
+// ========== OFERTAS LABORALES ==========
+
+// action: clave de internal.* con el mensaje del 500 (job_create, job_list...)
+function jobError(res, req, error, action) {
+  if (error instanceof JobValidationError) {
+    return res.status(400).json({
+      ok: false,
+      code: error.code,
+      message: localizeError(req.lang, error),
+      ...(error.details ? { details: localizeDetails(req.lang, error.details) } : {})
+    });
+  }
+  
+  console.error(`Error en ofertas (${action}):`, error);
+  return res.status(500).json({
+    ok: false,
+    code: "INTERNAL_ERROR",
+    message: t(req.lang, `internal.${action}`),
+    request_id: req.requestId
+  });
+}
+
+function jobNotFound(res, req, id) {
+  return res.status(404).json({
+    ok: false,
+    code: "JOB_NOT_FOUND",
+    message: t(req.lang, "errors.JOB_NOT_FOUND", { id })
+  });
+}
+
+app.post("/v1/private/jobs", requireScope("jobs:write"), validate, async (req, res) => {
+  try {
+    const job = await createJob(req.body, { clientId: req.clientId });
+    return res.status(201).json({ ok: true, request_id: req.requestId, job });
+  } catch (error) {
+    return jobError(res, req, error, "job_create");
+  }
+});
+
+app.get("/v1/private/jobs", requireScope("jobs:read"), validate, async (req, res) => {
+  try {
+    const { results, pagination } = await listJobs(req.clientId, req.query);
+    return res.json({ ok: true, request_id: req.requestId, jobs: results, pagination });
+  } catch (error) {
+    return jobError(res, req, error, "job_list");
+  }
+});
+
+app.get("/v1/private/jobs/:id", requireScope("jobs:read"), validate, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id, req.clientId);
+    if (!job) return jobNotFound(res, req, req.params.id);
+    return res.json({ ok: true, request_id: req.requestId, job });
+  } catch (error) {
+    return jobError(res, req, error, "job_get");
+  }
+});
+
+app.patch("/v1/private/jobs/:id", requireScope("jobs:write"), validate, async (req, res) => {
+  try {
+    const job = await updateJob(req.params.id, req.body, { clientId: req.clientId });
+    if (!job) return jobNotFound(res, req, req.params.id);
+    return res.json({ ok: true, request_id: req.requestId, job });
+  } catch (error) {
+    return jobError(res, req, error, "job_update");
+  }
+});
+
+app.delete("/v1/private/jobs/:id", requireScope("jobs:write"), validate, async (req, res) => {
+  try {
+    const deleted = await deleteJob(req.params.id, req.clientId);
+    if (!deleted) return jobNotFound(res, req, req.params.id);
+    return res.json({ ok: true, request_id: req.requestId, job_id: req.params.id, deleted: true });
+  } catch (error) {
+    return jobError(res, req, error, "job_delete");
+  }
+});
+
+// Perfiles analizados del cliente rankeados contra la oferta
+app.get("/v1/private/jobs/:id/candidates", requireScope("jobs:read"), validate, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id, req.clientId);
+    if (!job) return jobNotFound(res, req, req.params.id);
+    
+    const { candidates, pagination, pool } = await rankCandidates(job, req.clientId, req.query, { lang: req.lang });
+    return res.json({
+      ok: true,
+      request_id: req.requestId,
+      job: { id: job.id, title: job.title, status: job.status },
+      candidates,
+      pagination,
+      pool
+    });
+  } catch (error) {
+    return jobError(res, req, error, "job_candidates");
+  }
+});
+
+// ========== API KEYS (ADMIN) ==========
+app.use("/v1/admin", validateApiKey, logRequest);
+
+// Quién hace el pedido: define qué keys puede ver y qué permisos puede otorgar
+function keyActor(req) {
+  return { clientId: req.clientId, keyId: req.apiKeyId, permissions: req.permissions };
+}
+
+// action: clave de internal.* con el mensaje del 500 (key_create, key_list...)
+function keyError(res, req, error, action) {
+  if (error instanceof ApiKeyValidationError) {
+    return res.status(error.status).json({
+      ok: false,
+      code: error.code,
+      message: localizeError(req.lang, error),
+      ...(error.details ? { details: localizeDetails(req.lang, error.details) } : {})
+    });
+  }
+  
+  console.error(`Error en API keys (${action}):`, error);
+  return res.status(500).json({
+    ok: false,
+    code: "INTERNAL_ERROR",
+    message: t(req.lang, `internal.${action}`),
+    request_id: req.requestId
+  });
+}
+
+function keyNotFound(res, req, id) {
+  return res.status(404).json({
+    ok: false,
+    code: "KEY_NOT_FOUND",
+    message: t(req.lang, "errors.KEY_NOT_FOUND", { id })
+  });
+}
+
+// El valor en claro de la key solo viaja en esta respuesta y en la de rotación
+app.post("/v1/admin/keys", requireScope("admin:keys"), validate, async (req, res) => {
+  try {
+    const { key, api_key } = await createKey(req.body, keyActor(req));
+    return res.status(201).json({ ok: true, request_id: req.requestId, key, api_key });
+  } catch (error) {
+    return keyError(res, req, error, "key_create");
+  }
+});
+
+app.get("/v1/admin/keys", requireScope("admin:keys"), validate, async (req, res) => {
+  try {
+    const { results, pagination } = await listKeys(keyActor(req), req.query);
+    return res.json({ ok: true, request_id: req.requestId, keys: results, pagination });
+  } catch (error) {
+    return keyError(res, req, error, "key_list");
+  }
+});
+
+app.get("/v1/admin/keys/:id", requireScope("admin:keys"), validate, async (req, res) => {
+  try {
+    const key = await getKey(req.params.id, keyActor(req));
+    if (!key) return keyNotFound(res, req, req.params.id);
+    return res.json({ ok: true, request_id: req.requestId, key: publicKey(key) });
+  } catch (error) {
+    return keyError(res, req, error, "key_get");
+  }
+});
+
+// Nombre y vencimiento (expires_at ISO, expires_in_days o null)
+app.patch("/v1/admin/keys/:id", requireScope("admin:keys"), validate, async (req, res) => {
+  try {
+    const key = await updateKey(req.params.id, req.body, keyActor(req));
+    if (!key) return keyNotFound(res, req, req.params.id);
+    return res.json({ ok: true, request_id: req.requestId, key });
+  } catch (error) {
+    return keyError(res, req, error, "key_update");
+  }
+});
+
+app.post("/v1/admin/keys/:id/rotate", requireScope("admin:keys"), validate, async (req, res) => {
+  try {
+    const rotated = await rotateKey(req.params.id, req.body || {}, keyActor(req));
+    if (!rotated) return keyNotFound(res, req, req.params.id);
+    return res.status(201).json({ ok: true, request_id: req.requestId, ...rotated });
+  } catch (error) {
+    return keyError(res, req, error, "key_rotate");
+  }
+});
+
+app.post("/v1/admin/keys/:id/revoke", requireScope("admin:keys"), validate, async (req, res) => {
+  try {
+    const key = await revokeKey(req.params.id, keyActor(req));
+    if (!key) return keyNotFound(res, req, req.params.id);
+    return res.json({ ok: true, request_id: req.requestId, key });
+  } catch (error) {
+    return keyError(res, req, error, "key_revoke");
+  }
+});
+
+// ========== WEBHOOKS ==========
+
+// action: clave de internal.* con el mensaje del 500 (webhook_create, webhook_list...)
+function webhookError(res, req, error, action) {
+  if (error instanceof WebhookValidationError) {
+    return res.status(error.status).json({
+      ok: false,
+      code: error.code,
+      message: localizeError(req.lang, error),
+      ...(error.details ? { details: localizeDetails(req.lang, error.details) } : {})
+    });
+  }
+  
+  console.error(`Error en webhooks (${action}):`, error);
+  return res.status(500).json({
+    ok: false,
+    code: "INTERNAL_ERROR",
+    message: t(req.lang, `internal.${action}`),
+    request_id: req.requestId
+  });
+}
+
+function webhookNotFound(res, req, id) {
+  return res.status(404).json({
+    ok: false,
+    code: "WEBHOOK_NOT_FOUND",
+    message: t(req.lang, "errors.WEBHOOK_NOT_FOUND", { id })
+  });
+}
+
+// El secret para verificar las firmas solo viaja en esta respuesta
+app.post("/v1/private/webhooks", requireScope("webhooks:write"), validate, async (req, res) => {
+  try {
+    const { webhook, secret } = await createWebhook(req.body, keyActor(req));
+    return res.status(201).json({ ok: true, request_id: req.requestId, webhook, secret });
+  } catch (error) {
+    return webhookError(res, req, error, "webhook_create");
+  }
+});
+
+app.get("/v1/private/webhooks", requireScope("webhooks:read"), validate, async (req, res) => {
+  try {
+    const webhooks = await listWebhooks(keyActor(req), req.query);
+    return res.json({ ok: true, request_id: req.requestId, webhooks, available_events: WEBHOOK_EVENTS });
+  } catch (error) {
+    return webhookError(res, req, error, "webhook_list");
+  }
+});
+
+app.get("/v1/private/webhooks/:id", requireScope("webhooks:read"), validate, async (req, res) => {
+  try {
+    const webhook = await getWebhook(req.params.id, keyActor(req));
+    if (!webhook) return webhookNotFound(res, req, req.params.id);
+    return res.json({ ok: true, request_id: req.requestId, webhook: publicWebhook(webhook) });
+  } catch (error) {
+    return webhookError(res, req, error, "webhook_get");
+  }
+});
+
+// url, events, description y active (false pausa las entregas)
+app.patch("/v1/private/webhooks/:id", requireScope("webhooks:write"), validate, async (req, res) => {
+  try {
+    const webhook = await updateWebhook(req.params.id, req.body, keyActor(req));
+    if (!webhook) return webhookNotFound(res, req, req.params.id);
+    return res.json({ ok: true, request_id: req.requestId, webhook });
+  } catch (error) {
+    return webhookError(res, req, error, "webhook_update");
+  }
+});
+
+app.delete("/v1/private/webhooks/:id", requireScope("webhooks:write"), validate, async (req, res) => {
+  try {
+    const deleted = await deleteWebhook(req.params.id, keyActor(req));
+    if (!deleted) return webhookNotFound(res, req, req.params.id);
+    return res.json({ ok: true, request_id: req.requestId, deleted: req.params.id });
+  } catch (error) {
+    return webhookError(res, req, error, "webhook_delete");
+  }
+});
+
+app.get("/v1/private/webhooks/:id/deliveries", requireScope("webhooks:read"), validate, async (req, res) => {
+  try {
+    const page = await listDeliveries(req.params.id, keyActor(req), req.query);
+    if (!page) return webhookNotFound(res, req, req.params.id);
+    return res.json({ ok: true, request_id: req.requestId, deliveries: page.results, pagination: page.pagination });
+  } catch (error) {
+    return webhookError(res, req, error, "webhook_deliveries");
+  }
+});
+
+// Envía webhook.test en un solo intento y devuelve la entrega (status, respuesta, latencia)
+app.post("/v1/private/webhooks/:id/test", requireScope("webhooks:write"), validate, async (req, res) => {
+  try {
+    const delivery = await sendTestEvent(req.params.id, keyActor(req));
+    if (!delivery) return webhookNotFound(res, req, req.params.id);
+    return res.json({ ok: delivery.status === "delivered", request_id: req.requestId, delivery });
+  } catch (error) {
+    return webhookError(res, req, error, "webhook_test");
+  }
+});
+
+// Scopes de cada ruta en el spec (y aviso de rutas sin documentar)
+documentRoutes(app);
 
 const swaggerUi = require('swagger-ui-express');
 
@@ -489,18 +1221,25 @@ app.use((req, res) => {
   res.status(404).json({
     ok: false,
     code: "NOT_FOUND",
-    message: `Ruta no encontrada: ${req.path}`,
-    available: ["/", "/health", "/docs", "/api-spec", "/v1/public/analyze/cv-text"],
+    message: t(req.lang, "errors.NOT_FOUND", { path: req.path }),
+    available: ["/", "/health", "/docs", "/api-spec", "/v1/public/analyze/cv-text", "/v1/analyze/profile"],
     timestamp: new Date().toISOString()
   });
 });
 
 app.use((error, req, res, next) => {
+  // JSON mal formado: express.json corta antes del request id y del idioma
+  if (error.type === "entity.parse.failed") {
+    assignRequestId(req, res, () => {});
+    language(req, res, () => {});
+    return invalidRequest(req, res, [{ location: "body", field: "body", message: t(req.lang, "validation.json") }]);
+  }
+  
   console.error("💥 Unhandled error:", error);
   res.status(500).json({
     ok: false,
     code: "SERVER_ERROR",
-    message: "Error interno del servidor",
+    message: t(req.lang, "errors.SERVER_ERROR"),
     error_id: `err_${Date.now()}`,
     support_url: "https://www.petrolinkvzla.com/support",
     timestamp: new Date().toISOString()
@@ -0,0 +1,1356 @@
+const { SCOPES } = require("../services/scopes.js");
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require("../services/i18n.js");
+const { listFormats } = require("../services/extractors/index.js");
+const { SENIORITY_VALUES } = require("../services/ai/schema.js");
+const { SORT_COLUMNS } = require("../services/analysisStore.js");
+const { BATCH_MAX_ITEMS } = require("../services/batchService.js");
+const { JOB_STATUSES } = require("../services/jobService.js");
+const { WEBHOOK_EVENTS } = require("../services/webhookService.js");
+const { collectRouteScopes } = require("../middleware/permissions.js");
+
+/**
+ * Especificación OpenAPI de la API: la única fuente de verdad.
+ *
+ * - /api-spec la sirve en JSON y /docs con Swagger UI.
+ * - validateRequest (middleware/validation.js) valida cada request contra
+ *   sus parámetros y requestBody.
+ * - `npm run openapi` la exporta a docs/openapi.yaml.
+ *
+ * Toda ruta nueva se documenta acá; documentRoutes avisa al arrancar si falta alguna.
+ */
+
+// ========== HELPERS ==========
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const param = name => ({ $ref: `#/components/parameters/${name}` });
+const response = name => ({ $ref: `#/components/responses/${name}` });
+
+const string = (extra = {}) => ({ type: "string", ...extra });
+const integer = (extra = {}) => ({ type: "integer", ...extra });
+const number = (extra = {}) => ({ type: "number", ...extra });
+const boolean = (extra = {}) => ({ type: "boolean", ...extra });
+const nullable = schema => ({ ...schema, nullable: true });
+const arrayOf = (items, extra = {}) => ({ type: "array", items, ...extra });
+const object = (properties, required) => ({ type: "object", properties, ...(required ? { required } : {}) });
+const dateTime = (extra = {}) => string({ format: "date-time", ...extra });
+
+// Los parsers aceptan un array o un texto separado por comas
+const skillList = description => ({
+  description,
+  oneOf: [arrayOf(string()), string({ description: "Separado por comas" })]
+});
+
+// Error de un envío a una URL del cliente (services/outboundHttp.js): nunca el mensaje crudo
+const outboundError = () => nullable(string({
+  description: "`HTTP <status>`, `timeout`, `dns_error`, `connection_failed` o `blocked_address`"
+}));
+
+const json = schema => ({ "application/json": { schema } });
+const jsonBody = (schema, { required = true } = {}) => ({ required, content: json(schema) });
+
+// Respuesta exitosa: { ok: true, request_id, ...properties }
+function ok(description, properties = {}) {
+  return {
+    description,
+    content: json(object({
+      ok: boolean({ example: true }),
+      request_id: string({ format: "uuid", description: "Mismo valor que el header X-Request-Id" }),
+      ...properties
+    }, ["ok"]))
+  };
+}
+
+// Respuesta de error de las rutas: { ok: false, code, message, ... } con los códigos posibles
+function fail(description, codes) {
+  return {
+    description: `${description}. Códigos: ${codes.map(code => `\`${code}\``).join(", ")}.`,
+    content: json({ allOf: [ref("Error"), object({ code: string({ enum: codes }) })] })
+  };
+}
+
+const idParam = description => ({ name: "id", in: "path", required: true, description, schema: string() });
+const queryParam = (name, schema, description) => ({ name, in: "query", ...(description ? { description } : {}), schema });
+const pagingParams = (max, fallback) => [
+  queryParam("limit", integer({ minimum: 1, maximum: max, default: fallback })),
+  queryParam("offset", integer({ minimum: 0, default: 0 }))
+];
+
+/**
+ * Arma una operación con los parámetros de idioma y las respuestas comunes:
+ * 400 INVALID_REQUEST (validación contra este spec), 401 y 429 en las rutas con
+ * API key, y 500. `errors` es { status: [descripción, ...códigos] }; los
+ * códigos de un 400 se suman a INVALID_REQUEST.
+ */
+function operation({ summary, description, tags, secured = false, parameters = [], requestBody, responses, errors = {} }) {
+  const all = { ...responses, "400": response("InvalidRequest"), "500": response("InternalError") };
+  if (secured) {
+    all["401"] = response("Unauthorized");
+    all["429"] = response("RateLimited");
+  }
+  for (const [status, [text, ...codes]] of Object.entries(errors)) {
+    all[status] = fail(text, status === "400" ? ["INVALID_REQUEST", ...codes] : codes);
+  }
+
+  return {
+    summary,
+    ...(description ? { description } : {}),
+    tags,
+    ...(secured ? { security: [{ ApiKeyAuth: [] }] } : {}),
+    parameters: [...parameters, param("Lang"), param("AcceptLanguage")],
+    ...(requestBody ? { requestBody } : {}),
+    responses: Object.fromEntries(Object.entries(all).sort(([a], [b]) => a.localeCompare(b)))
+  };
+}
+
+// ========== SCHEMAS ==========
+
+const requirement = object({ id: nullable(string({ description: "Id de la taxonomía (null si no está en ella)" })), name: string() });
+
+const schemas = {
+  Error: object({
+    ok: boolean({ example: false }),
+    code: string(),
+    message: string({ description: "Mensaje en el idioma negociado (Content-Language)" }),
+    errors: arrayOf(ref("FieldError"), { description: "Campos inválidos" }),
+    details: { description: "Datos adicionales del error (depende del código)" },
+    request_id: string(),
+    timestamp: dateTime()
+  }, ["ok", "code", "message"]),
+  FieldError: object({
+    location: string({ enum: ["path", "query", "header", "body"] }),
+    field: string({ description: "Ruta del campo, p. ej. `job.min_years` o `profiles[3]`" }),
+    message: string()
+  }, ["field", "message"]),
+  AuthError: object({
+    error: string(),
+    code: string({ enum: ["API_KEY_MISSING", "API_KEY_INVALID", "API_KEY_EXPIRED", "AUTH_SERVICE_ERROR"] }),
+    message: string()
+  }, ["error", "code", "message"]),
+  ScopeError: object({
+    error: string(),
+    code: string({ enum: ["INSUFFICIENT_SCOPE"] }),
+    message: string(),
+    required_scopes: arrayOf(string()),
+    missing_scopes: arrayOf(string())
+  }, ["error", "code", "message"]),
+  RateLimitError: object({
+    error: string(),
+    code: string({ enum: ["RATE_LIMIT_EXCEEDED"] }),
+    message: string(),
+    retry_after: integer({ description: "Segundos hasta poder reintentar (límite por IP)" }),
+    retryAfter: string({ description: "Ídem, límite por API key (p. ej. \"12 seconds\")" })
+  }, ["error", "code", "message"]),
+  Pagination: object({
+    limit: integer(),
+    offset: integer(),
+    total: integer(),
+    has_more: boolean()
+  }),
+
+  Analysis: {
+    ...object({
+      industry: string(),
+      role_seniority: nullable(string({ enum: SENIORITY_VALUES })),
+      top_roles: arrayOf(string()),
+      skills: arrayOf(string()),
+      skills_enhanced: arrayOf(string(), { description: "Análisis de perfiles" }),
+      skill_ids: arrayOf(string(), { description: "Ids canónicos de la taxonomía de skills" }),
+      taxonomy_version: string(),
+      score: number({ minimum: 1, maximum: 10 }),
+      red_flags: arrayOf(string()),
+      summary: string(),
+      next_steps: arrayOf(string()),
+      notes: arrayOf(string()),
+      candidate: object({
+        nombre: nullable(string()),
+        pais: nullable(string()),
+        segmento: nullable(string()),
+        anios_experiencia: nullable(number())
+      }),
+      years_experience: nullable(number()),
+      language: string({ enum: SUPPORTED_LANGUAGES }),
+      source: string(),
+      cache: string({ enum: ["hit", "miss"] }),
+      ai: ref("AiMetadata"),
+      validation: ref("AnalysisValidation"),
+      market_data: object({}),
+      text_length: integer(),
+      processed_at: dateTime()
+    }, ["score", "summary"]),
+    description: "Resultado validado contra el esquema de salida de la IA; puede incluir campos propios del proveedor"
+  },
+  AiMetadata: object({
+    provider: string(),
+    model: nullable(string()),
+    requested: nullable(string()),
+    fallback_reason: nullable(string()),
+    prompt_version: nullable(string()),
+    chunking: object({}),
+    redaction: object({
+      applied: boolean(),
+      required: boolean(),
+      entities: { type: "object", additionalProperties: integer() }
+    })
+  }),
+  AnalysisValidation: object({
+    schema_version: string(),
+    valid: boolean(),
+    reprompted: boolean(),
+    corrected_fields: arrayOf(string()),
+    corrections: arrayOf(object({ field: string(), issue: string(), action: string() }))
+  }),
+  ParsedCv: object({
+    contact: object({
+      name: nullable(string()),
+      email: nullable(string()),
+      phone: nullable(string()),
+      location: nullable(string()),
+      linkedin: nullable(string()),
+      website: nullable(string())
+    }),
+    headline: nullable(string()),
+    summary: nullable(string()),
+    experience: arrayOf(ref("ExperienceEntry")),
+    education: arrayOf(object({
+      degree: nullable(string()),
+      institution: nullable(string()),
+      location: nullable(string()),
+      start_date: nullable(string()),
+      end_date: nullable(string())
+    })),
+    certifications: arrayOf(ref("Certification")),
+    languages: arrayOf(ref("LanguageSkill")),
+    meta: object({ language: nullable(string()), sections_found: arrayOf(string()) })
+  }),
+  ExperienceEntry: object({
+    title: nullable(string()),
+    company: nullable(string()),
+    location: nullable(string()),
+    start_date: nullable(string()),
+    end_date: nullable(string()),
+    current: boolean(),
+    description: nullable(string())
+  }),
+  Certification: object({ name: string(), issuer: nullable(string()), year: nullable(integer()) }),
+  LanguageSkill: object({ language: string(), level: nullable(string()) }),
+  PublicAnalysisResult: object({
+    analysis_id: string(),
+    cache: string({ enum: ["hit", "miss"] }),
+    quota: object({
+      remaining: integer(),
+      limit: integer(),
+      reset: string({ example: "24h" }),
+      consumed: boolean({ description: "false si el análisis salió de caché" })
+    }),
+    analysis: ref("Analysis"),
+    parsed: ref("ParsedCv"),
+    export: object({ pdf: string({ format: "uri" }), json: string({ format: "uri" }), html: string({ format: "uri" }) }),
+    cta: object({ message: string(), action: string(), url: string({ format: "uri" }) }),
+    timestamp: dateTime()
+  }),
+  Quota: object({
+    limit: integer(),
+    used: integer(),
+    remaining: integer(),
+    reset_at: dateTime(),
+    reset_in_seconds: integer()
+  }),
+  Taxonomy: object({
+    version: string(),
+    updated_at: string(),
+    categories: arrayOf(object({ id: string(), name: string(), name_es: string() })),
+    skills: arrayOf(object({
+      id: string({ example: "drilling.directional" }),
+      name: string(),
+      name_es: string(),
+      category: string(),
+      certification: boolean(),
+      synonyms: arrayOf(string()),
+      abbreviations: arrayOf(string())
+    }))
+  }),
+  Report: object({
+    id: string({ description: "ID del análisis, o candidate_ref si blind=true" }),
+    generated_at: dateTime(),
+    expires_at: nullable(dateTime()),
+    source: nullable(string()),
+    analysis: object({
+      industry: string(),
+      role_seniority: string(),
+      score: nullable(number()),
+      top_roles: arrayOf(string()),
+      skills: arrayOf(string()),
+      red_flags: arrayOf(string()),
+      summary: string(),
+      next_steps: arrayOf(string())
+    }),
+    blind: boolean(),
+    candidate: { ...ref("BlindProfile"), description: "Solo con blind=true" },
+    removed: arrayOf(string()),
+    metadata: object({
+      service: string(),
+      version: string(),
+      provider: nullable(string()),
+      text_length: nullable(integer()),
+      processed_at: dateTime(),
+      exported_at: dateTime()
+    })
+  }),
+  BlindProfile: object({
+    candidate_ref: string({ description: "Referencia anónima y estable del candidato" }),
+    headline: nullable(string()),
+    summary: nullable(string()),
+    years_experience: nullable(number()),
+    experience: arrayOf(object({
+      title: nullable(string()),
+      company: nullable(string()),
+      start_date: nullable(string()),
+      end_date: nullable(string()),
+      current: boolean(),
+      description: nullable(string())
+    })),
+    education: arrayOf(object({ degree: string() })),
+    certifications: arrayOf(ref("Certification")),
+    languages: arrayOf(ref("LanguageSkill")),
+    analysis: object({
+      industry: nullable(string()),
+      role_seniority: nullable(string()),
+      score: nullable(number()),
+      top_roles: arrayOf(string()),
+      skills: arrayOf(string()),
+      skill_ids: arrayOf(string()),
+      summary: nullable(string()),
+      red_flags: arrayOf(string()),
+      next_steps: arrayOf(string())
+    }),
+    blind: boolean({ example: true }),
+    language: nullable(string()),
+    removed: arrayOf(string(), { description: "Categorías de datos removidas" }),
+    redactions: { type: "object", additionalProperties: integer(), description: "Cantidad de redacciones por categoría" }
+  }),
+
+  ProfileInput: {
+    ...object({
+      nombre: string(),
+      experienciaOilGas: string(),
+      habilidades: skillList("Habilidades declaradas"),
+      descripcion: string(),
+      paisResidencia: string(),
+      segmentoExperticia: string(),
+      aniosExperiencia: { oneOf: [number({ minimum: 0 }), string()] }
+    }),
+    description: "Al menos nombre, descripción, experiencia o habilidades. " +
+      "También se aceptan los alias name, summary, description, skills, country, segment y years_experience."
+  },
+  BatchItem: object({
+    index: integer(),
+    external_id: nullable(string()),
+    type: string({ enum: ["profile", "cv_text"] }),
+    status: string({ enum: ["pending", "processing", "completed", "failed"] }),
+    analysis_id: nullable(string()),
+    score: nullable(number()),
+    error: nullable(object({ code: string(), message: string() })),
+    analysis: { ...ref("Analysis"), description: "Solo con include_results=true" }
+  }),
+  Batch: object({
+    batch_id: string(),
+    status: string({ enum: ["queued", "processing", "completed", "completed_with_errors", "failed"] }),
+    total: integer(),
+    processed: integer(),
+    succeeded: integer(),
+    failed: integer(),
+    created_at: dateTime(),
+    updated_at: dateTime(),
+    completed_at: nullable(dateTime()),
+    expires_at: nullable(dateTime({ description: "Los ítems que sigan pendientes a esta hora fallan con BATCH_EXPIRED" })),
+    callback: nullable(object({
+      url: string({ format: "uri" }),
+      status: string({ enum: ["pending", "delivered", "failed"] }),
+      attempts: integer(),
+      last_error: outboundError(),
+      delivered_at: nullable(dateTime())
+    })),
+    items: arrayOf(ref("BatchItem"))
+  }),
+  UsageCounter: object({
+    calls: integer(),
+    errors: integer(),
+    error_rate: number(),
+    avg_latency_ms: nullable(integer())
+  }),
+  UsageStats: object({
+    client: string(),
+    range: object({ from: dateTime(), to: dateTime() }),
+    granularity: string({ enum: ["day", "hour"] }),
+    totals: ref("UsageCounter"),
+    endpoints: arrayOf({ allOf: [object({ endpoint: string({ example: "POST /v1/analyze/profile" }) }), ref("UsageCounter")] }),
+    series: arrayOf({
+      allOf: [
+        object({ bucket: string() }),
+        ref("UsageCounter"),
+        object({ by_endpoint: { type: "object", additionalProperties: integer() } })
+      ]
+    }),
+    quota: object({
+      period: string({ example: "2025-01" }),
+      used: integer(),
+      limit: nullable(integer()),
+      remaining: nullable(integer())
+    }),
+    timestamp: dateTime()
+  }),
+  SearchResult: object({
+    analysis_id: string(),
+    source: nullable(string()),
+    analyzed_at: dateTime(),
+    score: nullable(number()),
+    industry: nullable(string()),
+    seniority: nullable(string()),
+    years_experience: nullable(number()),
+    skills: arrayOf(string()),
+    skill_ids: arrayOf(string()),
+    candidate: nullable(object({})),
+    summary: nullable(string())
+  }),
+  RequestLog: object({
+    request_id: string(),
+    client_request_id: nullable(string({ description: "X-Request-Id enviado por el cliente" })),
+    api_key_id: nullable(string()),
+    method: string(),
+    path: string(),
+    query: object({}),
+    status_code: integer(),
+    duration_ms: nullable(integer()),
+    error_code: nullable(string()),
+    response_size: nullable(integer()),
+    ai_provider: nullable(string()),
+    aborted: boolean(),
+    user_agent: nullable(string()),
+    ip_address: nullable(string()),
+    timestamp: dateTime()
+  }),
+
+  Requirement: requirement,
+  JobRequirements: object({
+    title: string(),
+    location: string(),
+    description: string({ description: "Sin listas explícitas, los requisitos se detectan de este texto" }),
+    required_skills: skillList("Skills requeridas (nombres, sinónimos o ids de la taxonomía)"),
+    nice_to_have_skills: skillList("Skills deseables"),
+    certifications: skillList("Certificaciones requeridas"),
+    min_years: nullable(number({ minimum: 0, maximum: 80 }))
+  }),
+  JobInput: {
+    allOf: [ref("JobRequirements"), object({ status: string({ enum: JOB_STATUSES, default: "open" }) })]
+  },
+  Job: object({
+    id: string(),
+    client_id: string(),
+    title: string(),
+    location: nullable(string()),
+    description: nullable(string()),
+    required_skills: arrayOf(ref("Requirement")),
+    nice_to_have_skills: arrayOf(ref("Requirement")),
+    certifications: arrayOf(ref("Requirement")),
+    min_years: nullable(number()),
+    status: string({ enum: JOB_STATUSES }),
+    created_at: dateTime(),
+    updated_at: dateTime()
+  }),
+  MatchResult: object({
+    score: integer({ minimum: 0, maximum: 100 }),
+    fit: string({ enum: ["strong", "partial", "weak"] }),
+    matched_skills: arrayOf(ref("Requirement")),
+    missing_skills: arrayOf(ref("Requirement")),
+    nice_to_have: object({ matched: arrayOf(ref("Requirement")), missing: arrayOf(ref("Requirement")) }),
+    certifications: object({
+      required: arrayOf(ref("Requirement")),
+      matched: arrayOf(ref("Requirement")),
+      missing: arrayOf(ref("Requirement"))
+    }),
+    experience: object({
+      required_years: nullable(number()),
+      candidate_years: nullable(number()),
+      gap_years: nullable(number()),
+      meets: boolean()
+    }),
+    breakdown: { type: "object", additionalProperties: integer(), description: "Aporte de cada componente (0-100)" },
+    justification: string()
+  }),
+  JobCandidate: object({
+    rank: integer(),
+    analysis_id: string(),
+    name: nullable(string()),
+    source: nullable(string()),
+    analyzed_at: dateTime(),
+    years_experience: nullable(number()),
+    score: integer({ minimum: 0, maximum: 100 }),
+    fit: string({ enum: ["strong", "partial", "weak"] }),
+    matched_skills: arrayOf(ref("Requirement")),
+    missing_skills: arrayOf(ref("Requirement")),
+    missing_certifications: arrayOf(ref("Requirement")),
+    experience_gap_years: nullable(number()),
+    breakdown: { type: "object", additionalProperties: integer() },
+    justification: string()
+  }),
+
+  ApiKey: object({
+    id: string(),
+    client_id: string(),
+    name: nullable(string()),
+    key_prefix: nullable(string({ description: "Primeros caracteres de la key, para reconocerla" })),
+    status: string({ enum: ["active", "expired", "revoked"] }),
+    permissions: arrayOf(string()),
+    rate_limit: nullable(integer()),
+    monthly_quota: nullable(integer()),
+    ai_provider: nullable(string()),
+    require_pii_redaction: boolean(),
+    created_at: nullable(dateTime()),
+    created_by: nullable(string()),
+    expires_at: nullable(dateTime()),
+    last_used_at: nullable(dateTime()),
+    revoked_at: nullable(dateTime()),
+    revoked_by: nullable(string()),
+    rotated_from: nullable(string()),
+    rotated_to: nullable(string())
+  }),
+  Webhook: object({
+    id: string(),
+    client_id: string(),
+    url: string({ format: "uri" }),
+    events: arrayOf(string()),
+    description: nullable(string()),
+    active: boolean(),
+    created_at: dateTime(),
+    created_by: nullable(string()),
+    updated_at: dateTime(),
+    last_delivery_at: nullable(dateTime()),
+    last_delivery_status: nullable(string({ enum: ["delivered", "failed"] })),
+    consecutive_failures: integer()
+  }),
+  WebhookDelivery: object({
+    id: string(),
+    subscription_id: string(),
+    client_id: string(),
+    event_id: string(),
+    event: string(),
+    url: string({ format: "uri" }),
+    status: string({ enum: ["pending", "delivered", "failed"] }),
+    attempts: integer(),
+    response_status: nullable(integer()),
+    last_error: outboundError(),
+    duration_ms: nullable(integer()),
+    history: arrayOf(object({
+      attempt: integer(),
+      at: dateTime(),
+      status_code: nullable(integer()),
+      error: outboundError(),
+      duration_ms: integer()
+    })),
+    created_at: dateTime(),
+    delivered_at: nullable(dateTime())
+  })
+};
+
+// ========== RUTAS ==========
+
+const PUBLIC = ["Público"];
+const PRIVATE = ["Privado"];
+const JOBS = ["Ofertas"];
+const WEBHOOKS = ["Webhooks"];
+const ADMIN = ["Admin"];
+
+const analysisMissing = ["Análisis inexistente", "ANALYSIS_NOT_FOUND"];
+const analysisExpired = ["El análisis expiró", "ANALYSIS_EXPIRED"];
+const jobMissing = ["Oferta inexistente o de otro cliente", "JOB_NOT_FOUND"];
+const keyMissing = ["Key inexistente o de otro cliente", "KEY_NOT_FOUND"];
+const webhookMissing = ["Webhook inexistente o de otro cliente", "WEBHOOK_NOT_FOUND"];
+
+// Export público y privado: mismos parámetros y formatos
+const exportParams = description => [
+  idParam(description),
+  queryParam("format", string({ enum: ["json", "html", "pdf"], default: "json" })),
+  queryParam("blind", boolean({ default: false }), "Perfil anónimo: sin nombre, contacto, foto, género, edad ni nacionalidad")
+];
+const exportReport = {
+  description: "Reporte del análisis en el formato pedido",
+  content: {
+    ...json(ref("Report")),
+    "text/html": { schema: string() },
+    "application/pdf": { schema: string({ format: "binary" }) }
+  }
+};
+
+// Cuota gratuita agotada o rate limit por IP
+const publicQuotaExceeded = {
+  description: "`QUOTA_EXCEEDED`: cuota de análisis gratuitos superada; `RATE_LIMIT_EXCEEDED`: demasiados requests.",
+  content: json({ oneOf: [ref("Error"), ref("RateLimitError")] })
+};
+
+const paths = {
+  "/": {
+    get: {
+      summary: "Datos del servicio y rutas principales",
+      tags: ["Sistema"],
+      responses: {
+        "200": {
+          description: "Servicio activo",
+          content: json(object({
+            ok: boolean(),
+            service: string(),
+            version: string(),
+            timestamp: dateTime(),
+            features: object({
+              file_formats: arrayOf(string({ enum: listFormats() })),
+              languages: arrayOf(string({ enum: SUPPORTED_LANGUAGES }))
+            })
+          }))
+        }
+      }
+    }
+  },
+  "/health": {
+    get: {
+      summary: "Health check",
+      tags: ["Sistema"],
+      responses: {
+        "200": {
+          description: "API funcionando",
+          content: json(object({
+            ok: boolean(),
+            service: string(),
+            status: string({ example: "healthy" }),
+            timestamp: dateTime(),
+            node: string(),
+            request_logging: object({ failures: integer(), last_failure_at: nullable(dateTime()) })
+          }))
+        }
+      }
+    }
+  },
+  "/api-spec": {
+    get: {
+      summary: "Este spec en JSON",
+      tags: ["Sistema"],
+      responses: { "200": { description: "Documento OpenAPI 3", content: json(object({})) } }
+    }
+  },
+
+  "/v1/public/analyze/cv-text": {
+    post: operation({
+      summary: "Analizar texto de CV",
+      description: "Consume un análisis de la cuota diaria (por email o, sin email, por IP). Un CV que ya está en la " +
+        "caché se devuelve sin consumir y aunque la cuota esté agotada (`quota.consumed: false`).",
+      tags: PUBLIC,
+      requestBody: jsonBody(object({
+        cv_text: string({ description: "Contenido del CV en texto plano (mínimo 50 caracteres sin espacios de borde)" }),
+        email: nullable(string({ format: "email", description: "Email para control de cuota (sin email, la cuota es por IP)" }))
+      }, ["cv_text"])),
+      responses: {
+        "200": ok("Análisis completado (`cache: hit|miss`; un hit no consume cuota)", schemas.PublicAnalysisResult.properties),
+        "429": publicQuotaExceeded
+      },
+      errors: {
+        "400": ["Texto ausente o demasiado corto", "CV_TEXT_REQUIRED", "CV_TEXT_TOO_SHORT"],
+        "500": ["Error inesperado", "INTERNAL_ERROR"]
+      }
+    })
+  },
+  "/v1/public/analyze/cv-file": {
+    post: operation({
+      summary: `Analizar archivo de CV (${listFormats().join(", ").toUpperCase()})`,
+      description: "Consume un análisis de la cuota diaria (por email o, sin email, por IP). Un CV que ya está en la " +
+        "caché se devuelve sin consumir y aunque la cuota esté agotada (`quota.consumed: false`).",
+      tags: PUBLIC,
+      requestBody: {
+        required: true,
+        content: {
+          "multipart/form-data": {
+            schema: object({
+              cv_file: string({ format: "binary", description: "Máximo 10MB; el tipo real se detecta por contenido" }),
+              email: string({ format: "email" }),
+              lang: string({ description: "Idioma de la respuesta (igual que el query param)" })
+            }, ["cv_file"])
+          }
+        }
+      },
+      responses: {
+        "200": ok("Análisis completado (`file_info.format`: formato detectado)", {
+          file_info: object({
+            name: string(),
+            size: integer(),
+            type: string(),
+            format: string({ enum: listFormats() }),
+            extracted_length: integer()
+          }),
+          ...schemas.PublicAnalysisResult.properties
+        }),
+        "429": publicQuotaExceeded
+      },
+      errors: {
+        "400": ["Archivo ausente, ilegible o demasiado grande", "FILE_REQUIRED", "FILE_CONTENT_INVALID", "FILE_UPLOAD_ERROR"],
+        "415": ["Formato no soportado, el tipo declarado no coincide con el contenido o el archivo está dañado", "UNSUPPORTED_FORMAT"],
+        "422": ["El formato se reconoció pero el archivo está dañado y no se pudo extraer texto", "UNSUPPORTED_FORMAT"],
+        "500": ["Error procesando el archivo", "FILE_PROCESSING_ERROR"]
+      }
+    })
+  },
+  "/v1/public/quota": {
+    get: operation({
+      summary: "Cuota gratuita restante (por email o, sin email, por IP)",
+      tags: PUBLIC,
+      parameters: [queryParam("email", string({ format: "email" }))],
+      responses: {
+        "200": {
+          description: "Análisis usados y restantes del día",
+          content: json(object({
+            ok: boolean(),
+            email: nullable(string()),
+            quota: ref("Quota"),
+            upgrade_url: string({ format: "uri" }),
+            timestamp: dateTime()
+          }))
+        },
+        "429": response("RateLimited")
+      }
+    })
+  },
+  "/v1/public/taxonomy/skills": {
+    get: {
+      summary: "Taxonomía de skills Oil & Gas (ids canónicos, sinónimos ES/EN y siglas)",
+      tags: PUBLIC,
+      responses: {
+        "200": { description: "Versión, categorías y skills de la taxonomía", content: json({ allOf: [object({ ok: boolean() }), ref("Taxonomy")] }) }
+      }
+    }
+  },
+  "/v1/public/export/analysis/{id}": {
+    get: operation({
+      summary: "Exportar un análisis público (json, html o pdf)",
+      description: "Solo análisis de `/v1/public/analyze/*`. Los de clientes privados dan 404: se exportan con `/v1/private/export/analysis/{id}`.",
+      tags: PUBLIC,
+      parameters: exportParams("ID del análisis"),
+      responses: { "200": exportReport },
+      errors: {
+        "404": analysisMissing,
+        "410": analysisExpired,
+        "500": ["Error leyendo o exportando el análisis", "INTERNAL_ERROR", "EXPORT_FAILED"]
+      }
+    })
+  },
+
+  "/v1/analyze/profile": {
+    post: operation({
+      summary: "Analizar perfil estructurado",
+      tags: PRIVATE,
+      secured: true,
+      requestBody: jsonBody({
+        ...object({
+          profile: ref("ProfileInput"),
+          options: object({
+            source: string({ maxLength: 64, default: "api" }),
+            enrich_with_market_data: { oneOf: [boolean(), string({ enum: ["true", "false"] })] }
+          })
+        }),
+        description: "Sin `profile`, el cuerpo completo se toma como perfil"
+      }),
+      responses: {
+        "200": ok("Análisis completado", {
+          analysis_id: string(),
+          client: string(),
+          options: object({ source: string(), enrich_with_market_data: boolean() }),
+          analysis: ref("Analysis"),
+          timestamp: dateTime()
+        })
+      },
+      errors: { "400": ["Perfil vacío o inválido", "PROFILE_REQUIRED"] }
+    })
+  },
+  "/v1/batch/analyze": {
+    post: operation({
+      summary: "Análisis por lotes (responde 202 y procesa en segundo plano)",
+      description: "Al terminar se hace POST del lote a `callback_url` (si se indicó). " +
+        "`Cache-Control: no-cache` o `?refresh=true` ignoran la caché de análisis.",
+      tags: PRIVATE,
+      secured: true,
+      parameters: [queryParam("refresh", boolean({ default: false }))],
+      requestBody: jsonBody(object({
+        profiles: arrayOf(
+          { oneOf: [ref("ProfileInput"), object({ cv_text: string(), external_id: string() }, ["cv_text"]), string()] },
+          { minItems: 1, maxItems: BATCH_MAX_ITEMS, description: "Perfiles, { cv_text } o textos de CV (con `external_id` opcional)" }
+        ),
+        callback_url: nullable(string({ format: "uri" })),
+        options: object({
+          lang: string({ description: "Idioma de los análisis (por defecto, el del request)" }),
+          source: string()
+        })
+      }, ["profiles"])),
+      responses: {
+        "202": ok("Lote aceptado", {
+          batch_id: string(),
+          status: string({ enum: ["queued"] }),
+          total: integer(),
+          status_url: string({ format: "uri" }),
+          callback_url: nullable(string({ format: "uri" })),
+          timestamp: dateTime()
+        })
+      },
+      errors: {
+        "400": ["Lote inválido", "PROFILES_REQUIRED", "BATCH_TOO_LARGE", "BATCH_ITEM_INVALID", "CALLBACK_URL_INVALID"]
+      }
+    })
+  },
+  "/v1/batch/{id}": {
+    get: operation({
+      summary: "Estado de un lote",
+      tags: PRIVATE,
+      secured: true,
+      parameters: [
+        idParam("ID del lote"),
+        queryParam("include_results", boolean({ default: false }), "Incluir el análisis de cada ítem")
+      ],
+      responses: { "200": ok("Estado y resultado por ítem", schemas.Batch.properties) },
+      errors: { "404": ["Lote inexistente o de otro cliente", "BATCH_NOT_FOUND"] }
+    })
+  },
+  "/v1/internal/cron/batches": {
+    get: {
+      ...operation({
+        summary: "Retomar lotes sin terminar (Vercel Cron)",
+        description: "Procesa los ítems pendientes de los lotes cuyo lease venció, hasta `BATCH_DRAIN_MS`. " +
+          "Requiere `Authorization: Bearer <CRON_SECRET>`.",
+        tags: ["Sistema"],
+        responses: {
+          "200": ok("Lotes retomados y cómo quedaron", {
+            batches: arrayOf(object({ batch_id: string(), status: string(), processed: integer(), total: integer() })),
+            timestamp: dateTime()
+          })
+        },
+        errors: { "401": ["CRON_SECRET ausente o distinto", "CRON_UNAUTHORIZED"] }
+      }),
+      security: [{ CronSecret: [] }]
+    }
+  },
+  "/v1/stats/usage": {
+    get: operation({
+      summary: "Estadísticas de uso del cliente (llamadas, errores, latencia y cuota mensual)",
+      tags: PRIVATE,
+      secured: true,
+      parameters: [
+        queryParam("from", string({ format: "date-time" }), "Por defecto: 30 días (day) o 1 día (hour) antes de `to`"),
+        queryParam("to", string({ format: "date-time" }), "Por defecto: ahora. Una fecha sin hora incluye el día completo"),
+        queryParam("granularity", string({ enum: ["day", "hour"], default: "day" }), "Rango máximo: 90 días (day) o 7 (hour)")
+      ],
+      responses: { "200": ok("Totales, uso por endpoint y serie temporal", schemas.UsageStats.properties) },
+      errors: { "400": ["Rango inválido", "INVALID_USAGE_PARAMS"] }
+    })
+  },
+
+  "/v1/private/search": {
+    get: operation({
+      summary: "Buscar perfiles analizados del cliente",
+      tags: PRIVATE,
+      secured: true,
+      parameters: [
+        queryParam("skills", arrayOf(string()), "Nombres, sinónimos o ids de la taxonomía (repetido o separado por comas)"),
+        queryParam("skills_match", string({ enum: ["any", "all"], default: "any" })),
+        queryParam("min_score", number({ minimum: 0, maximum: 10 })),
+        queryParam("max_score", number({ minimum: 0, maximum: 10 })),
+        queryParam("industry", string(), "Industria canónica (`Energía`, `IT`, `General`) o un sinónimo (`Oil & Gas`)"),
+        queryParam("seniority", string()),
+        queryParam("min_years", number({ minimum: 0, maximum: 80 })),
+        queryParam("max_years", number({ minimum: 0, maximum: 80 })),
+        queryParam("analyzed_from", string({ format: "date-time" })),
+        queryParam("analyzed_to", string({ format: "date-time" }), "Una fecha sin hora incluye el día completo"),
+        queryParam("sort", string({ enum: Object.keys(SORT_COLUMNS), default: "date_desc" })),
+        ...pagingParams(100, 20)
+      ],
+      responses: {
+        "200": ok("Perfiles que cumplen los filtros", {
+          client: string(),
+          results: arrayOf(ref("SearchResult")),
+          pagination: ref("Pagination")
+        })
+      },
+      errors: { "400": ["Rangos inconsistentes (min mayor que max)", "INVALID_SEARCH_PARAMS"] }
+    })
+  },
+  "/v1/private/logs": {
+    get: operation({
+      summary: "Requests recientes del cliente: status, latencia, código de error, tamaño y proveedor de IA",
+      tags: PRIVATE,
+      secured: true,
+      parameters: [
+        queryParam("from", string({ format: "date-time" })),
+        queryParam("to", string({ format: "date-time" })),
+        queryParam("status", string({ pattern: "^[1-5]([0-9]{2}|xx|XX)$" }), "Código exacto (404) o clase (4xx)"),
+        queryParam("method", string({ enum: ["GET", "POST", "PUT", "PATCH", "DELETE"] })),
+        queryParam("path", string({ pattern: "^/[^%_*]*$" }), "Prefijo de ruta, p. ej. /v1/private/jobs"),
+        queryParam("error_code", string()),
+        ...pagingParams(200, 50)
+      ],
+      responses: {
+        "200": ok("Entradas del log (más nuevas primero) con request_id para correlacionar con X-Request-Id", {
+          client: string(),
+          logs: arrayOf(ref("RequestLog")),
+          pagination: ref("Pagination")
+        })
+      },
+      errors: { "400": ["Parámetros inválidos", "INVALID_LOG_PARAMS"] }
+    })
+  },
+  "/v1/private/export/analysis/{id}": {
+    get: operation({
+      summary: "Exportar un análisis propio o público (json, html o pdf)",
+      tags: PRIVATE,
+      secured: true,
+      parameters: exportParams("ID del análisis (propio o público)"),
+      responses: { "200": exportReport },
+      errors: {
+        "404": ["Análisis inexistente o de otro cliente", "ANALYSIS_NOT_FOUND"],
+        "410": analysisExpired,
+        "500": ["Error leyendo o exportando el análisis", "INTERNAL_ERROR", "EXPORT_FAILED"]
+      }
+    })
+  },
+  "/v1/private/analyses/{id}/blind": {
+    get: operation({
+      summary: "Perfil ciego de un análisis: skills, experiencia y certificaciones sin datos de identidad",
+      tags: PRIVATE,
+      secured: true,
+      parameters: [idParam("ID del análisis (propio o público)")],
+      responses: {
+        "200": ok("Perfil con candidate_ref anónimo, categorías removidas y conteo de redacciones", {
+          profile: ref("BlindProfile"),
+          timestamp: dateTime()
+        })
+      },
+      errors: { "404": ["Análisis inexistente o de otro cliente", "ANALYSIS_NOT_FOUND"], "410": analysisExpired }
+    })
+  },
+  "/v1/private/match": {
+    post: operation({
+      summary: "Compatibilidad de un candidato con una oferta (skills, experiencia y certificaciones)",
+      description: "El candidato es `analysis_id` (análisis existente) o `cv_text` (se analiza y se guarda). " +
+        "`analysis_id` acepta análisis propios y públicos (los de `/v1/public/analyze/*`); " +
+        "los privados de otro cliente dan 404. " +
+        "`Cache-Control: no-cache`, `?refresh=true` o `refresh: true` ignoran la caché de análisis.",
+      tags: PRIVATE,
+      secured: true,
+      parameters: [queryParam("refresh", boolean({ default: false }))],
+      requestBody: jsonBody(object({
+        job: { oneOf: [string({ description: "Descripción libre de la oferta" }), ref("JobRequirements")] },
+        job_description: string({ description: "Alias de `job` como texto" }),
+        cv_text: string({ description: "Mínimo 50 caracteres" }),
+        analysis_id: string({ description: "Análisis propio o público" }),
+        refresh: boolean()
+      })),
+      responses: {
+        "200": ok("Score 0-100, skills cumplidas/faltantes, brechas y justificación", {
+          job: object({
+            title: nullable(string()),
+            location: nullable(string()),
+            required_skills: arrayOf(ref("Requirement")),
+            nice_to_have_skills: arrayOf(ref("Requirement")),
+            certifications: arrayOf(ref("Requirement")),
+            min_years: nullable(number())
+          }),
+          candidate: object({
+            analysis_id: string(),
+            years_experience: nullable(number()),
+            seniority: nullable(string()),
+            analysis_score: nullable(number()),
+            cache: nullable(string({ enum: ["hit", "miss"] })),
+            ai_provider: nullable(string())
+          }),
+          match: ref("MatchResult"),
+          timestamp: dateTime()
+        })
+      },
+      errors: {
+        "400": ["Oferta o candidato inválidos", "MATCH_INVALID", "JOB_REQUIRED", "JOB_INVALID", "JOB_REQUIREMENTS_EMPTY", "CANDIDATE_REQUIRED"],
+        "404": ["analysis_id inexistente o privado de otro cliente", "ANALYSIS_NOT_FOUND"],
+        "410": analysisExpired
+      }
+    })
+  },
+
+  "/v1/private/jobs": {
+    get: operation({
+      summary: "Listar ofertas del cliente",
+      tags: JOBS,
+      secured: true,
+      parameters: [queryParam("status", string({ enum: JOB_STATUSES })), ...pagingParams(100, 20)],
+      responses: { "200": ok("Ofertas paginadas", { jobs: arrayOf(ref("Job")), pagination: ref("Pagination") }) },
+      errors: { "400": ["Parámetros inválidos", "INVALID_JOB_PARAMS"] }
+    }),
+    post: operation({
+      summary: "Crear oferta",
+      tags: JOBS,
+      secured: true,
+      requestBody: jsonBody({ allOf: [ref("JobInput"), { required: ["title"] }] }),
+      responses: { "201": ok("Oferta creada (requisitos normalizados a ids de la taxonomía)", { job: ref("Job") }) },
+      errors: {
+        "400": ["Oferta inválida o sin requisitos", "JOB_REQUIRED", "JOB_TITLE_REQUIRED", "JOB_INVALID", "JOB_REQUIREMENTS_EMPTY"]
+      }
+    })
+  },
+  "/v1/private/jobs/{id}": {
+    get: operation({
+      summary: "Obtener oferta",
+      tags: JOBS,
+      secured: true,
+      parameters: [idParam("ID de la oferta")],
+      responses: { "200": ok("Oferta", { job: ref("Job") }) },
+      errors: { "404": jobMissing }
+    }),
+    patch: operation({
+      summary: "Actualizar oferta (campos parciales)",
+      tags: JOBS,
+      secured: true,
+      parameters: [idParam("ID de la oferta")],
+      requestBody: jsonBody(ref("JobInput")),
+      responses: { "200": ok("Oferta actualizada", { job: ref("Job") }) },
+      errors: { "400": ["Oferta inválida", "JOB_REQUIRED", "JOB_INVALID", "JOB_REQUIREMENTS_EMPTY"], "404": jobMissing }
+    }),
+    delete: operation({
+      summary: "Eliminar oferta",
+      tags: JOBS,
+      secured: true,
+      parameters: [idParam("ID de la oferta")],
+      responses: { "200": ok("Oferta eliminada", { job_id: string(), deleted: boolean({ example: true }) }) },
+      errors: { "404": jobMissing }
+    })
+  },
+  "/v1/private/jobs/{id}/candidates": {
+    get: operation({
+      summary: "Ranking de perfiles analizados contra la oferta",
+      tags: JOBS,
+      secured: true,
+      parameters: [
+        idParam("ID de la oferta"),
+        queryParam("min_score", number({ minimum: 0, maximum: 100 })),
+        ...pagingParams(100, 20)
+      ],
+      responses: {
+        "200": ok("Candidatos ordenados por score con skills faltantes, brechas y justificación", {
+          job: object({ id: string(), title: string(), status: string({ enum: JOB_STATUSES }) }),
+          candidates: arrayOf(ref("JobCandidate")),
+          pagination: ref("Pagination"),
+          pool: object({ evaluated: integer(), truncated: boolean() })
+        })
+      },
+      errors: { "400": ["Parámetros inválidos", "INVALID_JOB_PARAMS"], "404": jobMissing }
+    })
+  },
+
+  "/v1/private/webhooks": {
+    get: operation({
+      summary: "Listar webhooks del cliente y eventos disponibles",
+      tags: WEBHOOKS,
+      secured: true,
+      parameters: [queryParam("client_id", string(), "Solo keys con permiso \"*\" (p. ej. \"public\")")],
+      responses: {
+        "200": ok("Suscripciones (sin secret) y `available_events`", {
+          webhooks: arrayOf(ref("Webhook")),
+          available_events: { type: "object", additionalProperties: string(), example: WEBHOOK_EVENTS }
+        })
+      }
+    }),
+    post: operation({
+      summary: "Registrar webhook",
+      description: "Cada entrega es un POST JSON con `X-Petrolink-Event`, `X-Petrolink-Delivery`, " +
+        "`X-Petrolink-Timestamp` y `X-Petrolink-Signature: sha256=HMAC-SHA256(secret, \"{timestamp}.{body}\")`. " +
+        "Los fallos se reintentan con backoff exponencial.",
+      tags: WEBHOOKS,
+      secured: true,
+      requestBody: jsonBody(object({
+        url: string({ format: "uri" }),
+        events: arrayOf(string({ enum: [...Object.keys(WEBHOOK_EVENTS), "*"] }), { minItems: 1 }),
+        description: nullable(string({ maxLength: 200 })),
+        active: boolean({ default: true }),
+        client_id: string({ description: "Otro cliente: solo keys con permiso \"*\"" })
+      }, ["url", "events"])),
+      responses: {
+        "201": ok("`webhook` y `secret` en claro (solo en esta respuesta)", {
+          webhook: ref("Webhook"),
+          secret: string({ description: "Para verificar X-Petrolink-Signature" })
+        })
+      },
+      errors: {
+        "400": ["Suscripción inválida", "WEBHOOK_INVALID"],
+        "403": ["Otro cliente sin permiso \"*\"", "FORBIDDEN"],
+        "409": ["Se alcanzó el máximo de webhooks del cliente", "WEBHOOK_LIMIT"]
+      }
+    })
+  },
+  "/v1/private/webhooks/{id}": {
+    get: operation({
+      summary: "Obtener webhook",
+      tags: WEBHOOKS,
+      secured: true,
+      parameters: [idParam("ID del webhook")],
+      responses: { "200": ok("Webhook", { webhook: ref("Webhook") }) },
+      errors: { "404": webhookMissing }
+    }),
+    patch: operation({
+      summary: "Actualizar webhook (url, events, description; active=false lo pausa)",
+      tags: WEBHOOKS,
+      secured: true,
+      parameters: [idParam("ID del webhook")],
+      requestBody: jsonBody(object({
+        url: string({ format: "uri" }),
+        events: arrayOf(string({ enum: [...Object.keys(WEBHOOK_EVENTS), "*"] }), { minItems: 1 }),
+        description: nullable(string({ maxLength: 200 })),
+        active: boolean()
+      })),
+      responses: { "200": ok("Webhook actualizado", { webhook: ref("Webhook") }) },
+      errors: { "400": ["Suscripción inválida", "WEBHOOK_INVALID"], "404": webhookMissing }
+    }),
+    delete: operation({
+      summary: "Eliminar webhook y su log de entregas",
+      tags: WEBHOOKS,
+      secured: true,
+      parameters: [idParam("ID del webhook")],
+      responses: { "200": ok("Webhook eliminado", { deleted: string({ description: "ID del webhook eliminado" }) }) },
+      errors: { "404": webhookMissing }
+    })
+  },
+  "/v1/private/webhooks/{id}/deliveries": {
+    get: operation({
+      summary: "Log de entregas del webhook (intentos, status de respuesta, error y latencia)",
+      tags: WEBHOOKS,
+      secured: true,
+      parameters: [idParam("ID del webhook"), ...pagingParams(100, 20)],
+      responses: {
+        "200": ok("Entregas, de la más nueva a la más vieja", {
+          deliveries: arrayOf(ref("WebhookDelivery")),
+          pagination: ref("Pagination")
+        })
+      },
+      errors: { "404": webhookMissing }
+    })
+  },
+  "/v1/private/webhooks/{id}/test": {
+    post: operation({
+      summary: "Enviar un evento webhook.test (un solo intento)",
+      tags: WEBHOOKS,
+      secured: true,
+      parameters: [idParam("ID del webhook")],
+      responses: {
+        "200": ok("`delivery` con el resultado; `ok` es false si el receptor no respondió 2xx", {
+          delivery: ref("WebhookDelivery")
+        })
+      },
+      errors: { "404": webhookMissing }
+    })
+  },
+
+  "/v1/admin/keys": {
+    get: operation({
+      summary: "Listar API keys (sin hashes; las revocadas solo con include_revoked=true)",
+      tags: ADMIN,
+      secured: true,
+      parameters: [
+        queryParam("client_id", string(), "Solo keys con permiso \"*\""),
+        queryParam("include_revoked", boolean({ default: false })),
+        ...pagingParams(100, 20)
+      ],
+      responses: {
+        "200": ok("Keys con status, created_by y last_used_at", { keys: arrayOf(ref("ApiKey")), pagination: ref("Pagination") })
+      },
+      errors: { "400": ["Parámetros inválidos", "KEY_INVALID"] }
+    }),
+    post: operation({
+      summary: "Crear API key (el valor en claro se devuelve una sola vez)",
+      tags: ADMIN,
+      secured: true,
+      requestBody: jsonBody(object({
+        name: string({ minLength: 1, maxLength: 100 }),
+        client_id: string({ minLength: 1, description: "Otro cliente: solo keys con permiso \"*\"" }),
+        permissions: arrayOf(string({ pattern: "^(\\*|[a-z]+:(\\*|[a-z]+))$", example: "jobs:read" }), {
+          description: "Scopes exactos o comodines \"recurso:*\"; por defecto, los scopes básicos que tiene el creador"
+        }),
+        rate_limit: nullable(integer({ minimum: 1 })),
+        monthly_quota: nullable(integer({ minimum: 1 })),
+        ai_provider: nullable(string()),
+        require_pii_redaction: boolean(),
+        expires_at: nullable(dateTime()),
+        expires_in_days: nullable(number({ minimum: 0, exclusiveMinimum: true, maximum: 3650 }))
+      })),
+      responses: {
+        "201": ok("Key creada: `api_key` en claro y `key` con sus datos", {
+          key: ref("ApiKey"),
+          api_key: string({ description: "Valor en claro (no se vuelve a mostrar)" })
+        })
+      },
+      errors: {
+        "400": ["Parámetros inválidos", "KEY_INVALID"],
+        "403": ["Otro cliente o permisos que la key no tiene", "FORBIDDEN"]
+      }
+    })
+  },
+  "/v1/admin/keys/{id}": {
+    get: operation({
+      summary: "Obtener API key",
+      tags: ADMIN,
+      secured: true,
+      parameters: [idParam("ID de la key")],
+      responses: { "200": ok("Key", { key: ref("ApiKey") }) },
+      errors: { "404": keyMissing }
+    }),
+    patch: operation({
+      summary: "Cambiar nombre o vencimiento (expires_at, expires_in_days o null)",
+      tags: ADMIN,
+      secured: true,
+      parameters: [idParam("ID de la key")],
+      requestBody: jsonBody(object({
+        name: string({ minLength: 1, maxLength: 100 }),
+        expires_at: nullable(dateTime()),
+        expires_in_days: nullable(number({ minimum: 0, exclusiveMinimum: true, maximum: 3650 }))
+      })),
+      responses: { "200": ok("Key actualizada", { key: ref("ApiKey") }) },
+      errors: {
+        "400": ["Parámetros inválidos", "KEY_INVALID"],
+        "403": ["La key tiene permisos que la key que llama no tiene", "KEY_PERMISSIONS_EXCEEDED"],
+        "404": keyMissing,
+        "409": ["La key está revocada", "KEY_REVOKED"]
+      }
+    })
+  },
+  "/v1/admin/keys/{id}/rotate": {
+    post: operation({
+      summary: "Rotar API key: emite una nueva y la anterior vence tras el período de gracia",
+      tags: ADMIN,
+      secured: true,
+      parameters: [idParam("ID de la key")],
+      requestBody: jsonBody(object({
+        grace_period_hours: number({ minimum: 0, maximum: 720, default: 24, description: "0 corta la key anterior en el acto" })
+      }), { required: false }),
+      responses: {
+        "201": ok("`api_key` nueva en claro, `key` nueva y `previous` con su nuevo vencimiento", {
+          key: ref("ApiKey"),
+          api_key: string(),
+          previous: ref("ApiKey")
+        })
+      },
+      errors: {
+        "400": ["Período de gracia inválido", "KEY_INVALID"],
+        "403": ["La key tiene permisos que la key que llama no tiene", "KEY_PERMISSIONS_EXCEEDED"],
+        "404": keyMissing,
+        "409": ["La key está revocada", "KEY_REVOKED"]
+      }
+    })
+  },
+  "/v1/admin/keys/{id}/revoke": {
+    post: operation({
+      summary: "Revocar API key en el acto",
+      tags: ADMIN,
+      secured: true,
+      parameters: [idParam("ID de la key")],
+      responses: { "200": ok("Key revocada", { key: ref("ApiKey") }) },
+      errors: {
+        "403": ["La key tiene permisos que la key que llama no tiene", "KEY_PERMISSIONS_EXCEEDED"],
+        "404": keyMissing
+      }
+    })
+  }
+};
+
+const apiSpec = {
+  openapi: "3.0.3",
+  info: {
+    title: "Petrolink CV Analysis API",
+    version: "2.0.0",
+    description: "API para análisis de CVs con IA para la reinserción laboral en Venezuela y LATAM.\n\n" +
+      "Los requests se validan contra este spec: un parámetro o campo inválido responde 400 " +
+      "`INVALID_REQUEST` con la lista `errors` ({ location, field, message })."
+  },
+  servers: [
+    { url: "https://petrolink-api.vercel.app", description: "Production" },
+    { url: "http://localhost:8080", description: "Development" }
+  ],
+  tags: [
+    { name: "Sistema" },
+    { name: "Público", description: "Sin API key; con cuota gratuita diaria y rate limit por IP" },
+    { name: "Privado", description: "Requieren X-API-Key" },
+    { name: "Ofertas" },
+    { name: "Webhooks" },
+    { name: "Admin" }
+  ],
+  components: {
+    securitySchemes: {
+      ApiKeyAuth: {
+        type: "apiKey",
+        in: "header",
+        name: "X-API-Key",
+        description: "Scopes (api_keys.permissions; \"recurso:*\" y \"*\" como comodines):\n" +
+          Object.entries(SCOPES).map(([scope, text]) => `- \`${scope}\`: ${text}`).join("\n"),
+        "x-scopes": SCOPES
+      },
+      CronSecret: {
+        type: "http",
+        scheme: "bearer",
+        description: "CRON_SECRET del deployment (lo envía Vercel Cron)"
+      }
+    },
+    parameters: {
+      // Sin enum: un idioma no soportado cae en Accept-Language o en el idioma por defecto
+      Lang: {
+        name: "lang",
+        in: "query",
+        description: `Idioma de mensajes y análisis: ${SUPPORTED_LANGUAGES.join(", ")} ` +
+          "(tiene prioridad sobre Accept-Language)",
+        schema: string({ example: DEFAULT_LANGUAGE })
+      },
+      AcceptLanguage: {
+        name: "Accept-Language",
+        in: "header",
+        description: "Negociación estándar (p. ej. en-US,en;q=0.9); el idioma elegido vuelve en Content-Language",
+        schema: string()
+      }
+    },
+    schemas,
+    responses: {
+      InvalidRequest: fail("Request inválido según este spec (ver `errors`)", ["INVALID_REQUEST"]),
+      Unauthorized: { description: "API key ausente, inválida o vencida", content: json(ref("AuthError")) },
+      Forbidden: { description: "INSUFFICIENT_SCOPE: falta el scope requerido", content: json(ref("ScopeError")) },
+      RateLimited: { description: "Rate limit superado", content: json(ref("RateLimitError")) },
+      InternalError: fail("Error inesperado", ["INTERNAL_ERROR"])
+    }
+  },
+  paths
+};
+
+/**
+ * Completa el spec con lo que declaran las rutas registradas: scopes
+ * requeridos (de los requireScope) y 403 por operación. Avisa por consola si
+ * alguna ruta no está documentada (no se validaría).
+ */
+function documentRoutes(app) {
+  const routeScopes = collectRouteScopes(app);
+  for (const [specPath, operations] of Object.entries(apiSpec.paths)) {
+    for (const [method, op] of Object.entries(operations)) {
+      const scopes = routeScopes[`${method} ${specPath}`];
+      if (!scopes || op["x-required-scopes"]) continue;
+      op["x-required-scopes"] = scopes;
+      op.description = [op.description, `Requiere scope: ${scopes.map(scope => `\`${scope}\``).join(", ")}.`]
+        .filter(Boolean)
+        .join("\n\n");
+      op.responses = Object.fromEntries(Object.entries({ ...op.responses, "403": op.responses["403"] || response("Forbidden") })
+        .sort(([a], [b]) => a.localeCompare(b)));
+    }
+  }
+
+  for (const layer of app.router.stack) {
+    if (!layer.route) continue;
+    const specPath = String(layer.route.path).replace(/:(\w+)/g, "{$1}");
+    for (const method of Object.keys(layer.route.methods)) {
+      if (!apiSpec.paths[specPath]?.[method]) {
+        console.warn(`⚠️ Ruta sin documentar en api/openapi.js: ${method.toUpperCase()} ${layer.route.path}`);
+      }
+    }
+  }
+}
+
+module.exports = { apiSpec, documentRoutes };
@@ -0,0 +1,271 @@
+-- Tablas de Supabase usadas por petrolink-api.
+-- Ejecutar en el SQL editor del proyecto (idempotente).
+
+-- Análisis de CV guardados para exportación (services/analysisStore.js)
+create table if not exists cv_analyses (
+  id text primary key,
+  text_hash text,
+  email text,
+  source text,
+  client_id text,
+  analysis jsonb not null,
+  -- Estructura del CV (services/cvSectionParser.js)
+  parsed jsonb,
+  -- Columnas desnormalizadas para /v1/private/search
+  score numeric,
+  skill_keys text[] not null default '{}',
+  industry text,
+  seniority text,
+  years_experience numeric,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  expires_at timestamptz
+);
+
+alter table cv_analyses add column if not exists parsed jsonb;
+-- Industria canónica (canonicalIndustry en services/skillsTaxonomy.js): los perfiles guardaban "Oil & Gas"
+update cv_analyses set industry = 'Energía' where industry = 'Oil & Gas';
+
+create index if not exists cv_analyses_text_hash_idx on cv_analyses (text_hash);
+create index if not exists cv_analyses_client_id_idx on cv_analyses (client_id);
+create index if not exists cv_analyses_skill_keys_idx on cv_analyses using gin (skill_keys);
+create index if not exists cv_analyses_client_created_idx on cv_analyses (client_id, created_at desc);
+
+-- Lotes de análisis (services/batchStore.js)
+create table if not exists analysis_batches (
+  id text primary key,
+  client_id text not null,
+  status text not null,
+  total integer not null,
+  processed integer not null default 0,
+  succeeded integer not null default 0,
+  failed integer not null default 0,
+  options jsonb not null default '{}',
+  items jsonb not null,
+  callback_url text,
+  callback jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+alter table analysis_batches add column if not exists ai_provider text;
+alter table analysis_batches add column if not exists require_pii_redaction boolean not null default false;
+-- Reanudación (services/batchStore.js): quien procesa renueva el lease; el cron retoma los vencidos
+alter table analysis_batches add column if not exists lease_expires_at timestamptz;
+-- Los ítems pendientes a esta hora fallan con BATCH_EXPIRED y se borra su texto
+alter table analysis_batches add column if not exists expires_at timestamptz;
+
+create index if not exists analysis_batches_client_id_idx on analysis_batches (client_id, created_at desc);
+create index if not exists analysis_batches_resumable_idx on analysis_batches (created_at)
+  where status in ('queued', 'processing');
+
+-- API keys de clientes privados (middleware/security.js)
+create table if not exists api_keys (
+  id uuid primary key default gen_random_uuid(),
+  client_id text not null,
+  name text,
+  key_hash text not null unique,
+  rate_limit integer,
+  -- Llamadas de análisis por mes (opcional, usado en /v1/stats/usage)
+  monthly_quota integer,
+  is_active boolean not null default true,
+  -- Scopes ("search:read", "jobs:*", "*"), ver services/scopes.js
+  permissions jsonb not null default '[]',
+  created_at timestamptz not null default now()
+);
+alter table api_keys add column if not exists monthly_quota integer;
+-- Proveedor de IA por key (mock | deepseek | openai | ollama); null = AI_PROVIDER
+alter table api_keys add column if not exists ai_provider text;
+-- Redactar datos personales antes de llamar a proveedores LLM aunque AI_REDACT_PII=false
+alter table api_keys add column if not exists require_pii_redaction boolean not null default false;
+-- Gestión de keys (/v1/admin/keys, services/apiKeyService.js). Solo se guarda key_hash;
+-- key_prefix son los primeros caracteres para reconocer la key en listados.
+alter table api_keys add column if not exists key_prefix text;
+alter table api_keys add column if not exists created_by text;
+alter table api_keys add column if not exists expires_at timestamptz;
+alter table api_keys add column if not exists last_used_at timestamptz;
+alter table api_keys add column if not exists revoked_at timestamptz;
+alter table api_keys add column if not exists revoked_by text;
+alter table api_keys add column if not exists rotated_from uuid;
+alter table api_keys add column if not exists rotated_to uuid;
+
+create index if not exists api_keys_client_created_idx on api_keys (client_id, created_at desc);
+
+-- Scopes por ruta (services/scopes.js): las keys anteriores tenían permissions = '[]' y sin esto
+-- quedan sin acceso. Reciben DEFAULT_KEY_SCOPES (todo menos admin:keys). Corre una sola vez: el
+-- comentario de la columna marca que ya se aplicó, así una key creada después con '[]' a propósito
+-- no recibe permisos al re-ejecutar este archivo.
+do $$
+begin
+  if col_description('api_keys'::regclass, (
+    select attnum from pg_attribute where attrelid = 'api_keys'::regclass and attname = 'permissions'
+  )) is distinct from 'scopes v1' then
+    update api_keys
+      set permissions = '["analyze:write","analyze:read","search:read","export:read","match:write","jobs:read","jobs:write","stats:read","logs:read","webhooks:read","webhooks:write"]'
+      where permissions = '[]'::jsonb;
+    comment on column api_keys.permissions is 'scopes v1';
+  end if;
+end $$;
+
+-- Log de requests privados (logRequest en middleware/security.js)
+create table if not exists api_request_logs (
+  request_id uuid primary key,
+  client_id text,
+  method text,
+  path text,
+  query jsonb,
+  user_agent text,
+  ip_address text,
+  timestamp timestamptz not null default now(),
+  status_code integer,
+  duration_ms integer
+);
+alter table api_request_logs add column if not exists status_code integer;
+alter table api_request_logs add column if not exists duration_ms integer;
+-- Auditoría (middleware/security.js logRequest): fila completa al terminar la respuesta
+alter table api_request_logs add column if not exists client_request_id text;
+alter table api_request_logs add column if not exists api_key_id text;
+alter table api_request_logs add column if not exists error_code text;
+alter table api_request_logs add column if not exists response_size integer;
+alter table api_request_logs add column if not exists ai_provider text;
+alter table api_request_logs add column if not exists aborted boolean;
+
+create index if not exists api_request_logs_client_ts_idx on api_request_logs (client_id, timestamp);
+
+-- Estadísticas de uso (services/requestLogStore.js usage): agrupa en SQL por bucket y endpoint.
+-- Los segmentos con IDs se normalizan igual que normalizeEndpoint: /v1/batch/batch_123 -> /v1/batch/:id
+create or replace function request_usage_stats(p_client_id text, p_from timestamptz, p_to timestamptz, p_granularity text)
+returns table (bucket text, endpoint text, calls bigint, errors bigint, latency_total bigint, latency_count bigint)
+language sql
+stable
+as $$
+  select
+    case p_granularity
+      when 'hour' then to_char(date_trunc('hour', l.timestamp at time zone 'UTC'), 'YYYY-MM-DD"T"HH24:00:00"Z"')
+      when 'month' then to_char(date_trunc('month', l.timestamp at time zone 'UTC'), 'YYYY-MM')
+      else to_char(date_trunc('day', l.timestamp at time zone 'UTC'), 'YYYY-MM-DD')
+    end as bucket,
+    l.method || ' ' || coalesce(nullif(regexp_replace(
+      coalesce(l.path, ''),
+      '(^|/)((analysis|file|profile|batch|job)_[A-Za-z0-9_-]+|[0-9a-f-]{16,}|[0-9]+)(?=/|$)',
+      '\1:id',
+      'gi'
+    ), ''), '/') as endpoint,
+    count(*) as calls,
+    count(*) filter (where l.status_code >= 400) as errors,
+    coalesce(sum(l.duration_ms), 0) as latency_total,
+    count(l.duration_ms) as latency_count
+  from api_request_logs l
+  where l.client_id = p_client_id
+    and l.timestamp >= p_from
+    and l.timestamp <= p_to
+  group by 1, 2
+  order by 1, 2;
+$$;
+
+-- Cuota pública diaria por email (services/quotaStore.js)
+create table if not exists public_quota (
+  day date not null,
+  identity text not null,
+  count integer not null default 0,
+  updated_at timestamptz not null default now(),
+  primary key (day, identity)
+);
+
+-- Consumo atómico: suma 1 solo si no se alcanzó p_max
+create or replace function consume_public_quota(p_day date, p_identity text, p_max integer)
+returns table (allowed boolean, count integer)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+  v_count integer;
+begin
+  insert into public_quota as q (day, identity, count, updated_at)
+  values (p_day, p_identity, 1, now())
+  on conflict (day, identity) do update
+    set count = q.count + 1, updated_at = now()
+    where q.count < p_max
+  returning q.count into v_count;
+
+  if v_count is null then
+    select q.count into v_count from public_quota q where q.day = p_day and q.identity = p_identity;
+    return query select false, v_count;
+  else
+    return query select true, v_count;
+  end if;
+end;
+$$;
+
+-- Ofertas laborales de clientes privados (services/jobStore.js)
+create table if not exists job_postings (
+  id text primary key,
+  client_id text not null,
+  title text not null,
+  location text,
+  description text,
+  required_skills jsonb not null default '[]',
+  nice_to_have_skills jsonb not null default '[]',
+  certifications jsonb not null default '[]',
+  min_years numeric,
+  status text not null default 'open',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists job_postings_client_created_idx on job_postings (client_id, created_at desc);
+
+-- Caché de análisis de CV por contenido (services/analysisCache.js)
+-- cache_key = sha256(texto normalizado):proveedor:versión de prompt:idioma
+create table if not exists analysis_cache (
+  cache_key text primary key,
+  analysis jsonb not null,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists analysis_cache_expires_idx on analysis_cache (expires_at);
+create index if not exists analysis_cache_created_idx on analysis_cache (created_at desc);
+
+-- Webhooks (services/webhookStore.js)
+create table if not exists webhook_subscriptions (
+  id uuid primary key,
+  client_id text not null,
+  url text not null,
+  -- "analysis.completed", "batch.completed"... o "*" (ver services/webhookService.js)
+  events jsonb not null default '[]',
+  description text,
+  -- Clave HMAC de las firmas; se devuelve una sola vez al registrar
+  secret text not null,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  created_by text,
+  updated_at timestamptz not null default now(),
+  last_delivery_at timestamptz,
+  last_delivery_status text,
+  consecutive_failures integer not null default 0
+);
+
+create index if not exists webhook_subscriptions_client_idx on webhook_subscriptions (client_id, created_at desc);
+
+create table if not exists webhook_deliveries (
+  id uuid primary key,
+  subscription_id uuid not null references webhook_subscriptions (id) on delete cascade,
+  client_id text not null,
+  event_id text not null,
+  event text not null,
+  url text not null,
+  -- pending | delivered | failed
+  status text not null,
+  attempts integer not null default 0,
+  response_status integer,
+  last_error text,
+  duration_ms integer,
+  -- Un elemento por intento: { attempt, at, status_code, error, duration_ms }
+  history jsonb not null default '[]',
+  created_at timestamptz not null default now(),
+  delivered_at timestamptz
+);
+
+create index if not exists webhook_deliveries_subscription_idx on webhook_deliveries (subscription_id, created_at desc);
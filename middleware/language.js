@@ -0,0 +1,22 @@
+const { negotiateLanguage } = require('../services/i18n.js');
+
+/**
+ * Response language negotiation.
+ *
+ * Sets req.lang from the `lang` query/body parameter or Accept-Language
+ * (es, en, pt; default es) and advertises it with Content-Language.
+ * Must run after the body parsers so JSON bodies can carry `lang`;
+ * multipart routes call it again once multer has parsed the form.
+ */
+function language(req, res, next) {
+  req.lang = negotiateLanguage({
+    lang: req.query?.lang || req.body?.lang,
+    acceptLanguage: req.get('accept-language')
+  });
+
+  res.setHeader('Content-Language', req.lang);
+  res.vary('Accept-Language');
+  next();
+}
+
+module.exports = { language };
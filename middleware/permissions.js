@@ -0,0 +1,51 @@
+const { grantsScope } = require('../services/scopes.js');
+const { t } = require('../services/i18n.js');
+
+/**
+ * Declarative scope check, used per route after validateApiKey:
+ *
+ *   app.get('/v1/private/search', requireScope('search:read'), handler)
+ *
+ * Every listed scope is required. The scopes are kept on the middleware
+ * (requiredScopes) so collectRouteScopes can publish them in the OpenAPI spec.
+ */
+function requireScope(...scopes) {
+  function scopeGuard(req, res, next) {
+    const missing = scopes.filter(scope => !grantsScope(req.permissions, scope));
+    if (!missing.length) return next();
+
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      code: 'INSUFFICIENT_SCOPE',
+      message: t(req.lang, 'errors.INSUFFICIENT_SCOPE', { scope: missing.join(', ') }),
+      required_scopes: scopes,
+      missing_scopes: missing
+    });
+  }
+
+  scopeGuard.requiredScopes = scopes;
+  return scopeGuard;
+}
+
+/**
+ * Scopes required by each registered route, keyed as "get /v1/private/jobs/{id}"
+ * (OpenAPI path syntax).
+ */
+function collectRouteScopes(app) {
+  const scopes = {};
+  for (const layer of app.router.stack) {
+    if (!layer.route) continue;
+    const path = String(layer.route.path).replace(/:(\w+)/g, '{$1}');
+    for (const handler of layer.route.stack) {
+      if (handler.handle.requiredScopes) {
+        scopes[`${handler.method} ${path}`] = handler.handle.requiredScopes;
+      }
+    }
+  }
+  return scopes;
+}
+
+module.exports = {
+  requireScope,
+  collectRouteScopes,
+};
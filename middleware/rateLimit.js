@@ -1,22 +1,173 @@
-function rateLimit({ windowMs = 60_000, max = 60, keyFn = (req) => `${req.ip}:${req.path}` } = {}) {
-  const hits = new Map();
+const { t } = require("../services/i18n.js");
 
-  return (req, res, next) => {
-    const key = keyFn(req);
-    const now = Date.now();
-    const entry = hits.get(key);
+/**
+ * Sliding window rate limiting (sliding window counter).
+ *
+ * Counts live in a pluggable counter store:
+ * - memory: in-process Map (dev; every serverless instance counts on its own)
+ * - redis:  Redis over REST (Upstash or compatible), shared across instances
+ *
+ * Selected with RATE_LIMIT_STORE=memory|redis (UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN).
+ * Used by the public `rateLimit` middleware and by validateApiKey (per-client limit).
+ *
+ * The limiter fails open: if the store errors or does not answer within
+ * RATE_LIMIT_STORE_TIMEOUT_MS the request goes through unlimited. A Redis
+ * outage should not take the API down with it, and the free daily quota of
+ * the public routes is enforced separately (services/quotaStore.js).
+ */
 
-    if (!entry || now > entry.resetAt) {
-      hits.set(key, { count: 1, resetAt: now + windowMs });
-      return next();
+const DEFAULT_STORE_TIMEOUT_MS = 500;
+
+/**
+ * In-memory store. increment() adds 1 to the current window and returns
+ * { current, previous } to compute the sliding estimate.
+ */
+function createMemoryCounterStore({ sweepEvery = 1000 } = {}) {
+  const windows = new Map();
+  let ops = 0;
+
+  function sweep(now) {
+    for (const [key, entry] of windows) {
+      if (entry.expiresAt <= now) windows.delete(key);
+    }
+  }
+
+  return {
+    kind: "memory",
+
+    async increment(key, windowMs, now = Date.now()) {
+      const slot = Math.floor(now / windowMs);
+      const currentKey = `${key}:${slot}`;
+      const previousKey = `${key}:${slot - 1}`;
+
+      if (++ops % sweepEvery === 0) sweep(now);
+
+      const entry = windows.get(currentKey) || { count: 0, expiresAt: (slot + 2) * windowMs };
+      entry.count += 1;
+      windows.set(currentKey, entry);
+
+      return { current: entry.count, previous: windows.get(previousKey)?.count || 0 };
+    }
+  };
+}
+
+/**
+ * Redis store over the Upstash REST API (no dependencies, works on Vercel).
+ * Each call is aborted after timeoutMs.
+ */
+function createRedisCounterStore({ url, token, timeoutMs = DEFAULT_STORE_TIMEOUT_MS }) {
+  if (!url || !token) {
+    throw new Error("Redis counter store requires UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN");
+  }
+
+  return {
+    kind: "redis",
+
+    async increment(key, windowMs, now = Date.now()) {
+      const slot = Math.floor(now / windowMs);
+      const currentKey = `ratelimit:${key}:${slot}`;
+      const previousKey = `ratelimit:${key}:${slot - 1}`;
+
+      const response = await fetch(`${url.replace(/\/$/, "")}/pipeline`, {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${token}`,
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify([
+          ["INCR", currentKey],
+          ["PEXPIRE", currentKey, String(windowMs * 2)],
+          ["GET", previousKey]
+        ]),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Redis error ${response.status}`);
+      }
+
+      const [incr, , prev] = await response.json();
+      if (incr.error) throw new Error(`Redis error: ${incr.error}`);
+      return { current: Number(incr.result) || 0, previous: Number(prev?.result) || 0 };
     }
+  };
+}
+
+let defaultStore = null;
+
+function getDefaultCounterStore() {
+  if (defaultStore) return defaultStore;
+
+  const kind = (process.env.RATE_LIMIT_STORE || "memory").toLowerCase();
+  defaultStore = kind === "redis"
+    ? createRedisCounterStore({
+      url: process.env.UPSTASH_REDIS_REST_URL,
+      token: process.env.UPSTASH_REDIS_REST_TOKEN,
+      timeoutMs: Number(process.env.RATE_LIMIT_STORE_TIMEOUT_MS) || DEFAULT_STORE_TIMEOUT_MS
+    })
+    : createMemoryCounterStore();
+
+  console.log(`🚦 Rate limit store: ${defaultStore.kind}`);
+  return defaultStore;
+}
+
+function setDefaultCounterStore(store) {
+  defaultStore = store;
+}
+
+/**
+ * Consume one unit of `key` and check it against `max` over the sliding window.
+ * Store failures and timeouts are logged and the request is let through
+ * (fail-open, see above).
+ */
+async function consumeRateLimit({ key, max, windowMs, store = getDefaultCounterStore(), now = Date.now() }) {
+  const windowEnd = (Math.floor(now / windowMs) + 1) * windowMs;
+  const reset = Math.max(1, Math.ceil((windowEnd - now) / 1000));
+
+  let counts;
+  try {
+    counts = await store.increment(key, windowMs, now);
+  } catch (error) {
+    console.error("Rate limit store error (fail-open):", error.message);
+    return { limited: false, limit: max, remaining: max, reset, retryAfter: 0, windowMs };
+  }
+
+  const elapsed = (now % windowMs) / windowMs;
+  const estimated = counts.previous * (1 - elapsed) + counts.current;
+  const limited = estimated > max;
+
+  return {
+    limited,
+    limit: max,
+    remaining: Math.max(0, Math.floor(max - estimated)),
+    reset,
+    retryAfter: limited ? reset : 0,
+    windowMs
+  };
+}
+
+/**
+ * RateLimit-* headers (IETF draft) plus Retry-After when limited.
+ */
+function setRateLimitHeaders(res, result) {
+  res.setHeader("RateLimit-Limit", String(result.limit));
+  res.setHeader("RateLimit-Remaining", String(result.remaining));
+  res.setHeader("RateLimit-Reset", String(result.reset));
+  res.setHeader("RateLimit-Policy", `${result.limit};w=${Math.round(result.windowMs / 1000)}`);
+  if (result.limited) res.setHeader("Retry-After", String(result.retryAfter));
+}
 
-    entry.count += 1;
+function rateLimit({ windowMs = 60_000, max = 60, keyFn = (req) => `${req.ip}:${req.path}`, store } = {}) {
+  return async (req, res, next) => {
+    const result = await consumeRateLimit({ key: `public:${keyFn(req)}`, max, windowMs, store });
+    setRateLimitHeaders(res, result);
 
-    if (entry.count > max) {
+    if (result.limited) {
       return res.status(429).json({
         error: "Rate limit exceeded",
-        code: "RATE_LIMIT_EXCEEDED"
+        code: "RATE_LIMIT_EXCEEDED",
+        message: t(req.lang, "errors.RATE_LIMIT_EXCEEDED", { retry_after: result.retryAfter }),
+        retry_after: result.retryAfter
       });
     }
 
@@ -24,4 +175,12 @@ function rateLimit({ windowMs = 60_000, max = 60, keyFn = (req) => `${req.ip}:${
   };
 }
 
-module.exports = { rateLimit };
+module.exports = {
+  rateLimit,
+  consumeRateLimit,
+  setRateLimitHeaders,
+  createMemoryCounterStore,
+  createRedisCounterStore,
+  getDefaultCounterStore,
+  setDefaultCounterStore
+};
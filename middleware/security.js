@@ -1,10 +1,12 @@
-const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
+const { consumeRateLimit, setRateLimitHeaders } = require('./rateLimit.js');
+const { resolveApiKey, recordKeyUse } = require('../services/apiKeyService.js');
+const { sanitizeQuery, recordRequest } = require('../services/requestLogService.js');
+const { t } = require('../services/i18n.js');
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
+// Per-client limits: api_keys.rate_limit requests per window
+const CLIENT_RATE_LIMIT_WINDOW_MS = Number(process.env.CLIENT_RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000);
+const DEFAULT_CLIENT_RATE_LIMIT = Number(process.env.DEFAULT_CLIENT_RATE_LIMIT || 1000);
 
 /**
  * Generate UUID v4 using native crypto
@@ -22,40 +24,59 @@ async function validateApiKey(req, res, next) {
   if (!apiKey) {
     return res.status(401).json({
       error: 'API key required',
-      code: 'API_KEY_MISSING'
+      code: 'API_KEY_MISSING',
+      message: t(req.lang, 'errors.API_KEY_MISSING')
     });
   }
 
   try {
-    // Check API key in database
-    const { data, error } = await supabase
-      .from('api_keys')
-      .select('client_id, name, rate_limit, is_active, permissions')
-      .eq('key_hash', hashApiKey(apiKey))
-      .eq('is_active', true)
-      .single();
-
-    if (error || !data) {
+    // Look up the key by hash (revoked keys and keys past expires_at are rejected)
+    const { key: data, status } = await resolveApiKey(apiKey);
+
+    if (status === 'expired') {
+      return res.status(401).json({
+        error: 'Expired API key',
+        code: 'API_KEY_EXPIRED',
+        message: t(req.lang, 'errors.API_KEY_EXPIRED')
+      });
+    }
+
+    if (status !== 'active') {
       return res.status(401).json({
         error: 'Invalid API key',
-        code: 'API_KEY_INVALID'
+        code: 'API_KEY_INVALID',
+        message: t(req.lang, 'errors.API_KEY_INVALID')
       });
     }
 
+    recordKeyUse(data);
+
     // Attach client info to request
     req.clientId = data.client_id;
+    req.apiKeyId = data.id;
     req.clientName = data.name;
     req.apiKey = apiKey;
     req.rateLimit = data.rate_limit;
     req.permissions = data.permissions || [];
+    // Per-key AI provider override (falls back to AI_PROVIDER)
+    req.aiProvider = data.ai_provider || null;
+    // Per-key PII redaction before external AI calls (enforced even with AI_REDACT_PII=false)
+    req.requirePiiRedaction = data.require_pii_redaction === true;
     
-    // Check rate limit from Redis (simplified)
-    const isRateLimited = await checkRateLimit(req.clientId);
-    if (isRateLimited) {
+    // Sliding window limit per client (shared counter store)
+    const limit = await consumeRateLimit({
+      key: `client:${req.clientId}`,
+      max: Number(data.rate_limit) > 0 ? Number(data.rate_limit) : DEFAULT_CLIENT_RATE_LIMIT,
+      windowMs: CLIENT_RATE_LIMIT_WINDOW_MS
+    });
+    setRateLimitHeaders(res, limit);
+
+    if (limit.limited) {
       return res.status(429).json({
         error: 'Rate limit exceeded',
         code: 'RATE_LIMIT_EXCEEDED',
-        retryAfter: '15 minutes'
+        message: t(req.lang, 'errors.RATE_LIMIT_EXCEEDED', { retry_after: limit.retryAfter }),
+        retryAfter: `${limit.retryAfter} seconds`
       });
     }
 
@@ -64,59 +85,105 @@ async function validateApiKey(req, res, next) {
     console.error('API key validation error:', error);
     res.status(500).json({
       error: 'Authentication service unavailable',
-      code: 'AUTH_SERVICE_ERROR'
+      code: 'AUTH_SERVICE_ERROR',
+      message: t(req.lang, 'errors.AUTH_SERVICE_ERROR')
     });
   }
 }
 
+/**
+ * Cron endpoints: Vercel Cron sends "Authorization: Bearer <CRON_SECRET>".
+ * Without CRON_SECRET configured the endpoints stay closed.
+ */
+function requireCronSecret(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(req.get('authorization') || '');
+
+  if (!secret || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      code: 'CRON_UNAUTHORIZED',
+      message: t(req.lang, 'errors.CRON_UNAUTHORIZED')
+    });
+  }
+  next();
+}
+
+/**
+ * Assign a request id to every request and return it as X-Request-Id.
+ * A client-supplied X-Request-Id is kept apart (client_request_id in the log)
+ * so it can't collide with ours.
+ */
+function assignRequestId(req, res, next) {
+  req.requestId = uuidv4();
+  const clientRequestId = req.get('x-request-id');
+  req.clientRequestId = clientRequestId && /^[\w.:-]{1,128}$/.test(clientRequestId) ? clientRequestId : null;
+  res.setHeader('X-Request-Id', req.requestId);
+  next();
+}
+
 /**
  * Log all API requests
+ * One row per request, written once the response is finished (or the client
+ * disconnects) with status, latency, error code, response size and AI provider.
+ * Routes that call an AI provider report it in res.locals.aiProvider.
  */
-async function logRequest(req, res, next) {
-  const requestId = uuidv4();
+function logRequest(req, res, next) {
+  if (res.locals.requestLogged) return next();
+  res.locals.requestLogged = true;
+
+  const requestId = req.requestId || uuidv4();
+  const startedAt = process.hrtime.bigint();
   req.requestId = requestId;
-  
+
   const logEntry = {
     request_id: requestId,
+    client_request_id: req.clientRequestId || null,
     client_id: req.clientId,
+    api_key_id: req.apiKeyId || null,
     method: req.method,
-    path: req.path,
-    query: req.query,
+    path: req.baseUrl + req.path,
+    query: sanitizeQuery(req.query),
     user_agent: req.get('user-agent'),
     ip_address: req.ip,
     timestamp: new Date().toISOString()
   };
 
-  // Async log to database
-  supabase
-    .from('api_request_logs')
-    .insert(logEntry)
-    .then(() => console.debug(`Request logged: ${requestId}`))
-    .catch(err => console.error('Logging failed:', err));
+  // Error code of JSON error responses ({ code: 'JOB_NOT_FOUND', ... })
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && body.code) {
+      res.locals.errorCode = body.code;
+    }
+    return json(body);
+  };
 
-  next();
-}
+  let finalized = false;
+  const finalize = () => {
+    if (finalized) return;
+    finalized = true;
 
-/**
- * Hash API key with SHA-256
- */
-function hashApiKey(apiKey) {
-  return crypto
-    .createHash('sha256')
-    .update(apiKey + (process.env.API_KEY_SALT || ''))
-    .digest('hex');
-}
+    const size = Number(res.getHeader('content-length'));
+    recordRequest({
+      ...logEntry,
+      status_code: res.statusCode,
+      duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+      error_code: res.locals.errorCode || null,
+      response_size: Number.isFinite(size) ? size : null,
+      ai_provider: res.locals.aiProvider || null,
+      aborted: !res.writableFinished
+    });
+  };
+  res.on('finish', finalize);
+  res.on('close', finalize);
 
-/**
- * Rate limit checker (simplified - implement Redis later)
- */
-async function checkRateLimit(clientId) {
-  // TODO: Implement Redis-based rate limiting
-  // For now, return false (not rate limited)
-  return false;
+  next();
 }
 
 module.exports = {
+  assignRequestId,
   validateApiKey,
   logRequest,
+  requireCronSecret,
 };
\ No newline at end of file
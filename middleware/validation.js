@@ -0,0 +1,254 @@
+const { t } = require('../services/i18n.js');
+
+/**
+ * Request validation against the OpenAPI spec (api/openapi.js).
+ *
+ * validateRequest(spec) returns a route middleware: it looks up the operation
+ * for req.route.path and the method, and checks its path, query and header
+ * parameters and its request body. Invalid requests get a 400 INVALID_REQUEST
+ * listing every invalid field as { location, field, message }.
+ *
+ * Parameters and form fields arrive as strings, so they are coerced to the
+ * schema type first (an empty value counts as absent and enums ignore case);
+ * JSON bodies must already carry the right types. Fields not in the spec are
+ * allowed: handlers keep accepting their aliases. Business rules that span
+ * several fields stay in the services.
+ */
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FORMATS = {
+  'date-time': value => !Number.isNaN(Date.parse(value)),
+  email: value => EMAIL_RE.test(value),
+  uri: value => {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+function resolve(spec, schema) {
+  let current = schema;
+  while (current && current.$ref) {
+    current = current.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], spec);
+  }
+  return current || {};
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function coerce(value, schema) {
+  if (typeof value !== 'string') return value;
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+      return [value];
+    default:
+      return value;
+  }
+}
+
+const join = (parent, name) => (parent ? `${parent}.${name}` : name);
+
+/**
+ * Appends { field, rule, params } for every violation of `schema` by `value`.
+ */
+function check(value, schema, field, ctx, issues) {
+  const s = resolve(ctx.spec, schema);
+  const fail = (rule, params = {}) => issues.push({ field, rule, params });
+
+  if (value === null) {
+    if (!s.nullable && (s.type || s.oneOf || s.anyOf)) fail('type', { type: describeType(ctx.spec, s) });
+    return;
+  }
+
+  for (const sub of s.allOf || []) check(value, sub, field, ctx, issues);
+
+  // oneOf is checked like anyOf: the alternatives in the spec never overlap
+  const alternatives = s.oneOf || s.anyOf;
+  if (alternatives) {
+    const results = alternatives.map(option => {
+      const nested = [];
+      check(value, option, field, ctx, nested);
+      return { option, nested };
+    });
+    if (results.some(result => result.nested.length === 0)) return;
+
+    // If only one alternative takes this type, its own errors say more than "string | object"
+    const sameType = results.filter(result => acceptsType(value, result.option, ctx));
+    if (sameType.length === 1) issues.push(...sameType[0].nested);
+    else fail('type', { type: describeType(ctx.spec, s) });
+    return;
+  }
+
+  const v = ctx.coerce ? coerce(value, s) : value;
+  if (s.type && !hasType(v, s.type)) return fail('type', { type: s.type });
+
+  if (s.enum) {
+    const same = ctx.coerce && typeof v === 'string'
+      ? option => String(option).toLowerCase() === v.toLowerCase()
+      : option => option === v;
+    if (!s.enum.some(same)) return fail('enum', { values: s.enum.join(', ') });
+  }
+
+  if (typeof v === 'string') {
+    if (s.minLength !== undefined && v.length < s.minLength) fail('min_length', { min: s.minLength });
+    if (s.maxLength !== undefined && v.length > s.maxLength) fail('max_length', { max: s.maxLength });
+    if (s.pattern && !new RegExp(s.pattern).test(v)) fail('pattern');
+    // An empty optional value means "not given" for the handlers
+    if (s.format && FORMATS[s.format] && v !== '' && !FORMATS[s.format](v)) fail('format', { format: s.format });
+  }
+
+  if (typeof v === 'number') {
+    if (s.minimum !== undefined && (s.exclusiveMinimum ? v <= s.minimum : v < s.minimum)) {
+      fail(s.exclusiveMinimum ? 'minimum_exclusive' : 'minimum', { min: s.minimum });
+    }
+    if (s.maximum !== undefined && v > s.maximum) fail('maximum', { max: s.maximum });
+  }
+
+  if (Array.isArray(v)) {
+    if (s.minItems !== undefined && v.length < s.minItems) fail('min_items', { min: s.minItems });
+    if (s.maxItems !== undefined && v.length > s.maxItems) return fail('max_items', { max: s.maxItems });
+    if (s.items) v.forEach((item, i) => check(item, s.items, `${field}[${i}]`, ctx, issues));
+  }
+
+  if (typeOf(v) === 'object') checkProperties(v, s, field, ctx, issues);
+}
+
+function checkProperties(value, schema, field, ctx, issues) {
+  const properties = schema.properties || {};
+  const present = name => {
+    const v = value[name];
+    return v !== undefined && !(ctx.coerce && v === '');
+  };
+
+  for (const name of schema.required || []) {
+    // File parts live in req.file; the handler reports a missing upload
+    if (resolve(ctx.spec, properties[name]).format === 'binary') continue;
+    if (!present(name)) issues.push({ field: join(field, name), rule: 'required', params: {} });
+  }
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    if (!present(name) || resolve(ctx.spec, propertySchema).format === 'binary') continue;
+    check(value[name], propertySchema, join(field, name), ctx, issues);
+  }
+}
+
+// Whether `value` has the top-level type of `schema`, ignoring every other rule
+function acceptsType(value, schema, ctx) {
+  const s = resolve(ctx.spec, schema);
+  const alternatives = s.oneOf || s.anyOf;
+  if (alternatives) return alternatives.some(option => acceptsType(value, option, ctx));
+  if (!s.type) return true;
+  return hasType(ctx.coerce ? coerce(value, s) : value, s.type);
+}
+
+function describeType(spec, schema) {
+  const alternatives = schema.oneOf || schema.anyOf;
+  if (!alternatives) return schema.type || 'object';
+  return Array.from(new Set(alternatives.map(option => describeType(spec, resolve(spec, option))))).join(' | ');
+}
+
+function readParameter(req, parameter) {
+  switch (parameter.in) {
+    case 'path': return req.params?.[parameter.name];
+    case 'query': return req.query?.[parameter.name];
+    case 'header': return req.get(parameter.name);
+    default: return undefined;
+  }
+}
+
+/**
+ * Issues of a request against an operation, each tagged with its location.
+ */
+function validateOperation(req, operation, spec) {
+  const errors = [];
+  const tag = location => issue => errors.push({ location, ...issue });
+
+  for (const ref of operation.parameters || []) {
+    const parameter = resolve(spec, ref);
+    const value = readParameter(req, parameter);
+    const issues = [];
+    if (value === undefined || value === '') {
+      if (parameter.required) issues.push({ field: parameter.name, rule: 'required', params: {} });
+    } else {
+      check(value, parameter.schema, parameter.name, { spec, coerce: true }, issues);
+    }
+    issues.forEach(tag(parameter.in));
+  }
+
+  const requestBody = operation.requestBody && resolve(spec, operation.requestBody);
+  if (requestBody) {
+    const types = Object.keys(requestBody.content || {});
+    const mediaType = types.find(type => req.is(type)) || types[0];
+    const schema = requestBody.content[mediaType]?.schema;
+    const issues = [];
+
+    if (req.body === undefined) {
+      if (requestBody.required) issues.push({ field: 'body', rule: 'required', params: {} });
+    } else if (schema) {
+      check(req.body, schema, '', { spec, coerce: !req.is('application/json') }, issues);
+    }
+    issues.map(issue => ({ ...issue, field: issue.field || 'body' })).forEach(tag('body'));
+  }
+
+  return errors;
+}
+
+function invalidRequest(req, res, errors) {
+  return res.status(400).json({
+    ok: false,
+    code: 'INVALID_REQUEST',
+    message: t(req.lang, 'errors.INVALID_REQUEST'),
+    errors,
+    request_id: req.requestId
+  });
+}
+
+function validateRequest(spec) {
+  const operations = new Map();
+
+  const findOperation = (req) => {
+    const key = `${req.method.toLowerCase()} ${req.route.path}`;
+    if (!operations.has(key)) {
+      const specPath = String(req.route.path).replace(/:(\w+)/g, '{$1}');
+      operations.set(key, spec.paths?.[specPath]?.[req.method.toLowerCase()] || null);
+    }
+    return operations.get(key);
+  };
+
+  return function requestValidator(req, res, next) {
+    const operation = req.route && findOperation(req);
+    if (!operation) return next();
+
+    const errors = validateOperation(req, operation, spec);
+    if (!errors.length) return next();
+
+    return invalidRequest(req, res, errors.map(({ location, field, rule, params }) => ({
+      location,
+      field,
+      message: t(req.lang, `validation.${rule}`, params)
+    })));
+  };
+}
+
+module.exports = {
+  validateRequest,
+  invalidRequest
+};
@@ -0,0 +1,15 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yamljs");
+
+// La app completa: documentRoutes suma al spec los scopes de cada ruta
+require("../api/index.js");
+const { apiSpec } = require("../api/openapi.js");
+
+const target = path.join(__dirname, "..", "docs", "openapi.yaml");
+const header = "# Generado desde api/openapi.js con `npm run openapi`: no editar a mano.\n";
+
+// Round-trip por JSON: el spec servido en /api-spec es exactamente este
+fs.writeFileSync(target, header + YAML.stringify(JSON.parse(JSON.stringify(apiSpec)), 12, 2));
+console.log(`📄 Spec exportado a ${path.relative(process.cwd(), target)}`);
+process.exit(0);
@@ -1,7 +1,11 @@
 const crypto = require("crypto");
+const { SCOPES } = require("../services/scopes.js");
 
-const apiKey = crypto.randomBytes(32).toString("hex");
+// Solo para la primera key de administración de un cliente: el resto se
+// gestiona con /v1/admin/keys (ver README).
+const apiKey = `plk_${crypto.randomBytes(32).toString("hex")}`;
 const salt = process.env.API_KEY_SALT;
+const clientId = process.argv[2] || "CLIENT_ID";
 
 if (!salt) {
   console.error("Falta API_KEY_SALT en .env");
@@ -12,3 +16,8 @@ const key_hash = crypto.createHash("sha256").update(apiKey + salt).digest("hex")
 
 console.log("API KEY (guardala):", apiKey);
 console.log("HASH (va a Supabase api_keys.key_hash):", key_hash);
+console.log("SQL:");
+console.log(
+  `insert into api_keys (client_id, name, key_hash, key_prefix, permissions, created_by) ` +
+  `values ('${clientId}', 'Admin', '${key_hash}', '${apiKey.slice(0, 10)}', '${JSON.stringify(Object.keys(SCOPES))}', 'scripts/make-api-key.js');`
+);
@@ -0,0 +1,140 @@
+const { splitCvBlocks, parseCvSections, yearsFromExperience } = require("../cvSectionParser.js");
+const { SENIORITY_VALUES, validateAnalysis } = require("./schema.js");
+const { canonicalIndustry } = require("../skillsTaxonomy.js");
+
+/**
+ * CVs largos para proveedores LLM: el texto se parte en chunks que respetan
+ * las secciones del CV (experiencia, educación, certificaciones...), cada
+ * chunk se analiza por separado y los resultados se combinan en uno solo.
+ *
+ * Estrategias (reportadas en analysis.ai.chunking):
+ * - single: el CV entra completo en un chunk.
+ * - sections: se agrupan secciones consecutivas hasta CV_CHUNK_MAX_CHARS.
+ * - lines: sin encabezados reconocibles, se corta por líneas.
+ */
+
+const CV_CHUNK_MAX_CHARS = Number(process.env.CV_CHUNK_MAX_CHARS || 6000);
+const CV_MAX_CHUNKS = Number(process.env.CV_MAX_CHUNKS || 5);
+
+// Una sección más larga que el máximo se corta por líneas (y una línea enorme, a la fuerza)
+function splitLongBlock(block, maxChars) {
+  const pieces = [];
+  let current = [];
+  let size = 0;
+  const flush = () => {
+    if (current.length) pieces.push({ section: block.section, text: current.join("\n") });
+    current = [];
+    size = 0;
+  };
+
+  for (const line of block.lines) {
+    for (let i = 0; i < line.length; i += maxChars) {
+      const part = line.slice(i, i + maxChars);
+      if (size + part.length + 1 > maxChars) flush();
+      current.push(part);
+      size += part.length + 1;
+    }
+  }
+  flush();
+  return pieces;
+}
+
+function chunkCvText(text, { maxChars = CV_CHUNK_MAX_CHARS, maxChunks = CV_MAX_CHUNKS } = {}) {
+  const source = String(text || "");
+  const meta = { max_chars: maxChars, total_chars: source.length, truncated: false };
+
+  if (source.length <= maxChars) {
+    return { ...meta, strategy: "single", chunks: [{ index: 0, sections: [], text: source }] };
+  }
+
+  const blocks = splitCvBlocks(source);
+  const strategy = blocks.length > 1 ? "sections" : "lines";
+
+  const pieces = blocks.flatMap(block => {
+    const blockText = block.lines.join("\n");
+    return blockText.length > maxChars ? splitLongBlock(block, maxChars) : [{ section: block.section, text: blockText }];
+  });
+
+  const chunks = [];
+  for (const piece of pieces) {
+    const last = chunks[chunks.length - 1];
+    if (last && last.text.length + piece.text.length + 2 <= maxChars) {
+      last.text += `\n\n${piece.text}`;
+      if (!last.sections.includes(piece.section)) last.sections.push(piece.section);
+    } else {
+      chunks.push({ index: chunks.length, sections: [piece.section], text: piece.text });
+    }
+  }
+
+  if (chunks.length > maxChunks) {
+    meta.truncated = true;
+    chunks.length = maxChunks;
+  }
+
+  return { ...meta, strategy, chunks };
+}
+
+function uniqueCaseInsensitive(items) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = String(item).toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Valor más votado, ponderado por el tamaño del chunk
+function weightedVote(entries) {
+  const votes = new Map();
+  for (const { value, weight } of entries) {
+    if (!value) continue;
+    votes.set(value, (votes.get(value) || 0) + weight);
+  }
+  return Array.from(votes.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+/**
+ * Combina los resultados validados de cada chunk en un único análisis:
+ * unión de skills, roles, red flags y próximos pasos; score promedio ponderado
+ * por tamaño; seniority más alta reportada; industria más votada (ignorando
+ * "General"); años de experiencia calculados sobre el CV completo.
+ */
+function mergeCvResults(results, chunks, text) {
+  const weights = chunks.map(c => c.text.length);
+  const totalWeight = weights.reduce((a, b) => a + b, 0) || 1;
+
+  const roleVotes = new Map();
+  results.forEach((r, i) => (r.top_roles || []).forEach(role => {
+    const key = role.toLowerCase();
+    const entry = roleVotes.get(key) || { role, weight: 0 };
+    entry.weight += weights[i];
+    roleVotes.set(key, entry);
+  }));
+
+  const seniority = results
+    .map(r => SENIORITY_VALUES.indexOf(r.role_seniority))
+    .reduce((max, i) => Math.max(max, i), -1);
+
+  const score = results.reduce((sum, r, i) => sum + (r.score || 0) * weights[i], 0) / totalWeight;
+
+  const merged = {
+    industry: weightedVote(results.map((r, i) => {
+      const industry = canonicalIndustry(r.industry);
+      return { value: industry !== "General" ? industry : null, weight: weights[i] };
+    })) || "General",
+    role_seniority: seniority >= 0 ? SENIORITY_VALUES[seniority] : undefined,
+    top_roles: Array.from(roleVotes.values()).sort((a, b) => b.weight - a.weight).map(r => r.role),
+    skills: uniqueCaseInsensitive(results.flatMap(r => r.skills || [])),
+    score: Math.round(score * 10) / 10,
+    red_flags: uniqueCaseInsensitive(results.flatMap(r => r.red_flags || [])),
+    summary: uniqueCaseInsensitive(results.map(r => r.summary).filter(Boolean)).join(" "),
+    next_steps: uniqueCaseInsensitive(results.flatMap(r => r.next_steps || [])),
+    years_experience: yearsFromExperience(parseCvSections(text).experience)
+  };
+
+  // Los topes del esquema (skills, roles...) se aplican sobre la unión
+  return validateAnalysis("cv", merged);
+}
+
+module.exports = { CV_CHUNK_MAX_CHARS, CV_MAX_CHUNKS, chunkCvText, mergeCvResults };
@@ -0,0 +1,97 @@
+const { detectSkills, rankCategories } = require("../skillsTaxonomy.js");
+const { t } = require("../i18n.js");
+
+/**
+ * Proveedor "mock": análisis heurístico determinístico, sin llamadas externas.
+ * Es el proveedor por defecto sin credenciales y el fallback de los demás.
+ * Los textos salen del catálogo (data/i18n) en el idioma pedido.
+ */
+
+// Las industrias de la taxonomía tienen nombre traducido; otras se dejan tal cual
+function industryLabel(lang, industry) {
+  const key = `industries.${industry}`;
+  const label = t(lang, key);
+  return label === key ? industry : label;
+}
+
+function analyzeCv({ text, lang }) {
+  const source = String(text || "");
+  const textLower = source.toLowerCase();
+
+  // Skills según la taxonomía Oil & Gas (ids canónicos)
+  const detected = detectSkills(source);
+  const categories = rankCategories(detected.map(s => s.id));
+
+  // Industria: la de la categoría con más skills detectadas
+  const industry = categories[0]?.industry || "General";
+
+  let experience = 3;
+  const yearsMatch = textLower.match(/(\d+)\s*(años|years)/);
+  if (yearsMatch) experience = parseInt(yearsMatch[1]);
+
+  let seniority = "Mid-Level";
+  if (experience >= 5) seniority = "Senior";
+  else if (experience <= 2) seniority = "Junior";
+
+  // Roles sugeridos a partir de las dos categorías principales
+  const topRoles = Array.from(new Set(categories.slice(0, 2).flatMap(c => c.roles))).slice(0, 3);
+
+  return {
+    industry,
+    role_seniority: seniority,
+    top_roles: topRoles.length > 0 ? topRoles : [t(lang, "analysis.default_role")],
+    skills: detected.map(s => s.name),
+    skill_ids: detected.map(s => s.id),
+    score: Math.min(10, Math.max(5, experience)),
+    red_flags: source.length < 50 ? [t(lang, "analysis.short_cv")] : [],
+    summary: t(lang, "analysis.local_summary", { years: experience, industry: industryLabel(lang, industry) }),
+    next_steps: [t(lang, "analysis.complete_profile")]
+  };
+}
+
+function scoreHeuristic(profile) {
+  const skills = profile.habilidades || [];
+  const text = `${profile.descripcion || ""} ${profile.experienciaOilGas || ""}`.toLowerCase();
+  let score = 5;
+
+  if (text.includes("oil") || text.includes("gas") || text.includes("petrol")) score += 2;
+  if (skills.some(s => String(s).toLowerCase().includes("hse"))) score += 2;
+  if (skills.length >= 5) score += 1;
+
+  return Math.max(1, Math.min(10, score));
+}
+
+function analyzeProfile({ profile, lang }) {
+  const score = scoreHeuristic(profile);
+  return {
+    score,
+    skills_enhanced: Array.from(new Set([...(profile.habilidades || [])])),
+    summary: t(lang, "analysis.profile_summary", { score }),
+    notes: [
+      t(lang, "analysis.profile_note_heuristic"),
+      t(lang, "analysis.profile_note_provider")
+    ]
+  };
+}
+
+const handlers = { cv: analyzeCv, profile: analyzeProfile };
+
+function createHeuristicProvider() {
+  return {
+    name: "mock",
+    kind: "heuristic",
+    model: "heuristic",
+
+    isConfigured() {
+      return true;
+    },
+
+    async analyze({ task, input }) {
+      const handler = handlers[task];
+      if (!handler) throw new Error(`Tarea de IA desconocida: ${task}`);
+      return { result: handler(input), model: "heuristic" };
+    }
+  };
+}
+
+module.exports = { createHeuristicProvider };
@@ -0,0 +1,290 @@
+const { createHeuristicProvider } = require("./heuristicProvider.js");
+const { createOpenAICompatibleProvider } = require("./openaiCompatibleProvider.js");
+const { createOllamaProvider } = require("./ollamaProvider.js");
+const { PROMPT_VERSION, getTask, parseJsonContent, buildRepairMessages } = require("./prompts.js");
+const { SCHEMA_VERSION, validateAnalysis } = require("./schema.js");
+const { chunkCvText, mergeCvResults } = require("./chunking.js");
+const { redactInput, rehydrate } = require("./redaction.js");
+
+/**
+ * Registro único de proveedores de IA. Tanto el análisis de CVs como el de
+ * perfiles pasan por runAnalysis({ task, input, provider }):
+ *
+ *   request:  { task: "cv" | "profile", input: { text, lang? } | { profile, lang? }, provider?, requireRedaction? }
+ *   response: { result, validation, chunking?, redaction?, provider, model, requested, fallback_reason, prompt_version }
+ *
+ * El proveedor se elige por API key (api_keys.ai_provider) o, si no tiene,
+ * por AI_PROVIDER. Si el elegido no está configurado o falla, se responde con
+ * el heurístico ("mock") y se informa el motivo en fallback_reason.
+ *
+ * Los proveedores LLM exponen chat(messages) y el registro valida la salida
+ * contra el esquema (ai/schema.js): lo corregible se corrige, y si faltan
+ * campos requeridos se re-pregunta una vez (AI_REPROMPT_ON_INVALID) antes de
+ * completarlos con el heurístico.
+ *
+ * Los CVs se analizan completos: con proveedores LLM se parten por secciones
+ * (ai/chunking.js) y los resultados parciales se combinan.
+ *
+ * Antes de cualquier llamada a un LLM se redactan los datos personales
+ * (ai/redaction.js) y la respuesta se rehidrata localmente. AI_REDACT_PII=false
+ * lo desactiva, salvo para las API keys con require_pii_redaction.
+ */
+
+const FALLBACK_PROVIDER = "mock";
+const REPROMPT_ON_INVALID = process.env.AI_REPROMPT_ON_INVALID !== "false";
+const REDACT_PII = process.env.AI_REDACT_PII !== "false";
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  if (!provider?.name || (typeof provider.analyze !== "function" && typeof provider.chat !== "function")) {
+    throw new Error("Un proveedor de IA necesita name y analyze() o chat()");
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+function getProvider(name) {
+  return providers.get(String(name || "").toLowerCase()) || null;
+}
+
+function registerDefaultProviders(env = process.env) {
+  registerProvider(createHeuristicProvider());
+  registerProvider(createOpenAICompatibleProvider({
+    name: "deepseek",
+    url: env.DEEPSEEK_API_URL || "https://api.deepseek.com/v1/chat/completions",
+    apiKey: env.DEEPSEEK_API_KEY,
+    model: env.DEEPSEEK_MODEL || "deepseek-chat"
+  }));
+  registerProvider(createOpenAICompatibleProvider({
+    name: "openai",
+    url: env.OPENAI_COMPAT_API_URL || "https://api.openai.com/v1/chat/completions",
+    apiKey: env.OPENAI_COMPAT_API_KEY,
+    model: env.OPENAI_COMPAT_MODEL || "gpt-4o-mini",
+    jsonMode: env.OPENAI_COMPAT_JSON_MODE !== "false"
+  }));
+  registerProvider(createOllamaProvider({
+    url: env.OLLAMA_URL,
+    model: env.OLLAMA_MODEL || "llama3.1"
+  }));
+}
+
+registerDefaultProviders();
+
+/**
+ * Sin AI_PROVIDER se usa DeepSeek si hay key (comportamiento histórico del
+ * análisis de CVs) y el heurístico si no.
+ */
+function defaultProviderName(env = process.env) {
+  if (env.AI_PROVIDER) return env.AI_PROVIDER.toLowerCase();
+  return env.DEEPSEEK_API_KEY ? "deepseek" : FALLBACK_PROVIDER;
+}
+
+function listProviders() {
+  const current = defaultProviderName();
+  return Array.from(providers.values()).map(p => ({
+    name: p.name,
+    kind: p.kind,
+    model: p.model || null,
+    configured: p.isConfigured(),
+    default: p.name === current
+  }));
+}
+
+function parseAndValidate(task, content) {
+  try {
+    return validateAnalysis(task, parseJsonContent(content));
+  } catch {
+    // Sin JSON rescatable: se valida un objeto vacío para aplicar los defaults
+    const { value, corrections, missing } = validateAnalysis(task, {});
+    return { value, missing, corrections: [{ field: "$", issue: "invalid_json" }, ...corrections] };
+  }
+}
+
+function describeProblems({ corrections, missing }) {
+  return [
+    ...missing.map(field => `missing ${field}`),
+    ...corrections.filter(c => c.field === "$").map(c => c.issue)
+  ];
+}
+
+function buildValidation(first, final, { reprompted = false, repaired = [] } = {}) {
+  const corrections = [...final.corrections, ...repaired.map(field => ({ field, issue: "missing", action: "filled_from_heuristic" }))];
+  return {
+    schema_version: SCHEMA_VERSION,
+    valid: first.corrections.length === 0 && first.missing.length === 0,
+    reprompted,
+    corrected_fields: Array.from(new Set(corrections.map(c => c.field))),
+    corrections
+  };
+}
+
+/**
+ * Llamada a un proveedor LLM con validación, re-prompt y reparación.
+ */
+async function runLlm(provider, task, input) {
+  const definition = getTask(task);
+  const messages = definition.messages(input);
+
+  const first = await provider.chat(messages, definition);
+  let model = first.model;
+  const firstCheck = parseAndValidate(task, first.content);
+  let check = firstCheck;
+  let reprompted = false;
+
+  if (check.missing.length && REPROMPT_ON_INVALID) {
+    reprompted = true;
+    console.warn(`⚠️ ${provider.name} returned invalid ${task} analysis, re-prompting: ${describeProblems(check).join("; ")}`);
+    const retry = await provider.chat(buildRepairMessages(task, messages, first.content, describeProblems(check)), definition);
+    const retryCheck = parseAndValidate(task, retry.content);
+    if (retryCheck.missing.length <= check.missing.length) {
+      check = retryCheck;
+      model = retry.model;
+    }
+  }
+
+  const repaired = [];
+  if (check.missing.length) {
+    const { result: heuristic } = await getProvider(FALLBACK_PROVIDER).analyze({ task, input });
+    for (const field of check.missing) {
+      check.value[field] = heuristic[field];
+      repaired.push(field);
+    }
+  }
+
+  return {
+    result: check.value,
+    model,
+    validation: buildValidation(firstCheck, check, { reprompted, repaired })
+  };
+}
+
+/**
+ * CV en chunks: cada parte se valida por separado (sus correcciones llevan
+ * `chunk`) y la combinación vuelve a pasar por el esquema.
+ */
+async function runChunkedCv(provider, input) {
+  const plan = chunkCvText(input.text);
+  const total = plan.chunks.length;
+
+  const runs = await Promise.all(plan.chunks.map(chunk => runLlm(provider, "cv", {
+    ...input,
+    text: chunk.text,
+    part: { index: chunk.index, total, sections: chunk.sections }
+  })));
+  const merged = mergeCvResults(runs.map(r => r.result), plan.chunks, input.text);
+
+  const corrections = [
+    ...runs.flatMap((run, i) => run.validation.corrections.map(c => (total > 1 ? { ...c, chunk: i } : c))),
+    ...merged.corrections
+  ];
+
+  return {
+    result: merged.value,
+    model: runs[0].model,
+    validation: {
+      schema_version: SCHEMA_VERSION,
+      valid: runs.every(run => run.validation.valid),
+      reprompted: runs.some(run => run.validation.reprompted),
+      corrected_fields: Array.from(new Set(corrections.map(c => c.field))),
+      corrections
+    },
+    chunking: {
+      strategy: plan.strategy,
+      chunks: total,
+      max_chars: plan.max_chars,
+      total_chars: plan.total_chars,
+      truncated: plan.truncated,
+      sections: plan.chunks.map(c => c.sections)
+    }
+  };
+}
+
+/**
+ * LLM con redacción: el proveedor solo ve marcadores ("[EMAIL_1]") y el
+ * resultado vuelve con los valores originales. Se loguean los tipos, nunca
+ * los valores.
+ */
+async function runRedactedLlm(provider, task, input, { required }) {
+  const { input: redacted, entities, counts } = redactInput(task, input);
+  const types = Object.entries(counts).map(([type, n]) => `${type}=${n}`).join(", ");
+  console.log(`🕶️ PII redacted before ${provider.name} (${task}): ${types || "none found"}`);
+
+  const run = task === "cv" ? await runChunkedCv(provider, redacted) : await runLlm(provider, task, redacted);
+  return {
+    ...run,
+    result: rehydrate(run.result, entities),
+    redaction: { applied: true, required, entities: counts }
+  };
+}
+
+async function runProvider(provider, task, input, { requireRedaction = false } = {}) {
+  if (provider.kind === "llm") {
+    if (REDACT_PII || requireRedaction) {
+      return runRedactedLlm(provider, task, input, { required: requireRedaction });
+    }
+    const run = task === "cv" ? await runChunkedCv(provider, input) : await runLlm(provider, task, input);
+    return { ...run, redaction: { applied: false, required: false, entities: {} } };
+  }
+
+  const { result, model } = await provider.analyze({ task, input });
+  const check = validateAnalysis(task, result);
+  return {
+    result: check.value,
+    model,
+    validation: buildValidation(check, check),
+    // El heurístico es local y lee el CV entero
+    chunking: task === "cv" ? { strategy: "full_text", chunks: 1, total_chars: String(input.text || "").length, truncated: false } : undefined
+  };
+}
+
+async function runAnalysis({ task, input, provider: preferred, requireRedaction = false }) {
+  const requested = String(preferred || defaultProviderName()).toLowerCase();
+  const provider = getProvider(requested);
+  let fallbackReason = null;
+
+  if (!provider) {
+    fallbackReason = `Proveedor de IA desconocido: ${requested}`;
+  } else if (!provider.isConfigured()) {
+    fallbackReason = `Proveedor ${requested} sin configurar`;
+  } else {
+    try {
+      const { result, model, validation, chunking, redaction } = await runProvider(provider, task, input, { requireRedaction });
+      return { result, validation, chunking, redaction, provider: provider.name, model, requested, fallback_reason: null, prompt_version: PROMPT_VERSION };
+    } catch (error) {
+      console.error(`💥 AI provider ${requested} failed (${task}):`, error.message);
+      fallbackReason = error.message;
+    }
+  }
+
+  if (requested !== FALLBACK_PROVIDER) {
+    console.log(`🔄 AI fallback ${requested} -> ${FALLBACK_PROVIDER}: ${fallbackReason}`);
+  }
+  const { result, model, validation, chunking } = await runProvider(getProvider(FALLBACK_PROVIDER), task, input);
+  return { result, validation, chunking, provider: FALLBACK_PROVIDER, model, requested, fallback_reason: fallbackReason, prompt_version: PROMPT_VERSION };
+}
+
+/**
+ * Bloque `ai` de cada análisis: qué proveedor respondió realmente y por qué,
+ * si no fue el pedido.
+ */
+function aiMetadata(run) {
+  return {
+    provider: run.provider,
+    model: run.model,
+    requested: run.requested,
+    fallback_reason: run.fallback_reason,
+    prompt_version: run.prompt_version,
+    ...(run.chunking ? { chunking: run.chunking } : {}),
+    ...(run.redaction ? { redaction: run.redaction } : {})
+  };
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  defaultProviderName,
+  runAnalysis,
+  aiMetadata
+};
@@ -0,0 +1,43 @@
+const { AI_TIMEOUT_MS } = require("./openaiCompatibleProvider.js");
+
+/**
+ * Adaptador para un servidor local estilo Ollama (POST {url}/api/chat).
+ * Útil para correr modelos on-premise sin mandar CVs a terceros.
+ */
+
+function createOllamaProvider({ url, model, timeoutMs = AI_TIMEOUT_MS }) {
+  return {
+    name: "ollama",
+    kind: "llm",
+    model,
+
+    isConfigured() {
+      return !!url;
+    },
+
+    async chat(messages, { temperature, maxTokens }) {
+      const response = await fetch(`${url.replace(/\/$/, "")}/api/chat`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          model,
+          messages,
+          stream: false,
+          format: "json",
+          options: { temperature, num_predict: maxTokens }
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`ollama error ${response.status}: ${errorText.substring(0, 200)}`);
+      }
+
+      const data = await response.json();
+      return { content: data?.message?.content || "", model: data?.model || model };
+    }
+  };
+}
+
+module.exports = { createOllamaProvider };
@@ -0,0 +1,50 @@
+/**
+ * Adaptador para cualquier endpoint `chat/completions` estilo OpenAI
+ * (DeepSeek, OpenAI, Groq, vLLM, LM Studio...). `url` es la URL completa
+ * del endpoint de chat. Solo transporta: el parseo y la validación del
+ * contenido los hace el registro (ai/index.js).
+ */
+
+const AI_TIMEOUT_MS = Number(process.env.AI_TIMEOUT_MS || 30_000);
+
+function createOpenAICompatibleProvider({ name, url, apiKey, model, jsonMode = true, timeoutMs = AI_TIMEOUT_MS }) {
+  return {
+    name,
+    kind: "llm",
+    model,
+
+    isConfigured() {
+      return !!url && !!apiKey && apiKey.trim().length >= 10;
+    },
+
+    async chat(messages, { temperature, maxTokens }) {
+      const payload = {
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(jsonMode ? { response_format: { type: "json_object" } } : {})
+      };
+
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Authorization": `Bearer ${apiKey}`
+        },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`${name} error ${response.status}: ${errorText.substring(0, 200)}`);
+      }
+
+      const data = await response.json();
+      return { content: data?.choices?.[0]?.message?.content || "", model: data?.model || model };
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider, AI_TIMEOUT_MS };
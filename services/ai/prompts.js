@@ -0,0 +1,99 @@
+const { describeSchema } = require("./schema.js");
+const { languageName } = require("../i18n.js");
+
+/**
+ * Prompts compartidos por todos los proveedores LLM y parseo de sus respuestas.
+ * Cada tarea define sus mensajes y parámetros; los adaptadores solo transportan.
+ */
+
+const PROMPT_VERSION = "2026-10.3";
+
+// Los CVs largos llegan en partes (ai/chunking.js): el modelo debe saber que ve solo una
+function cvPartIntro(part) {
+  if (!part || part.total <= 1) return "Analyze this CV:";
+  const sections = part.sections.length ? ` (sections: ${part.sections.join(", ")})` : "";
+  return `This is part ${part.index + 1} of ${part.total} of a longer CV${sections}. `
+    + "Analyze only what this part shows; results from all parts are merged afterwards. "
+    + "List every skill and certification you find here:";
+}
+
+// Solo los textos libres van en el idioma pedido (i18n.js)
+function languageInstruction(lang, fields) {
+  return `Write ${fields} in ${languageName(lang)}.`;
+}
+
+const TASKS = {
+  cv: {
+    temperature: 0.3,
+    maxTokens: 800,
+    messages: ({ text, part, lang }) => [
+      {
+        role: "system",
+        content: "You are a CV analyst. Return ONLY valid JSON, no other text. Format: {industry: string, role_seniority: string, top_roles: array, skills: array, score: number, red_flags: array, summary: string, next_steps: array}. "
+          + languageInstruction(lang, "summary, red_flags and next_steps")
+          + " Keep industry, role_seniority and skill names untranslated."
+      },
+      {
+        role: "user",
+        content: `${cvPartIntro(part)}\n${String(text || "")}`
+      }
+    ]
+  },
+
+  profile: {
+    temperature: 0.2,
+    maxTokens: 800,
+    messages: ({ profile, lang }) => [
+      {
+        role: "system",
+        content: "Sos un analista de talento para Oil & Gas. Respondé solo JSON válido. "
+          + languageInstruction(lang, "summary and notes")
+      },
+      {
+        role: "user",
+        content: `Analiza este perfil y devolveme JSON con: score(1-10), skills_enhanced(array), summary(string), notes(array).
+Perfil:
+${JSON.stringify(profile, null, 2)}`
+      }
+    ]
+  }
+};
+
+function getTask(task) {
+  const definition = TASKS[task];
+  if (!definition) throw new Error(`Tarea de IA desconocida: ${task}`);
+  return definition;
+}
+
+/**
+ * Los modelos a veces envuelven el JSON en texto o en ```json```: se intenta
+ * el contenido completo y después el primer bloque {...}.
+ */
+function parseJsonContent(content) {
+  if (!content) throw new Error("Empty response content");
+  try {
+    return JSON.parse(content);
+  } catch {
+    const match = String(content).match(/\{[\s\S]*\}/);
+    if (match) return JSON.parse(match[0]);
+    throw new Error("No valid JSON found");
+  }
+}
+
+/**
+ * Segundo intento cuando la respuesta no cumple el esquema: se le devuelve al
+ * modelo su propia respuesta y la lista de problemas.
+ */
+function buildRepairMessages(task, messages, content, problems) {
+  return [
+    ...messages,
+    { role: "assistant", content: String(content || "").slice(0, 4000) },
+    {
+      role: "user",
+      content: `Your previous answer was invalid (${problems.join("; ")}). `
+        + `Return ONLY a JSON object with this exact shape: ${describeSchema(task)}`
+    }
+  ];
+}
+
+module.exports = { PROMPT_VERSION, getTask, parseJsonContent, buildRepairMessages };
@@ -0,0 +1,143 @@
+const { parseCvSections } = require("../cvSectionParser.js");
+
+/**
+ * Redacción de datos personales antes de llamar a un proveedor LLM externo.
+ *
+ * Nombres, emails, teléfonos, cédulas venezolanas (V-/E-, C.I.) y direcciones
+ * se reemplazan por marcadores estables ("[EMAIL_1]", "[NAME_1]"...). El mapa
+ * marcador -> valor original nunca sale del proceso: se usa para rehidratar la
+ * respuesta del modelo, que puede citar los marcadores en summary o red_flags.
+ *
+ * Es heurístico: la ciudad o el país sueltos no se redactan (sirven para el
+ * análisis), solo las líneas de dirección.
+ */
+
+const ENTITY_TYPES = ["name", "email", "phone", "cedula", "address"];
+
+const EMAIL_RE = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// "V-12.345.678", "E-81234567" o con rótulo: "C.I. 12.345.678", "Cédula: V 12345678"
+const CEDULA_PREFIXED_RE = /\b[VE]\s?-\s?\d{1,2}\.?\d{3}\.?\d{3}\b/g;
+const CEDULA_LABELED_RE = /(\b(?:c\.\s?i\.?|ci|c[ée]dula(?:\s+de\s+identidad)?|documento(?:\s+de\s+identidad)?|id)\s*(?:n(?:ro|o|°|º)?\.?\s*)?[:#]?\s*)((?:[VEve]\s?[-.]?\s?)?\d{1,3}(?:[.,\s]?\d{3}){2})\b/gi;
+const PHONE_RE = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}/g;
+const ADDRESS_LABELED_RE = /^(\s*(?:direcci[oó]n|domicilio|residencia|address|home address)\s*[:-]\s*)(.+)$/gim;
+const ADDRESS_STREET_RE = /(^|[|•·]\s*)((?:av\.?|avenida|calle|carrera|cra\.?|urb\.?|urbanizaci[oó]n|edif\.?|edificio|residencias|sector)\s+[^|•·\n]{3,})/gim;
+const NAME_LABELED_RE = /^(\s*(?:nombre(?:s| completo)?|name|full name)\s*:\s*)(.+)$/gim;
+
+const PLACEHOLDER_RE = new RegExp(`\\[(${ENTITY_TYPES.map(t => t.toUpperCase()).join("|")})_(\\d+)\\]`, "g");
+
+// Campos de perfiles estructurados que son datos personales enteros
+const PROFILE_FIELDS = {
+  name: /^(nombre|name|full_?name|apellido|last_?name|first_?name)$/i,
+  email: /^(email|e-mail|correo)$/i,
+  phone: /^(tel[ée]fono|phone|celular|mobile|whatsapp)$/i,
+  cedula: /^(c[ée]dula|ci|documento|dni|id_number|national_id)$/i,
+  address: /^(direcci[oó]n|address|domicilio)$/i
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Teléfono: 10+ dígitos, o 8+ con prefijo internacional (así no se confunde con rangos de años)
+function looksLikePhone(match) {
+  if (/^\s*(?:(?:19|20)\d{2}[\s.-]*)+$/.test(match)) return false;
+  const digits = match.replace(/\D/g, "").length;
+  if (match.trim().startsWith("+")) return digits >= 8 && digits <= 15;
+  return digits >= 10 && digits <= 13;
+}
+
+function createRedactor() {
+  const byValue = new Map();
+  const entities = new Map();
+  const counts = Object.fromEntries(ENTITY_TYPES.map(type => [type, 0]));
+
+  function placeholder(type, value) {
+    const clean = String(value).trim();
+    const key = `${type}:${clean.toLowerCase()}`;
+    if (!byValue.has(key)) {
+      counts[type] += 1;
+      const marker = `[${type.toUpperCase()}_${counts[type]}]`;
+      byValue.set(key, marker);
+      entities.set(marker, clean);
+    }
+    return byValue.get(key);
+  }
+
+  function redactText(text, { names = [] } = {}) {
+    let out = String(text || "");
+
+    out = out.replace(EMAIL_RE, m => placeholder("email", m));
+    out = out.replace(NAME_LABELED_RE, (m, label, value) => `${label}${placeholder("name", value)}`);
+    for (const name of names.filter(n => n && n.trim().length >= 3)) {
+      out = out.replace(new RegExp(escapeRegExp(name.trim()), "gi"), m => placeholder("name", m));
+    }
+    out = out.replace(CEDULA_LABELED_RE, (m, label, value) => `${label}${placeholder("cedula", value)}`);
+    out = out.replace(CEDULA_PREFIXED_RE, m => placeholder("cedula", m));
+    out = out.replace(ADDRESS_LABELED_RE, (m, label, value) => `${label}${placeholder("address", value)}`);
+    out = out.replace(ADDRESS_STREET_RE, (m, lead, value) => `${lead}${placeholder("address", value.trim())}`);
+    out = out.replace(PHONE_RE, m => {
+      if (!looksLikePhone(m)) return m;
+      const lead = m.match(/^\s*/)[0];
+      return `${lead}${placeholder("phone", m.trim())}`;
+    });
+    return out;
+  }
+
+  // Perfiles: los campos personales se reemplazan enteros y el resto se redacta como texto
+  function redactValue(value, names, key) {
+    if (typeof value === "string") {
+      const type = key && Object.keys(PROFILE_FIELDS).find(t => PROFILE_FIELDS[t].test(key));
+      if (type && value.trim()) return placeholder(type, value);
+      return redactText(value, { names });
+    }
+    if (Array.isArray(value)) return value.map(item => redactValue(item, names));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(v, names, k)]));
+    }
+    return value;
+  }
+
+  return { placeholder, redactText, redactValue, entities, counts };
+}
+
+/**
+ * Redacta el input de una tarea de IA. Devuelve el input redactado, el mapa
+ * de marcadores (solo para rehidratar localmente) y cuántas entidades de cada
+ * tipo se reemplazaron.
+ */
+function redactInput(task, input) {
+  const redactor = createRedactor();
+  let redacted;
+
+  if (task === "cv") {
+    const { contact } = parseCvSections(String(input.text || ""));
+    redacted = { ...input, text: redactor.redactText(input.text, { names: [contact.name] }) };
+  } else if (task === "profile") {
+    const profile = input.profile || {};
+    const names = [profile.nombre, profile.raw?.name, profile.raw?.nombre].filter(n => typeof n === "string");
+    redacted = { ...input, profile: redactor.redactValue(profile, names) };
+  } else {
+    redacted = input;
+  }
+
+  return {
+    input: redacted,
+    entities: redactor.entities,
+    counts: Object.fromEntries(Object.entries(redactor.counts).filter(([, n]) => n > 0))
+  };
+}
+
+/**
+ * Vuelve a poner los valores originales donde el modelo citó un marcador.
+ */
+function rehydrate(value, entities) {
+  if (!entities || !entities.size) return value;
+  if (typeof value === "string") return value.replace(PLACEHOLDER_RE, m => entities.get(m) ?? m);
+  if (Array.isArray(value)) return value.map(item => rehydrate(item, entities));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, rehydrate(v, entities)]));
+  }
+  return value;
+}
+
+module.exports = { ENTITY_TYPES, createRedactor, redactInput, rehydrate };
@@ -0,0 +1,205 @@
+/**
+ * Esquema de salida de los análisis de IA y su normalización.
+ * Todo resultado (LLM o heurístico) pasa por validateAnalysis antes de
+ * guardarse: tipos coercionados, score acotado a 1-10, seniority dentro del
+ * enum y arrays sin duplicados. Cada corrección queda registrada para el
+ * bloque `validation` del análisis.
+ */
+
+const SCHEMA_VERSION = "1.0";
+
+const SENIORITY_VALUES = ["Junior", "Mid-Level", "Senior", "Lead"];
+
+const SENIORITY_ALIASES = [
+  [/^(jr|junior|entry|entry[- ]level|trainee|pasante|aprendiz|intern)/, "Junior"],
+  [/^(mid|middle|semi[- ]?senior|ssr|intermediate|intermedio|pleno)/, "Mid-Level"],
+  [/^(sr|senior|experienced|experto|expert)/, "Senior"],
+  [/^(lead|lider|líder|principal|staff|manager|gerente|head|director|jefe)/, "Lead"]
+];
+
+const FIELD_TYPES = {
+  string: ({ maxLength = 2000 } = {}) => ({ type: "string", maxLength }),
+  list: ({ maxItems = 20 } = {}) => ({ type: "list", maxItems }),
+  score: () => ({ type: "score" }),
+  seniority: () => ({ type: "seniority" })
+};
+
+const SCHEMAS = {
+  cv: {
+    required: ["score", "skills", "summary"],
+    fields: {
+      industry: FIELD_TYPES.string({ maxLength: 100 }),
+      role_seniority: FIELD_TYPES.seniority(),
+      top_roles: FIELD_TYPES.list({ maxItems: 5 }),
+      skills: FIELD_TYPES.list({ maxItems: 50 }),
+      score: FIELD_TYPES.score(),
+      red_flags: FIELD_TYPES.list({ maxItems: 10 }),
+      summary: FIELD_TYPES.string({ maxLength: 2000 }),
+      next_steps: FIELD_TYPES.list({ maxItems: 10 })
+    },
+    defaults: { industry: "General", role_seniority: "Mid-Level", top_roles: [], red_flags: [], next_steps: [] }
+  },
+  profile: {
+    required: ["score", "summary"],
+    fields: {
+      score: FIELD_TYPES.score(),
+      skills_enhanced: FIELD_TYPES.list({ maxItems: 50 }),
+      summary: FIELD_TYPES.string({ maxLength: 2000 }),
+      notes: FIELD_TYPES.list({ maxItems: 10 })
+    },
+    defaults: { skills_enhanced: [], notes: [] }
+  }
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === "string" && !value.trim());
+}
+
+function normalizeSeniority(value) {
+  const text = String(value).trim().toLowerCase();
+  const exact = SENIORITY_VALUES.find(v => v.toLowerCase() === text);
+  if (exact) return exact;
+  const alias = SENIORITY_ALIASES.find(([re]) => re.test(text));
+  return alias ? alias[1] : null;
+}
+
+function toText(item) {
+  if (item === null || item === undefined) return "";
+  if (typeof item === "object") return String(item.name ?? item.title ?? item.skill ?? item.value ?? "");
+  return String(item);
+}
+
+/**
+ * Coerciona un valor a su tipo. Devuelve { value, issue } donde issue describe
+ * la corrección aplicada (o null si el valor ya era válido) y value es
+ * undefined cuando no se pudo rescatar nada.
+ */
+function coerceField(spec, raw) {
+  switch (spec.type) {
+    case "score": {
+      let n = typeof raw === "number" ? raw : Number.NaN;
+      if (typeof raw === "string") {
+        // "8", "8.5", "8/10", "85/100", "85%"
+        const m = raw.match(/(-?\d+(?:[.,]\d+)?)\s*(?:\/\s*(\d+)|(%))?/);
+        if (m) {
+          n = Number(m[1].replace(",", "."));
+          if (m[2]) n = (n / Number(m[2])) * 10;
+          else if (m[3]) n = n / 10;
+        }
+      }
+      if (!Number.isFinite(n)) return { value: undefined, issue: "not_a_number" };
+      const issueType = typeof raw !== "number" ? "coerced_type" : null;
+      const clamped = Math.min(10, Math.max(1, Math.round(n * 10) / 10));
+      if (clamped !== n) return { value: clamped, issue: n < 1 || n > 10 ? "clamped" : issueType || "rounded" };
+      return { value: clamped, issue: issueType };
+    }
+
+    case "seniority": {
+      const value = normalizeSeniority(raw);
+      if (!value) return { value: undefined, issue: "invalid_enum" };
+      return { value, issue: value === raw ? null : "normalized_enum" };
+    }
+
+    case "list": {
+      let items = raw;
+      let issue = null;
+      if (typeof items === "string") {
+        items = items.split(/[,;\n]/);
+        issue = "coerced_type";
+      } else if (!Array.isArray(items)) {
+        return { value: undefined, issue: "invalid_type" };
+      }
+      const seen = new Set();
+      const out = [];
+      for (const item of items) {
+        const text = toText(item).trim();
+        if (typeof item !== "string") issue = issue || "coerced_type";
+        const key = text.toLowerCase();
+        if (!text || seen.has(key)) {
+          issue = issue || "deduplicated";
+          continue;
+        }
+        seen.add(key);
+        out.push(text);
+      }
+      if (out.length > spec.maxItems) return { value: out.slice(0, spec.maxItems), issue: "truncated" };
+      return { value: out, issue };
+    }
+
+    case "string": {
+      if (typeof raw === "object") return { value: undefined, issue: "invalid_type" };
+      const text = String(raw).trim();
+      if (text.length > spec.maxLength) return { value: text.slice(0, spec.maxLength), issue: "truncated" };
+      return { value: text, issue: typeof raw === "string" ? null : "coerced_type" };
+    }
+
+    default:
+      return { value: raw, issue: null };
+  }
+}
+
+/**
+ * Valida y normaliza el resultado de una tarea ("cv" | "profile").
+ * - corrections: campos corregidos en el lugar (tipo, rango, enum, duplicados).
+ * - missing: campos requeridos ausentes o irrecuperables (dispara re-prompt).
+ * Los campos que no están en el esquema se conservan tal cual.
+ */
+function validateAnalysis(task, raw) {
+  const schema = SCHEMAS[task];
+  if (!schema) throw new Error(`Tarea de IA desconocida: ${task}`);
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { value: {}, corrections: [{ field: "$", issue: "not_an_object" }], missing: [...schema.required] };
+  }
+
+  const value = { ...raw };
+  const corrections = [];
+  const missing = [];
+
+  for (const [field, spec] of Object.entries(schema.fields)) {
+    if (isBlank(raw[field])) {
+      delete value[field];
+    } else {
+      const { value: coerced, issue } = coerceField(spec, raw[field]);
+      if (coerced === undefined) {
+        delete value[field];
+        corrections.push({ field, issue });
+      } else {
+        value[field] = coerced;
+        if (issue) corrections.push({ field, issue });
+      }
+    }
+
+    if (value[field] === undefined) {
+      if (schema.required.includes(field)) {
+        missing.push(field);
+      } else if (schema.defaults[field] !== undefined) {
+        value[field] = Array.isArray(schema.defaults[field]) ? [] : schema.defaults[field];
+        if (!corrections.some(c => c.field === field)) corrections.push({ field, issue: "defaulted" });
+      }
+    }
+  }
+
+  return { value, corrections, missing };
+}
+
+/**
+ * Descripción compacta del esquema para el mensaje de re-prompt.
+ */
+function describeSchema(task) {
+  const schema = SCHEMAS[task];
+  const parts = Object.entries(schema.fields).map(([field, spec]) => {
+    if (spec.type === "score") return `${field}: number 1-10`;
+    if (spec.type === "seniority") return `${field}: one of ${SENIORITY_VALUES.join("|")}`;
+    if (spec.type === "list") return `${field}: array of strings`;
+    return `${field}: string`;
+  });
+  return `{${parts.join(", ")}}`;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  SENIORITY_VALUES,
+  validateAnalysis,
+  describeSchema
+};
@@ -0,0 +1,184 @@
+/**
+ * Caché de análisis de CV direccionada por contenido. La clave es
+ * `sha256(texto normalizado):proveedor:versión de prompt:idioma`, así un CV
+ * idéntico no vuelve a pasar por el LLM, y cambiar de proveedor, de prompt o
+ * de idioma invalida solo.
+ *
+ * - "supabase" (por defecto si hay SUPABASE_URL): tabla `analysis_cache`,
+ *   compartida entre instancias.
+ * - "memory": Map en proceso con desalojo LRU (desarrollo/tests).
+ * - "off": sin caché.
+ *
+ * Se elige con ANALYSIS_CACHE=memory|supabase|off. Las entradas vencen a las
+ * ANALYSIS_CACHE_TTL_HOURS (168 por defecto) y se guardan como mucho
+ * ANALYSIS_CACHE_MAX_ENTRIES (5000 por defecto; los más viejos salen primero).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const ANALYSIS_CACHE_TTL_HOURS = Number(process.env.ANALYSIS_CACHE_TTL_HOURS || 168);
+const ANALYSIS_CACHE_MAX_ENTRIES = Number(process.env.ANALYSIS_CACHE_MAX_ENTRIES || 5000);
+const PURGE_INTERVAL_MS = HOUR_MS;
+
+function cacheKey({ textHash, provider, promptVersion, lang }) {
+  return `${textHash}:${provider}:${promptVersion}:${lang}`;
+}
+
+function buildEntry(key, analysis, { ttlHours = ANALYSIS_CACHE_TTL_HOURS, now = new Date() } = {}) {
+  return {
+    cache_key: key,
+    analysis,
+    created_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + ttlHours * HOUR_MS).toISOString()
+  };
+}
+
+function isFresh(entry, now = new Date()) {
+  return !!entry && new Date(entry.expires_at) > now;
+}
+
+function createMemoryAnalysisCache({ maxEntries = ANALYSIS_CACHE_MAX_ENTRIES, ttlHours = ANALYSIS_CACHE_TTL_HOURS } = {}) {
+  const entries = new Map();
+
+  return {
+    kind: "memory",
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (!isFresh(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      // Reinsertar para que el orden del Map sea de uso (LRU)
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, analysis) {
+      entries.delete(key);
+      entries.set(key, buildEntry(key, analysis, { ttlHours }));
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async purgeExpired(now = new Date()) {
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (!isFresh(entry, now)) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+function createSupabaseAnalysisCache(client, { table = "analysis_cache", maxEntries = ANALYSIS_CACHE_MAX_ENTRIES, ttlHours = ANALYSIS_CACHE_TTL_HOURS } = {}) {
+  return {
+    kind: "supabase",
+
+    async get(key) {
+      const { data, error } = await client
+        .from(table)
+        .select("*")
+        .eq("cache_key", key)
+        .gt("expires_at", new Date().toISOString())
+        .maybeSingle();
+      if (error) throw new Error(`Error leyendo caché de análisis: ${error.message}`);
+      return data || null;
+    },
+
+    async set(key, analysis) {
+      const { error } = await client.from(table).upsert(buildEntry(key, analysis, { ttlHours }));
+      if (error) throw new Error(`Error guardando caché de análisis: ${error.message}`);
+    },
+
+    // Vencidas y, si se pasó del tope, las más viejas
+    async purgeExpired(now = new Date()) {
+      const { error, count } = await client
+        .from(table)
+        .delete({ count: "exact" })
+        .lt("expires_at", now.toISOString());
+      if (error) throw new Error(`Error purgando caché de análisis: ${error.message}`);
+
+      const { data: cutoff, error: cutoffError } = await client
+        .from(table)
+        .select("created_at")
+        .order("created_at", { ascending: false })
+        .range(maxEntries, maxEntries)
+        .maybeSingle();
+      if (cutoffError) throw new Error(`Error purgando caché de análisis: ${cutoffError.message}`);
+      if (!cutoff) return count || 0;
+
+      const { error: trimError, count: trimmed } = await client
+        .from(table)
+        .delete({ count: "exact" })
+        .lte("created_at", cutoff.created_at);
+      if (trimError) throw new Error(`Error purgando caché de análisis: ${trimError.message}`);
+      return (count || 0) + (trimmed || 0);
+    }
+  };
+}
+
+function createDisabledAnalysisCache() {
+  return {
+    kind: "off",
+    async get() {
+      return null;
+    },
+    async set() {},
+    async purgeExpired() {
+      return 0;
+    }
+  };
+}
+
+let defaultCache = null;
+let lastPurgeAt = 0;
+
+function getAnalysisCache() {
+  if (defaultCache) return defaultCache;
+
+  const kind = (process.env.ANALYSIS_CACHE || (process.env.SUPABASE_URL ? "supabase" : "memory")).toLowerCase();
+  if (kind === "off") {
+    defaultCache = createDisabledAnalysisCache();
+  } else if (kind === "supabase") {
+    const { supabase } = require("./supabase.js");
+    defaultCache = createSupabaseAnalysisCache(supabase);
+  } else {
+    defaultCache = createMemoryAnalysisCache();
+  }
+
+  console.log(`🗄️ Analysis cache: ${defaultCache.kind}`);
+  return defaultCache;
+}
+
+function setAnalysisCache(cache) {
+  defaultCache = cache;
+  lastPurgeAt = 0;
+}
+
+/**
+ * Purga como mucho una vez por hora por instancia, sin bloquear el request.
+ */
+function purgeAnalysisCacheIfDue(cache = getAnalysisCache(), now = Date.now()) {
+  if (now - lastPurgeAt < PURGE_INTERVAL_MS) return;
+  lastPurgeAt = now;
+  cache.purgeExpired(new Date(now))
+    .then(removed => removed && console.log(`🧹 Analysis cache entries purged: ${removed}`))
+    .catch(error => console.error("Analysis cache purge failed:", error.message));
+}
+
+module.exports = {
+  ANALYSIS_CACHE_TTL_HOURS,
+  ANALYSIS_CACHE_MAX_ENTRIES,
+  cacheKey,
+  createMemoryAnalysisCache,
+  createSupabaseAnalysisCache,
+  getAnalysisCache,
+  setAnalysisCache,
+  purgeAnalysisCacheIfDue
+};
@@ -0,0 +1,240 @@
+/**
+ * Almacén de análisis de CV.
+ * Cada análisis se guarda bajo su analysis_id para que los links de exportación
+ * devuelvan el resultado real.
+ *
+ * - "supabase" (por defecto si hay SUPABASE_URL): tabla `cv_analyses`.
+ * - "memory": Map en proceso (desarrollo/tests, se pierde en cada cold start).
+ *
+ * Se elige con ANALYSIS_STORE=memory|supabase.
+ */
+
+const crypto = require("crypto");
+const { canonicalIndustry } = require("./skillsTaxonomy.js");
+
+const ANALYSIS_TTL_DAYS = Number(process.env.ANALYSIS_TTL_DAYS || 30);
+const MEMORY_MAX_ENTRIES = 5000;
+
+/**
+ * El id es lo único que protege /v1/public/export: 128 bits aleatorios, no adivinables.
+ */
+function createAnalysisId(prefix = "analysis") {
+  return `${prefix}_${crypto.randomBytes(16).toString("base64url")}`;
+}
+
+/**
+ * Skills de un análisis: los de CV guardan `skills` y los de perfil `skills_enhanced`.
+ * Se toma la primera lista no vacía (un `[]` no tapa a la otra).
+ */
+function analysisSkills(analysis = {}) {
+  const lists = [analysis.skills, analysis.skills_enhanced].filter(Array.isArray);
+  return lists.find(list => list.length) || [];
+}
+
+/**
+ * Campos desnormalizados para búsqueda (columnas propias en Supabase).
+ */
+function indexFields(analysis = {}) {
+  const skills = analysisSkills(analysis);
+  const score = Number(analysis.score);
+  const years = Number(analysis.years_experience ?? analysis.candidate?.anios_experiencia);
+
+  return {
+    score: Number.isFinite(score) ? score : null,
+    // Nombres en minúscula + ids canónicos de la taxonomía (skillsTaxonomy.js)
+    skill_keys: Array.from(new Set([
+      ...skills.map(s => String(s).trim().toLowerCase()),
+      ...(analysis.skill_ids || [])
+    ].filter(Boolean))),
+    // Canónica para que "Oil & Gas" y "Energía" se busquen igual (ver skillsTaxonomy.js)
+    industry: analysis.industry ? canonicalIndustry(analysis.industry) : null,
+    seniority: analysis.role_seniority || null,
+    years_experience: Number.isFinite(years) ? years : null
+  };
+}
+
+/**
+ * ttlDays = null -> el registro no expira (perfiles de clientes privados).
+ */
+function buildRecord({ id, textHash, email, source, clientId, analysis, parsed, ttlDays = ANALYSIS_TTL_DAYS }) {
+  const now = new Date();
+  return {
+    id,
+    text_hash: textHash || null,
+    email: email || null,
+    source: source || null,
+    client_id: clientId || null,
+    analysis,
+    parsed: parsed || null,
+    ...indexFields(analysis),
+    created_at: now.toISOString(),
+    updated_at: now.toISOString(),
+    expires_at: ttlDays === null ? null : new Date(now.getTime() + ttlDays * 24 * 60 * 60 * 1000).toISOString()
+  };
+}
+
+function isExpired(record, now = Date.now()) {
+  return !!record?.expires_at && new Date(record.expires_at).getTime() <= now;
+}
+
+const SORT_COLUMNS = {
+  score_desc: ["score", false],
+  score_asc: ["score", true],
+  date_desc: ["created_at", false],
+  date_asc: ["created_at", true],
+  experience_desc: ["years_experience", false],
+  experience_asc: ["years_experience", true]
+};
+
+function matchesFilters(record, filters, now = Date.now()) {
+  const lower = v => String(v ?? "").toLowerCase();
+
+  if (record.client_id !== filters.clientId) return false;
+  if (isExpired(record, now)) return false;
+  if (filters.skills?.length) {
+    const keys = record.skill_keys || [];
+    const test = s => keys.includes(s);
+    if (filters.skillsMatch === "all" ? !filters.skills.every(test) : !filters.skills.some(test)) return false;
+  }
+  if (filters.minScore !== undefined && !(record.score >= filters.minScore)) return false;
+  if (filters.maxScore !== undefined && !(record.score <= filters.maxScore)) return false;
+  if (filters.industry && lower(record.industry) !== filters.industry) return false;
+  if (filters.seniority && lower(record.seniority) !== filters.seniority) return false;
+  if (filters.minYears !== undefined && !(record.years_experience >= filters.minYears)) return false;
+  if (filters.maxYears !== undefined && !(record.years_experience <= filters.maxYears)) return false;
+  if (filters.analyzedFrom && record.created_at < filters.analyzedFrom) return false;
+  if (filters.analyzedTo && record.created_at > filters.analyzedTo) return false;
+  return true;
+}
+
+function compareRecords(sort) {
+  const [column, ascending] = SORT_COLUMNS[sort] || SORT_COLUMNS.date_desc;
+  return (a, b) => {
+    const x = a[column];
+    const y = b[column];
+    // Nulos siempre al final
+    if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+    if (y === null || y === undefined) return -1;
+    const diff = x < y ? -1 : x > y ? 1 : 0;
+    return ascending ? diff : -diff;
+  };
+}
+
+function createMemoryAnalysisStore({ maxEntries = MEMORY_MAX_ENTRIES } = {}) {
+  const records = new Map();
+
+  return {
+    kind: "memory",
+
+    async save(record) {
+      records.set(record.id, record);
+      // Map conserva el orden de inserción: descartamos los más viejos
+      while (records.size > maxEntries) {
+        records.delete(records.keys().next().value);
+      }
+      return record;
+    },
+
+    async get(id) {
+      return records.get(id) || null;
+    },
+
+    async search(filters) {
+      const matched = Array.from(records.values())
+        .filter(r => matchesFilters(r, filters))
+        .sort(compareRecords(filters.sort));
+      return {
+        results: matched.slice(filters.offset, filters.offset + filters.limit),
+        total: matched.length
+      };
+    }
+  };
+}
+
+function createSupabaseAnalysisStore(client, { table = "cv_analyses" } = {}) {
+  return {
+    kind: "supabase",
+
+    async save(record) {
+      const { error } = await client.from(table).insert(record);
+      if (error) throw new Error(`Error guardando análisis: ${error.message}`);
+      return record;
+    },
+
+    async get(id) {
+      const { data, error } = await client
+        .from(table)
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+      if (error) throw new Error(`Error leyendo análisis: ${error.message}`);
+      return data || null;
+    },
+
+    async search(filters) {
+      const [column, ascending] = SORT_COLUMNS[filters.sort] || SORT_COLUMNS.date_desc;
+      const escapeLike = v => v.replace(/[%_\\]/g, c => `\\${c}`);
+
+      let query = client
+        .from(table)
+        .select("*", { count: "exact" })
+        .eq("client_id", filters.clientId)
+        .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+
+      if (filters.skills?.length) {
+        query = filters.skillsMatch === "all"
+          ? query.contains("skill_keys", filters.skills)
+          : query.overlaps("skill_keys", filters.skills);
+      }
+      if (filters.minScore !== undefined) query = query.gte("score", filters.minScore);
+      if (filters.maxScore !== undefined) query = query.lte("score", filters.maxScore);
+      if (filters.industry) query = query.ilike("industry", escapeLike(filters.industry));
+      if (filters.seniority) query = query.ilike("seniority", escapeLike(filters.seniority));
+      if (filters.minYears !== undefined) query = query.gte("years_experience", filters.minYears);
+      if (filters.maxYears !== undefined) query = query.lte("years_experience", filters.maxYears);
+      if (filters.analyzedFrom) query = query.gte("created_at", filters.analyzedFrom);
+      if (filters.analyzedTo) query = query.lte("created_at", filters.analyzedTo);
+
+      const { data, error, count } = await query
+        .order(column, { ascending, nullsFirst: false })
+        .range(filters.offset, filters.offset + filters.limit - 1);
+
+      if (error) throw new Error(`Error buscando análisis: ${error.message}`);
+      return { results: data || [], total: count || 0 };
+    }
+  };
+}
+
+let defaultStore = null;
+
+function getAnalysisStore() {
+  if (defaultStore) return defaultStore;
+
+  const kind = (process.env.ANALYSIS_STORE || (process.env.SUPABASE_URL ? "supabase" : "memory")).toLowerCase();
+  if (kind === "supabase") {
+    const { supabase } = require("./supabase.js");
+    defaultStore = createSupabaseAnalysisStore(supabase);
+  } else {
+    defaultStore = createMemoryAnalysisStore();
+  }
+
+  console.log(`🗄️ Analysis store: ${defaultStore.kind}`);
+  return defaultStore;
+}
+
+function setAnalysisStore(store) {
+  defaultStore = store;
+}
+
+module.exports = {
+  ANALYSIS_TTL_DAYS,
+  SORT_COLUMNS,
+  createAnalysisId,
+  analysisSkills,
+  buildRecord,
+  isExpired,
+  createMemoryAnalysisStore,
+  createSupabaseAnalysisStore,
+  getAnalysisStore,
+  setAnalysisStore
+};
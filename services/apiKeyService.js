@@ -0,0 +1,439 @@
+const crypto = require("crypto");
+const { getApiKeyStore } = require("./apiKeyStore.js");
+const { listProviders } = require("./ai/index.js");
+const { translatable } = require("./i18n.js");
+const { DEFAULT_KEY_SCOPES, grantsScope, isKnownScope } = require("./scopes.js");
+
+/**
+ * Gestión de API keys (/v1/admin/keys): alta, listado, rotación con período
+ * de gracia, revocación y vencimiento.
+ *
+ * El valor en claro se devuelve una sola vez (al crear o rotar); en la base
+ * queda solo hashApiKey(key). Una key con scope "admin:keys" gestiona las keys
+ * de su propio cliente; con "*" puede gestionar las de cualquier cliente.
+ */
+
+const KEY_PREFIX = "plk_";
+// Horas que la key anterior sigue válida después de una rotación
+const DEFAULT_GRACE_HOURS = Number(process.env.API_KEY_ROTATION_GRACE_HOURS || 24);
+const MAX_GRACE_HOURS = 720;
+// last_used_at se escribe como mucho una vez por minuto por key
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class ApiKeyValidationError extends Error {
+  constructor(message, code = "KEY_INVALID", details, status = 400) {
+    super(message);
+    this.name = "ApiKeyValidationError";
+    this.code = code;
+    this.details = details;
+    this.status = status;
+  }
+}
+
+/**
+ * Hash SHA-256 de la key con API_KEY_SALT (lo que se guarda en api_keys.key_hash)
+ */
+function hashApiKey(apiKey) {
+  return crypto
+    .createHash("sha256")
+    .update(apiKey + (process.env.API_KEY_SALT || ""))
+    .digest("hex");
+}
+
+function generateApiKey() {
+  return `${KEY_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+}
+
+// Primeros caracteres de la key: sirven para reconocerla en listados sin exponerla
+function keyPrefix(apiKey) {
+  return String(apiKey).slice(0, KEY_PREFIX.length + 6);
+}
+
+function keyStatus(key, now = Date.now()) {
+  if (key.revoked_at || key.is_active === false) return "revoked";
+  if (key.expires_at && new Date(key.expires_at).getTime() <= now) return "expired";
+  return "active";
+}
+
+/**
+ * Vista pública de una key: nunca incluye key_hash
+ */
+function publicKey(key) {
+  return {
+    id: key.id,
+    client_id: key.client_id,
+    name: key.name || null,
+    key_prefix: key.key_prefix || null,
+    status: keyStatus(key),
+    permissions: key.permissions || [],
+    rate_limit: key.rate_limit ?? null,
+    monthly_quota: key.monthly_quota ?? null,
+    ai_provider: key.ai_provider || null,
+    require_pii_redaction: key.require_pii_redaction === true,
+    created_at: key.created_at || null,
+    created_by: key.created_by || null,
+    expires_at: key.expires_at || null,
+    last_used_at: key.last_used_at || null,
+    revoked_at: key.revoked_at || null,
+    revoked_by: key.revoked_by || null,
+    rotated_from: key.rotated_from || null,
+    rotated_to: key.rotated_to || null
+  };
+}
+
+/**
+ * Key de administración local a partir de API_KEY (almacén en memoria)
+ */
+function bootstrapKey(apiKey) {
+  return {
+    id: "local-admin",
+    client_id: "local",
+    name: "API_KEY (.env)",
+    key_hash: hashApiKey(apiKey),
+    key_prefix: keyPrefix(apiKey),
+    permissions: ["*"],
+    is_active: true,
+    created_at: new Date().toISOString(),
+    created_by: "env"
+  };
+}
+
+const isPlatformAdmin = actor => (actor.permissions || []).includes("*");
+
+function canManage(actor, key) {
+  return Boolean(key) && (isPlatformAdmin(actor) || key.client_id === actor.clientId);
+}
+
+function parseExpiry(input, errors) {
+  if (input.expires_in_days !== undefined && input.expires_in_days !== null) {
+    const days = Number(input.expires_in_days);
+    if (!Number.isFinite(days) || days <= 0 || days > 3650) {
+      errors.push({ field: "expires_in_days", rule: "days_range", params: { min: 1, max: 3650 } });
+      return undefined;
+    }
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+  if (input.expires_at === undefined) return undefined;
+  if (input.expires_at === null) return null;
+
+  const date = new Date(input.expires_at);
+  if (Number.isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+    errors.push({ field: "expires_at", rule: "future_date" });
+    return undefined;
+  }
+  return date.toISOString();
+}
+
+/**
+ * Valida los campos editables de una key. Devuelve solo los campos presentes.
+ * Los errores por campo van como { field, rule, params } (catálogo validation.*);
+ * la ruta los traduce con localizeDetails.
+ */
+function buildKeyFields(input, actor, { creating = false } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw translatable(
+      new ApiKeyValidationError("El cuerpo debe ser un objeto JSON.", "KEY_INVALID"),
+      "errors.KEY_BODY_REQUIRED"
+    );
+  }
+
+  const errors = [];
+  const fields = {};
+  const integerOrNull = (name) => {
+    if (input[name] === undefined) return;
+    if (input[name] === null) { fields[name] = null; return; }
+    const n = Number(input[name]);
+    if (!Number.isInteger(n) || n < 1) errors.push({ field: name, rule: "positive_integer_or_null" });
+    else fields[name] = n;
+  };
+
+  if (input.name !== undefined) {
+    if (typeof input.name !== "string" || !input.name.trim() || input.name.length > 100) {
+      errors.push({ field: "name", rule: "text_length", params: { min: 1, max: 100 } });
+    } else {
+      fields.name = input.name.trim();
+    }
+  }
+
+  const expiresAt = parseExpiry(input, errors);
+  if (expiresAt !== undefined) fields.expires_at = expiresAt;
+
+  if (creating) {
+    if (input.client_id !== undefined && input.client_id !== actor.clientId && !isPlatformAdmin(actor)) {
+      throw translatable(
+        new ApiKeyValidationError("Solo podés crear keys para tu propio cliente.", "FORBIDDEN", undefined, 403),
+        "errors.KEY_OTHER_CLIENT"
+      );
+    }
+    if (input.client_id !== undefined && (typeof input.client_id !== "string" || !input.client_id.trim())) {
+      errors.push({ field: "client_id", rule: "non_empty_text" });
+    }
+
+    if (input.permissions !== undefined) {
+      if (!Array.isArray(input.permissions) || input.permissions.some(p => typeof p !== "string" || !p.trim())) {
+        errors.push({ field: "permissions", rule: "string_array" });
+      } else if (input.permissions.some(p => !isKnownScope(p.trim()))) {
+        const unknown = input.permissions.filter(p => !isKnownScope(p.trim()));
+        errors.push({ field: "permissions", rule: "unknown_scopes", params: { scopes: unknown.join(", ") } });
+      } else {
+        fields.permissions = Array.from(new Set(input.permissions.map(p => p.trim())));
+        // Nadie otorga permisos que su propia key no tiene
+        const exceeded = fields.permissions.filter(p => !grantsScope(actor.permissions, p));
+        if (exceeded.length) {
+          throw translatable(
+            new ApiKeyValidationError(`No podés otorgar permisos que tu key no tiene: ${exceeded.join(", ")}.`, "FORBIDDEN", { permissions: exceeded }, 403),
+            "errors.KEY_PERMISSIONS_EXCEEDED",
+            { permissions: exceeded.join(", ") }
+          );
+        }
+      }
+    }
+
+    integerOrNull("rate_limit");
+    integerOrNull("monthly_quota");
+
+    if (input.ai_provider !== undefined && input.ai_provider !== null) {
+      const names = listProviders().map(p => p.name);
+      if (!names.includes(input.ai_provider)) {
+        errors.push({ field: "ai_provider", rule: "enum", params: { values: names.join(", ") } });
+      } else {
+        fields.ai_provider = input.ai_provider;
+      }
+    }
+
+    if (input.require_pii_redaction !== undefined) {
+      if (typeof input.require_pii_redaction !== "boolean") {
+        errors.push({ field: "require_pii_redaction", rule: "type", params: { type: "boolean" } });
+      } else {
+        fields.require_pii_redaction = input.require_pii_redaction;
+      }
+    }
+  }
+
+  if (errors.length) throw new ApiKeyValidationError("Parámetros inválidos.", "KEY_INVALID", errors);
+  return fields;
+}
+
+function newKeyRecord(fields, actor) {
+  const apiKey = generateApiKey();
+  const record = {
+    id: crypto.randomUUID(),
+    client_id: fields.client_id || actor.clientId,
+    name: fields.name || null,
+    key_hash: hashApiKey(apiKey),
+    key_prefix: keyPrefix(apiKey),
+    // Sin permisos explícitos: los scopes por defecto que el creador tiene
+    permissions: fields.permissions || DEFAULT_KEY_SCOPES.filter(scope => grantsScope(actor.permissions, scope)),
+    rate_limit: fields.rate_limit ?? null,
+    monthly_quota: fields.monthly_quota ?? null,
+    ai_provider: fields.ai_provider || null,
+    require_pii_redaction: fields.require_pii_redaction === true,
+    is_active: true,
+    created_at: new Date().toISOString(),
+    created_by: actor.keyId || null,
+    expires_at: fields.expires_at || null,
+    last_used_at: null,
+    revoked_at: null,
+    revoked_by: null,
+    rotated_from: fields.rotated_from || null,
+    rotated_to: null
+  };
+  return { apiKey, record };
+}
+
+/**
+ * Crea una key. `actor` es la key que hace el pedido: { clientId, keyId, permissions }.
+ */
+async function createKey(input, actor) {
+  const fields = buildKeyFields(input, actor, { creating: true });
+  if (input.client_id !== undefined) fields.client_id = input.client_id.trim();
+
+  const { apiKey, record } = newKeyRecord(fields, actor);
+  await getApiKeyStore().save(record);
+  return { key: publicKey(record), api_key: apiKey };
+}
+
+async function getKey(id, actor) {
+  const key = await getApiKeyStore().get(id);
+  return canManage(actor, key) ? key : null;
+}
+
+async function listKeys(actor, query = {}) {
+  const errors = [];
+  const read = (name, fallback, { min, max }) => {
+    if (query[name] === undefined || query[name] === "") return fallback;
+    const n = Number(query[name]);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      errors.push({ field: name, rule: "integer_range", params: { min, max } });
+      return fallback;
+    }
+    return n;
+  };
+  const paging = {
+    limit: read("limit", DEFAULT_LIMIT, { min: 1, max: MAX_LIMIT }),
+    offset: read("offset", 0, { min: 0, max: Number.MAX_SAFE_INTEGER })
+  };
+  if (errors.length) throw new ApiKeyValidationError("Parámetros inválidos.", "KEY_INVALID", errors);
+
+  // Los administradores de plataforma ven todos los clientes salvo que filtren por uno
+  const clientId = isPlatformAdmin(actor) ? query.client_id || null : actor.clientId;
+  const { results, total } = await getApiKeyStore().list(clientId, {
+    includeRevoked: query.include_revoked === "true",
+    ...paging
+  });
+  return {
+    results: results.map(publicKey),
+    pagination: { ...paging, total, has_more: paging.offset + results.length < total }
+  };
+}
+
+function assertNotRevoked(key) {
+  if (keyStatus(key) === "revoked") {
+    throw translatable(
+      new ApiKeyValidationError("La key está revocada.", "KEY_REVOKED", undefined, 409),
+      "errors.KEY_REVOKED",
+      { id: key.id }
+    );
+  }
+}
+
+// Modificar, rotar o revocar una key exige tener todos sus scopes: si no, una key con solo
+// "admin:keys" podría rotar una "*" del mismo cliente y quedarse con el valor en claro
+function assertCoversKey(actor, key) {
+  const exceeded = (key.permissions || []).filter(p => !grantsScope(actor.permissions, p));
+  if (exceeded.length) {
+    throw translatable(
+      new ApiKeyValidationError(
+        `No podés gestionar una key con permisos que tu key no tiene: ${exceeded.join(", ")}.`,
+        "KEY_PERMISSIONS_EXCEEDED",
+        { permissions: exceeded },
+        403
+      ),
+      "errors.KEY_MANAGE_EXCEEDED",
+      { permissions: exceeded.join(", ") }
+    );
+  }
+}
+
+/**
+ * Cambia nombre y/o vencimiento (expires_at: null quita el vencimiento)
+ */
+async function updateKey(id, input, actor) {
+  const current = await getKey(id, actor);
+  if (!current) return null;
+  assertCoversKey(actor, current);
+  assertNotRevoked(current);
+
+  const key = { ...current, ...buildKeyFields(input, actor) };
+  await getApiKeyStore().save(key);
+  return publicKey(key);
+}
+
+/**
+ * Emite una key nueva con la misma configuración. La anterior sigue valiendo
+ * `grace_period_hours` (0 = corta en el acto) para que el cliente despliegue
+ * la nueva sin cortes.
+ */
+async function rotateKey(id, input = {}, actor) {
+  const current = await getKey(id, actor);
+  if (!current) return null;
+  assertCoversKey(actor, current);
+  assertNotRevoked(current);
+
+  const graceHours = input.grace_period_hours === undefined ? DEFAULT_GRACE_HOURS : Number(input.grace_period_hours);
+  if (!Number.isFinite(graceHours) || graceHours < 0 || graceHours > MAX_GRACE_HOURS) {
+    throw translatable(
+      new ApiKeyValidationError("Parámetros inválidos.", "KEY_INVALID", [
+        { field: "grace_period_hours", rule: "number_range", params: { min: 0, max: MAX_GRACE_HOURS } }
+      ]),
+      "errors.KEY_INVALID_GRACE",
+      { max: MAX_GRACE_HOURS }
+    );
+  }
+
+  const { apiKey, record } = newKeyRecord({
+    client_id: current.client_id,
+    name: current.name,
+    permissions: current.permissions,
+    rate_limit: current.rate_limit,
+    monthly_quota: current.monthly_quota,
+    ai_provider: current.ai_provider,
+    require_pii_redaction: current.require_pii_redaction,
+    expires_at: current.expires_at,
+    rotated_from: current.id
+  }, actor);
+
+  const graceEnd = Date.now() + graceHours * 60 * 60 * 1000;
+  const currentEnd = current.expires_at ? new Date(current.expires_at).getTime() : Infinity;
+  const previous = {
+    ...current,
+    expires_at: new Date(Math.min(graceEnd, currentEnd)).toISOString(),
+    rotated_to: record.id
+  };
+
+  const store = getApiKeyStore();
+  await store.save(record);
+  await store.save(previous);
+  return { key: publicKey(record), api_key: apiKey, previous: publicKey(previous) };
+}
+
+/**
+ * Revoca en el acto. La fila se conserva para auditoría.
+ */
+async function revokeKey(id, actor) {
+  const current = await getKey(id, actor);
+  if (!current) return null;
+  assertCoversKey(actor, current);
+  if (keyStatus(current) === "revoked") return publicKey(current);
+
+  const key = {
+    ...current,
+    is_active: false,
+    revoked_at: new Date().toISOString(),
+    revoked_by: actor.keyId || null
+  };
+  await getApiKeyStore().save(key);
+  return publicKey(key);
+}
+
+/**
+ * Busca la key de un request. status: active | expired | revoked | invalid
+ */
+async function resolveApiKey(apiKey) {
+  const key = await getApiKeyStore().findByHash(hashApiKey(apiKey));
+  if (!key) return { key: null, status: "invalid" };
+  return { key, status: keyStatus(key) };
+}
+
+const lastTouched = new Map();
+
+/**
+ * Registra el uso de la key sin demorar el request
+ */
+function recordKeyUse(key) {
+  const now = Date.now();
+  if (now - (lastTouched.get(key.id) || 0) < LAST_USED_THROTTLE_MS) return;
+  lastTouched.set(key.id, now);
+
+  getApiKeyStore()
+    .touch(key.id, new Date(now).toISOString())
+    .catch(error => console.error("💥 Error registrando uso de API key:", error.message));
+}
+
+module.exports = {
+  ApiKeyValidationError,
+  hashApiKey,
+  generateApiKey,
+  bootstrapKey,
+  publicKey,
+  createKey,
+  getKey,
+  listKeys,
+  updateKey,
+  rotateKey,
+  revokeKey,
+  resolveApiKey,
+  recordKeyUse
+};
@@ -0,0 +1,127 @@
+/**
+ * Almacén de API keys de clientes privados (/v1/admin/keys y validateApiKey).
+ * Solo se guarda el hash de cada key (hashApiKey), nunca el valor en claro.
+ *
+ * - "supabase" (por defecto si hay SUPABASE_URL): tabla `api_keys`.
+ * - "memory": Map en proceso (desarrollo/tests). Si hay API_KEY en el entorno
+ *   se registra como key de administración del cliente "local".
+ *
+ * Se elige con API_KEY_STORE=memory|supabase.
+ */
+
+function createMemoryApiKeyStore({ seed = [] } = {}) {
+  const keys = new Map(seed.map(key => [key.id, key]));
+
+  return {
+    kind: "memory",
+
+    async save(key) {
+      keys.set(key.id, key);
+      return key;
+    },
+
+    async get(id) {
+      return keys.get(id) || null;
+    },
+
+    async findByHash(keyHash) {
+      return Array.from(keys.values()).find(k => k.key_hash === keyHash) || null;
+    },
+
+    async list(clientId, { includeRevoked, limit, offset }) {
+      const matched = Array.from(keys.values())
+        .filter(k => (!clientId || k.client_id === clientId) && (includeRevoked || !k.revoked_at))
+        .sort((a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0));
+      return { results: matched.slice(offset, offset + limit), total: matched.length };
+    },
+
+    async touch(id, lastUsedAt) {
+      const key = keys.get(id);
+      if (key) key.last_used_at = lastUsedAt;
+    }
+  };
+}
+
+function createSupabaseApiKeyStore(client, { table = "api_keys" } = {}) {
+  return {
+    kind: "supabase",
+
+    async save(key) {
+      const { error } = await client.from(table).upsert(key);
+      if (error) throw new Error(`Error guardando API key: ${error.message}`);
+      return key;
+    },
+
+    async get(id) {
+      const { data, error } = await client
+        .from(table)
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+      if (error) throw new Error(`Error leyendo API key: ${error.message}`);
+      return data || null;
+    },
+
+    async findByHash(keyHash) {
+      const { data, error } = await client
+        .from(table)
+        .select("*")
+        .eq("key_hash", keyHash)
+        .maybeSingle();
+      if (error) throw new Error(`Error leyendo API key: ${error.message}`);
+      return data || null;
+    },
+
+    async list(clientId, { includeRevoked, limit, offset }) {
+      let query = client
+        .from(table)
+        .select("*", { count: "exact" });
+      if (clientId) query = query.eq("client_id", clientId);
+      if (!includeRevoked) query = query.is("revoked_at", null);
+
+      const { data, error, count } = await query
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (error) throw new Error(`Error listando API keys: ${error.message}`);
+      return { results: data || [], total: count || 0 };
+    },
+
+    async touch(id, lastUsedAt) {
+      const { error } = await client
+        .from(table)
+        .update({ last_used_at: lastUsedAt })
+        .eq("id", id);
+      if (error) throw new Error(`Error actualizando last_used_at: ${error.message}`);
+    }
+  };
+}
+
+let defaultStore = null;
+
+function getApiKeyStore() {
+  if (defaultStore) return defaultStore;
+
+  const kind = (process.env.API_KEY_STORE || (process.env.SUPABASE_URL ? "supabase" : "memory")).toLowerCase();
+  if (kind === "supabase") {
+    const { supabase } = require("./supabase.js");
+    defaultStore = createSupabaseApiKeyStore(supabase);
+  } else {
+    const { bootstrapKey } = require("./apiKeyService.js");
+    const seed = process.env.API_KEY ? [bootstrapKey(process.env.API_KEY)] : [];
+    defaultStore = createMemoryApiKeyStore({ seed });
+  }
+
+  console.log(`🗄️ API key store: ${defaultStore.kind}`);
+  return defaultStore;
+}
+
+function setApiKeyStore(store) {
+  defaultStore = store;
+}
+
+module.exports = {
+  createMemoryApiKeyStore,
+  createSupabaseApiKeyStore,
+  getApiKeyStore,
+  setApiKeyStore
+};
@@ -0,0 +1,420 @@
+const { analyzeProfile } = require("./profileAnalysisService.js");
+const { analyzePublicCvText, storePublicAnalysis } = require("./publicCvService.js");
+const { createBatchId, getBatchStore } = require("./batchStore.js");
+const { parseCvSections } = require("./cvSectionParser.js");
+const { DEFAULT_LANGUAGE, normalizeLanguage, t, localizeError, translatable } = require("./i18n.js");
+const { emitEvent, analysisEvent } = require("./webhookService.js");
+const { OutboundUrlError, validateOutboundUrl, postJson, outboundErrorLabel } = require("./outboundHttp.js");
+
+/**
+ * Análisis por lotes (POST /v1/batch/analyze).
+ * El lote se registra y se responde de inmediato; los ítems se procesan en
+ * segundo plano con concurrencia acotada usando el mismo pipeline que los
+ * endpoints individuales, y al terminar se envía el resultado a callback_url.
+ * Cada ítem y el cierre del lote también se notifican por webhooks
+ * (analysis.completed / analysis.failed / batch.completed).
+ *
+ * El procesamiento es reanudable: cada ítem terminado se persiste y, si la
+ * función se congela después de responder (Vercel), el cron de vercel.json
+ * llama a drainBatches() y sigue desde los ítems pendientes.
+ *
+ * El texto de cada ítem (`items[].input`, puede traer el CV completo) se
+ * borra apenas el ítem termina, y también cuando el lote vence sin terminar
+ * (BATCH_TTL_HOURS): esos ítems quedan fallidos con BATCH_EXPIRED.
+ */
+
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS || 200);
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY || 3);
+const CALLBACK_MAX_ATTEMPTS = Number(process.env.BATCH_CALLBACK_MAX_ATTEMPTS || 4);
+const BATCH_TTL_HOURS = Number(process.env.BATCH_TTL_HOURS || 24);
+const BATCH_DRAIN_MS = Number(process.env.BATCH_DRAIN_MS || 25_000);
+const BATCH_LEASE_MS = 2 * 60 * 1000;
+const CALLBACK_TIMEOUT_MS = 10_000;
+const CALLBACK_BASE_DELAY_MS = 1_000;
+
+class BatchValidationError extends Error {
+  constructor(message, code = "BATCH_INVALID", details) {
+    super(message);
+    this.name = "BatchValidationError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Misma guarda que los webhooks (outboundHttp.js): nada de hosts internos
+async function validateCallbackUrl(callbackUrl) {
+  if (callbackUrl === undefined || callbackUrl === null || callbackUrl === "") return null;
+
+  try {
+    return await validateOutboundUrl(callbackUrl);
+  } catch (error) {
+    if (!(error instanceof OutboundUrlError)) throw error;
+    throw translatable(
+      new BatchValidationError(`callback_url: ${error.message}`, "CALLBACK_URL_INVALID"),
+      `errors.CALLBACK_URL_${error.reason.toUpperCase()}`,
+      error.params
+    );
+  }
+}
+
+/**
+ * Cada ítem puede ser un perfil estructurado, { cv_text } o un string con el CV.
+ */
+function toBatchItem(input, index) {
+  if (typeof input === "string") {
+    return { index, external_id: null, type: "cv_text", input: { cv_text: input }, status: "pending" };
+  }
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return null;
+  }
+
+  const externalId = input.external_id ?? input.id ?? null;
+  const type = typeof input.cv_text === "string" ? "cv_text" : "profile";
+  return {
+    index,
+    external_id: externalId === null ? null : String(externalId),
+    type,
+    input,
+    status: "pending"
+  };
+}
+
+/**
+ * `options.lang` del cuerpo tiene prioridad sobre el idioma negociado del
+ * request (`lang`); queda guardado para analizar los ítems en segundo plano.
+ */
+async function createBatch({ profiles, callback_url, options } = {}, { clientId, aiProvider, refresh = false, lang, requireRedaction = false }) {
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    throw new BatchValidationError("El campo 'profiles' es requerido y debe ser un array no vacío.", "PROFILES_REQUIRED");
+  }
+  if (profiles.length > BATCH_MAX_ITEMS) {
+    throw translatable(new BatchValidationError(
+      `Un lote admite como máximo ${BATCH_MAX_ITEMS} ítems (recibidos: ${profiles.length}).`,
+      "BATCH_TOO_LARGE"
+    ), "errors.BATCH_TOO_LARGE", { max: BATCH_MAX_ITEMS, count: profiles.length });
+  }
+
+  const items = profiles.map(toBatchItem);
+  const invalid = items.map((item, index) => (item ? null : index)).filter(i => i !== null);
+  if (invalid.length) {
+    throw new BatchValidationError(
+      "Cada ítem debe ser un perfil (objeto), { cv_text } o un string con el CV.",
+      "BATCH_ITEM_INVALID",
+      { invalid_indexes: invalid }
+    );
+  }
+
+  const extra = options && typeof options === "object" ? options : {};
+  const language = normalizeLanguage(extra.lang) || normalizeLanguage(lang) || DEFAULT_LANGUAGE;
+
+  const createdAt = Date.now();
+  const now = new Date(createdAt).toISOString();
+  return {
+    id: createBatchId(),
+    client_id: clientId,
+    ai_provider: aiProvider || null,
+    require_pii_redaction: requireRedaction === true,
+    status: "queued",
+    total: items.length,
+    processed: 0,
+    succeeded: 0,
+    failed: 0,
+    options: { ...extra, lang: language, ...(refresh ? { refresh: true } : {}) },
+    items,
+    callback_url: await validateCallbackUrl(callback_url),
+    callback: { status: callback_url ? "pending" : "none", attempts: 0, last_error: null, delivered_at: null },
+    created_at: now,
+    updated_at: now,
+    completed_at: null,
+    expires_at: new Date(createdAt + BATCH_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+    // Lo toma quien lo crea; si no llega a procesarlo, el cron lo retoma al vencer
+    lease_expires_at: new Date(createdAt + BATCH_LEASE_MS).toISOString()
+  };
+}
+
+async function analyzeItem(item, batch) {
+  if (item.type === "cv_text") {
+    const text = String(item.input.cv_text || "").trim();
+    if (text.length < 50) {
+      const error = new Error("El texto del CV debe tener al menos 50 caracteres.");
+      error.code = "CV_TEXT_TOO_SHORT";
+      throw error;
+    }
+
+    const analysis = {
+      ...(await analyzePublicCvText(text, {
+        provider: batch.ai_provider,
+        refresh: batch.options.refresh === true,
+        lang: batch.options.lang,
+        requireRedaction: batch.require_pii_redaction === true
+      })),
+      text_length: text.length,
+      processed_at: new Date().toISOString()
+    };
+    const { id } = await storePublicAnalysis({
+      cvText: text,
+      email: item.input.email,
+      source: "batch",
+      analysis,
+      parsed: parseCvSections(text),
+      idPrefix: "batch",
+      clientId: batch.client_id,
+      ttlDays: null
+    });
+    return { id, analysis };
+  }
+
+  const payload = item.input.profile ? item.input : { profile: item.input };
+  const { id, analysis } = await analyzeProfile(
+    { ...payload, options: { source: "batch", ...batch.options, ...payload.options } },
+    {
+      clientId: batch.client_id,
+      aiProvider: batch.ai_provider,
+      lang: batch.options.lang,
+      requireRedaction: batch.require_pii_redaction === true
+    }
+  );
+  return { id, analysis };
+}
+
+/**
+ * POST al callback_url con reintentos y backoff exponencial (1s, 4s, 16s...).
+ */
+async function deliverCallback(batch, payload, { maxAttempts = CALLBACK_MAX_ATTEMPTS, baseDelayMs = CALLBACK_BASE_DELAY_MS } = {}) {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    batch.callback.attempts = attempt;
+    let detail = null;
+    try {
+      const response = await postJson(batch.callback_url, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "Petrolink-Batch/1.0",
+          "X-Petrolink-Event": "batch.completed",
+          "X-Petrolink-Batch-Id": batch.id
+        },
+        body: JSON.stringify(payload),
+        timeoutMs: CALLBACK_TIMEOUT_MS
+      });
+
+      if (response.ok) {
+        batch.callback.status = "delivered";
+        batch.callback.delivered_at = new Date().toISOString();
+        batch.callback.last_error = null;
+        return true;
+      }
+      batch.callback.last_error = `HTTP ${response.status}`;
+    } catch (error) {
+      // Al cliente le llega solo la etiqueta; el detalle del socket queda en el log del server
+      batch.callback.last_error = outboundErrorLabel(error);
+      detail = error.message;
+    }
+
+    console.warn(`⚠️ Batch callback ${batch.id} attempt ${attempt}/${maxAttempts} failed: ${detail || batch.callback.last_error}`);
+    if (attempt < maxAttempts) await sleep(baseDelayMs * 4 ** (attempt - 1));
+  }
+
+  batch.callback.status = "failed";
+  return false;
+}
+
+function publicItem(item, { includeResults = false } = {}) {
+  const out = {
+    index: item.index,
+    external_id: item.external_id,
+    type: item.type,
+    status: item.status,
+    analysis_id: item.analysis_id || null,
+    score: item.result?.score ?? null,
+    error: item.error || null
+  };
+  if (includeResults) out.analysis = item.result || null;
+  return out;
+}
+
+function toBatchResponse(batch, { includeResults = false } = {}) {
+  return {
+    batch_id: batch.id,
+    status: batch.status,
+    total: batch.total,
+    processed: batch.processed,
+    succeeded: batch.succeeded,
+    failed: batch.failed,
+    created_at: batch.created_at,
+    updated_at: batch.updated_at,
+    completed_at: batch.completed_at,
+    expires_at: batch.expires_at || null,
+    callback: batch.callback_url ? { url: batch.callback_url, ...batch.callback } : null,
+    items: batch.items.map(item => publicItem(item, { includeResults }))
+  };
+}
+
+function isBatchExpired(batch, now = Date.now()) {
+  return !!batch.expires_at && new Date(batch.expires_at).getTime() <= now;
+}
+
+// Ítems que el lote ya no va a procesar: fallidos y sin su texto
+function expirePendingItems(batch) {
+  for (const item of batch.items) {
+    if (item.status !== "pending") continue;
+    item.status = "failed";
+    item.error = { code: "BATCH_EXPIRED", message: t(batch.options.lang, "errors.BATCH_EXPIRED") };
+    delete item.input;
+    batch.failed += 1;
+    batch.processed += 1;
+  }
+}
+
+/**
+ * Procesa los ítems pendientes de un lote ya tomado (lease propio). Con
+ * `deadline` deja de tomar ítems nuevos a esa hora y libera el lease para que
+ * el próximo drain siga; si no quedan pendientes, cierra el lote.
+ */
+async function processBatch(batch, { store = getBatchStore(), concurrency = BATCH_CONCURRENCY, deadline = Infinity } = {}) {
+  // Las escrituras se encadenan para que un snapshot viejo nunca pise uno nuevo
+  let saving = Promise.resolve();
+  const persist = ({ release = false } = {}) => {
+    const now = Date.now();
+    batch.updated_at = new Date(now).toISOString();
+    // Cada escritura renueva el lease; null lo deja libre para el drain
+    batch.lease_expires_at = release ? null : new Date(now + BATCH_LEASE_MS).toISOString();
+    const snapshot = JSON.parse(JSON.stringify(batch));
+    saving = saving
+      .then(() => store.save(snapshot))
+      .catch(error => console.error(`💥 Error persisting batch ${batch.id}:`, error.message));
+    return saving;
+  };
+
+  // Un proceso anterior murió a mitad de estos ítems: se vuelven a analizar
+  for (const item of batch.items) {
+    if (item.status === "processing") item.status = "pending";
+  }
+  if (isBatchExpired(batch)) expirePendingItems(batch);
+
+  batch.status = "processing";
+  await persist();
+
+  const pending = batch.items.filter(item => item.status === "pending");
+  const worker = async () => {
+    while (pending.length && Date.now() < deadline) {
+      const item = pending.shift();
+      item.status = "processing";
+      try {
+        const { id, analysis } = await analyzeItem(item, batch);
+        item.status = "completed";
+        item.analysis_id = id;
+        item.result = analysis;
+        batch.succeeded += 1;
+        emitEvent(batch.client_id, "analysis.completed", analysisEvent({
+          analysisId: id,
+          source: "batch",
+          analysis,
+          batch_id: batch.id,
+          external_id: item.external_id
+        }));
+      } catch (error) {
+        item.status = "failed";
+        item.error = { code: error.code || "ANALYSIS_FAILED", message: localizeError(batch.options.lang, error) };
+        batch.failed += 1;
+        emitEvent(batch.client_id, "analysis.failed", {
+          source: "batch",
+          batch_id: batch.id,
+          external_id: item.external_id,
+          index: item.index,
+          error: item.error
+        });
+      }
+      delete item.input;
+      batch.processed += 1;
+      persist();
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, pending.length)) }, worker));
+
+  if (pending.length) {
+    await persist({ release: true });
+    console.log(`⏸️ Batch ${batch.id} paused: ${batch.processed}/${batch.total} processed`);
+    return batch;
+  }
+
+  batch.status = batch.failed === 0 ? "completed" : batch.succeeded === 0 ? "failed" : "completed_with_errors";
+  batch.completed_at = new Date().toISOString();
+  await persist();
+  console.log(`✅ Batch ${batch.id} ${batch.status}: ${batch.succeeded}/${batch.total} ok`);
+  // Los análisis ya viajaron uno por uno en analysis.completed
+  emitEvent(batch.client_id, "batch.completed", toBatchResponse(batch));
+
+  if (batch.callback_url) {
+    await deliverCallback(batch, {
+      event: "batch.completed",
+      ...toBatchResponse(batch, { includeResults: true })
+    });
+  }
+  await persist({ release: true });
+
+  return batch;
+}
+
+/**
+ * Retoma los lotes sin terminar cuyo lease venció (cron de vercel.json o
+ * cualquier scheduler). Corre hasta `budgetMs` y devuelve cómo quedó cada uno.
+ */
+async function drainBatches({ store = getBatchStore(), budgetMs = BATCH_DRAIN_MS, limit = 10 } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const candidates = await store.listResumable({ now: new Date().toISOString(), limit });
+  const drained = [];
+
+  for (const candidate of candidates) {
+    if (Date.now() >= deadline) break;
+    const batch = await store.claim(candidate.id, {
+      now: new Date().toISOString(),
+      leaseUntil: new Date(Date.now() + BATCH_LEASE_MS).toISOString()
+    });
+    // Otro worker lo tomó entre el listado y el claim
+    if (!batch) continue;
+
+    await processBatch(batch, { store, deadline });
+    drained.push({ batch_id: batch.id, status: batch.status, processed: batch.processed, total: batch.total });
+  }
+  return drained;
+}
+
+/**
+ * Registra el lote y lanza el procesamiento sin esperar. Si la instancia no
+ * llega a terminarlo, drainBatches lo retoma cuando vence el lease.
+ */
+async function submitBatch(body, { clientId, aiProvider, refresh, lang, requireRedaction }) {
+  const batch = await createBatch(body, { clientId, aiProvider, refresh, lang, requireRedaction });
+  const store = getBatchStore();
+  await store.save(JSON.parse(JSON.stringify(batch)));
+
+  setImmediate(() => {
+    processBatch(batch, { store }).catch(error => {
+      console.error(`💥 Batch ${batch.id} crashed:`, error);
+    });
+  });
+
+  return batch;
+}
+
+async function getBatch(id, clientId) {
+  const batch = await getBatchStore().get(id);
+  if (!batch || batch.client_id !== clientId) return null;
+  return batch;
+}
+
+module.exports = {
+  BATCH_MAX_ITEMS,
+  BatchValidationError,
+  createBatch,
+  processBatch,
+  drainBatches,
+  deliverCallback,
+  submitBatch,
+  getBatch,
+  toBatchResponse
+};
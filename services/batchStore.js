@@ -0,0 +1,134 @@
+/**
+ * Almacén de lotes de análisis (/v1/batch).
+ *
+ * - "supabase" (por defecto si hay SUPABASE_URL): tabla `analysis_batches`.
+ * - "memory": Map en proceso (desarrollo/tests).
+ *
+ * Se elige con BATCH_STORE=memory|supabase.
+ *
+ * Un lote en proceso tiene `lease_expires_at`: quien lo procesa lo renueva en
+ * cada escritura. Si el proceso muere (o Vercel congela la función) el lease
+ * vence y el drain del cron lo retoma con claim(), que solo gana un worker.
+ */
+
+const crypto = require("crypto");
+
+const MEMORY_MAX_BATCHES = 500;
+const RESUMABLE_STATUSES = ["queued", "processing"];
+
+function createBatchId() {
+  return `batch_${crypto.randomBytes(16).toString("base64url")}`;
+}
+
+const leaseFree = (batch, now) => !batch.lease_expires_at || batch.lease_expires_at < now;
+
+function createMemoryBatchStore({ maxEntries = MEMORY_MAX_BATCHES } = {}) {
+  const batches = new Map();
+
+  return {
+    kind: "memory",
+
+    async save(batch) {
+      batches.set(batch.id, batch);
+      while (batches.size > maxEntries) {
+        batches.delete(batches.keys().next().value);
+      }
+      return batch;
+    },
+
+    async get(id) {
+      return batches.get(id) || null;
+    },
+
+    // Lotes sin terminar y sin nadie procesándolos, los más viejos primero
+    async listResumable({ now, limit }) {
+      return Array.from(batches.values())
+        .filter(b => RESUMABLE_STATUSES.includes(b.status) && leaseFree(b, now))
+        .sort((a, b) => (a.created_at < b.created_at ? -1 : 1))
+        .slice(0, limit);
+    },
+
+    async claim(id, { now, leaseUntil }) {
+      const batch = batches.get(id);
+      if (!batch || !leaseFree(batch, now)) return null;
+      batch.lease_expires_at = leaseUntil;
+      return JSON.parse(JSON.stringify(batch));
+    }
+  };
+}
+
+function createSupabaseBatchStore(client, { table = "analysis_batches" } = {}) {
+  return {
+    kind: "supabase",
+
+    async save(batch) {
+      const { error } = await client.from(table).upsert(batch);
+      if (error) throw new Error(`Error guardando lote: ${error.message}`);
+      return batch;
+    },
+
+    async get(id) {
+      const { data, error } = await client
+        .from(table)
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+      if (error) throw new Error(`Error leyendo lote: ${error.message}`);
+      return data || null;
+    },
+
+    async listResumable({ now, limit }) {
+      const { data, error } = await client
+        .from(table)
+        .select("*")
+        .in("status", RESUMABLE_STATUSES)
+        .or(`lease_expires_at.is.null,lease_expires_at.lt.${now}`)
+        .order("created_at", { ascending: true })
+        .limit(limit);
+      if (error) throw new Error(`Error listando lotes pendientes: ${error.message}`);
+      return data || [];
+    },
+
+    // Update condicional: si otro worker renovó el lease, no devuelve filas
+    async claim(id, { now, leaseUntil }) {
+      const { data, error } = await client
+        .from(table)
+        .update({ lease_expires_at: leaseUntil })
+        .eq("id", id)
+        .or(`lease_expires_at.is.null,lease_expires_at.lt.${now}`)
+        .select("*")
+        .maybeSingle();
+      if (error) throw new Error(`Error tomando lote: ${error.message}`);
+      return data || null;
+    }
+  };
+}
+
+let defaultStore = null;
+
+function getBatchStore() {
+  if (defaultStore) return defaultStore;
+
+  const kind = (process.env.BATCH_STORE || (process.env.SUPABASE_URL ? "supabase" : "memory")).toLowerCase();
+  if (kind === "supabase") {
+    const { supabase } = require("./supabase.js");
+    defaultStore = createSupabaseBatchStore(supabase);
+  } else {
+    defaultStore = createMemoryBatchStore();
+  }
+
+  console.log(`🗄️ Batch store: ${defaultStore.kind}`);
+  return defaultStore;
+}
+
+function setBatchStore(store) {
+  defaultStore = store;
+}
+
+module.exports = {
+  createBatchId,
+  createMemoryBatchStore,
+  createSupabaseBatchStore,
+  getBatchStore,
+  setBatchStore
+};
@@ -0,0 +1,218 @@
+const crypto = require("crypto");
+const { ENTITY_TYPES, createRedactor } = require("./ai/redaction.js");
+const { yearsFromExperience } = require("./cvSectionParser.js");
+const { toArray } = require("../utils/textProcessors.js");
+const { analysisSkills } = require("./analysisStore.js");
+const { t, normalizeLanguage } = require("./i18n.js");
+
+/**
+ * Perfiles "ciegos" para screening con menos sesgo.
+ *
+ * A partir de un análisis guardado (cv_analyses) arma una versión sin
+ * identidad: se quitan nombre, contacto, referencias a fotos, marcadores de
+ * género, edad/fecha de nacimiento y nacionalidad; se conservan skills,
+ * experiencia, certificaciones e idiomas.
+ *
+ * Es heurístico como la redacción de PII (ai/redaction.js), que se reutiliza
+ * para nombres y contacto. Ante la duda se quita de más: la institución y los
+ * años de estudio no se exponen porque delatan edad y país de origen.
+ */
+
+const REMOVED_CATEGORIES = ["name", "contact", "photo", "gender", "age", "nationality"];
+
+// Líneas o segmentos "Rótulo: valor" con datos que no deben llegar al reclutador
+const SENSITIVE_LABELS = {
+  age: /^(?:fecha\s+(?:y\s+lugar\s+)?de\s+nacimiento|f\.\s*de\s+nac\.?|nacimiento|edad|date\s+of\s+birth|birth\s*date|d\.?o\.?b\.?|age|data\s+de\s+nascimento|idade)\s*[:-]/i,
+  nationality: /^(?:lugar\s+de\s+nacimiento|nacionalidad|place\s+of\s+birth|nationality|citizenship|naturalidade|nacionalidade)\s*[:-]/i,
+  gender: /^(?:sexo|g[ée]nero|estado\s+civil|sex|gender|marital\s+status)\s*[:-]/i,
+  photo: /^(?:foto(?:graf[ií]a)?|photo(?:graph)?|picture|imagen)\s*[:-]/i
+};
+
+const IMAGE_FILE_RE = /\b[\w-]+\.(?:jpe?g|png|gif|webp|heic|bmp)\b/gi;
+const URL_RE = /(?:https?:\/\/|www\.)\S+|\b(?:[\w]+\.)?linkedin\.com\/\S*/gi;
+const AGE_PHRASE_RE = /\b(?:de\s+|aged\s+)?\d{2}\s+(?:años\s+de\s+edad|years?\s+old|anos\s+de\s+idade)\b/gi;
+const BORN_RE = /\b(?:nacid[oa]|born|nascid[oa])\s+(?:en|el|in|on|em)\s+[^,.;|\n]+/gi;
+const HONORIFIC_RE = /\b(?:Sr|Sra|Srta|Mr|Mrs|Ms|Miss)\.?\s+(?=\p{Lu})/gu;
+
+// Gentilicios que suelen aparecer en titulares ("Ingeniero venezolano con...").
+// "español", "inglés"... quedan afuera: también son idiomas.
+const DEMONYM_RE = /\b(?:venezolan|colombian|argentin|mexican|ecuatorian|peruan|chilen|boliviano|uruguay|paraguay|panameñ|cuban|dominican|brasileñ|brasileir|trinitens)[oa]?s?\b|\b(?:venezuelan|colombian|argentinian|argentine|mexican|ecuadorian|peruvian|chilean|bolivian|uruguayan|paraguayan|panamanian|cuban|dominican|brazilian|trinidadian)\b/giu;
+
+// Cargos con género gramatical -> forma inclusiva ("Ingeniera" -> "Ingeniero/a")
+const GENDERED_TITLES = [
+  [/\bingenier[oa]\b(?!\/)/gi, "ingeniero/a"],
+  [/\blicenciad[oa]\b(?!\/)/gi, "licenciado/a"],
+  [/\bge[oó]log[oa]\b(?!\/)/gi, "geólogo/a"],
+  [/\begresad[oa]\b(?!\/)/gi, "egresado/a"],
+  [/\bgraduad[oa]\b(?!\/)/gi, "graduado/a"],
+  [/\bjef[ea]\b(?!\/)/gi, "jefe/a"],
+  [/\b(supervis|operad|coordinad|direct|inspect|consult|desarrollad|programad|administrad)ora?\b(?!\/)/gi, null]
+];
+
+const MARKER_RE = new RegExp(`([.!?]\\s+)?\\[(${ENTITY_TYPES.map(type => type.toUpperCase()).join("|")})_\\d+\\]`, "g");
+
+const PRONOUNS = { he: "they", she: "they", him: "them", his: "their", her: "their", hers: "theirs", himself: "themselves", herself: "themselves" };
+const PRONOUN_RE = new RegExp(`\\b(${Object.keys(PRONOUNS).join("|")})\\b`, "gi");
+
+function matchCase(source, word) {
+  return source[0] === source[0].toUpperCase() ? word[0].toUpperCase() + word.slice(1) : word;
+}
+
+const list = value => (Array.isArray(value) ? value.filter(Boolean) : []);
+
+function candidateRef(id) {
+  return `CAND-${crypto.createHash("sha256").update(String(id)).digest("hex").slice(0, 8).toUpperCase()}`;
+}
+
+/**
+ * Limpia textos libres del perfil. Los nombres y el contacto quedan como
+ * marcadores del redactor; `finish` los reemplaza por palabras neutras.
+ */
+function createScrubber({ names, lang }) {
+  const redactor = createRedactor();
+  const removed = Object.fromEntries(REMOVED_CATEGORIES.map(c => [c, 0]));
+  const fullNames = names.filter(n => typeof n === "string" && n.trim().length >= 3);
+  // Nombre y apellidos sueltos ("Carlos" en el resumen), con límites de palabra
+  const nameParts = Array.from(new Set(fullNames.flatMap(n => n.trim().split(/\s+/))))
+    .filter(part => part.length >= 3 && /^\p{Lu}/u.test(part));
+
+  const tally = (category, n = 1) => { removed[category] += n; };
+
+  function dropSensitive(segment) {
+    const label = Object.keys(SENSITIVE_LABELS).find(c => SENSITIVE_LABELS[c].test(segment.trim()));
+    if (label) tally(label);
+    return !label;
+  }
+
+  function scrub(text) {
+    if (text === null || text === undefined) return null;
+
+    let out = String(text)
+      .split("\n")
+      .map(line => {
+        const segments = line.split(/\s*[|•·]\s*/);
+        const kept = segments.filter(dropSensitive);
+        return kept.length === segments.length ? line : kept.join(" | ");
+      })
+      .filter(Boolean)
+      .join("\n");
+
+    out = out.replace(IMAGE_FILE_RE, () => { tally("photo"); return ""; });
+    out = out.replace(AGE_PHRASE_RE, () => { tally("age"); return ""; });
+    out = out.replace(BORN_RE, () => { tally("age"); return ""; });
+
+    out = redactor.redactText(out, { names: fullNames });
+    for (const part of nameParts) {
+      const re = new RegExp(`(?<!\\p{L})${part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?!\\p{L})`, "giu");
+      out = out.replace(re, m => redactor.placeholder("name", m));
+    }
+    out = out.replace(URL_RE, () => { tally("contact"); return ""; });
+
+    out = out.replace(HONORIFIC_RE, () => { tally("gender"); return ""; });
+    out = out.replace(DEMONYM_RE, () => { tally("nationality"); return ""; });
+    for (const [re, neutral] of GENDERED_TITLES) {
+      out = out.replace(re, (m, stem) => {
+        const word = neutral || `${stem.toLowerCase()}or/a`;
+        if (m.toLowerCase() !== word) tally("gender");
+        return matchCase(m, word);
+      });
+    }
+    out = out.replace(PRONOUN_RE, m => { tally("gender"); return matchCase(m, PRONOUNS[m.toLowerCase()]); });
+
+    return out
+      .replace(/\(\s*\)/g, "")
+      .replace(/\s+([,.;:])/g, "$1")
+      .replace(/([,;|])\s*(?=[,;|.])/g, "")
+      .replace(/[ \t]{2,}/g, " ")
+      .replace(/^[\s,;|:-]+|[\s,;|:-]+$/g, "")
+      .trim() || null;
+  }
+
+  // Marcadores -> "la persona candidata" / "[dato removido]" en el idioma pedido
+  function neutralize(value) {
+    if (typeof value === "string") {
+      return value.replace(MARKER_RE, (m, lead = "", type, offset) => {
+        const word = t(lang, type === "NAME" ? "blind.candidate" : "blind.removed");
+        // Al inicio de una oración va con mayúscula
+        return lead || offset === 0 ? lead + word[0].toUpperCase() + word.slice(1) : word;
+      });
+    }
+    if (Array.isArray(value)) return value.map(neutralize);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, neutralize(v)]));
+    }
+    return value;
+  }
+
+  function finish(value) {
+    removed.name += redactor.counts.name;
+    removed.contact += redactor.counts.email + redactor.counts.phone + redactor.counts.cedula + redactor.counts.address;
+    return neutralize(value);
+  }
+
+  return { scrub, finish, removed };
+}
+
+/**
+ * Perfil ciego de un registro de cv_analyses (análisis de CV o de perfil).
+ * `lang` define las palabras neutras; por defecto, el idioma del análisis.
+ */
+function buildBlindProfile(record, { lang } = {}) {
+  const analysis = record.analysis || {};
+  const parsed = record.parsed || {};
+  const language = normalizeLanguage(lang) || normalizeLanguage(analysis.language) || undefined;
+
+  const { scrub, finish, removed } = createScrubber({
+    names: [parsed.contact?.name, analysis.candidate?.nombre],
+    lang: language
+  });
+
+  const experience = list(parsed.experience).map(job => ({
+    title: scrub(job.title),
+    company: job.company || null,
+    start_date: job.start_date || null,
+    end_date: job.end_date || null,
+    current: Boolean(job.current),
+    description: scrub(job.description)
+  }));
+
+  const score = Number(analysis.score);
+  const years = analysis.years_experience ?? record.years_experience ?? yearsFromExperience(experience);
+
+  const profile = finish({
+    candidate_ref: candidateRef(record.id),
+    headline: scrub(parsed.headline),
+    summary: scrub(parsed.summary),
+    years_experience: years !== null && Number.isFinite(Number(years)) ? Number(years) : null,
+    experience,
+    // Solo el título: institución y años de estudio delatan edad y país
+    education: list(parsed.education).map(entry => ({ degree: scrub(entry.degree) })).filter(e => e.degree),
+    certifications: list(parsed.certifications).map(cert => ({
+      name: scrub(cert.name),
+      issuer: cert.issuer || null,
+      year: cert.year || null
+    })),
+    languages: list(parsed.languages).map(l => ({ language: l.language, level: l.level || null })),
+    analysis: {
+      industry: analysis.industry || null,
+      role_seniority: analysis.role_seniority || null,
+      score: Number.isFinite(score) ? score : null,
+      top_roles: toArray(analysis.top_roles).map(scrub).filter(Boolean),
+      skills: toArray(analysisSkills(analysis)),
+      skill_ids: toArray(analysis.skill_ids),
+      summary: scrub(analysis.summary),
+      red_flags: toArray(analysis.red_flags).map(scrub).filter(Boolean),
+      next_steps: toArray(analysis.next_steps).map(scrub).filter(Boolean)
+    }
+  });
+
+  return {
+    ...profile,
+    blind: true,
+    language: language || null,
+    removed: REMOVED_CATEGORIES,
+    redactions: Object.fromEntries(Object.entries(removed).filter(([, n]) => n > 0))
+  };
+}
+
+module.exports = { REMOVED_CATEGORIES, buildBlindProfile, candidateRef };
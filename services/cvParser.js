@@ -1,24 +1,52 @@
 const { cleanText, toArray } = require("../utils/textProcessors.js");
 
+/**
+ * Años de experiencia declarados en texto libre ("8 años", "15 years").
+ */
+function parseYears(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const text = String(value).trim();
+  if (/^\d+(?:[.,]\d+)?$/.test(text)) return Number(text.replace(",", "."));
+  const m = text.match(/(\d+(?:[.,]\d+)?)\s*\+?\s*(?:años|anos|years?|yrs?)\b/i);
+  return m ? Number(m[1].replace(",", ".")) : null;
+}
+
 /**
  * Parser simple de CVs/perfiles (JSON/texto).
+ * Acepta nombres de campo en español o inglés y devuelve siempre los nombres en español.
  */
 function parseProfile(payload = {}) {
   // payload.profile se espera en tus ejemplos
   const profile = payload.profile ?? payload;
 
   const nombre = profile.nombre ?? profile.name ?? "";
-  const descripcion = cleanText(profile.descripcion ?? profile.summary ?? "");
+  const descripcion = cleanText(profile.descripcion ?? profile.summary ?? profile.description ?? "");
   const experienciaOilGas = cleanText(profile.experienciaOilGas ?? profile.oilGasExperience ?? "");
   const habilidades = toArray(profile.habilidades ?? profile.skills ?? []);
+  const paisResidencia = cleanText(profile.paisResidencia ?? profile.country ?? "");
+  const segmentoExperticia = cleanText(profile.segmentoExperticia ?? profile.expertiseSegment ?? profile.segment ?? "");
+  const aniosExperiencia = parseYears(
+    profile.aniosExperiencia ?? profile.yearsExperience ?? profile.years_experience ?? experienciaOilGas
+  );
 
   return {
     nombre: cleanText(nombre),
     descripcion,
     experienciaOilGas,
     habilidades,
+    paisResidencia,
+    segmentoExperticia,
+    aniosExperiencia,
     raw: profile,
   };
 }
 
-module.exports = { parseProfile };
\ No newline at end of file
+/**
+ * Un perfil sin nombre, descripción, experiencia ni habilidades no se puede analizar.
+ */
+function isEmptyProfile(parsed) {
+  return !parsed.nombre && !parsed.descripcion && !parsed.experienciaOilGas && parsed.habilidades.length === 0;
+}
+
+module.exports = { parseProfile, parseYears, isEmptyProfile };
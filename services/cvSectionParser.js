@@ -0,0 +1,409 @@
+const { cleanText } = require("../utils/textProcessors.js");
+
+/**
+ * Extracción de la estructura de un CV en texto plano (salida de extractTextFromFile).
+ * Heurística, sin IA: detecta encabezados de sección en español e inglés y devuelve
+ * contacto, titular, experiencia, educación, certificaciones e idiomas como JSON.
+ */
+
+const SECTION_HEADINGS = {
+  summary: ["perfil", "perfil profesional", "resumen", "resumen profesional", "objetivo", "objetivo profesional",
+    "acerca de mí", "acerca de mi", "summary", "professional summary", "profile", "objective", "about me"],
+  experience: ["experiencia", "experiencia laboral", "experiencia profesional", "historial laboral",
+    "trayectoria profesional", "experience", "work experience", "professional experience",
+    "employment history", "work history"],
+  education: ["educación", "educacion", "formación académica", "formacion academica", "formación", "formacion",
+    "estudios", "estudios realizados", "education", "academic background", "academic education"],
+  certifications: ["certificaciones", "certificados", "cursos", "cursos y certificaciones", "capacitación",
+    "capacitacion", "licencias", "certifications", "certificates", "licenses", "licenses & certifications",
+    "training", "courses"],
+  languages: ["idiomas", "lenguas", "languages"],
+  skills: ["habilidades", "competencias", "aptitudes", "conocimientos", "skills", "technical skills",
+    "competencies", "core competencies"]
+};
+
+const MONTHS = {
+  ene: 1, enero: 1, jan: 1, january: 1,
+  feb: 2, febrero: 2, february: 2,
+  mar: 3, marzo: 3, march: 3,
+  abr: 4, abril: 4, apr: 4, april: 4,
+  may: 5, mayo: 5,
+  jun: 6, junio: 6, june: 6,
+  jul: 7, julio: 7, july: 7,
+  ago: 8, agosto: 8, aug: 8, august: 8,
+  sep: 9, sept: 9, septiembre: 9, setiembre: 9, september: 9,
+  oct: 10, octubre: 10, october: 10,
+  nov: 11, noviembre: 11, november: 11,
+  dic: 12, diciembre: 12, dec: 12, december: 12
+};
+
+const PRESENT_WORDS = "actualidad|actual|presente|la fecha|hoy|present|current|now|today";
+const MONTH_WORDS = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join("|");
+const DATE_TOKEN = `(?:(?:${MONTH_WORDS})\\.?\\s+(?:de\\s+)?\\d{4}|\\d{1,2}[/.-]\\d{4}|\\d{4})`;
+const DATE_RANGE_RE = new RegExp(
+  `(${DATE_TOKEN})\\s*(?:-|–|—|a|al|to|hasta|until)\\s*(${DATE_TOKEN}|${PRESENT_WORDS})`,
+  "i"
+);
+const YEAR_RE = /\b(19[5-9]\d|20\d{2})\b/;
+
+const EMAIL_RE = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const PHONE_RE = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{3,4}[\s.-]?\d{3,4}(?:[\s.-]?\d{2,4})?/;
+const LINKEDIN_RE = /(?:https?:\/\/)?(?:[\w]+\.)?linkedin\.com\/[\w\-/%]+/i;
+const URL_RE = /https?:\/\/\S+/i;
+
+const BULLET_RE = /^[-•*·▪●◦►‣]\s*/;
+const SEPARATOR_RE = /\s+(?:\||—|–|-)\s+|\s*\|\s*/;
+
+const LOCATION_HINTS = ["venezuela", "colombia", "argentina", "méxico", "mexico", "ecuador", "perú", "peru",
+  "chile", "brasil", "brazil", "trinidad", "panamá", "panama", "usa", "estados unidos", "united states", "españa",
+  "spain", "canadá", "canada", "emiratos", "uae", "qatar", "kuwait", "arabia",
+  "maracaibo", "caracas", "maturín", "maturin", "puerto la cruz", "anaco", "el tigre", "barcelona", "houston"];
+
+const DEGREE_HINTS = /\b(ingenier[oa]|ingeniería|licenciad[oa]|licenciatura|técnico|tecnico|t\.?s\.?u\.?|bachiller|bachelor|master|máster|maestría|maestria|msc|m\.sc|bsc|b\.sc|mba|phd|doctorado|diplomado|degree|engineer(?:ing)?|especialización|especializacion|postgrado|posgrado)\b/i;
+const INSTITUTION_HINTS = /\b(universidad|university|instituto|institute|institución|college|escuela|school|politécnic[oa]|politecnic[oa]|unefa|luz|ucv|usb|udo|ucab|unexpo|iut)\b/i;
+const COMPANY_HINTS = /\b(s\.?a\.?|c\.?a\.?|inc\.?|ltd\.?|llc|corp\.?|gmbh|pdvsa|schlumberger|halliburton|baker hughes|weatherford|chevron|repsol|eni|shell|exxon|petro\w*|oil|energy|services|drilling)\b/i;
+
+function normalizeHeading(line) {
+  return line
+    .toLowerCase()
+    .replace(/[:：]$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function headingFor(line) {
+  if (line.length > 45) return null;
+  const key = normalizeHeading(line);
+  for (const [section, names] of Object.entries(SECTION_HEADINGS)) {
+    if (names.includes(key)) return section;
+  }
+  return null;
+}
+
+function stripBullet(line) {
+  return line.replace(BULLET_RE, "").trim();
+}
+
+function parseDateToken(token) {
+  if (!token) return null;
+  const t = token.toLowerCase().replace(/\./g, "").trim();
+  if (new RegExp(`^(?:${PRESENT_WORDS})$`, "i").test(t)) return null;
+
+  let m = t.match(/^(\d{1,2})[/-](\d{4})$/);
+  if (m) return `${m[2]}-${String(m[1]).padStart(2, "0")}`;
+  m = t.match(new RegExp(`^(${MONTH_WORDS})\\s+(?:de\\s+)?(\\d{4})$`, "i"));
+  if (m) return `${m[2]}-${String(MONTHS[m[1]]).padStart(2, "0")}`;
+  m = t.match(/^(\d{4})$/);
+  return m ? m[1] : null;
+}
+
+/**
+ * Busca un rango de fechas en la línea. Devuelve { start, end, current, rest }.
+ */
+function extractDateRange(line) {
+  const m = line.match(DATE_RANGE_RE);
+  if (!m) return null;
+  const current = new RegExp(`^(?:${PRESENT_WORDS})$`, "i").test(m[2].trim());
+  return {
+    start_date: parseDateToken(m[1]),
+    end_date: current ? null : parseDateToken(m[2]),
+    current,
+    rest: cleanParts(line.replace(m[0], " "))
+  };
+}
+
+function cleanParts(text) {
+  return text
+    .replace(/[()]/g, " ")
+    .replace(/\s{2,}/g, " ")
+    .replace(/^[\s,|:;–—-]+|[\s,|:;–—-]+$/g, "")
+    .trim();
+}
+
+function looksLikeLocation(text) {
+  const t = text.toLowerCase();
+  return LOCATION_HINTS.some(h => t.includes(h)) && text.split(/\s+/).length <= 6;
+}
+
+function looksLikeName(line) {
+  if (EMAIL_RE.test(line) || /\d/.test(line) || headingFor(line)) return false;
+  const words = line.split(/\s+/);
+  return words.length >= 2 && words.length <= 5 && words.every(w => /^[A-ZÁÉÍÓÚÑ][\p{L}'.-]*$/u.test(w));
+}
+
+function splitSections(lines) {
+  const sections = { header: [] };
+  let current = "header";
+  for (const line of lines) {
+    const heading = headingFor(line);
+    if (heading) {
+      current = heading;
+      sections[current] = sections[current] || [];
+      continue;
+    }
+    sections[current].push(line);
+  }
+  return sections;
+}
+
+/**
+ * Secciones en el orden en que aparecen (un encabezado repetido abre otro bloque).
+ * La usa el chunking de CVs largos para no cortar una sección a la mitad.
+ */
+function splitCvBlocks(text) {
+  const lines = cleanText(text || "").split("\n").map(l => l.trim()).filter(Boolean);
+  const blocks = [{ section: "header", lines: [] }];
+  for (const line of lines) {
+    const heading = headingFor(line);
+    if (heading) {
+      blocks.push({ section: heading, lines: [line] });
+    } else {
+      blocks[blocks.length - 1].lines.push(line);
+    }
+  }
+  return blocks.filter(b => b.lines.length);
+}
+
+/**
+ * Años de experiencia a partir de `parsed.experience`, uniendo rangos solapados
+ * (dos empleos simultáneos no suman doble). null si no hay fechas.
+ */
+function yearsFromExperience(experience = [], now = new Date()) {
+  const toMonth = (value, fallback) => {
+    if (!value) return fallback;
+    const [y, m] = String(value).split("-").map(Number);
+    return Number.isFinite(y) ? y * 12 + ((m || 1) - 1) : fallback;
+  };
+  const current = now.getUTCFullYear() * 12 + now.getUTCMonth();
+
+  const ranges = experience
+    .filter(e => e.start_date)
+    .map(e => [toMonth(e.start_date), e.current || !e.end_date ? current : toMonth(e.end_date, current)])
+    .filter(([a, b]) => b >= a)
+    .sort((a, b) => a[0] - b[0]);
+  if (!ranges.length) return null;
+
+  let months = 0;
+  let [start, end] = ranges[0];
+  for (const [a, b] of ranges.slice(1)) {
+    if (a <= end) {
+      end = Math.max(end, b);
+    } else {
+      months += end - start + 1;
+      [start, end] = [a, b];
+    }
+  }
+  months += end - start + 1;
+  return Math.round((months / 12) * 10) / 10;
+}
+
+function parseContact(headerLines, allText) {
+  const contact = { name: null, email: null, phone: null, location: null, linkedin: null, website: null };
+  const source = headerLines.join("\n") || allText;
+
+  contact.email = (source.match(EMAIL_RE) || allText.match(EMAIL_RE) || [null])[0];
+  contact.linkedin = (source.match(LINKEDIN_RE) || allText.match(LINKEDIN_RE) || [null])[0];
+  const url = source.replace(LINKEDIN_RE, "").match(URL_RE);
+  contact.website = url ? url[0] : null;
+
+  const phoneSource = source.replace(EMAIL_RE, " ").replace(URL_RE, " ");
+  const phone = phoneSource.match(PHONE_RE);
+  if (phone && phone[0].replace(/\D/g, "").length >= 7) contact.phone = phone[0].trim();
+
+  contact.name = headerLines.find(looksLikeName) || null;
+
+  for (const line of headerLines) {
+    for (const part of line.split(/\s*[|•·]\s*/)) {
+      if (!contact.location && !EMAIL_RE.test(part) && !PHONE_RE.test(part) && looksLikeLocation(part)) {
+        contact.location = cleanParts(part.replace(/^(dirección|direccion|ubicación|ubicacion|location|address)\s*:?/i, ""));
+      }
+    }
+  }
+
+  return contact;
+}
+
+function parseHeadline(headerLines, contact, summaryLines = []) {
+  const isContactLine = line =>
+    line === contact.name || EMAIL_RE.test(line) || URL_RE.test(line) || LINKEDIN_RE.test(line) ||
+    (contact.phone && line.includes(contact.phone)) || (contact.location && line.includes(contact.location));
+
+  const candidate = headerLines.find(line => !isContactLine(line) && line.length <= 120);
+  if (candidate) return stripBullet(candidate);
+  return summaryLines[0] ? summaryLines[0].split(/(?<=\.)\s/)[0].slice(0, 120) : null;
+}
+
+/**
+ * Agrupa las líneas de una sección en bloques: uno por entrada (empleo, título...).
+ */
+function groupEntries(lines) {
+  const entries = [];
+  let current = null;
+
+  for (const line of lines) {
+    const isBullet = BULLET_RE.test(line);
+    const hasDate = DATE_RANGE_RE.test(line);
+
+    const startNew = !current ||
+      (!isBullet && current.bullets.length > 0) ||
+      (!isBullet && hasDate && current.hasDate);
+
+    if (startNew) {
+      current = { head: [], bullets: [], hasDate: false };
+      entries.push(current);
+    }
+
+    if (isBullet) current.bullets.push(stripBullet(line));
+    else current.head.push(line);
+    if (hasDate) current.hasDate = true;
+  }
+
+  return entries;
+}
+
+function splitTitleCompany(text) {
+  const at = text.match(/^(.+?)\s+(?:at|en|@)\s+(.+)$/i);
+  if (at) return [at[1], at[2]];
+  return text.split(SEPARATOR_RE).map(cleanParts).filter(Boolean);
+}
+
+function parseExperience(lines = []) {
+  return groupEntries(lines).map(entry => {
+    const job = { title: null, company: null, location: null, start_date: null, end_date: null, current: false, description: null };
+    const parts = [];
+
+    for (const line of entry.head) {
+      const range = extractDateRange(line);
+      if (range) {
+        Object.assign(job, { start_date: range.start_date, end_date: range.end_date, current: range.current });
+        if (range.rest) parts.push(...splitTitleCompany(range.rest));
+      } else {
+        parts.push(...splitTitleCompany(line));
+      }
+    }
+
+    for (const part of parts) {
+      if (!job.location && looksLikeLocation(part) && !COMPANY_HINTS.test(part)) {
+        job.location = part;
+      } else if (!job.company && COMPANY_HINTS.test(part)) {
+        const [company, ...loc] = part.split(/,\s*/);
+        job.company = company;
+        if (!job.location && loc.length && looksLikeLocation(loc.join(", "))) job.location = loc.join(", ");
+      } else if (!job.title) {
+        job.title = part;
+      } else if (!job.company) {
+        job.company = part;
+      }
+    }
+
+    if (entry.bullets.length) job.description = entry.bullets.join(" ");
+    return job;
+  }).filter(job => job.title || job.company);
+}
+
+function parseEducation(lines = []) {
+  return groupEntries(lines).map(entry => {
+    const edu = { degree: null, institution: null, location: null, start_date: null, end_date: null };
+    const parts = [];
+
+    for (const line of [...entry.head, ...entry.bullets]) {
+      const range = extractDateRange(line);
+      if (range) {
+        edu.start_date = range.start_date;
+        edu.end_date = range.end_date;
+        if (range.rest) parts.push(...range.rest.split(SEPARATOR_RE));
+        continue;
+      }
+      const year = line.match(YEAR_RE);
+      if (year && !edu.end_date) edu.end_date = year[1];
+      parts.push(...line.replace(YEAR_RE, " ").split(SEPARATOR_RE));
+    }
+
+    for (const raw of parts.flatMap(p => p.split(/,\s*/)).map(cleanParts).filter(Boolean)) {
+      if (!edu.institution && INSTITUTION_HINTS.test(raw)) {
+        edu.institution = raw;
+      } else if (!edu.degree && DEGREE_HINTS.test(raw)) {
+        edu.degree = raw;
+      } else if (looksLikeLocation(raw)) {
+        edu.location = edu.location ? `${edu.location}, ${raw}` : raw;
+      } else if (!edu.degree) {
+        edu.degree = raw;
+      }
+    }
+
+    return edu;
+  }).filter(edu => edu.degree || edu.institution);
+}
+
+function parseCertifications(lines = []) {
+  return lines
+    .flatMap(line => (BULLET_RE.test(line) ? [stripBullet(line)] : line.split(/\s*;\s*/)))
+    .map(item => {
+      const year = item.match(YEAR_RE);
+      const paren = item.match(/\(([^)]+)\)/);
+      let issuer = null;
+      let rest;
+
+      if (paren && !YEAR_RE.test(paren[1])) {
+        issuer = paren[1].trim();
+        rest = cleanParts(item.replace(paren[0], " ").replace(YEAR_RE, " "));
+      } else {
+        rest = cleanParts(item.replace(YEAR_RE, " "));
+        const parts = rest.split(SEPARATOR_RE).map(cleanParts).filter(Boolean);
+        if (parts.length > 1) {
+          rest = parts[0];
+          issuer = parts.slice(1).join(" - ");
+        }
+      }
+
+      return { name: rest, issuer, year: year ? year[1] : null };
+    })
+    .filter(cert => cert.name && cert.name.length > 1);
+}
+
+function parseLanguages(lines = []) {
+  return lines
+    .flatMap(line => stripBullet(line).split(/\s*[,;•|]\s*/))
+    .map(item => {
+      const m = item.match(/^([\p{L} ]+?)\s*(?:[:(\-–—]\s*([^)]+)\)?)?$/u);
+      if (!m) return null;
+      return { language: m[1].trim(), level: m[2] ? m[2].trim() : null };
+    })
+    .filter(lang => lang && lang.language && lang.language.split(" ").length <= 3);
+}
+
+function detectLanguage(text) {
+  const t = ` ${text.toLowerCase()} `;
+  const es = (t.match(/\b(experiencia|años|educación|habilidades|idiomas|universidad|ingeniero|empresa|actualidad)\b/g) || []).length;
+  const en = (t.match(/\b(experience|years|education|skills|languages|university|engineer|company|present)\b/g) || []).length;
+  if (!es && !en) return null;
+  return es >= en ? "es" : "en";
+}
+
+/**
+ * Devuelve la estructura del CV. Nunca lanza: con texto vacío devuelve campos nulos/vacíos.
+ */
+function parseCvSections(text) {
+  const clean = cleanText(text || "");
+  const lines = clean.split("\n").map(l => l.trim()).filter(Boolean);
+  const sections = splitSections(lines);
+
+  const contact = parseContact(sections.header, clean);
+  const headline = parseHeadline(sections.header, contact, sections.summary);
+
+  return {
+    contact,
+    headline,
+    summary: sections.summary ? sections.summary.join(" ") : null,
+    experience: parseExperience(sections.experience),
+    education: parseEducation(sections.education),
+    certifications: parseCertifications(sections.certifications),
+    languages: parseLanguages(sections.languages),
+    meta: {
+      language: detectLanguage(clean),
+      sections_found: Object.keys(sections).filter(s => s !== "header")
+    }
+  };
+}
+
+module.exports = { parseCvSections, splitCvBlocks, extractDateRange, yearsFromExperience };
@@ -0,0 +1,174 @@
+/**
+ * Texto de documentos Word 97-2003 (.doc). El archivo es un contenedor OLE2
+ * (Compound File Binary): se leen los streams WordDocument y 0Table/1Table, y
+ * el texto se arma con la tabla de piezas (Clx) del FIB. mammoth solo entiende
+ * .docx, por eso este lector aparte.
+ */
+
+const CFB_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const END_OF_CHAIN = 0xfffffffe;
+const FREE_SECTOR = 0xffffffff;
+const MAX_SECTORS = 1 << 20;
+
+const cp1252 = new TextDecoder("windows-1252");
+
+function isCompoundFile(buffer) {
+  return buffer.length >= 512 && buffer.subarray(0, 8).equals(CFB_SIGNATURE);
+}
+
+/**
+ * Lector del contenedor: directorio y lectura de streams (normales y mini).
+ */
+function openCompoundFile(buffer) {
+  const sectorSize = 1 << buffer.readUInt16LE(0x1e);
+  const miniSectorSize = 1 << buffer.readUInt16LE(0x20);
+  const firstDirSector = buffer.readUInt32LE(0x30);
+  const miniStreamCutoff = buffer.readUInt32LE(0x38);
+  const firstMiniFatSector = buffer.readUInt32LE(0x3c);
+  let difatSector = buffer.readUInt32LE(0x44);
+
+  const sectorOffset = id => (id + 1) * sectorSize;
+
+  // Sectores de la FAT: 109 en el header y el resto encadenados en la DIFAT
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++) {
+    const id = buffer.readUInt32LE(0x4c + i * 4);
+    if (id !== FREE_SECTOR) fatSectors.push(id);
+  }
+  for (let guard = 0; difatSector !== END_OF_CHAIN && difatSector !== FREE_SECTOR && guard < MAX_SECTORS; guard++) {
+    const base = sectorOffset(difatSector);
+    const perSector = sectorSize / 4 - 1;
+    for (let i = 0; i < perSector; i++) {
+      const id = buffer.readUInt32LE(base + i * 4);
+      if (id !== FREE_SECTOR) fatSectors.push(id);
+    }
+    difatSector = buffer.readUInt32LE(base + perSector * 4);
+  }
+
+  const fat = [];
+  for (const id of fatSectors) {
+    const base = sectorOffset(id);
+    for (let i = 0; i < sectorSize / 4 && base + i * 4 + 4 <= buffer.length; i++) {
+      fat.push(buffer.readUInt32LE(base + i * 4));
+    }
+  }
+
+  const chain = (start, table) => {
+    const ids = [];
+    for (let id = start; id !== END_OF_CHAIN && id < table.length; id = table[id]) {
+      if (ids.length >= MAX_SECTORS) throw new Error("Cadena de sectores inválida en el .doc");
+      ids.push(id);
+    }
+    return ids;
+  };
+
+  const readChain = start => Buffer.concat(chain(start, fat).map(id => buffer.subarray(sectorOffset(id), sectorOffset(id) + sectorSize)));
+
+  const dirData = readChain(firstDirSector);
+  const entries = [];
+  for (let pos = 0; pos + 128 <= dirData.length; pos += 128) {
+    const nameLength = dirData.readUInt16LE(pos + 0x40);
+    const type = dirData[pos + 0x42];
+    if (!type) continue;
+    entries.push({
+      name: dirData.toString("utf16le", pos, pos + Math.max(0, nameLength - 2)),
+      type,
+      start: dirData.readUInt32LE(pos + 0x74),
+      size: dirData.readUInt32LE(pos + 0x78)
+    });
+  }
+
+  const root = entries.find(e => e.type === 5);
+  const miniFat = firstMiniFatSector === END_OF_CHAIN ? [] : (() => {
+    const data = readChain(firstMiniFatSector);
+    return Array.from({ length: data.length / 4 }, (_, i) => data.readUInt32LE(i * 4));
+  })();
+  let miniStream = null;
+
+  return {
+    entries,
+
+    readStream(name) {
+      const entry = entries.find(e => e.type === 2 && e.name === name);
+      if (!entry) return null;
+
+      if (entry.size < miniStreamCutoff) {
+        miniStream = miniStream || (root ? readChain(root.start) : Buffer.alloc(0));
+        const parts = chain(entry.start, miniFat).map(id => miniStream.subarray(id * miniSectorSize, (id + 1) * miniSectorSize));
+        return Buffer.concat(parts).subarray(0, entry.size);
+      }
+      return readChain(entry.start).subarray(0, entry.size);
+    }
+  };
+}
+
+function isWordDocument(buffer) {
+  if (!isCompoundFile(buffer)) return false;
+  try {
+    return openCompoundFile(buffer).entries.some(e => e.name === "WordDocument");
+  } catch {
+    return false;
+  }
+}
+
+// Marcas de Word: celdas, saltos y campos (se conserva el resultado, no la instrucción)
+function cleanWordText(text) {
+  return text
+    .replace(/\x13[^\x13\x14\x15]*\x14/g, "")
+    .replace(/\x13[^\x13\x14\x15]*\x15/g, "")
+    .replace(/[\x14\x15]/g, "")
+    .replace(/\x07/g, "\t")
+    .replace(/[\r\x0b\x0c]/g, "\n")
+    .replace(/[\x00-\x08\x0e-\x1f]/g, "")
+    .split("\n")
+    .map(line => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function docToText(buffer) {
+  const cfb = openCompoundFile(buffer);
+  const word = cfb.readStream("WordDocument");
+  if (!word || word.length < 0x1aa || word.readUInt16LE(0) !== 0xa5ec) {
+    throw new Error("El archivo no es un documento de Word 97-2003 válido");
+  }
+
+  const flags = word.readUInt16LE(0x0a);
+  if (flags & 0x0100) throw new Error("El documento .doc está protegido con contraseña");
+
+  const table = cfb.readStream(flags & 0x0200 ? "1Table" : "0Table");
+  const fcClx = word.readUInt32LE(0x1a2);
+  const lcbClx = word.readUInt32LE(0x1a6);
+  if (!table || !lcbClx || fcClx + lcbClx > table.length) {
+    throw new Error("Formato .doc anterior a Word 97 no soportado");
+  }
+
+  // Clx: Prc* (0x01, se saltean) seguido de Pcdt (0x02) con la tabla de piezas
+  let pos = fcClx;
+  while (table[pos] === 0x01) pos += 3 + table.readInt16LE(pos + 1);
+  if (table[pos] !== 0x02) throw new Error("Tabla de piezas del .doc no encontrada");
+
+  const lcb = table.readUInt32LE(pos + 1);
+  const plc = pos + 5;
+  const pieces = (lcb - 4) / 12;
+  const parts = [];
+
+  for (let i = 0; i < pieces; i++) {
+    const cpStart = table.readUInt32LE(plc + i * 4);
+    const cpEnd = table.readUInt32LE(plc + (i + 1) * 4);
+    const fc = table.readUInt32LE(plc + (pieces + 1) * 4 + i * 8 + 2);
+    const chars = cpEnd - cpStart;
+
+    if (fc & 0x40000000) {
+      const start = (fc & 0x3fffffff) / 2;
+      parts.push(cp1252.decode(word.subarray(start, start + chars)));
+    } else {
+      parts.push(word.toString("utf16le", fc, fc + chars * 2));
+    }
+  }
+
+  return cleanWordText(parts.join(""));
+}
+
+module.exports = { isCompoundFile, isWordDocument, docToText };
@@ -0,0 +1,227 @@
+const path = require("path");
+const mammoth = require("mammoth");
+const pdfParse = require("pdf-parse");
+const { isZip, listZipEntries, readZipEntry } = require("./zip.js");
+const { isCompoundFile, isWordDocument, docToText } = require("./doc.js");
+const { isRtf, rtfToText } = require("./rtf.js");
+const { htmlToText, odfXmlToText } = require("./markup.js");
+const { translatable } = require("../i18n.js");
+
+/**
+ * Extracción de texto de CVs subidos (/v1/public/analyze/cv-file).
+ *
+ * El tipo real se detecta por el contenido (magic bytes), no por el mimetype
+ * que manda el cliente. Cada formato se registra con sus mimetypes y
+ * extensiones; si lo declarado no coincide con lo detectado, o el formato no
+ * está registrado, se responde UNSUPPORTED_FORMAT (415). Un archivo dañado
+ * (ZIP truncado, DOCX sin directorio central, PDF roto) también es
+ * UNSUPPORTED_FORMAT: 415 si falla al detectarlo, 422 si falla al extraerlo.
+ */
+
+class UnsupportedFormatError extends Error {
+  constructor(message, details, status = 415) {
+    super(message);
+    this.name = "UnsupportedFormatError";
+    this.code = "UNSUPPORTED_FORMAT";
+    this.details = details;
+    this.status = status;
+  }
+}
+
+function corruptFileError(format, error, details, status) {
+  return translatable(new UnsupportedFormatError(
+    `El archivo ${format.toUpperCase()} está dañado o incompleto y no se puede leer.`,
+    { ...details, reason: error.message },
+    status
+  ), "errors.UNSUPPORTED_FORMAT_CORRUPT", { format: format.toUpperCase() });
+}
+
+// Mimetypes que no dicen nada del formato: se usa la extensión
+const GENERIC_MIMETYPES = new Set(["application/octet-stream", "binary/octet-stream", "application/x-download", ""]);
+
+const SNIFF_BYTES = 4096;
+const utf8 = new TextDecoder("utf-8", { fatal: true });
+const cp1252 = new TextDecoder("windows-1252");
+
+const extractors = [];
+
+function registerExtractor(extractor) {
+  extractors.push(extractor);
+  return extractor;
+}
+
+function head(buffer) {
+  return buffer.subarray(0, SNIFF_BYTES).toString("latin1");
+}
+
+// Texto plano: sin bytes nulos en el inicio (los binarios casi siempre los tienen)
+function looksLikeText(buffer) {
+  return !buffer.subarray(0, SNIFF_BYTES).includes(0);
+}
+
+function looksLikeHtml(buffer) {
+  return /^\s*(<!doctype html|<html[\s>]|<head[\s>]|<body[\s>])/i.test(head(buffer).replace(/^ï»¿/, ""))
+    || (looksLikeText(buffer) && /<html[\s>][\s\S]*<body[\s>]/i.test(head(buffer)));
+}
+
+// UTF-8 (con o sin BOM) o, si no decodifica, Windows-1252 (CVs guardados en Bloc de notas)
+function decodeText(buffer) {
+  const body = buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf ? buffer.subarray(3) : buffer;
+  try {
+    return utf8.decode(body);
+  } catch {
+    return cp1252.decode(body);
+  }
+}
+
+registerExtractor({
+  format: "pdf",
+  mimetypes: ["application/pdf"],
+  extensions: [".pdf"],
+  // Algunos generadores meten basura antes del header
+  detect: buffer => head(buffer).slice(0, 1024).includes("%PDF-"),
+  extract: async buffer => (await pdfParse(buffer)).text
+});
+
+registerExtractor({
+  format: "docx",
+  mimetypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+  extensions: [".docx"],
+  detect: (buffer, ctx) => ctx.zipEntries().has("word/document.xml"),
+  extract: async buffer => (await mammoth.extractRawText({ buffer })).value
+});
+
+registerExtractor({
+  format: "doc",
+  mimetypes: ["application/msword"],
+  extensions: [".doc"],
+  detect: buffer => isCompoundFile(buffer) && isWordDocument(buffer),
+  extract: async buffer => docToText(buffer)
+});
+
+registerExtractor({
+  format: "odt",
+  mimetypes: ["application/vnd.oasis.opendocument.text"],
+  extensions: [".odt"],
+  detect: (buffer, ctx) => {
+    const entries = ctx.zipEntries();
+    if (!entries.has("content.xml")) return false;
+    const mimetype = readZipEntry(buffer, entries, "mimetype");
+    return !mimetype || mimetype.toString("utf8").trim() === "application/vnd.oasis.opendocument.text";
+  },
+  extract: async buffer => {
+    const entries = listZipEntries(buffer);
+    return odfXmlToText(readZipEntry(buffer, entries, "content.xml").toString("utf8"));
+  }
+});
+
+registerExtractor({
+  format: "rtf",
+  mimetypes: ["application/rtf", "text/rtf", "application/x-rtf", "text/richtext"],
+  extensions: [".rtf"],
+  detect: buffer => isRtf(buffer),
+  extract: async buffer => rtfToText(buffer)
+});
+
+registerExtractor({
+  format: "html",
+  mimetypes: ["text/html", "application/xhtml+xml"],
+  extensions: [".html", ".htm", ".xhtml"],
+  detect: buffer => looksLikeHtml(buffer),
+  extract: async buffer => htmlToText(decodeText(buffer))
+});
+
+// Último: cualquier cosa sin bytes nulos que no sea RTF ni HTML
+registerExtractor({
+  format: "txt",
+  mimetypes: ["text/plain"],
+  extensions: [".txt", ".text"],
+  detect: buffer => looksLikeText(buffer),
+  extract: async buffer => decodeText(buffer)
+});
+
+/**
+ * Formato real según el contenido, o null si ningún extractor lo reconoce.
+ * Lanza UnsupportedFormatError si un detector revienta leyendo el archivo
+ * (offsets fuera de rango en un ZIP mal formado, deflate corrupto).
+ */
+function detectFormat(buffer) {
+  if (!buffer || !buffer.length) return null;
+  let zipEntries = null;
+  const ctx = { zipEntries: () => (zipEntries = zipEntries || (isZip(buffer) ? listZipEntries(buffer) : new Map())) };
+  for (const extractor of extractors) {
+    try {
+      if (extractor.detect(buffer, ctx)) return extractor.format;
+    } catch (error) {
+      console.warn(`⚠️ Archivo dañado detectando ${extractor.format}:`, error.message);
+      throw corruptFileError(isZip(buffer) ? "zip" : extractor.format, error, { detected: null, supported: listFormats() });
+    }
+  }
+  return null;
+}
+
+/**
+ * Formato declarado por el cliente: el mimetype si es específico, si no la extensión.
+ * undefined cuando no se puede inferir nada; null si lo declarado no es un formato soportado.
+ */
+function declaredFormat({ mimetype, originalname } = {}) {
+  const mime = String(mimetype || "").toLowerCase().split(";")[0].trim();
+  if (!GENERIC_MIMETYPES.has(mime)) {
+    return extractors.find(e => e.mimetypes.includes(mime))?.format || null;
+  }
+  const ext = path.extname(String(originalname || "")).toLowerCase();
+  if (!ext) return undefined;
+  return extractors.find(e => e.extensions.includes(ext))?.format || null;
+}
+
+function listFormats() {
+  return extractors.map(e => e.format);
+}
+
+/**
+ * Detecta, valida contra lo declarado y extrae. Devuelve { text, format }.
+ */
+async function extractTextFromFile(file) {
+  const declared = declaredFormat(file);
+  const detected = detectFormat(file.buffer);
+  const supported = listFormats();
+
+  const formats = supported.join(", ");
+
+  if (declared === null) {
+    throw translatable(new UnsupportedFormatError(
+      `Tipo de archivo no soportado (${file.mimetype || "desconocido"}). Formatos aceptados: ${formats}.`,
+      { declared_type: file.mimetype || null, detected, supported }
+    ), "errors.UNSUPPORTED_FORMAT", { type: file.mimetype || "?", formats });
+  }
+  if (!detected) {
+    throw translatable(new UnsupportedFormatError(
+      `No se reconoce el contenido del archivo. Formatos aceptados: ${formats}.`,
+      { declared: declared || null, detected: null, supported }
+    ), "errors.UNSUPPORTED_FORMAT_UNRECOGNIZED", { formats });
+  }
+  if (declared && declared !== detected) {
+    throw translatable(new UnsupportedFormatError(
+      `El archivo dice ser ${declared.toUpperCase()} pero su contenido es ${detected.toUpperCase()}.`,
+      { declared, detected, supported }
+    ), "errors.UNSUPPORTED_FORMAT_MISMATCH", { declared: declared.toUpperCase(), detected: detected.toUpperCase() });
+  }
+
+  const extractor = extractors.find(e => e.format === detected);
+  try {
+    return { text: await extractor.extract(file.buffer), format: detected };
+  } catch (error) {
+    // Pasó la detección pero el contenido no se puede leer: es el archivo, no el servidor
+    console.error(`Error extrayendo texto (${detected}):`, error.message);
+    throw corruptFileError(detected, error, { declared: declared || null, detected, supported }, 422);
+  }
+}
+
+module.exports = {
+  UnsupportedFormatError,
+  registerExtractor,
+  detectFormat,
+  declaredFormat,
+  listFormats,
+  extractTextFromFile
+};
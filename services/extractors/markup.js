@@ -0,0 +1,61 @@
+/**
+ * Texto plano a partir de HTML y del XML de ODT: se quitan scripts, estilos y
+ * etiquetas, los bloques se vuelven saltos de línea y se decodifican entidades.
+ */
+
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ",
+  aacute: "á", eacute: "é", iacute: "í", oacute: "ó", uacute: "ú", ntilde: "ñ", uuml: "ü",
+  Aacute: "Á", Eacute: "É", Iacute: "Í", Oacute: "Ó", Uacute: "Ú", Ntilde: "Ñ", Uuml: "Ü",
+  ccedil: "ç", atilde: "ã", otilde: "õ", acirc: "â", ecirc: "ê", ocirc: "ô", agrave: "à",
+  iquest: "¿", iexcl: "¡", ordf: "ª", ordm: "º", deg: "°", middot: "·", bull: "•",
+  ndash: "–", mdash: "—", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", hellip: "…", copy: "©", reg: "®"
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "";
+    }
+    return NAMED_ENTITIES[entity] ?? match;
+  });
+}
+
+function tidyLines(text) {
+  return text
+    .split("\n")
+    .map(line => line.replace(/[ \t ]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function htmlToText(html) {
+  const text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|head|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<\/(p|div|section|article|header|footer|h[1-6]|li|ul|ol|tr|table|blockquote|pre)\s*>/gi, "\n")
+    .replace(/<(td|th)\b[^>]*>/gi, "\t")
+    .replace(/<[^>]+>/g, "")
+    .replace(/\r\n?/g, "\n");
+  return tidyLines(decodeEntities(text));
+}
+
+// content.xml de OpenDocument (text:p, text:h, tabs, saltos y espacios comprimidos)
+function odfXmlToText(xml) {
+  const body = String(xml).replace(/^[\s\S]*?<office:body\b[^>]*>/, "");
+  const text = body
+    .replace(/<text:tab\s*\/>/g, "\t")
+    .replace(/<text:line-break\s*\/>/g, "\n")
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (m, count) => " ".repeat(Number(count) || 1))
+    .replace(/<text:list-item\b[^>]*>/g, "- ")
+    .replace(/<\/(text:p|text:h)>/g, "\n")
+    .replace(/<table:table-cell\b[^>]*>/g, "\t")
+    .replace(/<[^>]+>/g, "");
+  return tidyLines(decodeEntities(text));
+}
+
+module.exports = { htmlToText, odfXmlToText, decodeEntities };
@@ -0,0 +1,124 @@
+/**
+ * Texto plano de RTF: se recorren grupos y palabras de control, se descartan
+ * los destinos que no son texto (fuentes, colores, imágenes, metadatos) y se
+ * decodifican \'hh (cp1252) y \uN (Unicode).
+ */
+
+const cp1252 = new TextDecoder("windows-1252");
+
+const SKIPPED_DESTINATIONS = new Set([
+  "fonttbl", "colortbl", "stylesheet", "info", "pict", "object", "themedata", "colorschememapping",
+  "datastore", "latentstyles", "listtable", "listoverridetable", "rsidtbl", "generator", "xmlnstbl",
+  "header", "headerl", "headerr", "headerf", "footer", "footerl", "footerr", "footerf", "fldinst",
+  "filetbl", "revtbl", "pgdsctbl", "mmathpr", "wgrffmtfilter", "passwordhash", "bkmkstart", "bkmkend"
+]);
+
+const SYMBOLS = {
+  par: "\n", line: "\n", sect: "\n", page: "\n", row: "\n", cell: "\t", tab: "\t",
+  emdash: "—", endash: "–", bullet: "•", lquote: "‘", rquote: "’", ldblquote: "“", rdblquote: "”",
+  emspace: " ", enspace: " ", qmspace: " "
+};
+
+function isRtf(buffer) {
+  return buffer.subarray(0, 5).toString("latin1") === "{\\rtf";
+}
+
+function rtfToText(buffer) {
+  const src = buffer.toString("latin1");
+  const out = [];
+  const stack = [];
+  let state = { skip: false, uc: 1 };
+  let pendingSkip = 0; // caracteres de reemplazo después de \uN
+  let i = 0;
+
+  const emit = text => {
+    if (!state.skip) out.push(text);
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (ch === "{") {
+      stack.push(state);
+      state = { ...state };
+      i++;
+      continue;
+    }
+    if (ch === "}") {
+      state = stack.pop() || state;
+      i++;
+      continue;
+    }
+    if (ch === "\r" || ch === "\n") {
+      i++;
+      continue;
+    }
+    if (ch !== "\\") {
+      if (pendingSkip > 0) pendingSkip--;
+      else emit(ch);
+      i++;
+      continue;
+    }
+
+    // Secuencia de control
+    const next = src[i + 1];
+    if (next === "\\" || next === "{" || next === "}") {
+      if (pendingSkip > 0) pendingSkip--;
+      else emit(next);
+      i += 2;
+      continue;
+    }
+    if (next === "'") {
+      const byte = parseInt(src.substr(i + 2, 2), 16);
+      if (pendingSkip > 0) pendingSkip--;
+      else if (Number.isFinite(byte)) emit(cp1252.decode(Uint8Array.of(byte)));
+      i += 4;
+      continue;
+    }
+    if (next === "*") {
+      state.skip = true;
+      i += 2;
+      continue;
+    }
+    if (next === "~") {
+      emit(" ");
+      i += 2;
+      continue;
+    }
+    if (next === "\r" || next === "\n") {
+      emit("\n");
+      i += 2;
+      continue;
+    }
+
+    const match = /^([a-zA-Z]{1,32})(-?\d{1,10})? ?/.exec(src.slice(i + 1, i + 45));
+    if (!match) {
+      i += 2;
+      continue;
+    }
+    i += 1 + match[0].length;
+    const [, word, param] = match;
+
+    if (SKIPPED_DESTINATIONS.has(word)) {
+      state.skip = true;
+    } else if (word === "uc") {
+      state.uc = Number(param) || 0;
+    } else if (word === "u") {
+      let code = Number(param);
+      if (code < 0) code += 65536;
+      emit(String.fromCharCode(code));
+      pendingSkip = state.uc;
+    } else if (SYMBOLS[word]) {
+      emit(SYMBOLS[word]);
+    }
+  }
+
+  return out.join("")
+    .split("\n")
+    .map(line => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+module.exports = { isRtf, rtfToText };
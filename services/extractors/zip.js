@@ -0,0 +1,71 @@
+const zlib = require("zlib");
+
+/**
+ * Lector mínimo de ZIP (directorio central + stored/deflate), suficiente para
+ * distinguir DOCX de ODT y leer el content.xml de un ODT sin dependencias.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const MAX_ENTRY_BYTES = 20 * 1024 * 1024;
+
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // El comentario del ZIP puede ocupar hasta 64KB después del registro
+  const min = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= min; i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+  }
+  return -1;
+}
+
+/**
+ * Entradas del ZIP por nombre, o un Map vacío si no se puede leer.
+ */
+function listZipEntries(buffer) {
+  const entries = new Map();
+  if (!isZip(buffer)) return entries;
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  if (eocd < 0) return entries;
+
+  const total = buffer.readUInt16LE(eocd + 10);
+  let pos = buffer.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < total && pos + 46 <= buffer.length; i++) {
+    if (buffer.readUInt32LE(pos) !== CENTRAL_SIGNATURE) break;
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const extraLength = buffer.readUInt16LE(pos + 30);
+    const commentLength = buffer.readUInt16LE(pos + 32);
+    const name = buffer.toString("utf8", pos + 46, pos + 46 + nameLength);
+    entries.set(name, {
+      name,
+      method: buffer.readUInt16LE(pos + 10),
+      compressedSize: buffer.readUInt32LE(pos + 20),
+      size: buffer.readUInt32LE(pos + 24),
+      localOffset: buffer.readUInt32LE(pos + 42)
+    });
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function readZipEntry(buffer, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) return null;
+
+  const local = entry.localOffset;
+  if (buffer.readUInt32LE(local) !== LOCAL_SIGNATURE) throw new Error(`Entrada ZIP corrupta: ${name}`);
+  const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+  throw new Error(`Compresión ZIP no soportada (${entry.method}) en ${name}`);
+}
+
+module.exports = { isZip, listZipEntries, readZipEntry };
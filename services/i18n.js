@@ -0,0 +1,119 @@
+const catalogs = {
+  es: require("../data/i18n/es.json"),
+  en: require("../data/i18n/en.json"),
+  pt: require("../data/i18n/pt.json")
+};
+
+/**
+ * Mensajes de la API en varios idiomas (data/i18n/<lang>.json).
+ *
+ * El idioma se negocia por request (middleware/language.js): parámetro `lang`
+ * primero, después Accept-Language. Las claves que falten en un catálogo caen
+ * al español, que es el idioma histórico de la API.
+ *
+ * Los errores se traducen por código: "errors.<CODE>", o la clave que el error
+ * declare en messageKey (variantes del mismo código) con sus messageParams.
+ */
+
+const DEFAULT_LANGUAGE = "es";
+const SUPPORTED_LANGUAGES = Object.keys(catalogs);
+
+// "pt-BR" -> "pt", "EN" -> "en"; null si no es un idioma soportado
+function normalizeLanguage(value) {
+  const base = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(base) ? base : null;
+}
+
+/**
+ * Idioma de la respuesta: `lang` explícito si es soportado; si no, el primer
+ * idioma soportado de Accept-Language por orden de q; si no, el default.
+ */
+function negotiateLanguage({ lang, acceptLanguage } = {}) {
+  const explicit = normalizeLanguage(lang);
+  if (explicit) return explicit;
+
+  const ranges = String(acceptLanguage || "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map(p => p.trim()).find(p => p.startsWith("q="));
+      return { tag: tag.trim(), q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(r => r.tag && Number.isFinite(r.q) && r.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const range of ranges) {
+    if (range.tag === "*") return DEFAULT_LANGUAGE;
+    const language = normalizeLanguage(range.tag);
+    if (language) return language;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), catalog);
+}
+
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : match));
+}
+
+/**
+ * Texto de `key` en `lang` con {parámetros} reemplazados. Acepta arrays de
+ * textos (p. ej. los features del CTA). Si la clave no existe devuelve la clave.
+ */
+function t(lang, key, params = {}) {
+  const value = lookup(catalogs[normalizeLanguage(lang) || DEFAULT_LANGUAGE], key)
+    ?? lookup(catalogs[DEFAULT_LANGUAGE], key);
+  if (value === undefined) return key;
+  if (Array.isArray(value)) return value.map(item => interpolate(String(item), params));
+  return interpolate(String(value), params);
+}
+
+function hasMessage(key) {
+  return lookup(catalogs[DEFAULT_LANGUAGE], key) !== undefined;
+}
+
+/**
+ * Mensaje de un error de dominio en el idioma pedido. Si el código no está en
+ * el catálogo se usa error.message tal cual.
+ */
+function localizeError(lang, error) {
+  const key = error?.messageKey || (error?.code ? `errors.${error.code}` : null);
+  if (!key || !hasMessage(key)) return error?.message;
+  return t(lang, key, error.messageParams || {});
+}
+
+// Marca un error con la clave y parámetros de su mensaje en el catálogo
+function translatable(error, key, params) {
+  error.messageKey = key;
+  if (params) error.messageParams = params;
+  return error;
+}
+
+/**
+ * Detalles por campo de un error de validación: los que traen { rule, params }
+ * se devuelven como { field, message } con el texto de "validation.<rule>".
+ * Los que no traen rule quedan igual.
+ */
+function localizeDetails(lang, details) {
+  if (!Array.isArray(details)) return details;
+  return details.map(({ rule, params, ...detail }) => (rule ? { ...detail, message: t(lang, `validation.${rule}`, params) } : detail));
+}
+
+// Nombre del idioma en inglés, para indicárselo a los modelos
+function languageName(lang) {
+  return t(lang, "language_name");
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  negotiateLanguage,
+  t,
+  localizeError,
+  localizeDetails,
+  translatable,
+  languageName
+};
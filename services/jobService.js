@@ -0,0 +1,231 @@
+const { createJobId, getJobStore } = require("./jobStore.js");
+const { getAnalysisStore } = require("./analysisStore.js");
+const { MatchValidationError, normalizeJob, buildCandidate, scoreMatch } = require("./matchService.js");
+const { translatable } = require("./i18n.js");
+
+/**
+ * Ofertas laborales de cada cliente (/v1/private/jobs) y ranking de los
+ * perfiles que ese cliente ya analizó contra cada oferta.
+ * Los requisitos se normalizan y puntúan igual que en POST /v1/private/match.
+ */
+
+const JOB_STATUSES = ["open", "closed"];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Análisis más recientes del cliente que se evalúan por oferta
+const CANDIDATE_POOL_MAX = Number(process.env.JOB_CANDIDATE_POOL_MAX || 500);
+
+class JobValidationError extends Error {
+  constructor(message, code = "JOB_INVALID", details) {
+    super(message);
+    this.name = "JobValidationError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function parsePaging(query = {}) {
+  const errors = [];
+  const read = (name, fallback, { min, max }) => {
+    if (query[name] === undefined || query[name] === "") return fallback;
+    const n = Number(query[name]);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      errors.push({ field: name, rule: "integer_range", params: { min, max } });
+      return fallback;
+    }
+    return n;
+  };
+
+  const paging = {
+    limit: read("limit", DEFAULT_LIMIT, { min: 1, max: MAX_LIMIT }),
+    offset: read("offset", 0, { min: 0, max: Number.MAX_SAFE_INTEGER })
+  };
+  return { paging, errors };
+}
+
+// Los requisitos guardados son { id, name }: se vuelven a nombres para re-normalizar
+function namesOf(list) {
+  return Array.isArray(list) ? list.map(item => (item && typeof item === "object" ? item.id || item.name : item)) : list;
+}
+
+function buildJobFields(input, current = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw translatable(
+      new JobValidationError("El cuerpo debe ser un objeto JSON con la oferta.", "JOB_REQUIRED"),
+      "errors.JOB_BODY_REQUIRED"
+    );
+  }
+
+  const merged = {
+    title: input.title ?? current.title,
+    location: input.location ?? current.location,
+    description: input.description ?? current.description,
+    required_skills: input.required_skills ?? namesOf(current.required_skills),
+    nice_to_have_skills: input.nice_to_have_skills ?? namesOf(current.nice_to_have_skills),
+    certifications: input.certifications ?? namesOf(current.certifications),
+    min_years: input.min_years !== undefined ? input.min_years : current.min_years
+  };
+
+  if (!merged.title || !String(merged.title).trim()) {
+    throw new JobValidationError("El campo 'title' es requerido.", "JOB_TITLE_REQUIRED");
+  }
+
+  const status = input.status ?? current.status ?? "open";
+  if (!JOB_STATUSES.includes(status)) {
+    throw translatable(
+      new JobValidationError(`status debe ser ${JOB_STATUSES.join(" o ")}.`, "JOB_INVALID", [{ field: "status" }]),
+      "errors.JOB_INVALID_STATUS",
+      { statuses: JOB_STATUSES.join(" / ") }
+    );
+  }
+
+  let normalized;
+  try {
+    normalized = normalizeJob(merged);
+  } catch (error) {
+    if (error instanceof MatchValidationError) {
+      const jobError = new JobValidationError(error.message, error.code, error.details);
+      throw error.messageKey ? translatable(jobError, error.messageKey, error.messageParams) : jobError;
+    }
+    throw error;
+  }
+
+  const strip = list => list.map(({ id, name }) => ({ id, name }));
+  return {
+    title: normalized.title,
+    location: normalized.location,
+    description: merged.description ? String(merged.description).slice(0, 20_000) : null,
+    required_skills: strip(normalized.required_skills),
+    nice_to_have_skills: strip(normalized.nice_to_have_skills),
+    certifications: strip(normalized.certifications),
+    min_years: normalized.min_years,
+    status
+  };
+}
+
+async function createJob(input, { clientId }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: createJobId(),
+    client_id: clientId,
+    ...buildJobFields(input),
+    created_at: now,
+    updated_at: now
+  };
+  await getJobStore().save(job);
+  return job;
+}
+
+async function getJob(id, clientId) {
+  const job = await getJobStore().get(id);
+  if (!job || job.client_id !== clientId) return null;
+  return job;
+}
+
+async function listJobs(clientId, query = {}) {
+  const { paging, errors } = parsePaging(query);
+  const status = query.status ? String(query.status).toLowerCase() : undefined;
+  if (status && !JOB_STATUSES.includes(status)) {
+    errors.push({ field: "status", rule: "enum", params: { values: JOB_STATUSES.join(", ") } });
+  }
+  if (errors.length) throw new JobValidationError("Parámetros inválidos.", "INVALID_JOB_PARAMS", errors);
+
+  const { results, total } = await getJobStore().list(clientId, { status, ...paging });
+  return {
+    results,
+    pagination: { ...paging, total, has_more: paging.offset + results.length < total }
+  };
+}
+
+async function updateJob(id, input, { clientId }) {
+  const current = await getJob(id, clientId);
+  if (!current) return null;
+
+  const job = {
+    ...current,
+    ...buildJobFields(input, current),
+    updated_at: new Date().toISOString()
+  };
+  await getJobStore().save(job);
+  return job;
+}
+
+async function deleteJob(id, clientId) {
+  const current = await getJob(id, clientId);
+  if (!current) return false;
+  return getJobStore().remove(id);
+}
+
+function candidateName(record) {
+  return record.analysis?.candidate?.nombre || record.parsed?.contact?.name || null;
+}
+
+/**
+ * Rankea los análisis del cliente contra la oferta. Si el mismo CV se analizó
+ * varias veces (mismo text_hash) solo cuenta el análisis más reciente.
+ * Las justificaciones se redactan en `lang`.
+ */
+async function rankCandidates(job, clientId, query = {}, { lang } = {}) {
+  const { paging, errors } = parsePaging(query);
+  const minScore = query.min_score === undefined || query.min_score === "" ? 0 : Number(query.min_score);
+  if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+    errors.push({ field: "min_score", rule: "number_range", params: { min: 0, max: 100 } });
+  }
+  if (errors.length) throw new JobValidationError("Parámetros inválidos.", "INVALID_JOB_PARAMS", errors);
+
+  const { results: records, total: poolTotal } = await getAnalysisStore().search({
+    clientId,
+    sort: "date_desc",
+    limit: CANDIDATE_POOL_MAX,
+    offset: 0
+  });
+
+  const seen = new Set();
+  const ranked = [];
+  for (const record of records) {
+    if (record.text_hash) {
+      if (seen.has(record.text_hash)) continue;
+      seen.add(record.text_hash);
+    }
+    const candidate = buildCandidate({ analysisId: record.id, analysis: record.analysis || {}, parsed: record.parsed });
+    const match = scoreMatch(candidate, job, { lang });
+    if (match.score < minScore) continue;
+
+    ranked.push({
+      analysis_id: record.id,
+      name: candidateName(record),
+      source: record.source,
+      analyzed_at: record.created_at,
+      years_experience: candidate.years,
+      score: match.score,
+      fit: match.fit,
+      matched_skills: match.matched_skills,
+      missing_skills: match.missing_skills,
+      missing_certifications: match.certifications.missing,
+      experience_gap_years: match.experience.gap_years,
+      breakdown: match.breakdown,
+      justification: match.justification
+    });
+  }
+
+  ranked.sort((a, b) => b.score - a.score || (a.analyzed_at < b.analyzed_at ? 1 : -1));
+  const page = ranked.slice(paging.offset, paging.offset + paging.limit)
+    .map((c, i) => ({ rank: paging.offset + i + 1, ...c }));
+
+  return {
+    candidates: page,
+    pagination: { ...paging, total: ranked.length, has_more: paging.offset + page.length < ranked.length },
+    pool: { evaluated: records.length, truncated: poolTotal > records.length }
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  JobValidationError,
+  createJob,
+  getJob,
+  listJobs,
+  updateJob,
+  deleteJob,
+  rankCandidates
+};
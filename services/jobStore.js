@@ -0,0 +1,119 @@
+/**
+ * Almacén de ofertas laborales (/v1/private/jobs).
+ *
+ * - "supabase" (por defecto si hay SUPABASE_URL): tabla `job_postings`.
+ * - "memory": Map en proceso (desarrollo/tests).
+ *
+ * Se elige con JOB_STORE=memory|supabase.
+ */
+
+const MEMORY_MAX_JOBS = 2000;
+
+function createJobId() {
+  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function createMemoryJobStore({ maxEntries = MEMORY_MAX_JOBS } = {}) {
+  const jobs = new Map();
+
+  return {
+    kind: "memory",
+
+    async save(job) {
+      jobs.set(job.id, job);
+      while (jobs.size > maxEntries) {
+        jobs.delete(jobs.keys().next().value);
+      }
+      return job;
+    },
+
+    async get(id) {
+      return jobs.get(id) || null;
+    },
+
+    async list(clientId, { status, limit, offset }) {
+      const matched = Array.from(jobs.values())
+        .filter(j => j.client_id === clientId && (!status || j.status === status))
+        .sort((a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0));
+      return { results: matched.slice(offset, offset + limit), total: matched.length };
+    },
+
+    async remove(id) {
+      return jobs.delete(id);
+    }
+  };
+}
+
+function createSupabaseJobStore(client, { table = "job_postings" } = {}) {
+  return {
+    kind: "supabase",
+
+    async save(job) {
+      const { error } = await client.from(table).upsert(job);
+      if (error) throw new Error(`Error guardando oferta: ${error.message}`);
+      return job;
+    },
+
+    async get(id) {
+      const { data, error } = await client
+        .from(table)
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+      if (error) throw new Error(`Error leyendo oferta: ${error.message}`);
+      return data || null;
+    },
+
+    async list(clientId, { status, limit, offset }) {
+      let query = client
+        .from(table)
+        .select("*", { count: "exact" })
+        .eq("client_id", clientId);
+      if (status) query = query.eq("status", status);
+
+      const { data, error, count } = await query
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (error) throw new Error(`Error listando ofertas: ${error.message}`);
+      return { results: data || [], total: count || 0 };
+    },
+
+    async remove(id) {
+      const { error, count } = await client
+        .from(table)
+        .delete({ count: "exact" })
+        .eq("id", id);
+      if (error) throw new Error(`Error eliminando oferta: ${error.message}`);
+      return count > 0;
+    }
+  };
+}
+
+let defaultStore = null;
+
+function getJobStore() {
+  if (defaultStore) return defaultStore;
+
+  const kind = (process.env.JOB_STORE || (process.env.SUPABASE_URL ? "supabase" : "memory")).toLowerCase();
+  if (kind === "supabase") {
+    const { supabase } = require("./supabase.js");
+    defaultStore = createSupabaseJobStore(supabase);
+  } else {
+    defaultStore = createMemoryJobStore();
+  }
+
+  console.log(`🗄️ Job store: ${defaultStore.kind}`);
+  return defaultStore;
+}
+
+function setJobStore(store) {
+  defaultStore = store;
+}
+
+module.exports = {
+  createJobId,
+  createMemoryJobStore,
+  createSupabaseJobStore,
+  getJobStore,
+  setJobStore
+};
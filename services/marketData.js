@@ -0,0 +1,67 @@
+/**
+ * Datos de mercado (referenciales) para enriquecer análisis de perfiles.
+ * Tabla estática de demanda por área en Oil & Gas Venezuela/LATAM; se actualiza
+ * a mano en cada release (ver MARKET_DATA_VERSION).
+ */
+
+const MARKET_DATA_VERSION = "2026.10";
+
+const SEGMENTS = [
+  {
+    id: "drilling",
+    keywords: ["drilling", "perforación", "perforacion", "iwcf", "well control", "control de pozos", "rig"],
+    demand: "alta",
+    related_roles: ["Drilling Supervisor", "Company Man", "Toolpusher", "Driller"]
+  },
+  {
+    id: "hse",
+    keywords: ["hse", "nebosh", "seguridad industrial", "h2s", "iso 45001", "auditorías", "auditorias"],
+    demand: "alta",
+    related_roles: ["HSE Manager", "HSE Advisor", "Safety Officer"]
+  },
+  {
+    id: "production",
+    keywords: ["production", "producción", "produccion", "artificial lift", "levantamiento artificial", "facilities"],
+    demand: "media",
+    related_roles: ["Production Engineer", "Production Operator", "Facilities Engineer"]
+  },
+  {
+    id: "reservoir",
+    keywords: ["reservoir", "yacimientos", "petrophysics", "petrofísica", "petrofisica", "simulation"],
+    demand: "media",
+    related_roles: ["Reservoir Engineer", "Petrophysicist", "Geologist"]
+  },
+  {
+    id: "maintenance",
+    keywords: ["maintenance", "mantenimiento", "mecánico", "mecanico", "instrumentación", "instrumentacion", "electricista"],
+    demand: "alta",
+    related_roles: ["Maintenance Supervisor", "Instrumentation Technician", "Mechanical Technician"]
+  }
+];
+
+/**
+ * Cruza habilidades y textos del perfil con la tabla de segmentos.
+ */
+function getMarketInsights(profile) {
+  const haystack = [
+    ...(profile.habilidades || []),
+    profile.experienciaOilGas,
+    profile.segmentoExperticia,
+    profile.descripcion
+  ].join(" ").toLowerCase();
+
+  const matched = SEGMENTS.filter(seg => seg.keywords.some(k => haystack.includes(k)));
+  const demandRank = { alta: 2, media: 1, baja: 0 };
+  const top = matched.sort((a, b) => demandRank[b.demand] - demandRank[a.demand])[0];
+
+  return {
+    data_version: MARKET_DATA_VERSION,
+    region: profile.paisResidencia || "LATAM",
+    segments: matched.map(seg => seg.id),
+    demand_level: top ? top.demand : "baja",
+    related_roles: Array.from(new Set(matched.flatMap(seg => seg.related_roles))).slice(0, 5),
+    note: "Datos referenciales de demanda; no representan ofertas activas."
+  };
+}
+
+module.exports = { MARKET_DATA_VERSION, getMarketInsights };
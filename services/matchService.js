@@ -0,0 +1,340 @@
+const { analyzePublicCvText, storePublicAnalysis, getStoredAnalysis } = require("./publicCvService.js");
+const { isExpired, analysisSkills } = require("./analysisStore.js");
+const { parseCvSections, yearsFromExperience } = require("./cvSectionParser.js");
+const { detectSkills, canonicalizeSkill } = require("./skillsTaxonomy.js");
+const { toArray, normalizeForMatch, extractSkillsFromText } = require("../utils/textProcessors.js");
+const { t, translatable } = require("./i18n.js");
+const { emitEvent, analysisEvent } = require("./webhookService.js");
+
+/**
+ * Matching candidato ↔ oferta (POST /v1/private/match).
+ * La oferta puede venir como texto libre o como requisitos estructurados; el
+ * candidato como texto de CV (se analiza con el mismo pipeline que
+ * analyzePublicCvText) o como analysis_id de un análisis guardado.
+ * Todo se compara por ids canónicos de la taxonomía (skillsTaxonomy.js).
+ */
+
+const MIN_CV_LENGTH = 50;
+const MAX_JOB_TEXT_LENGTH = 20_000;
+
+// Peso de cada componente del score (se reparte entre los que la oferta exige)
+const WEIGHTS = { required_skills: 0.55, nice_to_have: 0.1, experience: 0.2, certifications: 0.15 };
+
+class MatchValidationError extends Error {
+  constructor(message, code = "MATCH_INVALID", details, status = 400) {
+    super(message);
+    this.name = "MatchValidationError";
+    this.code = code;
+    this.details = details;
+    this.status = status;
+  }
+}
+
+function parseYearsRequirement(text) {
+  const m = normalizeForMatch(text).match(/(?:minimo|al menos|mas de|at least|min\.?)?\s*(\d{1,2})\s*\+?\s*(?:anos|years?|yrs)/);
+  return m ? Number(m[1]) : null;
+}
+
+function toRequirement(value) {
+  const name = String(value ?? "").trim();
+  if (!name) return null;
+  const ref = canonicalizeSkill(name);
+  return ref ? { id: ref.id, name: ref.name, certification: ref.certification } : { id: null, name, certification: false };
+}
+
+function uniqueRequirements(list) {
+  const seen = new Set();
+  return list.filter(req => {
+    const key = req.id || normalizeForMatch(req.name);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Normaliza la oferta. Con texto libre, las skills y certificaciones se detectan
+ * con la taxonomía y los años mínimos con "5 años"/"5+ years".
+ */
+function normalizeJob(job) {
+  if (typeof job === "string") job = { description: job };
+  if (!job || typeof job !== "object" || Array.isArray(job)) {
+    throw new MatchValidationError("El campo 'job' debe ser un texto o un objeto con los requisitos.", "JOB_REQUIRED");
+  }
+
+  const description = job.description ? String(job.description).slice(0, MAX_JOB_TEXT_LENGTH) : "";
+  const explicit = [
+    ...toArray(job.required_skills ?? job.skills),
+    ...toArray(job.certifications)
+  ];
+
+  let required = explicit.map(toRequirement).filter(Boolean);
+  if (!explicit.length && description) {
+    required = detectSkills(description).map(s => ({ id: s.id, name: s.name, certification: s.certification }));
+  }
+  required = uniqueRequirements(required);
+
+  const niceToHave = uniqueRequirements(toArray(job.nice_to_have_skills ?? job.nice_to_have).map(toRequirement).filter(Boolean))
+    .filter(n => !required.some(r => (r.id && r.id === n.id) || normalizeForMatch(r.name) === normalizeForMatch(n.name)));
+
+  let minYears = job.min_years ?? job.min_years_experience;
+  if (minYears === undefined || minYears === null || minYears === "") {
+    minYears = description ? parseYearsRequirement(description) : null;
+  } else {
+    minYears = Number(minYears);
+    if (!Number.isFinite(minYears) || minYears < 0 || minYears > 80) {
+      throw translatable(
+        new MatchValidationError("min_years debe ser un número entre 0 y 80.", "JOB_INVALID", [{ field: "job.min_years" }]),
+        "errors.JOB_INVALID_MIN_YEARS"
+      );
+    }
+  }
+
+  if (!required.length && !niceToHave.length && minYears === null) {
+    throw new MatchValidationError(
+      "La oferta no tiene requisitos reconocibles: indicá required_skills, min_years o una descripción más detallada.",
+      "JOB_REQUIREMENTS_EMPTY"
+    );
+  }
+
+  return {
+    title: job.title ? String(job.title).slice(0, 200) : null,
+    location: job.location ? String(job.location).slice(0, 200) : null,
+    required_skills: required.filter(r => !r.certification),
+    nice_to_have_skills: niceToHave,
+    certifications: required.filter(r => r.certification),
+    min_years: minYears
+  };
+}
+
+function candidateYears(analysis = {}, parsed, text) {
+  const declared = Number(analysis.years_experience ?? analysis.candidate?.anios_experiencia);
+  if (Number.isFinite(declared)) return declared;
+  const fromParsed = parsed ? yearsFromExperience(parsed.experience) : null;
+  if (fromParsed !== null) return fromParsed;
+  return text ? parseYearsRequirement(text) : null;
+}
+
+// Texto reconstruido desde `parsed` para análisis guardados (no se guarda el CV original)
+function textFromParsed(parsed) {
+  if (!parsed) return "";
+  return [
+    parsed.headline,
+    parsed.summary,
+    ...(parsed.experience || []).flatMap(e => [e.title, e.description])
+  ].filter(Boolean).join("\n");
+}
+
+function buildCandidate({ analysisId, analysis, parsed, text = textFromParsed(parsed) }) {
+  const certNames = (parsed?.certifications || []).map(c => c.name);
+  const detected = detectSkills([text, ...certNames].filter(Boolean).join("\n"));
+  const skillIds = new Set([...(analysis.skill_ids || []), ...detected.map(s => s.id)]);
+  const names = [...analysisSkills(analysis), ...certNames].map(String);
+
+  return {
+    analysis_id: analysisId,
+    skill_ids: skillIds,
+    // Texto donde buscar requisitos que no están en la taxonomía
+    corpus: [text, names.join("\n")].filter(Boolean).join("\n"),
+    years: candidateYears(analysis, parsed, text),
+    score: analysis.score ?? null,
+    seniority: analysis.role_seniority || null
+  };
+}
+
+/**
+ * Un analysis_id sirve como candidato si el análisis es del cliente o es
+ * público (sin client_id: lo generó /v1/public/analyze/* y cualquiera con el
+ * ID ya puede exportarlo). Los análisis privados de otro cliente dan 404,
+ * igual que si no existieran.
+ */
+function canUseAnalysis(record, clientId) {
+  return !record.client_id || record.client_id === clientId;
+}
+
+/**
+ * Resuelve el candidato: un cv_text nuevo se analiza y se guarda (para
+ * reutilizarlo con su analysis_id) o se carga un análisis existente.
+ */
+async function resolveCandidate({ cv_text, analysis_id }, { clientId, aiProvider, refresh, lang, requireRedaction }) {
+  if (analysis_id) {
+    const record = await getStoredAnalysis(String(analysis_id));
+    if (!record || !canUseAnalysis(record, clientId)) {
+      throw translatable(
+        new MatchValidationError(`No existe un análisis con ID '${analysis_id}'.`, "ANALYSIS_NOT_FOUND", undefined, 404),
+        "errors.ANALYSIS_NOT_FOUND",
+        { id: analysis_id }
+      );
+    }
+    if (isExpired(record)) {
+      throw translatable(
+        new MatchValidationError("El análisis expiró. Volvé a analizar el CV.", "ANALYSIS_EXPIRED", undefined, 410),
+        "errors.ANALYSIS_EXPIRED"
+      );
+    }
+    return buildCandidate({ analysisId: record.id, analysis: record.analysis || {}, parsed: record.parsed });
+  }
+
+  const text = String(cv_text || "").trim();
+  if (text.length < MIN_CV_LENGTH) {
+    throw new MatchValidationError(
+      "Indicá 'analysis_id' o 'cv_text' (mínimo 50 caracteres).",
+      "CANDIDATE_REQUIRED"
+    );
+  }
+
+  const analysis = {
+    ...(await analyzePublicCvText(text, { provider: aiProvider, refresh, lang, requireRedaction })),
+    text_length: text.length,
+    processed_at: new Date().toISOString()
+  };
+  const parsed = parseCvSections(text);
+  const { id } = await storePublicAnalysis({
+    cvText: text,
+    source: "match",
+    analysis,
+    parsed,
+    clientId,
+    ttlDays: null
+  });
+  emitEvent(clientId, "analysis.completed", analysisEvent({ analysisId: id, source: "match", analysis }));
+  return {
+    ...buildCandidate({ analysisId: id, analysis, parsed, text }),
+    cache: analysis.cache,
+    // Proveedor de IA que corrió el análisis (null si salió de caché)
+    ai_provider: analysis.cache === "hit" ? null : analysis.ai?.provider || null
+  };
+}
+
+function hasRequirement(candidate, req) {
+  if (req.id) return candidate.skill_ids.has(req.id);
+  return extractSkillsFromText(candidate.corpus, [req.name]).length > 0;
+}
+
+function splitByCandidate(candidate, requirements) {
+  const matched = [];
+  const missing = [];
+  for (const req of requirements) {
+    (hasRequirement(candidate, req) ? matched : missing).push({ id: req.id, name: req.name });
+  }
+  return { matched, missing };
+}
+
+function fitLabel(score) {
+  if (score >= 75) return "strong";
+  if (score >= 50) return "partial";
+  return "weak";
+}
+
+function buildJustification({ score, skills, certifications, experience, job }, lang) {
+  const parts = [];
+  const totalRequired = skills.matched.length + skills.missing.length;
+  if (totalRequired) {
+    parts.push(t(lang, "match.skills", {
+      matched: skills.matched.length,
+      total: totalRequired,
+      missing: skills.missing.length ? t(lang, "match.skills_missing", { names: skills.missing.map(s => s.name).join(", ") }) : ""
+    }));
+  }
+  if (certifications.matched.length + certifications.missing.length) {
+    parts.push(certifications.missing.length
+      ? t(lang, "match.certifications_missing", { names: certifications.missing.map(c => c.name).join(", ") })
+      : t(lang, "match.certifications_ok"));
+  }
+  if (experience.required_years !== null) {
+    const params = { years: experience.candidate_years, required: experience.required_years };
+    if (experience.candidate_years === null) {
+      parts.push(t(lang, "match.experience_unknown", params));
+    } else if (experience.meets) {
+      parts.push(t(lang, "match.experience_meets", params));
+    } else {
+      parts.push(t(lang, "match.experience_short", params));
+    }
+  }
+  const title = job.title ? t(lang, "match.for_title", { title: job.title }) : "";
+  return `${t(lang, "match.header", { score, title })} ${parts.join(" ")}`.trim();
+}
+
+/**
+ * Compara un candidato ya resuelto contra una oferta normalizada.
+ * Score 0-100: promedio ponderado de los componentes que la oferta exige.
+ * La justificación se redacta en `lang` (español por defecto).
+ */
+function scoreMatch(candidate, job, { lang } = {}) {
+  const skills = splitByCandidate(candidate, job.required_skills);
+  const niceToHave = splitByCandidate(candidate, job.nice_to_have_skills);
+  const certifications = splitByCandidate(candidate, job.certifications);
+
+  const experience = {
+    required_years: job.min_years,
+    candidate_years: candidate.years,
+    gap_years: job.min_years !== null && candidate.years !== null ? Math.max(0, Math.round((job.min_years - candidate.years) * 10) / 10) : null,
+    meets: job.min_years === null ? true : candidate.years !== null && candidate.years >= job.min_years
+  };
+
+  const ratio = ({ matched, missing }) => matched.length / (matched.length + missing.length);
+  const components = {};
+  if (job.required_skills.length) components.required_skills = ratio(skills);
+  if (job.nice_to_have_skills.length) components.nice_to_have = ratio(niceToHave);
+  if (job.certifications.length) components.certifications = ratio(certifications);
+  if (job.min_years !== null) {
+    components.experience = job.min_years === 0 ? 1 : Math.min(1, (candidate.years || 0) / job.min_years);
+  }
+
+  const totalWeight = Object.keys(components).reduce((sum, k) => sum + WEIGHTS[k], 0);
+  const score = Math.round(
+    (Object.entries(components).reduce((sum, [k, v]) => sum + WEIGHTS[k] * v, 0) / totalWeight) * 100
+  );
+
+  return {
+    score,
+    fit: fitLabel(score),
+    matched_skills: skills.matched,
+    missing_skills: skills.missing,
+    nice_to_have: niceToHave,
+    certifications: {
+      required: job.certifications.map(c => ({ id: c.id, name: c.name })),
+      matched: certifications.matched,
+      missing: certifications.missing
+    },
+    experience,
+    breakdown: Object.fromEntries(Object.entries(components).map(([k, v]) => [k, Math.round(v * 100)])),
+    justification: buildJustification({ score, skills, certifications, experience, job }, lang)
+  };
+}
+
+async function matchCandidate(body = {}, { clientId, aiProvider, refresh = false, lang, requireRedaction = false } = {}) {
+  if (!body || typeof body !== "object") {
+    throw new MatchValidationError("El cuerpo debe ser un objeto JSON.", "MATCH_INVALID");
+  }
+  const job = normalizeJob(body.job ?? body.job_description);
+  const candidate = await resolveCandidate(body, {
+    clientId,
+    aiProvider,
+    refresh: refresh || body.refresh === true,
+    lang,
+    requireRedaction
+  });
+
+  return {
+    job,
+    candidate: {
+      analysis_id: candidate.analysis_id,
+      years_experience: candidate.years,
+      seniority: candidate.seniority,
+      analysis_score: candidate.score,
+      cache: candidate.cache || null,
+      ai_provider: candidate.ai_provider || null
+    },
+    match: scoreMatch(candidate, job, { lang })
+  };
+}
+
+module.exports = {
+  MatchValidationError,
+  normalizeJob,
+  buildCandidate,
+  scoreMatch,
+  yearsFromExperience,
+  matchCandidate
+};
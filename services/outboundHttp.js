@@ -0,0 +1,197 @@
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+/**
+ * Requests salientes a URLs que registran los clientes (callback_url de los
+ * lotes y webhooks).
+ *
+ * Esas URLs no pueden apuntar a nuestra red: se rechazan loopback, redes
+ * privadas (RFC 1918 y ULA), link-local (incluida la metadata de la nube,
+ * 169.254.169.254), CGNAT, multicast, rangos reservados y los formatos IPv6
+ * que llevan una IPv4 adentro (compatible, NAT64 y 6to4; las mapeadas se
+ * comparan como IPv4). El chequeo corre al registrar la URL y otra vez en
+ * cada conexión, sobre la IP que resuelve el DNS en ese momento: un dominio
+ * puede cambiar de IP después de registrado. Las redirecciones no se siguen.
+ *
+ * A quien registró la URL solo se le devuelve una etiqueta del error
+ * (timeout, connection_failed...), nunca el mensaje crudo del socket.
+ *
+ * OUTBOUND_ALLOWED_HOSTS (hosts separados por coma) exceptúa hosts puntuales,
+ * p. ej. "127.0.0.1" para desarrollo y tests. No va en producción.
+ */
+
+const BLOCKED_SUBNETS = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"], // CGNAT
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"], // link-local y metadata de la nube
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["224.0.0.0", 4, "ipv4"], // multicast
+  ["240.0.0.0", 4, "ipv4"], // reservadas y broadcast
+  ["::", 96, "ipv6"], // ::, ::1 y las IPv4 compatibles (::127.0.0.1), obsoletas
+  ["64:ff9b::", 96, "ipv6"], // NAT64, lleva una IPv4 adentro
+  ["2002::", 16, "ipv6"], // 6to4: los 32 bits siguientes son una IPv4 (2002:7f00:1:: = 127.0.0.1)
+  ["fc00::", 7, "ipv6"], // ULA (incluye la metadata de AWS, fd00:ec2::254)
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"]
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_SUBNETS) {
+  blockList.addSubnet(address, prefix, type);
+}
+
+class OutboundUrlError extends Error {
+  constructor(message, reason, params) {
+    super(message);
+    this.name = "OutboundUrlError";
+    this.reason = reason;
+    this.params = params;
+  }
+}
+
+// Las IPv4 mapeadas en IPv6 (::ffff:10.0.0.1) se comparan contra los rangos IPv4
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockList.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+function isAllowedHost(host) {
+  return String(process.env.OUTBOUND_ALLOWED_HOSTS || "")
+    .split(",")
+    .map(h => h.trim().toLowerCase())
+    .filter(Boolean)
+    .includes(String(host).toLowerCase());
+}
+
+// "[::1]" -> "::1"
+function hostOf(url) {
+  return url.hostname.replace(/^\[|\]$/g, "");
+}
+
+function allowedProtocols() {
+  return process.env.NODE_ENV === "production" ? ["https:"] : ["https:", "http:"];
+}
+
+function privateAddressError() {
+  return new OutboundUrlError("No puede apuntar a una dirección local, privada o reservada.", "private_address");
+}
+
+/**
+ * Chequeos que no necesitan DNS: sintaxis, protocolo, credenciales e IPs literales.
+ */
+function parseOutboundUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    throw new OutboundUrlError("Debe ser una URL válida.", "invalid");
+  }
+
+  const protocols = allowedProtocols();
+  if (!protocols.includes(url.protocol)) {
+    const names = protocols.map(p => p.replace(":", ""));
+    throw new OutboundUrlError(`Debe usar ${names.join(" o ")}.`, "protocol", { protocols: names.join(" / ") });
+  }
+  if (url.username || url.password) {
+    throw new OutboundUrlError("No puede incluir usuario ni contraseña.", "credentials");
+  }
+
+  const host = hostOf(url);
+  if (net.isIP(host) && !isAllowedHost(host) && isBlockedAddress(host)) {
+    throw privateAddressError();
+  }
+  return url;
+}
+
+/**
+ * Valida una URL al registrarla: además de parseOutboundUrl, todas las IPs
+ * que resuelve el host tienen que ser públicas. Devuelve la URL normalizada.
+ */
+async function validateOutboundUrl(value) {
+  const url = parseOutboundUrl(value);
+  const host = hostOf(url);
+
+  if (!net.isIP(host) && !isAllowedHost(host)) {
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch {
+      throw new OutboundUrlError("El host no resuelve a ninguna dirección.", "unresolvable");
+    }
+    if (addresses.some(a => isBlockedAddress(a.address))) throw privateAddressError();
+  }
+  return url.toString();
+}
+
+// `lookup` de http.request: rechaza la conexión si el DNS devuelve una IP bloqueada
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!isAllowedHost(hostname) && addresses.some(a => isBlockedAddress(a.address))) {
+      return callback(privateAddressError());
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * POST de un cuerpo JSON ya serializado. Resuelve con { status, ok } para
+ * cualquier respuesta (un 3xx no se sigue y cuenta como fallo) y rechaza si
+ * no se pudo conectar, la IP está bloqueada o se pasa el timeout.
+ */
+function postJson(value, { headers = {}, body, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    let url;
+    try {
+      url = parseOutboundUrl(value);
+    } catch (error) {
+      return reject(error);
+    }
+
+    const transport = url.protocol === "https:" ? https : http;
+    const request = transport.request(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: guardedLookup,
+      signal: AbortSignal.timeout(timeoutMs)
+    }, response => {
+      // El cuerpo no interesa: se descarta y se espera el final para liberar el socket
+      response.resume();
+      response.on("error", reject);
+      response.on("end", () => resolve({
+        status: response.statusCode,
+        ok: response.statusCode >= 200 && response.statusCode < 300
+      }));
+    });
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Etiqueta de un error de postJson para logs de entrega visibles al cliente.
+ */
+function outboundErrorLabel(error) {
+  if (error instanceof OutboundUrlError) return "blocked_address";
+  if (error?.name === "AbortError" || error?.name === "TimeoutError") return "timeout";
+  if (["ENOTFOUND", "EAI_AGAIN"].includes(error?.code)) return "dns_error";
+  return "connection_failed";
+}
+
+module.exports = {
+  OutboundUrlError,
+  isBlockedAddress,
+  parseOutboundUrl,
+  validateOutboundUrl,
+  postJson,
+  outboundErrorLabel
+};
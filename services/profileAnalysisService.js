@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const { parseProfile, isEmptyProfile } = require("./cvParser.js");
+const { runAnalysis, aiMetadata } = require("./ai/index.js");
+const { getMarketInsights } = require("./marketData.js");
+const { TAXONOMY_VERSION, detectSkills, canonicalizeSkills, canonicalIndustry } = require("./skillsTaxonomy.js");
+const { createAnalysisId, buildRecord, getAnalysisStore } = require("./analysisStore.js");
+const { DEFAULT_LANGUAGE, normalizeLanguage, translatable } = require("./i18n.js");
+
+/**
+ * Análisis de perfiles estructurados (clientes privados, /v1/analyze/profile).
+ * parseProfile normaliza campos ES/EN -> el proveedor de IA puntúa -> se guarda
+ * en el almacén de análisis con el client_id para búsquedas posteriores.
+ */
+
+class ProfileValidationError extends Error {
+  constructor(message, code = "PROFILE_REQUIRED") {
+    super(message);
+    this.name = "ProfileValidationError";
+    this.code = code;
+  }
+}
+
+// Mismos umbrales que el análisis heurístico de CVs (ai/heuristicProvider.js)
+function seniorityFromYears(years) {
+  if (years === null || years === undefined) return null;
+  if (years >= 5) return "Senior";
+  if (years <= 2) return "Junior";
+  return "Mid-Level";
+}
+
+function hashObject(obj) {
+  const stable = JSON.stringify(obj, Object.keys(obj).sort());
+  return crypto.createHash("sha256").update(stable).digest("hex");
+}
+
+function industryFromProfile(profile) {
+  const text = [profile.experienciaOilGas, profile.segmentoExperticia, profile.descripcion, ...profile.habilidades]
+    .join(" ")
+    .toLowerCase();
+  return canonicalIndustry(/oil|gas|petrol|perforaci|drilling|offshore|pozo|hse/.test(text) ? "Oil & Gas" : "General");
+}
+
+/**
+ * Skills del perfil (declaradas + las que el proveedor sumó) más las que aparecen
+ * en la descripción/experiencia, todas mapeadas a ids de la taxonomía.
+ */
+function profileSkills(profile, result) {
+  const declared = [...profile.habilidades, ...(Array.isArray(result.skills_enhanced) ? result.skills_enhanced : [])];
+  const mentioned = detectSkills([profile.descripcion, profile.experienciaOilGas].filter(Boolean).join("\n"));
+  return canonicalizeSkills([...declared, ...mentioned.map(s => s.name)]);
+}
+
+function normalizeOptions(options = {}) {
+  return {
+    source: options.source ? String(options.source).slice(0, 64) : "api",
+    enrich_with_market_data: options.enrich_with_market_data === true || options.enrich_with_market_data === "true"
+  };
+}
+
+async function analyzeProfile(payload = {}, { clientId, aiProvider, lang, requireRedaction = false } = {}) {
+  if (!payload || typeof payload !== "object" || (payload.profile !== undefined && typeof payload.profile !== "object")) {
+    throw new ProfileValidationError("El campo 'profile' es requerido y debe ser un objeto.");
+  }
+
+  const profile = parseProfile(payload);
+  if (isEmptyProfile(profile)) {
+    throw translatable(new ProfileValidationError(
+      "El perfil debe incluir al menos nombre, descripción, experiencia o habilidades."
+    ), "errors.PROFILE_EMPTY");
+  }
+
+  const options = normalizeOptions(payload.options);
+  const language = normalizeLanguage(lang) || DEFAULT_LANGUAGE;
+  const run = await runAnalysis({
+    task: "profile",
+    input: { profile, lang: language },
+    provider: aiProvider,
+    requireRedaction
+  });
+  const result = {
+    ...run.result,
+    language,
+    provider: run.provider,
+    profile_hash: hashObject(profile),
+    ai: aiMetadata(run),
+    validation: run.validation
+  };
+
+  const { skills, skill_ids } = profileSkills(profile, result);
+
+  const analysis = {
+    ...result,
+    skills_enhanced: skills,
+    skill_ids,
+    taxonomy_version: TAXONOMY_VERSION,
+    candidate: {
+      nombre: profile.nombre || null,
+      pais: profile.paisResidencia || null,
+      segmento: profile.segmentoExperticia || null,
+      anios_experiencia: profile.aniosExperiencia
+    },
+    industry: industryFromProfile(profile),
+    role_seniority: seniorityFromYears(profile.aniosExperiencia),
+    years_experience: profile.aniosExperiencia,
+    source: options.source,
+    processed_at: new Date().toISOString()
+  };
+
+  if (options.enrich_with_market_data) {
+    analysis.market_data = getMarketInsights(profile);
+  }
+
+  const id = createAnalysisId("profile");
+  const record = buildRecord({
+    id,
+    textHash: result.profile_hash,
+    source: options.source,
+    clientId,
+    analysis,
+    ttlDays: null
+  });
+
+  try {
+    await getAnalysisStore().save(record);
+  } catch (error) {
+    console.error("💥 Error storing profile analysis:", error.message);
+  }
+
+  return { id, analysis, options };
+}
+
+module.exports = { analyzeProfile, ProfileValidationError };
@@ -1,72 +1,11 @@
 const crypto = require("crypto");
-const path = require("path");
-const fs = require("fs");
-
-console.log("🔄 Loading publicCvService.js...");
-console.log("📁 Current dir:", __dirname);
-console.log("📄 Files in services dir:", fs.readdirSync(__dirname));
-
-// ========== FORZAR CARGA DE DEEPSEEK SERVICE ==========
-console.log("🔧 Attempting to load deepseekService.js...");
-
-let deepseekAnalyzeCvText;
-try {
-  // Ruta ABSOLUTA (ya sabemos que existe en /var/task/services/)
-  const deepseekPath = path.join(__dirname, 'deepseekService.js');
-  console.log("📍 deepseekService.js path:", deepseekPath);
-  console.log("✅ File exists:", fs.existsSync(deepseekPath));
-  
-  // Limpiar cache y requerir
-  delete require.cache[require.resolve(deepseekPath)];
-  const deepseekModule = require(deepseekPath);
-  
-  console.log("📦 deepseekModule loaded. Keys:", Object.keys(deepseekModule));
-  
-  if (deepseekModule.deepseekAnalyzeCvText) {
-    deepseekAnalyzeCvText = deepseekModule.deepseekAnalyzeCvText;
-    console.log("✅ deepseekAnalyzeCvText function loaded successfully");
-  } else {
-    console.error("❌ deepseekAnalyzeCvText not found in module");
-    throw new Error("Function not exported");
-  }
-  
-} catch (error) {
-  console.error("💥 FAILED to load deepseekService.js:", {
-    message: error.message,
-    stack: error.stack,
-    code: error.code
-  });
-  
-  // Función de fallback embebida
-  deepseekAnalyzeCvText = function(inputText) {
-    console.log("🔄 Using EMBEDDED fallback (deepseekService failed to load)");
-    const textLower = (inputText || "").toLowerCase();
-    
-    let industry = "General";
-    if (textLower.includes('react') || textLower.includes('node')) industry = "IT";
-    
-    let experience = 3;
-    const yearsMatch = textLower.match(/(\d+)\s*years?/i);
-    if (yearsMatch) experience = parseInt(yearsMatch[1]);
-    
-    const skills = ['react', 'node', 'javascript', 'typescript', 'docker', 'aws'];
-    const detected = skills.filter(s => textLower.includes(s));
-    
-    return Promise.resolve({
-      industry,
-      role_seniority: experience >= 5 ? "Senior" : "Mid-Level",
-      top_roles: ["Software Developer", "Engineer"],
-      skills: detected,
-      score: Math.min(10, experience + 3),
-      red_flags: ["Service: Embedded fallback (module load failed)"],
-      summary: `Embedded analysis: ${experience} years experience.`,
-      next_steps: ["Complete profile on Petrolink"],
-      _source: "embedded-fallback"
-    });
-  };
-}
-
-console.log("✅ publicCvService.js loaded with deepseek function:", !!deepseekAnalyzeCvText);
+const { createAnalysisId, buildRecord, getAnalysisStore } = require("./analysisStore.js");
+const { dayKeyFor, getQuotaStore, purgeExpiredQuotaIfDue } = require("./quotaStore.js");
+const { TAXONOMY_VERSION, canonicalizeSkills, canonicalIndustry } = require("./skillsTaxonomy.js");
+const { runAnalysis, aiMetadata, defaultProviderName } = require("./ai/index.js");
+const { PROMPT_VERSION } = require("./ai/prompts.js");
+const { cacheKey, getAnalysisCache, purgeAnalysisCacheIfDue } = require("./analysisCache.js");
+const { DEFAULT_LANGUAGE, normalizeLanguage, t } = require("./i18n.js");
 
 /**
  * Servicio público de análisis de CV
@@ -76,8 +15,8 @@ function sha256(text) {
   return crypto.createHash("sha256").update(text).digest("hex");
 }
 
-function normalizeText(t = "") {
-  return String(t || "")
+function normalizeText(text = "") {
+  return String(text || "")
     .replace(/\r\n/g, "\n")
     .replace(/[ \t]+/g, " ")
     .replace(/\n{3,}/g, "\n\n")
@@ -91,98 +30,245 @@ function normalizeEmail(email) {
   return e;
 }
 
-// Sistema de cuota simple
-const quotaMemory = new Map();
+// Análisis gratuitos por día y por email
+const PUBLIC_FREE_ANALYSES = 3;
+
+/**
+ * Bucket de cuota: el email si viene; si no, la IP del cliente (HMAC con
+ * QUOTA_IP_SALT, en la tabla no queda la IP). Sin email ni IP se cae al
+ * bucket compartido "anon".
+ */
+function quotaIdentity(email, ip) {
+  const e = email ? String(email).trim().toLowerCase() : "";
+  if (e) return e;
+  if (ip) {
+    const digest = crypto.createHmac("sha256", process.env.QUOTA_IP_SALT || "").update(String(ip)).digest("hex");
+    return `ip:${digest.substring(0, 32)}`;
+  }
+  return "anon";
+}
+
+function nextResetAt(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
 
-async function checkAndConsumePublicQuota({ cvText, email, maxFree = 3 }) {
+async function checkAndConsumePublicQuota({ cvText, email, ip, maxFree = PUBLIC_FREE_ANALYSES }) {
   const clean = normalizeText(cvText);
   const cvHash = sha256(clean);
   const shortHash = cvHash.substring(0, 12);
 
-  // Bucket diario (reinicia cada día)
-  const dayKey = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-  const identity = (email && String(email).trim().toLowerCase()) ? String(email).trim().toLowerCase() : "anon";
+  // Bucket diario (reinicia cada día) por identidad (email o IP)
+  const dayKey = dayKeyFor();
+  const identity = quotaIdentity(email, ip);
+  const store = getQuotaStore();
+
+  purgeExpiredQuotaIfDue(store);
 
-  // Cuota por día y por identidad (email)
-  const key = `${dayKey}:${identity}`;
+  // Si ya alcanzó el máximo se bloquea sin consumir
+  const { allowed, count } = await store.consume(dayKey, identity, maxFree);
 
-  const entry = quotaMemory.get(key) || { count: 0 };
+  console.log(`📊 Quota check - Key: ${dayKey}:${identity}, Count: ${count}, Allowed: ${allowed}, Hash: ${shortHash}, Length: ${clean.length}`);
 
-  console.log(`📊 Quota check - Key: ${key}, Count: ${entry.count}, Hash: ${shortHash}, Length: ${clean.length}`);
+  return {
+    cv_hash: shortHash,
+    allowed,
+    remaining: Math.max(0, maxFree - count),
+    count,
+    max_free: maxFree
+  };
+}
 
-  // Si ya alcanzó el máximo, bloquear sin consumir
-  if (entry.count >= maxFree) {
-    return {
-      cv_hash: shortHash,
-      allowed: false,
-      remaining: 0,
-      count: entry.count,
-      max_free: maxFree
-    };
+/**
+ * Cuota de las rutas públicas con caché: un CV que ya está en la caché de
+ * análisis se devuelve sin consumir cuota y aunque la cuota del día esté
+ * agotada. Es a propósito: la cuota limita el gasto en el LLM y un hit no lo
+ * llama; además quien manda el texto exacto del CV ya tiene lo que se analizó.
+ * Solo los misses consumen.
+ */
+async function checkPublicQuotaOrCache({ cvText, email, ip, maxFree = PUBLIC_FREE_ANALYSES, lang }) {
+  const cached = await getCachedCvAnalysis(cvText, { lang });
+  if (!cached) {
+    const quota = await checkAndConsumePublicQuota({ cvText, email, ip, maxFree });
+    return { cached: null, quota: { ...quota, consumed: quota.allowed } };
   }
 
-  // Consumir 1
-  entry.count += 1;
-  quotaMemory.set(key, entry);
+  const status = await getPublicQuotaStatus({ email, ip, maxFree });
+  return {
+    cached,
+    quota: {
+      cv_hash: sha256(normalizeText(cvText)).substring(0, 12),
+      allowed: true,
+      remaining: status.remaining,
+      count: status.used,
+      max_free: maxFree,
+      consumed: false
+    }
+  };
+}
+
+/**
+ * Estado de la cuota sin consumir (GET /v1/public/quota)
+ */
+async function getPublicQuotaStatus({ email, ip, maxFree = PUBLIC_FREE_ANALYSES }) {
+  const now = new Date();
+  const used = await getQuotaStore().get(dayKeyFor(now), quotaIdentity(email, ip));
+  const resetAt = nextResetAt(now);
 
   return {
-    cv_hash: shortHash,
-    allowed: true,
-    remaining: Math.max(0, maxFree - entry.count),
-    count: entry.count,
-    max_free: maxFree
+    limit: maxFree,
+    used: Math.min(used, maxFree),
+    remaining: Math.max(0, maxFree - used),
+    reset_at: resetAt.toISOString(),
+    reset_in_seconds: Math.ceil((resetAt - now) / 1000)
   };
 }
 
+function cvCacheKey(cvText, provider, lang) {
+  return cacheKey({
+    textHash: sha256(normalizeText(cvText)),
+    provider: String(provider || defaultProviderName()).toLowerCase(),
+    promptVersion: PROMPT_VERSION,
+    lang: normalizeLanguage(lang) || DEFAULT_LANGUAGE
+  });
+}
+
+/**
+ * Análisis cacheado para este CV, proveedor e idioma, o null. Un fallo de la
+ * caché nunca rompe el análisis: se loguea y se trata como miss.
+ */
+async function getCachedCvAnalysis(cvText, { provider, lang } = {}) {
+  const cache = getAnalysisCache();
+  purgeAnalysisCacheIfDue(cache);
+  try {
+    const entry = await cache.get(cvCacheKey(cvText, provider, lang));
+    if (!entry) return null;
+    console.log(`♻️ Analysis cache hit (${entry.cache_key.substring(0, 12)})`);
+    return { ...entry.analysis, cache: "hit", cached_at: entry.created_at };
+  } catch (error) {
+    console.error("💥 Error reading analysis cache:", error.message);
+    return null;
+  }
+}
+
+// Solo se cachea lo que respondió el proveedor pedido: un fallback no debe quedar fijado
+async function cacheCvAnalysis(cvText, provider, lang, analysis) {
+  if (analysis.ai?.fallback_reason || analysis._source === "emergency-fallback") return;
+  try {
+    await getAnalysisCache().set(cvCacheKey(cvText, provider, lang), analysis);
+  } catch (error) {
+    console.error("💥 Error writing analysis cache:", error.message);
+  }
+}
+
 /**
- * Análisis de CV público - USANDO LA FUNCIÓN CARGADA
+ * Análisis de CV con el proveedor de IA del cliente (o el de AI_PROVIDER).
+ * Lo usan cv-text, cv-file, lotes y matching. Con `refresh` se ignora la
+ * caché (clientes privados, o cuando la ruta ya la consultó) y el resultado
+ * nuevo la reemplaza. `lang` es el idioma de summary, red_flags y next_steps.
+ * `requireRedaction` fuerza la redacción de datos personales (ai/redaction.js).
  */
-async function analyzePublicCvText(cvText) {
-  console.log("🔍 analyzePublicCvText called");
-  console.log("📏 Text length:", cvText?.length);
-  console.log("🔧 deepseekAnalyzeCvText available:", typeof deepseekAnalyzeCvText);
+async function analyzePublicCvText(cvText, { provider, refresh = false, lang, requireRedaction = false } = {}) {
+  console.log("🔍 analyzePublicCvText called. Length:", cvText?.length);
+  const language = normalizeLanguage(lang) || DEFAULT_LANGUAGE;
   
-  if (!deepseekAnalyzeCvText) {
-    console.error("❌ deepseekAnalyzeCvText is not available!");
-    return getEmergencyFallback(cvText);
+  if (!refresh) {
+    const cached = await getCachedCvAnalysis(cvText, { provider, lang: language });
+    if (cached) return cached;
   }
   
   try {
-    console.log("🚀 Calling deepseekAnalyzeCvText...");
-    const result = await deepseekAnalyzeCvText(cvText);
-    
-    console.log("✅ Analysis completed. Source:", result._source || "unknown");
-    return result;
+    const run = await runAnalysis({ task: "cv", input: { text: cvText, lang: language }, provider, requireRedaction });
+    console.log(`✅ Analysis completed. Provider: ${run.provider}`);
     
+    const analysis = withCanonicalSkills({
+      ...run.result,
+      language,
+      _source: run.provider,
+      ai: aiMetadata(run),
+      validation: run.validation
+    });
+    await cacheCvAnalysis(cvText, provider, language, analysis);
+    return { ...analysis, cache: "miss" };
   } catch (error) {
     console.error("💥 Error in analyzePublicCvText:", {
       message: error.message,
       stack: error.stack
     });
     
-    return getEmergencyFallback(cvText);
+    return getEmergencyFallback(cvText, language);
   }
 }
 
+/**
+ * Lleva las skills de cualquier proveedor a los ids canónicos de la taxonomía
+ * y la industria a su nombre canónico ("Oil & Gas" -> "Energía").
+ * Las skills que no están en la taxonomía se conservan en `skills` sin id.
+ */
+function withCanonicalSkills(result) {
+  const { skills, skill_ids } = canonicalizeSkills(Array.isArray(result.skills) ? result.skills : []);
+  return { ...result, industry: canonicalIndustry(result.industry), skills, skill_ids, taxonomy_version: TAXONOMY_VERSION };
+}
+
 /**
  * Fallback de emergencia
  */
-function getEmergencyFallback(text) {
+function getEmergencyFallback(text, lang = DEFAULT_LANGUAGE) {
   console.log("🚨 EMERGENCY FALLBACK triggered");
   
-  const textLower = normalizeText(text).toLowerCase();
-  
   return {
     industry: "IT",
     role_seniority: "Mid-Level",
-    top_roles: ["Technical Professional"],
+    top_roles: [t(lang, "analysis.fallback_role")],
     skills: [],
+    skill_ids: [],
     score: 5,
-    red_flags: ["Emergency fallback - service issue"],
-    summary: "Analysis service temporarily unavailable.",
-    next_steps: ["Try again later or contact support"],
-    _source: "emergency-fallback"
+    red_flags: [t(lang, "analysis.fallback_red_flag")],
+    summary: t(lang, "analysis.fallback_summary"),
+    next_steps: [t(lang, "analysis.fallback_next_step")],
+    language: lang,
+    _source: "emergency-fallback",
+    cache: "miss"
   };
 }
 
-module.exports = { checkAndConsumePublicQuota, analyzePublicCvText };
\ No newline at end of file
+/**
+ * Guarda un análisis bajo un ID nuevo para los links de exportación.
+ * Si el almacén falla, se loguea y se devuelve el ID igual: el análisis
+ * ya se entregó al usuario y no queremos romper la respuesta.
+ */
+async function storePublicAnalysis({ cvText, email, source, analysis, parsed, idPrefix = "analysis", clientId, ttlDays }) {
+  const id = createAnalysisId(idPrefix);
+  const record = buildRecord({
+    id,
+    textHash: sha256(normalizeText(cvText)),
+    email: normalizeEmail(email),
+    source,
+    clientId,
+    analysis,
+    parsed,
+    ttlDays
+  });
+
+  try {
+    await getAnalysisStore().save(record);
+    return { id, stored: true, expires_at: record.expires_at };
+  } catch (error) {
+    console.error("💥 Error storing analysis:", error.message);
+    return { id, stored: false, expires_at: null };
+  }
+}
+
+async function getStoredAnalysis(id) {
+  return getAnalysisStore().get(id);
+}
+
+module.exports = {
+  PUBLIC_FREE_ANALYSES,
+  checkAndConsumePublicQuota,
+  checkPublicQuotaOrCache,
+  getPublicQuotaStatus,
+  getCachedCvAnalysis,
+  analyzePublicCvText,
+  storePublicAnalysis,
+  getStoredAnalysis
+};
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * Almacén de cuota pública (análisis gratuitos por día y por email).
+ * Las claves son buckets diarios `YYYY-MM-DD:identidad`; los de días viejos se
+ * purgan solos (QUOTA_RETENTION_DAYS, 2 por defecto).
+ *
+ * - "supabase" (por defecto si hay SUPABASE_URL): tabla `public_quota` + función
+ *   `consume_public_quota` para que el consumo sea atómico entre instancias.
+ * - "memory": Map en proceso (tests/desarrollo).
+ *
+ * Se elige con QUOTA_STORE=memory|supabase.
+ */
+
+const QUOTA_RETENTION_DAYS = Number(process.env.QUOTA_RETENTION_DAYS || 2);
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayKeyFor(date = new Date()) {
+  return date.toISOString().slice(0, 10); // YYYY-MM-DD
+}
+
+function oldestKeptDay(now = new Date(), retentionDays = QUOTA_RETENTION_DAYS) {
+  return dayKeyFor(new Date(now.getTime() - (retentionDays - 1) * DAY_MS));
+}
+
+function createMemoryQuotaStore({ retentionDays = QUOTA_RETENTION_DAYS } = {}) {
+  const buckets = new Map();
+
+  return {
+    kind: "memory",
+
+    async get(day, identity) {
+      return buckets.get(`${day}:${identity}`) || 0;
+    },
+
+    async consume(day, identity, max) {
+      const key = `${day}:${identity}`;
+      const count = buckets.get(key) || 0;
+      if (count >= max) return { allowed: false, count };
+      buckets.set(key, count + 1);
+      return { allowed: true, count: count + 1 };
+    },
+
+    async purgeExpired(now = new Date()) {
+      const keep = oldestKeptDay(now, retentionDays);
+      let removed = 0;
+      for (const key of buckets.keys()) {
+        if (key.slice(0, 10) < keep) {
+          buckets.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+function createSupabaseQuotaStore(client, { table = "public_quota", retentionDays = QUOTA_RETENTION_DAYS } = {}) {
+  return {
+    kind: "supabase",
+
+    async get(day, identity) {
+      const { data, error } = await client
+        .from(table)
+        .select("count")
+        .eq("day", day)
+        .eq("identity", identity)
+        .maybeSingle();
+      if (error) throw new Error(`Error leyendo cuota: ${error.message}`);
+      return data?.count || 0;
+    },
+
+    async consume(day, identity, max) {
+      const { data, error } = await client.rpc("consume_public_quota", {
+        p_day: day,
+        p_identity: identity,
+        p_max: max
+      });
+      if (error) throw new Error(`Error consumiendo cuota: ${error.message}`);
+      const row = Array.isArray(data) ? data[0] : data;
+      return { allowed: !!row?.allowed, count: Number(row?.count) || 0 };
+    },
+
+    async purgeExpired(now = new Date()) {
+      const { error, count } = await client
+        .from(table)
+        .delete({ count: "exact" })
+        .lt("day", oldestKeptDay(now, retentionDays));
+      if (error) throw new Error(`Error purgando cuota: ${error.message}`);
+      return count || 0;
+    }
+  };
+}
+
+let defaultStore = null;
+let lastPurgeAt = 0;
+
+function getQuotaStore() {
+  if (defaultStore) return defaultStore;
+
+  const kind = (process.env.QUOTA_STORE || (process.env.SUPABASE_URL ? "supabase" : "memory")).toLowerCase();
+  if (kind === "supabase") {
+    const { supabase } = require("./supabase.js");
+    defaultStore = createSupabaseQuotaStore(supabase);
+  } else {
+    defaultStore = createMemoryQuotaStore();
+  }
+
+  console.log(`🗄️ Quota store: ${defaultStore.kind}`);
+  return defaultStore;
+}
+
+function setQuotaStore(store) {
+  defaultStore = store;
+  lastPurgeAt = 0;
+}
+
+/**
+ * Purga buckets viejos como mucho una vez por hora por instancia, sin bloquear el request.
+ */
+function purgeExpiredQuotaIfDue(store = getQuotaStore(), now = Date.now()) {
+  if (now - lastPurgeAt < PURGE_INTERVAL_MS) return;
+  lastPurgeAt = now;
+  store.purgeExpired(new Date(now))
+    .then(removed => removed && console.log(`🧹 Quota buckets purged: ${removed}`))
+    .catch(error => console.error("Quota purge failed:", error.message));
+}
+
+module.exports = {
+  QUOTA_RETENTION_DAYS,
+  dayKeyFor,
+  createMemoryQuotaStore,
+  createSupabaseQuotaStore,
+  getQuotaStore,
+  setQuotaStore,
+  purgeExpiredQuotaIfDue
+};
@@ -0,0 +1,351 @@
+const PDFDocument = require("pdfkit");
+const { toArray } = require("../utils/textProcessors.js");
+const { buildBlindProfile } = require("./blindProfileService.js");
+const { analysisSkills } = require("./analysisStore.js");
+const { DEFAULT_LANGUAGE, normalizeLanguage, t } = require("./i18n.js");
+
+/**
+ * Reportes de análisis de CV.
+ * Un único modelo de reporte (buildAnalysisReport) alimenta los tres formatos
+ * de exportación (json, html, pdf) para que muestren exactamente lo mismo.
+ * Los títulos y textos fijos salen del catálogo `report.*` en el idioma del
+ * request; el contenido del análisis queda como se generó.
+ */
+
+const REPORT_SERVICE = "Petrolink CV Analyzer";
+const REPORT_VERSION = "2.0.0";
+const BRAND = {
+  primary: "#1a365d",
+  accent: "#f6ad55",
+  muted: "#4a5568",
+  border: "#e2e8f0",
+  danger: "#c53030"
+};
+
+/**
+ * Construye el modelo de reporte a partir de un registro de cv_analyses.
+ * Con `blind` el reporte sale del perfil ciego (blindProfileService.js): sin
+ * datos de identidad y con la referencia anónima en lugar del analysis_id.
+ */
+function buildAnalysisReport(record, { blind = false, lang } = {}) {
+  const profile = blind ? buildBlindProfile(record, { lang }) : null;
+  const analysis = profile ? profile.analysis : record.analysis || {};
+  const score = Number(analysis.score);
+
+  return {
+    id: profile ? profile.candidate_ref : record.id,
+    generated_at: record.created_at,
+    expires_at: record.expires_at || null,
+    source: record.source || null,
+    analysis: {
+      industry: analysis.industry || t(lang, "industries.General"),
+      role_seniority: analysis.role_seniority || t(lang, "report.undetermined"),
+      score: Number.isFinite(score) ? score : null,
+      top_roles: toArray(analysis.top_roles),
+      skills: toArray(analysisSkills(analysis)),
+      red_flags: toArray(analysis.red_flags),
+      summary: analysis.summary || "",
+      next_steps: toArray(analysis.next_steps)
+    },
+    ...(profile ? {
+      blind: true,
+      candidate: {
+        headline: profile.headline,
+        summary: profile.summary,
+        years_experience: profile.years_experience,
+        experience: profile.experience,
+        education: profile.education,
+        certifications: profile.certifications,
+        languages: profile.languages
+      },
+      removed: profile.removed
+    } : {}),
+    metadata: {
+      service: REPORT_SERVICE,
+      version: REPORT_VERSION,
+      provider: record.analysis?._source || null,
+      text_length: record.analysis?.text_length ?? null,
+      processed_at: record.analysis?.processed_at || record.created_at,
+      exported_at: new Date().toISOString()
+    }
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatDate(iso) {
+  if (!iso) return "-";
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "-" : d.toISOString().replace("T", " ").slice(0, 16) + " UTC";
+}
+
+// Textos fijos del reporte: label("skills") -> t(lang, "report.skills")
+function labels(lang) {
+  return (key, params) => t(lang, `report.${key}`, params);
+}
+
+function htmlList(items, emptyText) {
+  if (!items.length) return `<p class="muted">${escapeHtml(emptyText)}</p>`;
+  return `<ul>${items.map(i => `<li>${escapeHtml(i)}</li>`).join("")}</ul>`;
+}
+
+/**
+ * Bloques del perfil ciego ya formateados, compartidos por HTML y PDF
+ */
+function candidateBlocks(report, lang) {
+  const label = labels(lang);
+  const c = report.candidate;
+  const period = job => `${job.start_date || "?"} – ${job.current ? label("present") : job.end_date || "?"}`;
+  const removed = report.removed.map(field => {
+    const name = label(`removed_fields.${field}`);
+    return name === `report.removed_fields.${field}` ? field : name;
+  });
+
+  return {
+    profile: [
+      c.headline,
+      c.years_experience !== null ? label("years_experience", { years: c.years_experience }) : null,
+      c.summary
+    ].filter(Boolean),
+    experience: c.experience.map(job => ({
+      heading: [job.title, job.company].filter(Boolean).join(" — ") + (job.start_date ? ` (${period(job)})` : ""),
+      description: job.description
+    })),
+    education: c.education.map(e => e.degree),
+    certifications: c.certifications.map(cert => [cert.name, cert.issuer, cert.year].filter(Boolean).join(" · ")),
+    languages: c.languages.map(l => (l.level ? `${l.language} (${l.level})` : l.language)),
+    removed: label("removed", { fields: removed.join(", ") })
+  };
+}
+
+function renderCandidateHtml(report, lang) {
+  const label = labels(lang);
+  const b = candidateBlocks(report, lang);
+  const experience = b.experience.length
+    ? `<ul>${b.experience.map(job => `<li><strong>${escapeHtml(job.heading)}</strong>${job.description ? `<br>${escapeHtml(job.description)}` : ""}</li>`).join("")}</ul>`
+    : `<p class="muted">${escapeHtml(label("no_experience"))}</p>`;
+
+  return `
+  <div class="section">
+    <h2>${escapeHtml(label("profile"))}</h2>
+    ${b.profile.length ? b.profile.map(p => `<p>${escapeHtml(p)}</p>`).join("") : `<p class="muted">-</p>`}
+  </div>
+  <div class="section">
+    <h2>${escapeHtml(label("experience"))}</h2>
+    ${experience}
+  </div>
+  <div class="section">
+    <h2>${escapeHtml(label("education"))}</h2>
+    ${htmlList(b.education, label("no_education"))}
+  </div>
+  <div class="section">
+    <h2>${escapeHtml(label("certifications"))}</h2>
+    ${htmlList(b.certifications, label("no_certifications"))}
+  </div>
+  <div class="section">
+    <h2>${escapeHtml(label("languages"))}</h2>
+    ${htmlList(b.languages, label("no_languages"))}
+  </div>`;
+}
+
+function renderReportHtml(report, { lang } = {}) {
+  const label = labels(lang);
+  const a = report.analysis;
+  const score = a.score === null ? "-" : `${a.score}/10`;
+  const title = label(report.blind ? "title_blind" : "title_analysis");
+
+  return `<!DOCTYPE html>
+<html lang="${normalizeLanguage(lang) || DEFAULT_LANGUAGE}">
+<head>
+  <meta charset="utf-8">
+  <title>Petrolink ${report.blind ? "Blind Profile" : "Analysis"} - ${escapeHtml(report.id)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; padding: 20px; color: #1a202c; }
+    .header { background: ${BRAND.primary}; color: white; padding: 20px; border-radius: 10px; }
+    .section { margin: 20px 0; padding: 15px; border: 1px solid ${BRAND.border}; border-radius: 8px; }
+    .score { font-size: 2em; font-weight: bold; color: ${BRAND.primary}; }
+    .tag { display: inline-block; background: #edf2f7; padding: 4px 10px; margin: 3px; border-radius: 12px; }
+    .flags li { color: ${BRAND.danger}; }
+    .muted { color: ${BRAND.muted}; font-size: 0.9em; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>${report.blind ? "🕶️" : "📊"} ${escapeHtml(title)} - Petrolink</h1>
+    <p>${report.blind ? "Ref" : "ID"}: ${escapeHtml(report.id)} | ${escapeHtml(label("generated"))}: ${escapeHtml(formatDate(report.generated_at))}</p>
+  </div>
+  <div class="section">
+    <div class="score">${escapeHtml(score)}</div>
+    <p><strong>Seniority:</strong> ${escapeHtml(a.role_seniority)} | <strong>${escapeHtml(label("industry"))}:</strong> ${escapeHtml(a.industry)}</p>
+    ${a.top_roles.length ? `<p><strong>${escapeHtml(label("suggested_roles"))}:</strong> ${a.top_roles.map(escapeHtml).join(", ")}</p>` : ""}
+  </div>${report.blind ? renderCandidateHtml(report, lang) : ""}
+  <div class="section">
+    <h2>${escapeHtml(label("skills"))}</h2>
+    ${a.skills.length ? a.skills.map(s => `<span class="tag">${escapeHtml(s)}</span>`).join("") : `<p class="muted">${escapeHtml(label("no_skills"))}</p>`}
+  </div>
+  <div class="section flags">
+    <h2>${escapeHtml(label("red_flags"))}</h2>
+    ${htmlList(a.red_flags, label("no_red_flags"))}
+  </div>
+  <div class="section">
+    <h2>${escapeHtml(label("summary"))}</h2>
+    <p>${escapeHtml(a.summary)}</p>
+  </div>
+  <div class="section">
+    <h2>${escapeHtml(label("next_steps"))}</h2>
+    ${htmlList(a.next_steps, label("no_next_steps"))}
+  </div>
+  <p class="muted">
+    ${escapeHtml(report.metadata.service)} v${escapeHtml(report.metadata.version)}
+    | ${escapeHtml(label("engine"))}: ${escapeHtml(report.metadata.provider || "-")}
+    | ${escapeHtml(label("exported"))}: ${escapeHtml(formatDate(report.metadata.exported_at))}
+    ${report.expires_at ? `| ${escapeHtml(label("available_until"))}: ${escapeHtml(formatDate(report.expires_at))}` : ""}
+    ${report.blind ? `<br>${escapeHtml(candidateBlocks(report, lang).removed)}` : ""}
+  </p>
+</body>
+</html>`;
+}
+
+/**
+ * Las fuentes estándar de PDF solo cubren WinAnsi: quitamos emojis y
+ * caracteres fuera de Latin-1 para no generar glifos rotos.
+ */
+function pdfText(value) {
+  return String(value ?? "")
+    .replace(/[^\n\x20-\x7E\u00A0-\u00FF\u2022\u2013\u2014\u2018\u2019\u201C\u201D\u20AC]/g, "")
+    .replace(/[ \t]{2,}/g, " ")
+    .trim();
+}
+
+function pdfSection(doc, title) {
+  doc.moveDown(0.8);
+  doc.fillColor(BRAND.primary).font("Helvetica-Bold").fontSize(13).text(title);
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .strokeColor(BRAND.border)
+    .lineWidth(1)
+    .stroke();
+  doc.moveDown(0.4);
+  doc.fillColor("#1a202c").font("Helvetica").fontSize(11);
+}
+
+function pdfList(doc, items, emptyText, color = "#1a202c") {
+  if (!items.length) {
+    doc.fillColor(BRAND.muted).text(pdfText(emptyText));
+    return;
+  }
+  doc.fillColor(color);
+  for (const item of items) {
+    doc.text(`•  ${pdfText(item)}`, { indent: 6 });
+  }
+  doc.fillColor("#1a202c");
+}
+
+/**
+ * Genera el PDF del reporte y devuelve un Buffer
+ */
+function renderReportPdf(report, { lang } = {}) {
+  return new Promise((resolve, reject) => {
+    const label = labels(lang);
+    const a = report.analysis;
+    const title = label(report.blind ? "title_blind" : "title_analysis");
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: {
+        Title: `Petrolink ${report.blind ? "Blind Profile" : "Analysis"} - ${report.id}`,
+        Author: REPORT_SERVICE,
+        Subject: title,
+        CreationDate: new Date(report.metadata.exported_at)
+      }
+    });
+
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // Encabezado
+    doc.rect(0, 0, doc.page.width, 90).fill(BRAND.primary);
+    doc.fillColor("white").font("Helvetica-Bold").fontSize(20)
+      .text(`${pdfText(title)} - Petrolink`, 50, 28);
+    doc.font("Helvetica").fontSize(10)
+      .text(`${report.blind ? "Ref" : "ID"}: ${pdfText(report.id)}  |  ${pdfText(label("generated"))}: ${formatDate(report.generated_at)}`, 50, 56);
+    doc.rect(0, 90, doc.page.width, 4).fill(BRAND.accent);
+    doc.x = 50;
+    doc.y = 115;
+
+    // Score, seniority, industria
+    doc.fillColor(BRAND.primary).font("Helvetica-Bold").fontSize(28)
+      .text(a.score === null ? "-" : `${a.score}/10`);
+    doc.fillColor("#1a202c").font("Helvetica").fontSize(12)
+      .text(`Seniority: ${pdfText(a.role_seniority)}    ${pdfText(label("industry"))}: ${pdfText(a.industry)}`);
+    if (a.top_roles.length) {
+      doc.fillColor(BRAND.muted).fontSize(11)
+        .text(`${pdfText(label("suggested_roles"))}: ${a.top_roles.map(pdfText).join(", ")}`);
+    }
+
+    const blocks = report.blind ? candidateBlocks(report, lang) : null;
+    if (blocks) {
+      pdfSection(doc, pdfText(label("profile")));
+      for (const line of blocks.profile) doc.text(pdfText(line), { align: "justify" });
+
+      pdfSection(doc, pdfText(label("experience")));
+      if (!blocks.experience.length) doc.fillColor(BRAND.muted).text(pdfText(label("no_experience"))).fillColor("#1a202c");
+      for (const job of blocks.experience) {
+        doc.font("Helvetica-Bold").text(pdfText(job.heading)).font("Helvetica");
+        if (job.description) doc.fillColor(BRAND.muted).text(pdfText(job.description), { indent: 6 }).fillColor("#1a202c");
+        doc.moveDown(0.3);
+      }
+
+      pdfSection(doc, pdfText(label("education")));
+      pdfList(doc, blocks.education, label("no_education"));
+
+      pdfSection(doc, pdfText(label("certifications")));
+      pdfList(doc, blocks.certifications, label("no_certifications"));
+
+      pdfSection(doc, pdfText(label("languages")));
+      pdfList(doc, blocks.languages, label("no_languages"));
+    }
+
+    pdfSection(doc, pdfText(label("skills")));
+    doc.text(a.skills.length ? a.skills.map(pdfText).join("  ·  ") : pdfText(label("no_skills")));
+
+    pdfSection(doc, pdfText(label("red_flags")));
+    pdfList(doc, a.red_flags, label("no_red_flags"), BRAND.danger);
+
+    pdfSection(doc, pdfText(label("summary")));
+    doc.text(pdfText(a.summary) || "-", { align: "justify" });
+
+    pdfSection(doc, pdfText(label("next_steps")));
+    pdfList(doc, a.next_steps, label("no_next_steps"));
+
+    // Metadatos de generación
+    const meta = [
+      `${report.metadata.service} v${report.metadata.version}`,
+      `${pdfText(label("engine"))}: ${pdfText(report.metadata.provider || "-")}`,
+      `${pdfText(label("exported"))}: ${formatDate(report.metadata.exported_at)}`
+    ];
+    if (report.expires_at) meta.push(`${pdfText(label("available_until"))}: ${formatDate(report.expires_at)}`);
+    if (blocks) meta.push(pdfText(blocks.removed));
+    doc.moveDown(1.5);
+    doc.fillColor(BRAND.muted).fontSize(8).text(meta.join("  |  "));
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  buildAnalysisReport,
+  renderReportHtml,
+  renderReportPdf,
+  escapeHtml
+};
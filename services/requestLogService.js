@@ -0,0 +1,127 @@
+const { getRequestLogStore } = require("./requestLogStore.js");
+
+/**
+ * Log de auditoría de requests privados (`api_request_logs`).
+ *
+ * logRequest (middleware/security.js) arma la fila cuando termina la respuesta
+ * —status, latencia, código de error, tamaño y proveedor de IA— y la guarda
+ * con recordRequest. GET /v1/private/logs la consulta, siempre acotada al
+ * client_id de la key. Dónde se guarda lo decide requestLogStore.js.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+// Query params que nunca se guardan (credenciales pasadas por URL)
+const SENSITIVE_QUERY_RE = /^(api_?key|key|token|access_token|secret|password|signature)$/i;
+
+// Fallas al guardar desde que arrancó el proceso (se publican en /health)
+const stats = { failures: 0, last_failure_at: null };
+
+function sanitizeQuery(query = {}) {
+  return Object.fromEntries(Object.entries(query).filter(([name]) => !SENSITIVE_QUERY_RE.test(name)));
+}
+
+/**
+ * Guarda una fila de log. No lanza: la falla se reporta con el request_id para
+ * poder rastrearla, y se cuenta en stats.
+ */
+async function recordRequest(entry) {
+  try {
+    await getRequestLogStore().insert(entry);
+  } catch (error) {
+    stats.failures += 1;
+    stats.last_failure_at = new Date().toISOString();
+    console.error(`💥 No se pudo guardar el log del request ${entry.request_id}:`, error.message);
+  }
+}
+
+function getRequestLogStats() {
+  return { ...stats };
+}
+
+/**
+ * Valida y normaliza los query params de GET /v1/private/logs. Devuelve { filters, errors }
+ * con los errores como { field, rule, params } (catálogo validation.*).
+ */
+function parseLogQuery(query = {}) {
+  const errors = [];
+  const filters = { limit: DEFAULT_LIMIT, offset: 0 };
+
+  const integer = (name, { min, max }) => {
+    if (query[name] === undefined || query[name] === "") return undefined;
+    const n = Number(query[name]);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      errors.push({ field: name, rule: "integer_range", params: { min, max } });
+      return undefined;
+    }
+    return n;
+  };
+  const date = (name) => {
+    if (!query[name]) return undefined;
+    const d = new Date(query[name]);
+    if (Number.isNaN(d.getTime())) {
+      errors.push({ field: name, rule: "iso_date" });
+      return undefined;
+    }
+    return d.toISOString();
+  };
+
+  filters.limit = integer("limit", { min: 1, max: MAX_LIMIT }) ?? DEFAULT_LIMIT;
+  filters.offset = integer("offset", { min: 0, max: Number.MAX_SAFE_INTEGER }) ?? 0;
+  filters.from = date("from");
+  filters.to = date("to");
+
+  // status=404 exacto o status=4xx por clase
+  if (query.status) {
+    const status = String(query.status).toLowerCase();
+    if (/^[1-5]xx$/.test(status)) {
+      filters.statusRange = [Number(status[0]) * 100, Number(status[0]) * 100 + 99];
+    } else if (/^[1-5]\d{2}$/.test(status)) {
+      filters.statusRange = [Number(status), Number(status)];
+    } else {
+      errors.push({ field: "status", rule: "status_filter" });
+    }
+  }
+
+  if (query.method) {
+    const method = String(query.method).toUpperCase();
+    if (METHODS.includes(method)) filters.method = method;
+    else errors.push({ field: "method", rule: "enum", params: { values: METHODS.join(", ") } });
+  }
+
+  if (query.path) {
+    const path = String(query.path);
+    if (path.startsWith("/") && !/[%_*]/.test(path)) filters.path = path;
+    else errors.push({ field: "path", rule: "path_prefix" });
+  }
+
+  if (query.error_code) filters.errorCode = String(query.error_code).toUpperCase();
+
+  return { filters, errors };
+}
+
+/**
+ * Requests recientes del cliente, del más nuevo al más viejo.
+ */
+async function listRequestLogs(clientId, filters) {
+  const { results, total } = await getRequestLogStore().list(clientId, filters);
+  return {
+    results,
+    pagination: {
+      limit: filters.limit,
+      offset: filters.offset,
+      total,
+      has_more: filters.offset + results.length < total
+    }
+  };
+}
+
+module.exports = {
+  sanitizeQuery,
+  recordRequest,
+  getRequestLogStats,
+  parseLogQuery,
+  listRequestLogs
+};
@@ -0,0 +1,187 @@
+/**
+ * Almacén del log de requests privados (requestLogService.js).
+ *
+ * - "supabase" (por defecto si hay SUPABASE_URL): tabla `api_request_logs`.
+ * - "memory": array en proceso (desarrollo/tests). Guarda las últimas
+ *   MEMORY_MAX_ENTRIES filas.
+ *
+ * Se elige con REQUEST_LOG_STORE=memory|supabase.
+ *
+ * usage() agrega llamadas, errores y latencia por bucket y endpoint para
+ * /v1/stats/usage: en Supabase con la función `request_usage_stats` (un
+ * `group by` en SQL, ver docs/supabase-schema.sql), en memoria con el mismo
+ * criterio en JS.
+ */
+
+const MEMORY_MAX_ENTRIES = 10_000;
+const USAGE_PAGE_SIZE = 1000;
+const LOG_COLUMNS = [
+  "request_id", "client_request_id", "api_key_id", "method", "path", "query", "status_code", "duration_ms",
+  "error_code", "response_size", "ai_provider", "aborted", "user_agent", "ip_address", "timestamp"
+];
+
+// Segmentos que son IDs: /v1/batch/batch_123 -> /v1/batch/:id (mismo patrón que la función SQL)
+const ID_SEGMENT_RE = /^(analysis|file|profile|batch|job)_[\w-]+$|^[0-9a-f-]{16,}$|^\d+$/i;
+
+function normalizeEndpoint(method, path = "") {
+  const normalized = String(path || "")
+    .split("/")
+    .map(seg => (ID_SEGMENT_RE.test(seg) ? ":id" : seg))
+    .join("/");
+  return `${method} ${normalized || "/"}`;
+}
+
+// day -> "2026-10-01", hour -> "2026-10-01T13:00:00Z", month -> "2026-10"
+function bucketKey(iso, granularity) {
+  if (granularity === "hour") return `${iso.slice(0, 13)}:00:00Z`;
+  if (granularity === "month") return iso.slice(0, 7);
+  return iso.slice(0, 10);
+}
+
+function matchesFilters(row, clientId, filters) {
+  if (row.client_id !== clientId) return false;
+  if (filters.from && row.timestamp < filters.from) return false;
+  if (filters.to && row.timestamp > filters.to) return false;
+  if (filters.statusRange && !(row.status_code >= filters.statusRange[0] && row.status_code <= filters.statusRange[1])) {
+    return false;
+  }
+  if (filters.method && row.method !== filters.method) return false;
+  if (filters.path && !String(row.path || "").startsWith(filters.path)) return false;
+  if (filters.errorCode && row.error_code !== filters.errorCode) return false;
+  return true;
+}
+
+function pick(row) {
+  return Object.fromEntries(LOG_COLUMNS.map(column => [column, row[column] ?? null]));
+}
+
+function createMemoryRequestLogStore({ maxEntries = MEMORY_MAX_ENTRIES } = {}) {
+  const rows = [];
+
+  return {
+    kind: "memory",
+
+    async insert(entry) {
+      rows.push({ ...entry });
+      if (rows.length > maxEntries) rows.splice(0, rows.length - maxEntries);
+      return entry;
+    },
+
+    // Del más nuevo al más viejo
+    async list(clientId, filters) {
+      const matched = rows
+        .filter(row => matchesFilters(row, clientId, filters))
+        .sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0));
+      return {
+        results: matched.slice(filters.offset, filters.offset + filters.limit).map(pick),
+        total: matched.length
+      };
+    },
+
+    async usage(clientId, { from, to, granularity }) {
+      const groups = new Map();
+      for (const row of rows) {
+        if (!matchesFilters(row, clientId, { from, to })) continue;
+        const bucket = bucketKey(new Date(row.timestamp).toISOString(), granularity);
+        const endpoint = normalizeEndpoint(row.method, row.path);
+        const key = `${bucket} ${endpoint}`;
+        if (!groups.has(key)) {
+          groups.set(key, { bucket, endpoint, calls: 0, errors: 0, latency_total: 0, latency_count: 0 });
+        }
+        const group = groups.get(key);
+        group.calls += 1;
+        if (row.status_code >= 400) group.errors += 1;
+        if (Number.isFinite(row.duration_ms)) {
+          group.latency_total += row.duration_ms;
+          group.latency_count += 1;
+        }
+      }
+      return Array.from(groups.values()).sort((a, b) => (a.bucket < b.bucket ? -1 : a.bucket > b.bucket ? 1 : 0));
+    }
+  };
+}
+
+function createSupabaseRequestLogStore(client, { table = "api_request_logs" } = {}) {
+  return {
+    kind: "supabase",
+
+    async insert(entry) {
+      const { error } = await client.from(table).insert(entry);
+      if (error) throw new Error(error.message);
+      return entry;
+    },
+
+    async list(clientId, filters) {
+      let query = client
+        .from(table)
+        .select(LOG_COLUMNS.join(", "), { count: "exact" })
+        .eq("client_id", clientId);
+
+      if (filters.from) query = query.gte("timestamp", filters.from);
+      if (filters.to) query = query.lte("timestamp", filters.to);
+      if (filters.statusRange) {
+        query = query.gte("status_code", filters.statusRange[0]).lte("status_code", filters.statusRange[1]);
+      }
+      if (filters.method) query = query.eq("method", filters.method);
+      if (filters.path) query = query.like("path", `${filters.path}%`);
+      if (filters.errorCode) query = query.eq("error_code", filters.errorCode);
+
+      const { data, error, count } = await query
+        .order("timestamp", { ascending: false })
+        .range(filters.offset, filters.offset + filters.limit - 1);
+      if (error) throw new Error(`Error leyendo logs: ${error.message}`);
+      return { results: data || [], total: count || 0 };
+    },
+
+    // Filas ya agregadas (bucket × endpoint); se pagina por el límite de filas de PostgREST
+    async usage(clientId, { from, to, granularity }) {
+      const groups = [];
+      for (let offset = 0; ; offset += USAGE_PAGE_SIZE) {
+        const { data, error } = await client
+          .rpc("request_usage_stats", { p_client_id: clientId, p_from: from, p_to: to, p_granularity: granularity })
+          .range(offset, offset + USAGE_PAGE_SIZE - 1);
+        if (error) throw new Error(`Error calculando estadísticas: ${error.message}`);
+        groups.push(...(data || []).map(row => ({
+          bucket: row.bucket,
+          endpoint: row.endpoint,
+          calls: Number(row.calls),
+          errors: Number(row.errors),
+          latency_total: Number(row.latency_total),
+          latency_count: Number(row.latency_count)
+        })));
+        if (!data || data.length < USAGE_PAGE_SIZE) break;
+      }
+      return groups;
+    }
+  };
+}
+
+let defaultStore = null;
+
+function getRequestLogStore() {
+  if (defaultStore) return defaultStore;
+
+  const kind = (process.env.REQUEST_LOG_STORE || (process.env.SUPABASE_URL ? "supabase" : "memory")).toLowerCase();
+  if (kind === "supabase") {
+    const { supabase } = require("./supabase.js");
+    defaultStore = createSupabaseRequestLogStore(supabase);
+  } else {
+    defaultStore = createMemoryRequestLogStore();
+  }
+
+  console.log(`🗄️ Request log store: ${defaultStore.kind}`);
+  return defaultStore;
+}
+
+function setRequestLogStore(store) {
+  defaultStore = store;
+}
+
+module.exports = {
+  normalizeEndpoint,
+  bucketKey,
+  createMemoryRequestLogStore,
+  createSupabaseRequestLogStore,
+  getRequestLogStore,
+  setRequestLogStore
+};
@@ -0,0 +1,46 @@
+/**
+ * Scopes de las API keys (api_keys.permissions).
+ *
+ * Cada ruta privada declara el scope que necesita (middleware/permissions.js).
+ * Una key lo tiene si su lista incluye el scope exacto, el comodín del recurso
+ * ("jobs:*") o "*" (todos, y además gestión de keys de cualquier cliente).
+ */
+
+const SCOPES = {
+  "analyze:write": "Analizar perfiles y CVs (individual y por lotes)",
+  "analyze:read": "Consultar el estado y resultado de lotes",
+  "search:read": "Buscar perfiles analizados",
+  "export:read": "Exportar análisis guardados y sus perfiles ciegos",
+  "match:write": "Matching candidato ↔ oferta (puede analizar un CV nuevo)",
+  "jobs:read": "Ver ofertas y su ranking de candidatos",
+  "jobs:write": "Crear, editar y eliminar ofertas",
+  "stats:read": "Estadísticas de uso",
+  "logs:read": "Consultar el log de requests propios",
+  "webhooks:read": "Ver webhooks y su log de entregas",
+  "webhooks:write": "Registrar, editar, eliminar y probar webhooks",
+  "admin:keys": "Gestionar las API keys del cliente"
+};
+
+// Scopes de una key nueva si no se indican: todo salvo administración
+const DEFAULT_KEY_SCOPES = Object.keys(SCOPES).filter(scope => scope !== "admin:keys");
+
+function resourceOf(scope) {
+  return String(scope).split(":")[0];
+}
+
+/**
+ * ¿La lista de permisos de una key cubre `scope`?
+ */
+function grantsScope(permissions, scope) {
+  const list = Array.isArray(permissions) ? permissions : [];
+  return list.includes("*") || list.includes(scope) || list.includes(`${resourceOf(scope)}:*`);
+}
+
+// Nombres válidos en api_keys.permissions: scopes, comodines de recurso y "*"
+function isKnownScope(name) {
+  if (name === "*") return true;
+  if (SCOPES[name]) return true;
+  return name.endsWith(":*") && Object.keys(SCOPES).some(scope => resourceOf(scope) === resourceOf(name));
+}
+
+module.exports = { SCOPES, DEFAULT_KEY_SCOPES, grantsScope, isKnownScope };
@@ -0,0 +1,116 @@
+const { toArray } = require("../utils/textProcessors.js");
+const { SORT_COLUMNS, analysisSkills, getAnalysisStore } = require("./analysisStore.js");
+const { canonicalizeSkill, canonicalIndustry } = require("./skillsTaxonomy.js");
+
+/**
+ * Búsqueda de perfiles analizados (GET /v1/private/search).
+ * Siempre acotada al client_id del API key que consulta.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function parseNumber(query, name, errors, { min = -Infinity, max = Infinity, integer = false } = {}) {
+  const raw = query[name];
+  if (raw === undefined || raw === "") return undefined;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+    if (max === Infinity) errors.push({ field: name, rule: integer ? "integer_minimum" : "minimum", params: { min } });
+    else errors.push({ field: name, rule: integer ? "integer_range" : "number_range", params: { min, max } });
+    return undefined;
+  }
+  return n;
+}
+
+function parseDate(query, name, errors) {
+  const raw = query[name];
+  if (raw === undefined || raw === "") return undefined;
+  const d = new Date(raw);
+  if (Number.isNaN(d.getTime())) {
+    errors.push({ field: name, rule: "iso_date" });
+    return undefined;
+  }
+  return d.toISOString();
+}
+
+/**
+ * Valida y normaliza los query params. Devuelve { filters, errors }; los errores
+ * van como { field, rule, params } y la ruta los traduce con localizeDetails.
+ */
+function parseSearchQuery(query = {}) {
+  const errors = [];
+
+  const skillsMatch = String(query.skills_match || "any").toLowerCase();
+  if (!["any", "all"].includes(skillsMatch)) {
+    errors.push({ field: "skills_match", rule: "enum", params: { values: "any, all" } });
+  }
+
+  const sort = String(query.sort || "date_desc").toLowerCase();
+  if (!SORT_COLUMNS[sort]) {
+    errors.push({ field: "sort", rule: "enum", params: { values: Object.keys(SORT_COLUMNS).join(", ") } });
+  }
+
+  let analyzedTo = parseDate(query, "analyzed_to", errors);
+  // Una fecha sin hora incluye el día completo
+  if (analyzedTo && /^\d{4}-\d{2}-\d{2}$/.test(String(query.analyzed_to))) {
+    analyzedTo = new Date(new Date(analyzedTo).getTime() + 24 * 60 * 60 * 1000 - 1).toISOString();
+  }
+
+  const filters = {
+    // "perforación", "Drilling" o "drilling.operations" buscan la misma skill canónica
+    skills: toArray(query.skills).map(s => canonicalizeSkill(s)?.id || s.toLowerCase()),
+    skillsMatch,
+    minScore: parseNumber(query, "min_score", errors, { min: 0, max: 10 }),
+    maxScore: parseNumber(query, "max_score", errors, { min: 0, max: 10 }),
+    industry: query.industry ? canonicalIndustry(query.industry).toLowerCase() : undefined,
+    seniority: query.seniority ? String(query.seniority).trim().toLowerCase() : undefined,
+    minYears: parseNumber(query, "min_years", errors, { min: 0, max: 80 }),
+    maxYears: parseNumber(query, "max_years", errors, { min: 0, max: 80 }),
+    analyzedFrom: parseDate(query, "analyzed_from", errors),
+    analyzedTo,
+    sort,
+    limit: parseNumber(query, "limit", errors, { min: 1, max: MAX_LIMIT, integer: true }) ?? DEFAULT_LIMIT,
+    offset: parseNumber(query, "offset", errors, { min: 0, integer: true }) ?? 0
+  };
+
+  if (filters.minScore !== undefined && filters.maxScore !== undefined && filters.minScore > filters.maxScore) {
+    errors.push({ field: "min_score", rule: "not_greater_than", params: { field: "min_score", other: "max_score" } });
+  }
+  if (filters.minYears !== undefined && filters.maxYears !== undefined && filters.minYears > filters.maxYears) {
+    errors.push({ field: "min_years", rule: "not_greater_than", params: { field: "min_years", other: "max_years" } });
+  }
+
+  return { filters, errors };
+}
+
+function toSearchResult(record) {
+  const analysis = record.analysis || {};
+  return {
+    analysis_id: record.id,
+    source: record.source,
+    analyzed_at: record.created_at,
+    score: record.score,
+    industry: record.industry,
+    seniority: record.seniority,
+    years_experience: record.years_experience,
+    skills: analysisSkills(analysis),
+    skill_ids: analysis.skill_ids || [],
+    candidate: analysis.candidate || null,
+    summary: analysis.summary || null
+  };
+}
+
+async function searchProfiles(clientId, filters) {
+  const { results, total } = await getAnalysisStore().search({ ...filters, clientId });
+  return {
+    results: results.map(toSearchResult),
+    pagination: {
+      limit: filters.limit,
+      offset: filters.offset,
+      total,
+      has_more: filters.offset + results.length < total
+    }
+  };
+}
+
+module.exports = { parseSearchQuery, searchProfiles };
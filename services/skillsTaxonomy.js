@@ -0,0 +1,175 @@
+const taxonomy = require("../data/skills-taxonomy.json");
+const { normalizeForMatch, extractSkillsFromText } = require("../utils/textProcessors.js");
+
+/**
+ * Taxonomía de habilidades Oil & Gas (data/skills-taxonomy.json).
+ * Todos los analizadores pasan por acá para que las skills detectadas queden
+ * con ids canónicos estables (p. ej. "hse.nebosh"), sin importar si vinieron
+ * en español, en inglés o como sigla.
+ *
+ * - synonyms: se comparan sin tildes ni mayúsculas, por palabra completa.
+ * - abbreviations: se comparan respetando mayúsculas ("END" sí, "end" no).
+ * - certification: la skill es una certificación (NEBOSH, IWCF...); el matching
+ *   contra ofertas la evalúa aparte.
+ *
+ * `industries` fija los valores canónicos de `analysis.industry` ("Energía",
+ * "IT", "General"): lo que devuelvan los LLMs o las heurísticas ("Oil & Gas",
+ * "Energy"...) se lleva a esos nombres para que filtros y reportes coincidan.
+ */
+
+const TAXONOMY_VERSION = taxonomy.version;
+
+const skillsById = new Map(taxonomy.skills.map(skill => [skill.id, skill]));
+const termIndex = new Map();
+const abbreviationIndex = new Map();
+
+for (const skill of taxonomy.skills) {
+  for (const term of [skill.name, skill.name_es, ...(skill.synonyms || [])]) {
+    const key = normalizeForMatch(term);
+    if (key && !termIndex.has(key)) termIndex.set(key, skill);
+  }
+  for (const abbr of skill.abbreviations || []) {
+    if (!abbreviationIndex.has(abbr)) abbreviationIndex.set(abbr, skill);
+  }
+}
+
+const allTerms = Array.from(termIndex.keys());
+
+const DEFAULT_INDUSTRY = "General";
+const industryIndex = new Map();
+for (const [name, industry] of Object.entries(taxonomy.industries || {})) {
+  for (const term of [name, ...(industry.synonyms || [])]) {
+    industryIndex.set(normalizeForMatch(term), name);
+  }
+}
+
+function toSkillRef(skill) {
+  return { id: skill.id, name: skill.name, category: skill.category, certification: !!skill.certification };
+}
+
+function findAbbreviations(text) {
+  const found = [];
+  for (const [abbr, skill] of abbreviationIndex) {
+    if (new RegExp(`(^|[^A-Za-z0-9])${abbr}(?![A-Za-z0-9])`).test(text)) found.push(skill);
+  }
+  return found;
+}
+
+/**
+ * Skills de la taxonomía presentes en un texto libre (CV, descripción).
+ * Devuelve [{ id, name, category }] sin duplicados.
+ */
+function detectSkills(text) {
+  if (!text) return [];
+  const source = String(text);
+  const terms = extractSkillsFromText(source, allTerms);
+  // "sap pm" gana sobre "sap": un término contenido en otro más largo no cuenta aparte
+  const matched = terms
+    .filter(term => !terms.some(other => other !== term && other.includes(term) && termIndex.get(other) !== termIndex.get(term)))
+    .map(term => termIndex.get(term));
+
+  const seen = new Set();
+  const out = [];
+  for (const skill of [...matched, ...findAbbreviations(source)]) {
+    if (!seen.has(skill.id)) {
+      seen.add(skill.id);
+      out.push(toSkillRef(skill));
+    }
+  }
+  return out;
+}
+
+/**
+ * Resuelve un id o nombre de skill suelto ("Perforación direccional", "NEBOSH IGC")
+ * a su entrada canónica, o null si no está en la taxonomía.
+ */
+function canonicalizeSkill(name) {
+  if (!name) return null;
+  const value = String(name).trim();
+  const exact = skillsById.get(value) || termIndex.get(normalizeForMatch(value)) || abbreviationIndex.get(value);
+  if (exact) return toSkillRef(exact);
+  return detectSkills(name)[0] || null;
+}
+
+/**
+ * Normaliza una lista de skills (de un perfil o de la respuesta de un LLM).
+ * Las reconocidas se reemplazan por su nombre canónico; las desconocidas se
+ * conservan tal cual para no perder información.
+ */
+function canonicalizeSkills(list = []) {
+  const skills = [];
+  const skillIds = [];
+  const seen = new Set();
+
+  for (const raw of list) {
+    const value = String(raw ?? "").trim();
+    if (!value) continue;
+    const ref = canonicalizeSkill(value);
+    const key = ref ? ref.id : normalizeForMatch(value);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    skills.push(ref ? ref.name : value);
+    if (ref) skillIds.push(ref.id);
+  }
+
+  return { skills, skill_ids: skillIds };
+}
+
+/**
+ * Nombre canónico de una industria ("Oil & Gas" -> "Energía"). Vacío da
+ * "General"; un valor desconocido se conserva tal cual.
+ */
+function canonicalIndustry(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return DEFAULT_INDUSTRY;
+  return industryIndex.get(normalizeForMatch(text)) || text;
+}
+
+/**
+ * Cantidad de skills por categoría, de mayor a menor.
+ */
+function rankCategories(skillIds = []) {
+  const counts = new Map();
+  for (const id of skillIds) {
+    const category = skillsById.get(id)?.category;
+    if (category) counts.set(category, (counts.get(category) || 0) + 1);
+  }
+  return Array.from(counts, ([id, count]) => ({ id, ...taxonomy.categories[id], count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+function getSkill(id) {
+  const skill = skillsById.get(id);
+  return skill ? toSkillRef(skill) : null;
+}
+
+/**
+ * Vista pública de la taxonomía (GET /v1/public/taxonomy/skills).
+ */
+function getTaxonomy() {
+  return {
+    version: TAXONOMY_VERSION,
+    updated_at: taxonomy.updated_at,
+    categories: Object.entries(taxonomy.categories).map(([id, c]) => ({ id, name: c.name, name_es: c.name_es })),
+    skills: taxonomy.skills.map(s => ({
+      id: s.id,
+      name: s.name,
+      name_es: s.name_es,
+      category: s.category,
+      certification: !!s.certification,
+      synonyms: s.synonyms || [],
+      abbreviations: s.abbreviations || []
+    }))
+  };
+}
+
+module.exports = {
+  TAXONOMY_VERSION,
+  detectSkills,
+  canonicalizeSkill,
+  canonicalizeSkills,
+  canonicalIndustry,
+  rankCategories,
+  getSkill,
+  getTaxonomy
+};
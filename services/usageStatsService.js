@@ -0,0 +1,161 @@
+const { getRequestLogStore } = require("./requestLogStore.js");
+const { getApiKeyStore } = require("./apiKeyStore.js");
+
+/**
+ * Estadísticas de uso por cliente (GET /v1/stats/usage).
+ * Se calculan a partir del log de requests (ver logRequest en middleware/security.js):
+ * llamadas por endpoint y por bucket (día u hora), tasa de error, latencia media y
+ * cuota mensual consumida. La agregación la hace el store (SQL en Supabase), acá solo
+ * se arman totales y series a partir de los grupos bucket × endpoint.
+ */
+
+const MAX_RANGE_DAYS = { day: 90, hour: 7 };
+const DEFAULT_RANGE_DAYS = { day: 30, hour: 1 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Endpoints que consumen cuota (análisis)
+const BILLABLE_PATHS = [/^\/v1\/analyze\//, /^\/v1\/batch\/analyze$/, /^\/v1\/private\/match$/];
+
+class UsageQueryError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = "UsageQueryError";
+    this.code = "INVALID_USAGE_PARAMS";
+    this.details = details;
+  }
+}
+
+function parseUsageQuery(query = {}) {
+  const errors = [];
+  const granularity = String(query.granularity || "day").toLowerCase();
+  if (!MAX_RANGE_DAYS[granularity]) {
+    errors.push({ field: "granularity", rule: "enum", params: { values: Object.keys(MAX_RANGE_DAYS).join(", ") } });
+  }
+
+  const parse = (name) => {
+    if (!query[name]) return null;
+    const d = new Date(query[name]);
+    if (Number.isNaN(d.getTime())) {
+      errors.push({ field: name, rule: "iso_date" });
+      return null;
+    }
+    return d;
+  };
+
+  const now = new Date();
+  let to = parse("to") || now;
+  // Una fecha sin hora incluye el día completo
+  if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(String(query.to))) to = new Date(to.getTime() + DAY_MS - 1);
+  const from = parse("from") || new Date(to.getTime() - (DEFAULT_RANGE_DAYS[granularity] || 30) * DAY_MS);
+
+  if (from > to) errors.push({ field: "from", rule: "not_after", params: { field: "from", other: "to" } });
+  const maxDays = MAX_RANGE_DAYS[granularity];
+  if (maxDays && to - from > maxDays * DAY_MS) {
+    errors.push({ field: "to", rule: "max_range_days", params: { granularity, days: maxDays } });
+  }
+
+  if (errors.length) throw new UsageQueryError("Parámetros de estadísticas inválidos.", errors);
+  return { from: from.toISOString(), to: to.toISOString(), granularity };
+}
+
+function emptyCounter() {
+  return { calls: 0, errors: 0, latency_total: 0, latency_count: 0 };
+}
+
+function addGroup(counter, group) {
+  counter.calls += group.calls;
+  counter.errors += group.errors;
+  counter.latency_total += group.latency_total;
+  counter.latency_count += group.latency_count;
+}
+
+function summarize(counter) {
+  return {
+    calls: counter.calls,
+    errors: counter.errors,
+    error_rate: counter.calls ? Number((counter.errors / counter.calls).toFixed(4)) : 0,
+    avg_latency_ms: counter.latency_count ? Math.round(counter.latency_total / counter.latency_count) : null
+  };
+}
+
+/**
+ * Arma la respuesta a partir de los grupos { bucket, endpoint, calls, errors,
+ * latency_total, latency_count } que devuelve requestLogStore.usage().
+ */
+function aggregateUsage(groups) {
+  const totals = emptyCounter();
+  const endpoints = new Map();
+  const buckets = new Map();
+
+  const sorted = [...groups].sort((a, b) => (a.bucket < b.bucket ? -1 : a.bucket > b.bucket ? 1 : 0));
+  for (const group of sorted) {
+    addGroup(totals, group);
+    if (!endpoints.has(group.endpoint)) endpoints.set(group.endpoint, emptyCounter());
+    addGroup(endpoints.get(group.endpoint), group);
+    if (!buckets.has(group.bucket)) buckets.set(group.bucket, { counter: emptyCounter(), by_endpoint: {} });
+    const b = buckets.get(group.bucket);
+    addGroup(b.counter, group);
+    b.by_endpoint[group.endpoint] = (b.by_endpoint[group.endpoint] || 0) + group.calls;
+  }
+
+  return {
+    totals: summarize(totals),
+    endpoints: Array.from(endpoints, ([endpoint, c]) => ({ endpoint, ...summarize(c) }))
+      .sort((a, b) => b.calls - a.calls),
+    series: Array.from(buckets, ([bucket, b]) => ({ bucket, ...summarize(b.counter), by_endpoint: b.by_endpoint }))
+  };
+}
+
+// "POST /v1/analyze/profile" -> "/v1/analyze/profile"
+function isBillable(endpoint) {
+  const path = endpoint.slice(endpoint.indexOf(" ") + 1);
+  return BILLABLE_PATHS.some(re => re.test(path));
+}
+
+/**
+ * Cuota del mes en curso: llamadas facturables exitosas de todo el cliente vs
+ * monthly_quota de la API key que consulta (cada key puede tener la suya).
+ */
+async function getMonthlyQuota(clientId, apiKeyId) {
+  const now = new Date();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  const groups = await getRequestLogStore().usage(clientId, {
+    from: monthStart.toISOString(),
+    to: now.toISOString(),
+    granularity: "month"
+  });
+  const used = groups
+    .filter(group => isBillable(group.endpoint))
+    .reduce((sum, group) => sum + group.calls - group.errors, 0);
+
+  let limit = null;
+  const key = apiKeyId ? await getApiKeyStore().get(apiKeyId) : null;
+  if (key?.monthly_quota) limit = Number(key.monthly_quota);
+
+  return {
+    period: monthStart.toISOString().slice(0, 7),
+    used,
+    limit,
+    remaining: limit === null ? null : Math.max(0, limit - used)
+  };
+}
+
+async function getUsageStats(clientId, { from, to, granularity }, { apiKeyId } = {}) {
+  const groups = await getRequestLogStore().usage(clientId, { from, to, granularity });
+  const quota = await getMonthlyQuota(clientId, apiKeyId);
+
+  return {
+    range: { from, to },
+    granularity,
+    ...aggregateUsage(groups),
+    quota
+  };
+}
+
+module.exports = {
+  UsageQueryError,
+  parseUsageQuery,
+  aggregateUsage,
+  getUsageStats
+};
@@ -0,0 +1,451 @@
+const crypto = require("crypto");
+const { getWebhookStore } = require("./webhookStore.js");
+const { translatable } = require("./i18n.js");
+const { OutboundUrlError, validateOutboundUrl, postJson, outboundErrorLabel } = require("./outboundHttp.js");
+
+/**
+ * Webhooks (/v1/private/webhooks): los clientes registran URLs para recibir
+ * eventos en lugar de hacer polling.
+ *
+ * Cada entrega es un POST JSON firmado con HMAC-SHA256 usando el `secret` de
+ * la suscripción (se devuelve una sola vez, al crearla):
+ *
+ *   X-Petrolink-Signature: sha256=HMAC(secret, `${X-Petrolink-Timestamp}.${body}`)
+ *
+ * Los reintentos usan backoff exponencial (1s, 4s, 16s...) y cada intento
+ * queda en el log de entregas de la suscripción. Las URLs pasan por la guarda
+ * de outboundHttp.js al registrarse y en cada entrega: ningún host interno. Los eventos de los endpoints
+ * públicos (/v1/public/analyze/*) van a las suscripciones del cliente
+ * PUBLIC_CLIENT_ID, que solo puede registrar una key con "*".
+ *
+ * Igual que los lotes, las entregas corren en segundo plano: en Vercel la
+ * función puede congelarse antes de terminar los reintentos.
+ */
+
+const WEBHOOK_EVENTS = {
+  "analysis.completed": "Análisis terminado (CV, perfil, matching o ítem de un lote)",
+  "analysis.failed": "Análisis que no se pudo completar",
+  "batch.completed": "Lote terminado, con o sin errores",
+  "quota.exhausted": "Cuota gratuita diaria agotada (endpoints públicos)"
+};
+// Evento de POST /v1/private/webhooks/:id/test (no se puede suscribir)
+const TEST_EVENT = "webhook.test";
+const PUBLIC_CLIENT_ID = "public";
+
+const SECRET_PREFIX = "whsec_";
+const MAX_SUBSCRIPTIONS = Number(process.env.WEBHOOK_MAX_SUBSCRIPTIONS || 10);
+const DELIVERY_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const DELIVERY_TIMEOUT_MS = 10_000;
+const DELIVERY_BASE_DELAY_MS = 1_000;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class WebhookValidationError extends Error {
+  constructor(message, code = "WEBHOOK_INVALID", details, status = 400) {
+    super(message);
+    this.name = "WebhookValidationError";
+    this.code = code;
+    this.details = details;
+    this.status = status;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function generateSecret() {
+  return `${SECRET_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * Firma de una entrega. El receptor la recalcula con el cuerpo crudo y compara
+ * en tiempo constante; el timestamp le permite descartar entregas viejas.
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * Vista pública de una suscripción: nunca incluye el secret
+ */
+function publicWebhook(subscription) {
+  return {
+    id: subscription.id,
+    client_id: subscription.client_id,
+    url: subscription.url,
+    events: subscription.events || [],
+    description: subscription.description || null,
+    active: subscription.active !== false,
+    created_at: subscription.created_at || null,
+    created_by: subscription.created_by || null,
+    updated_at: subscription.updated_at || null,
+    last_delivery_at: subscription.last_delivery_at || null,
+    last_delivery_status: subscription.last_delivery_status || null,
+    consecutive_failures: subscription.consecutive_failures || 0
+  };
+}
+
+const isPlatformAdmin = actor => (actor.permissions || []).includes("*");
+
+function canManage(actor, subscription) {
+  return Boolean(subscription) && (isPlatformAdmin(actor) || subscription.client_id === actor.clientId);
+}
+
+async function validateUrl(value, errors) {
+  try {
+    return await validateOutboundUrl(value);
+  } catch (error) {
+    if (!(error instanceof OutboundUrlError)) throw error;
+    errors.push({ field: "url", rule: `url_${error.reason}`, params: error.params });
+    return undefined;
+  }
+}
+
+/**
+ * Valida los campos editables de una suscripción. Devuelve solo los campos presentes.
+ */
+async function buildWebhookFields(input, actor, { creating = false } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw translatable(
+      new WebhookValidationError("El cuerpo debe ser un objeto JSON.", "WEBHOOK_INVALID"),
+      "errors.WEBHOOK_BODY_REQUIRED"
+    );
+  }
+
+  const errors = [];
+  const fields = {};
+
+  if (input.url !== undefined || creating) {
+    const url = await validateUrl(input.url, errors);
+    if (url) fields.url = url;
+  }
+
+  if (input.events !== undefined || creating) {
+    const known = Object.keys(WEBHOOK_EVENTS);
+    if (!Array.isArray(input.events) || !input.events.length || input.events.some(e => typeof e !== "string")) {
+      errors.push({ field: "events", rule: "events_list", params: { values: known.join(", ") } });
+    } else {
+      const unknown = input.events.filter(e => e !== "*" && !known.includes(e));
+      if (unknown.length) errors.push({ field: "events", rule: "unknown_events", params: { events: unknown.join(", ") } });
+      else fields.events = Array.from(new Set(input.events));
+    }
+  }
+
+  if (input.description !== undefined) {
+    if (input.description !== null && (typeof input.description !== "string" || input.description.length > 200)) {
+      errors.push({ field: "description", rule: "text_max_or_null", params: { max: 200 } });
+    } else {
+      fields.description = input.description ? input.description.trim() : null;
+    }
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== "boolean") errors.push({ field: "active", rule: "type", params: { type: "boolean" } });
+    else fields.active = input.active;
+  }
+
+  if (creating && input.client_id !== undefined) {
+    if (input.client_id !== actor.clientId && !isPlatformAdmin(actor)) {
+      throw translatable(
+        new WebhookValidationError("Solo podés registrar webhooks para tu propio cliente.", "FORBIDDEN", undefined, 403),
+        "errors.WEBHOOK_OTHER_CLIENT"
+      );
+    }
+    if (typeof input.client_id !== "string" || !input.client_id.trim()) {
+      errors.push({ field: "client_id", rule: "non_empty_text" });
+    } else {
+      fields.client_id = input.client_id.trim();
+    }
+  }
+
+  if (errors.length) throw new WebhookValidationError("Parámetros inválidos.", "WEBHOOK_INVALID", errors);
+  return fields;
+}
+
+/**
+ * Registra una suscripción. `actor` es la key que hace el pedido: { clientId, keyId, permissions }.
+ * El secret en claro se devuelve solo en esta respuesta.
+ */
+async function createWebhook(input, actor) {
+  const fields = await buildWebhookFields(input, actor, { creating: true });
+  const clientId = fields.client_id || actor.clientId;
+
+  const store = getWebhookStore();
+  const existing = await store.listSubscriptions(clientId);
+  if (existing.length >= MAX_SUBSCRIPTIONS) {
+    throw translatable(
+      new WebhookValidationError(`Se alcanzó el máximo de ${MAX_SUBSCRIPTIONS} webhooks.`, "WEBHOOK_LIMIT", undefined, 409),
+      "errors.WEBHOOK_LIMIT",
+      { max: MAX_SUBSCRIPTIONS }
+    );
+  }
+
+  const now = new Date().toISOString();
+  const subscription = {
+    id: crypto.randomUUID(),
+    client_id: clientId,
+    url: fields.url,
+    events: fields.events,
+    description: fields.description || null,
+    secret: generateSecret(),
+    active: fields.active !== false,
+    created_at: now,
+    created_by: actor.keyId || null,
+    updated_at: now,
+    last_delivery_at: null,
+    last_delivery_status: null,
+    consecutive_failures: 0
+  };
+  await store.saveSubscription(subscription);
+  return { webhook: publicWebhook(subscription), secret: subscription.secret };
+}
+
+async function getWebhook(id, actor) {
+  const subscription = await getWebhookStore().getSubscription(id);
+  return canManage(actor, subscription) ? subscription : null;
+}
+
+async function listWebhooks(actor, query = {}) {
+  // Los administradores de plataforma pueden ver las de otro cliente (p. ej. "public")
+  const clientId = isPlatformAdmin(actor) && query.client_id ? String(query.client_id) : actor.clientId;
+  const subscriptions = await getWebhookStore().listSubscriptions(clientId);
+  return subscriptions.map(publicWebhook);
+}
+
+/**
+ * Cambia url, events, description y/o active (false pausa las entregas)
+ */
+async function updateWebhook(id, input, actor) {
+  const current = await getWebhook(id, actor);
+  if (!current) return null;
+
+  const subscription = {
+    ...current,
+    ...(await buildWebhookFields(input, actor)),
+    updated_at: new Date().toISOString()
+  };
+  await getWebhookStore().saveSubscription(subscription);
+  return publicWebhook(subscription);
+}
+
+async function deleteWebhook(id, actor) {
+  const current = await getWebhook(id, actor);
+  if (!current) return false;
+  return getWebhookStore().removeSubscription(id);
+}
+
+function parsePaging(query = {}) {
+  const errors = [];
+  const read = (name, fallback, { min, max }) => {
+    if (query[name] === undefined || query[name] === "") return fallback;
+    const n = Number(query[name]);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      errors.push({ field: name, rule: "integer_range", params: { min, max } });
+      return fallback;
+    }
+    return n;
+  };
+  const paging = {
+    limit: read("limit", DEFAULT_LIMIT, { min: 1, max: MAX_LIMIT }),
+    offset: read("offset", 0, { min: 0, max: Number.MAX_SAFE_INTEGER })
+  };
+  if (errors.length) throw new WebhookValidationError("Parámetros inválidos.", "WEBHOOK_INVALID", errors);
+  return paging;
+}
+
+/**
+ * Log de entregas de una suscripción, de la más nueva a la más vieja
+ */
+async function listDeliveries(id, actor, query = {}) {
+  const paging = parsePaging(query);
+  const subscription = await getWebhook(id, actor);
+  if (!subscription) return null;
+
+  const { results, total } = await getWebhookStore().listDeliveries(id, paging);
+  return {
+    results,
+    pagination: { ...paging, total, has_more: paging.offset + results.length < total }
+  };
+}
+
+function createEvent(clientId, type, data) {
+  return {
+    id: `evt_${crypto.randomUUID()}`,
+    type,
+    created_at: new Date().toISOString(),
+    client_id: clientId,
+    data
+  };
+}
+
+/**
+ * POST firmado a la URL de la suscripción, con reintentos y backoff exponencial.
+ * Cada intento se guarda en el log de entregas; nunca lanza.
+ */
+async function deliverEvent(subscription, event, { maxAttempts = DELIVERY_MAX_ATTEMPTS, baseDelayMs = DELIVERY_BASE_DELAY_MS } = {}) {
+  const store = getWebhookStore();
+  const body = JSON.stringify(event);
+  const delivery = {
+    id: crypto.randomUUID(),
+    subscription_id: subscription.id,
+    client_id: subscription.client_id,
+    event_id: event.id,
+    event: event.type,
+    url: subscription.url,
+    status: "pending",
+    attempts: 0,
+    response_status: null,
+    last_error: null,
+    duration_ms: null,
+    history: [],
+    created_at: new Date().toISOString(),
+    delivered_at: null
+  };
+  const save = () => store.saveDelivery({ ...delivery, history: delivery.history.slice() })
+    .catch(error => console.error(`💥 Error guardando entrega de webhook ${delivery.id}:`, error.message));
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    delivery.attempts = attempt;
+    delivery.response_status = null;
+    let detail = null;
+    try {
+      const response = await postJson(subscription.url, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "Petrolink-Webhooks/1.0",
+          "X-Petrolink-Event": event.type,
+          "X-Petrolink-Delivery": delivery.id,
+          "X-Petrolink-Timestamp": String(timestamp),
+          "X-Petrolink-Signature": signPayload(subscription.secret, timestamp, body)
+        },
+        body,
+        timeoutMs: DELIVERY_TIMEOUT_MS
+      });
+      delivery.response_status = response.status;
+      delivery.last_error = response.ok ? null : `HTTP ${response.status}`;
+    } catch (error) {
+      // El log de entregas lo ve el cliente: solo la etiqueta, nunca el mensaje del socket
+      delivery.last_error = outboundErrorLabel(error);
+      detail = error.message;
+    }
+
+    delivery.duration_ms = Date.now() - startedAt;
+    delivery.history.push({
+      attempt,
+      at: new Date(startedAt).toISOString(),
+      status_code: delivery.response_status,
+      error: delivery.last_error,
+      duration_ms: delivery.duration_ms
+    });
+
+    if (!delivery.last_error) {
+      delivery.status = "delivered";
+      delivery.delivered_at = new Date().toISOString();
+      break;
+    }
+
+    console.warn(`⚠️ Webhook ${subscription.id} ${event.type} attempt ${attempt}/${maxAttempts} failed: ${detail || delivery.last_error}`);
+    if (attempt < maxAttempts) {
+      await save();
+      await sleep(baseDelayMs * 4 ** (attempt - 1));
+    }
+  }
+
+  if (delivery.status !== "delivered") delivery.status = "failed";
+  await save();
+
+  // Estado de la suscripción: se relee para no pisar cambios hechos mientras se reintentaba
+  try {
+    const current = await store.getSubscription(subscription.id);
+    if (current) {
+      await store.saveSubscription({
+        ...current,
+        last_delivery_at: new Date().toISOString(),
+        last_delivery_status: delivery.status,
+        consecutive_failures: delivery.status === "delivered" ? 0 : (current.consecutive_failures || 0) + 1
+      });
+    }
+  } catch (error) {
+    console.error(`💥 Error actualizando webhook ${subscription.id}:`, error.message);
+  }
+
+  return delivery;
+}
+
+/**
+ * Entrega `type` a las suscripciones activas del cliente que lo escuchan
+ */
+async function dispatchEvent(clientId, type, data, options) {
+  const subscriptions = (await getWebhookStore().listSubscriptions(clientId))
+    .filter(s => s.active !== false && (s.events || []).some(e => e === "*" || e === type));
+  if (!subscriptions.length) return [];
+
+  const event = createEvent(clientId, type, data);
+  return Promise.all(subscriptions.map(subscription => deliverEvent(subscription, event, options)));
+}
+
+/**
+ * Dispara un evento sin demorar al que lo emite (request o lote)
+ */
+function emitEvent(clientId, type, data) {
+  if (!clientId) return;
+  setImmediate(() => {
+    dispatchEvent(clientId, type, data).catch(error => {
+      console.error(`💥 Error despachando webhook ${type} (${clientId}):`, error.message);
+    });
+  });
+}
+
+/**
+ * Datos de analysis.completed: resumen del análisis y el análisis completo
+ */
+function analysisEvent({ analysisId, source, analysis = {}, ...extra }) {
+  return {
+    analysis_id: analysisId,
+    source,
+    score: analysis.score ?? null,
+    language: analysis.language || null,
+    cache: analysis.cache || null,
+    ai_provider: analysis.cache === "hit" ? null : analysis.ai?.provider || null,
+    ...extra,
+    analysis
+  };
+}
+
+/**
+ * Evento de prueba a una suscripción (aunque esté pausada), en un solo intento
+ */
+async function sendTestEvent(id, actor) {
+  const subscription = await getWebhook(id, actor);
+  if (!subscription) return null;
+
+  const event = createEvent(subscription.client_id, TEST_EVENT, {
+    webhook_id: subscription.id,
+    message: "Evento de prueba de Petrolink"
+  });
+  return deliverEvent(subscription, event, { maxAttempts: 1 });
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  PUBLIC_CLIENT_ID,
+  WebhookValidationError,
+  signPayload,
+  publicWebhook,
+  createWebhook,
+  getWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  deliverEvent,
+  dispatchEvent,
+  emitEvent,
+  analysisEvent,
+  sendTestEvent
+};
@@ -0,0 +1,150 @@
+/**
+ * Almacén de webhooks (/v1/private/webhooks): suscripciones y log de entregas.
+ *
+ * - "supabase" (por defecto si hay SUPABASE_URL): tablas `webhook_subscriptions`
+ *   y `webhook_deliveries`.
+ * - "memory": Maps en proceso (desarrollo/tests). Guarda las últimas
+ *   MEMORY_MAX_DELIVERIES entregas de cada suscripción.
+ *
+ * Se elige con WEBHOOK_STORE=memory|supabase.
+ */
+
+const MEMORY_MAX_DELIVERIES = 100;
+
+function byCreatedDesc(a, b) {
+  return a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0;
+}
+
+function createMemoryWebhookStore({ maxDeliveries = MEMORY_MAX_DELIVERIES } = {}) {
+  const subscriptions = new Map();
+  const deliveries = new Map();
+
+  return {
+    kind: "memory",
+
+    async saveSubscription(subscription) {
+      subscriptions.set(subscription.id, subscription);
+      return subscription;
+    },
+
+    async getSubscription(id) {
+      return subscriptions.get(id) || null;
+    },
+
+    async listSubscriptions(clientId) {
+      return Array.from(subscriptions.values())
+        .filter(s => s.client_id === clientId)
+        .sort(byCreatedDesc);
+    },
+
+    async removeSubscription(id) {
+      deliveries.delete(id);
+      return subscriptions.delete(id);
+    },
+
+    async saveDelivery(delivery) {
+      const list = deliveries.get(delivery.subscription_id) || [];
+      const index = list.findIndex(d => d.id === delivery.id);
+      if (index >= 0) list[index] = delivery;
+      else list.push(delivery);
+      while (list.length > maxDeliveries) list.shift();
+      deliveries.set(delivery.subscription_id, list);
+      return delivery;
+    },
+
+    async listDeliveries(subscriptionId, { limit, offset }) {
+      const list = (deliveries.get(subscriptionId) || []).slice().sort(byCreatedDesc);
+      return { results: list.slice(offset, offset + limit), total: list.length };
+    }
+  };
+}
+
+function createSupabaseWebhookStore(client, {
+  subscriptionsTable = "webhook_subscriptions",
+  deliveriesTable = "webhook_deliveries"
+} = {}) {
+  return {
+    kind: "supabase",
+
+    async saveSubscription(subscription) {
+      const { error } = await client.from(subscriptionsTable).upsert(subscription);
+      if (error) throw new Error(`Error guardando webhook: ${error.message}`);
+      return subscription;
+    },
+
+    async getSubscription(id) {
+      const { data, error } = await client
+        .from(subscriptionsTable)
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+      if (error) throw new Error(`Error leyendo webhook: ${error.message}`);
+      return data || null;
+    },
+
+    async listSubscriptions(clientId) {
+      const { data, error } = await client
+        .from(subscriptionsTable)
+        .select("*")
+        .eq("client_id", clientId)
+        .order("created_at", { ascending: false });
+      if (error) throw new Error(`Error listando webhooks: ${error.message}`);
+      return data || [];
+    },
+
+    // Las entregas se borran en cascada (ver docs/supabase-schema.sql)
+    async removeSubscription(id) {
+      const { error, count } = await client
+        .from(subscriptionsTable)
+        .delete({ count: "exact" })
+        .eq("id", id);
+      if (error) throw new Error(`Error eliminando webhook: ${error.message}`);
+      return count > 0;
+    },
+
+    async saveDelivery(delivery) {
+      const { error } = await client.from(deliveriesTable).upsert(delivery);
+      if (error) throw new Error(`Error guardando entrega de webhook: ${error.message}`);
+      return delivery;
+    },
+
+    async listDeliveries(subscriptionId, { limit, offset }) {
+      const { data, error, count } = await client
+        .from(deliveriesTable)
+        .select("*", { count: "exact" })
+        .eq("subscription_id", subscriptionId)
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (error) throw new Error(`Error listando entregas de webhook: ${error.message}`);
+      return { results: data || [], total: count || 0 };
+    }
+  };
+}
+
+let defaultStore = null;
+
+function getWebhookStore() {
+  if (defaultStore) return defaultStore;
+
+  const kind = (process.env.WEBHOOK_STORE || (process.env.SUPABASE_URL ? "supabase" : "memory")).toLowerCase();
+  if (kind === "supabase") {
+    const { supabase } = require("./supabase.js");
+    defaultStore = createSupabaseWebhookStore(supabase);
+  } else {
+    defaultStore = createMemoryWebhookStore();
+  }
+
+  console.log(`🗄️ Webhook store: ${defaultStore.kind}`);
+  return defaultStore;
+}
+
+function setWebhookStore(store) {
+  defaultStore = store;
+}
+
+module.exports = {
+  createMemoryWebhookStore,
+  createSupabaseWebhookStore,
+  getWebhookStore,
+  setWebhookStore
+};
@@ -66,7 +66,7 @@ class PetrolinkAPIClient {
    */
   async searchProfiles(filters) {
     const queryParams = new URLSearchParams(filters).toString();
-    const response = await fetch(\`\${this.baseURL}/v1/search?\${queryParams}\`, {
+    const response = await fetch(\`\${this.baseURL}/v1/private/search?\${queryParams}\`, {
       headers: {
         'X-API-Key': this.apiKey
       }
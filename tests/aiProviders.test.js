@@ -0,0 +1,132 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { registerProvider, getProvider, listProviders, defaultProviderName, runAnalysis, aiMetadata } = require("../services/ai/index.js");
+
+const cvInput = { text: "Supervisor de perforación con 10 años en pozos offshore. IWCF y H2S.", lang: "es" };
+
+const validCv = {
+  industry: "Energía",
+  role_seniority: "Senior",
+  top_roles: ["Drilling Supervisor"],
+  skills: ["IWCF", "H2S"],
+  score: 8,
+  red_flags: [],
+  summary: "Supervisor con experiencia offshore.",
+  next_steps: [],
+};
+
+function llm(name, chat) {
+  return registerProvider({ name, kind: "llm", model: `${name}-model`, isConfigured: () => true, chat });
+}
+
+// Captura los console.log del bloque para verificar el aviso de fallback
+async function captureLogs(fn) {
+  const lines = [];
+  const original = console.log;
+  console.log = (...args) => lines.push(args.join(" "));
+  try {
+    return { result: await fn(), lines };
+  } finally {
+    console.log = original;
+  }
+}
+
+test("the default provider comes from AI_PROVIDER, then DeepSeek credentials, then mock", () => {
+  assert.equal(defaultProviderName({ AI_PROVIDER: "OpenAI" }), "openai");
+  assert.equal(defaultProviderName({ DEEPSEEK_API_KEY: "sk" }), "deepseek");
+  assert.equal(defaultProviderName({}), "mock");
+});
+
+test("built-in providers are registered and report whether they are configured", () => {
+  const names = listProviders().map(p => p.name);
+  for (const name of ["mock", "deepseek", "openai", "ollama"]) assert.ok(names.includes(name), `missing ${name}`);
+  assert.equal(getProvider("MOCK").name, "mock");
+  assert.equal(getProvider("nope"), null);
+  assert.throws(() => registerProvider({ name: "broken" }), /analyze\(\) o chat\(\)/);
+});
+
+test("the requested provider answers when it is configured", async () => {
+  llm("selected-llm", async () => ({ model: "selected-llm-model", content: JSON.stringify(validCv) }));
+  const run = await runAnalysis({ task: "cv", input: cvInput, provider: "Selected-LLM" });
+
+  assert.equal(run.provider, "selected-llm");
+  assert.equal(run.requested, "selected-llm");
+  assert.equal(run.fallback_reason, null);
+  assert.equal(run.model, "selected-llm-model");
+  assert.equal(run.result.summary, "Supervisor con experiencia offshore.");
+  assert.equal(run.validation.valid, true);
+
+  const meta = aiMetadata(run);
+  assert.equal(meta.provider, "selected-llm");
+  assert.ok(meta.prompt_version);
+});
+
+test("unknown providers fall back to the heuristic with the reason", async () => {
+  const { result: run, lines } = await captureLogs(() => runAnalysis({ task: "cv", input: cvInput, provider: "does-not-exist" }));
+
+  assert.equal(run.provider, "mock");
+  assert.equal(run.requested, "does-not-exist");
+  assert.equal(run.fallback_reason, "Proveedor de IA desconocido: does-not-exist");
+  assert.ok(typeof run.result.score === "number");
+  assert.ok(lines.some(line => line.startsWith("🔄 AI fallback does-not-exist -> mock")));
+});
+
+test("providers without configuration fall back without being called", async () => {
+  let called = false;
+  registerProvider({
+    name: "unconfigured-llm",
+    kind: "llm",
+    isConfigured: () => false,
+    async chat() {
+      called = true;
+      return { content: "{}" };
+    },
+  });
+  const run = await runAnalysis({ task: "cv", input: cvInput, provider: "unconfigured-llm" });
+  assert.equal(run.provider, "mock");
+  assert.equal(run.fallback_reason, "Proveedor unconfigured-llm sin configurar");
+  assert.equal(called, false);
+});
+
+test("a provider that fails is replaced by the heuristic and the error is reported", async () => {
+  llm("failing-llm", async () => {
+    throw new Error("upstream 503");
+  });
+  const original = console.error;
+  console.error = () => {};
+  try {
+    const { result: run, lines } = await captureLogs(() => runAnalysis({ task: "profile", input: { profile: { nombre: "Ana", habilidades: ["HSE"] } }, provider: "failing-llm" }));
+    assert.equal(run.provider, "mock");
+    assert.equal(run.requested, "failing-llm");
+    assert.equal(run.fallback_reason, "upstream 503");
+    assert.ok(typeof run.result.score === "number");
+    assert.ok(lines.some(line => line.includes("🔄 AI fallback failing-llm -> mock: upstream 503")));
+  } finally {
+    console.error = original;
+  }
+});
+
+test("invalid LLM output is re-prompted once and missing fields are filled", async () => {
+  const calls = [];
+  llm("sloppy-llm", async messages => {
+    calls.push(messages);
+    // Nunca manda score: la segunda respuesta tampoco alcanza y se completa con el heurístico
+    return { model: "sloppy-llm-model", content: JSON.stringify({ skills: ["HSE"], summary: "Sin score." }) };
+  });
+  const original = console.warn;
+  console.warn = () => {};
+  try {
+    const run = await runAnalysis({ task: "cv", input: cvInput, provider: "sloppy-llm" });
+    assert.equal(calls.length, 2);
+    assert.equal(run.provider, "sloppy-llm");
+    assert.equal(run.validation.valid, false);
+    assert.equal(run.validation.reprompted, true);
+    assert.ok(run.validation.corrected_fields.includes("score"));
+    assert.ok(typeof run.result.score === "number");
+  } finally {
+    console.warn = original;
+  }
+});
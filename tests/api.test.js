@@ -1,5 +1,7 @@
 import test from "node:test";
 import assert from "node:assert/strict";
+import http from "node:http";
+import crypto from "node:crypto";
 
 const BASE = process.env.TEST_BASE_URL || "http://localhost:8080";
 const KEY = process.env.API_KEY || "CHANGE_ME_TEST_KEY";
@@ -42,3 +44,759 @@ test("POST /v1/analyze/profile works with api key", async () => {
   assert.ok(j.analysis);
   assert.ok(typeof j.analysis.score === "number");
 });
+
+test("GET /v1/public/export/analysis/:id returns 404 for unknown ids", async () => {
+  const r = await fetch(`${BASE}/v1/public/export/analysis/analysis_does_not_exist`);
+  assert.equal(r.status, 404);
+  const j = await r.json();
+  assert.equal(j.code, "ANALYSIS_NOT_FOUND");
+});
+
+test("private profile analyses are not exported by the public route", async () => {
+  const created = await fetch(`${BASE}/v1/analyze/profile`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY },
+    body: JSON.stringify({ profile: { nombre: "Ana López", habilidades: ["HSE", "NEBOSH"] } }),
+  }).then(r => r.json());
+  assert.ok(created.analysis_id);
+
+  for (const format of ["json", "html", "pdf"]) {
+    const r = await fetch(`${BASE}/v1/public/export/analysis/${created.analysis_id}?format=${format}`);
+    assert.equal(r.status, 404);
+    assert.equal((await r.json()).code, "ANALYSIS_NOT_FOUND");
+  }
+
+  const own = await fetch(`${BASE}/v1/private/export/analysis/${created.analysis_id}`, {
+    headers: { "X-API-Key": KEY },
+  });
+  assert.equal(own.status, 200);
+  const report = await own.json();
+  assert.equal(report.id, created.analysis_id);
+  assert.deepEqual(report.analysis.skills, created.analysis.skills_enhanced);
+  assert.ok(report.analysis.skills.includes("NEBOSH"));
+});
+
+test("exports render their labels in the requested language", async () => {
+  const created = await fetch(`${BASE}/v1/analyze/profile`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY },
+    body: JSON.stringify({ profile: { nombre: "Ana López", habilidades: ["HSE", "NEBOSH"] } }),
+  }).then(r => r.json());
+  const exportAs = (format, lang, query = "") => fetch(`${BASE}/v1/private/export/analysis/${created.analysis_id}?format=${format}${query}`, {
+    headers: { "X-API-Key": KEY, "Accept-Language": lang },
+  });
+
+  const en = await exportAs("html", "en");
+  assert.equal(en.status, 200);
+  const html = await en.text();
+  assert.match(html, /<html lang="en">/);
+  for (const label of ["CV Analysis", "Skills", "Alerts", "Next steps"]) assert.ok(html.includes(label), `missing ${label}`);
+  for (const label of ["Habilidades", "Alertas", "Próximos pasos", "Generado"]) assert.ok(!html.includes(label), `leaks ${label}`);
+
+  const blind = await exportAs("html", "en", "&blind=true").then(r => r.text());
+  assert.ok(blind.includes("Anonymous profile"));
+  assert.ok(blind.includes("Identity data removed: name"));
+
+  const es = await exportAs("html", "es").then(r => r.text());
+  assert.ok(es.includes("Habilidades"));
+
+  const pdf = await exportAs("pdf", "en");
+  assert.equal(pdf.status, 200);
+  assert.equal(pdf.headers.get("content-type"), "application/pdf");
+});
+
+test("POST /v1/analyze/profile rejects empty profiles", async () => {
+  const r = await fetch(`${BASE}/v1/analyze/profile`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY },
+    body: JSON.stringify({ profile: {} }),
+  });
+  assert.equal(r.status, 400);
+  const j = await r.json();
+  assert.equal(j.code, "PROFILE_REQUIRED");
+});
+
+test("GET /v1/public/quota reports remaining free analyses", async () => {
+  const r = await fetch(`${BASE}/v1/public/quota?email=quota-test@example.com`);
+  assert.equal(r.status, 200);
+  const j = await r.json();
+  assert.equal(j.ok, true);
+  assert.equal(typeof j.quota.remaining, "number");
+  assert.equal(j.quota.limit, 3);
+});
+
+test("POST /v1/analyze/profile maps skills to taxonomy ids", async () => {
+  const r = await fetch(`${BASE}/v1/analyze/profile`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY },
+    body: JSON.stringify({ profile: { nombre: "Ana", habilidades: ["Perforación direccional", "nebosh", "H2S"] } }),
+  });
+  assert.equal(r.status, 200);
+  const j = await r.json();
+  assert.deepEqual(j.analysis.skill_ids, ["drilling.directional", "hse.nebosh", "hse.h2s"]);
+});
+
+test("POST /v1/analyze/profile reports schema validation", async () => {
+  const r = await fetch(`${BASE}/v1/analyze/profile`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY },
+    body: JSON.stringify({ profile: { nombre: "Luis", habilidades: ["HSE", "hse", "Liderazgo"] } }),
+  });
+  assert.equal(r.status, 200);
+  const j = await r.json();
+  assert.equal(j.analysis.validation.schema_version, "1.0");
+  assert.ok(j.analysis.score >= 1 && j.analysis.score <= 10);
+  assert.ok(Array.isArray(j.analysis.validation.corrections));
+});
+
+test("POST /v1/public/analyze/cv-text serves repeated CVs from cache without consuming quota", async () => {
+  const cv_text = `Técnico de producción con 6 años en campo. Certificado NEBOSH e IWCF. ${Date.now()}`;
+  const email = `cache-${Date.now()}@example.com`;
+  const post = () => fetch(`${BASE}/v1/public/analyze/cv-text`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ cv_text, email }),
+  }).then(r => r.json());
+
+  const first = await post();
+  assert.equal(first.cache, "miss");
+  assert.equal(first.quota.consumed, true);
+
+  const second = await post();
+  assert.equal(second.cache, "hit");
+  assert.equal(second.quota.consumed, false);
+  assert.equal(second.quota.remaining, first.quota.remaining);
+});
+
+test("POST /v1/public/analyze/cv-text without email keeps a separate quota per IP", async () => {
+  const octet = () => crypto.randomInt(1, 255);
+  const ip = () => `203.0.${octet()}.${octet()}`;
+  const [first, second] = [ip(), ip()];
+  const post = (from, cv_text) => fetch(`${BASE}/v1/public/analyze/cv-text`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Forwarded-For": from },
+    body: JSON.stringify({ cv_text }),
+  });
+  const stamp = Date.now();
+  const cv = n => `Operador de producción con ${n} años en campo, certificado H2S y BOSIET. ${first} ${stamp}`;
+
+  for (let n = 1; n <= 3; n++) assert.equal((await post(first, cv(n))).status, 200);
+  const blocked = await post(first, cv(4));
+  assert.equal(blocked.status, 429);
+  assert.equal((await blocked.json()).code, "QUOTA_EXCEEDED");
+
+  // Otra IP tiene su propio bucket
+  const other = await post(second, cv(5));
+  assert.equal(other.status, 200);
+  assert.equal((await other.json()).quota.remaining, 2);
+
+  // Un CV ya analizado se sirve de caché aunque la cuota esté agotada
+  const cached = await post(first, cv(1)).then(r => r.json());
+  assert.equal(cached.cache, "hit");
+  assert.equal(cached.quota.consumed, false);
+  assert.equal(cached.quota.remaining, 0);
+});
+
+test("POST /v1/public/analyze/cv-file rejects files whose content does not match the declared type", async () => {
+  const form = new FormData();
+  const text = "Supervisor de perforación con 10 años de experiencia, certificado IWCF y NEBOSH.";
+  form.append("cv_file", new Blob([text], { type: "application/pdf" }), "cv.pdf");
+  const r = await fetch(`${BASE}/v1/public/analyze/cv-file`, { method: "POST", body: form });
+  assert.equal(r.status, 415);
+  const j = await r.json();
+  assert.equal(j.code, "UNSUPPORTED_FORMAT");
+  assert.equal(j.details.declared, "pdf");
+  assert.equal(j.details.detected, "txt");
+});
+
+// ZIP mínimo: un registro local vacío y un directorio central con las entradas dadas
+function brokenZip(entries) {
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  const central = entries.map(({ name, offset }) => {
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014b50, 0);
+    record.writeUInt16LE(Buffer.byteLength(name), 28);
+    record.writeUInt32LE(offset, 42);
+    return Buffer.concat([record, Buffer.from(name)]);
+  });
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(local.length, 16);
+  return Buffer.concat([local, ...central, eocd]);
+}
+
+test("POST /v1/public/analyze/cv-file answers UNSUPPORTED_FORMAT for damaged ZIP and DOCX files", async () => {
+  const upload = async (buffer, type, name) => {
+    const form = new FormData();
+    form.append("cv_file", new Blob([buffer], { type }), name);
+    return fetch(`${BASE}/v1/public/analyze/cv-file`, { method: "POST", body: form });
+  };
+
+  // El detector lee una entrada cuyo offset cae fuera del archivo
+  const odt = await upload(
+    brokenZip([{ name: "content.xml", offset: 0 }, { name: "mimetype", offset: 0xfffffff0 }]),
+    "application/vnd.oasis.opendocument.text",
+    "cv.odt"
+  );
+  assert.equal(odt.status, 415);
+  const odtBody = await odt.json();
+  assert.equal(odtBody.code, "UNSUPPORTED_FORMAT");
+  assert.ok(odtBody.details.reason);
+
+  // Se reconoce como DOCX pero no se puede extraer
+  const docx = await upload(
+    brokenZip([{ name: "word/document.xml", offset: 0xfffffff0 }]),
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "cv.docx"
+  );
+  assert.equal(docx.status, 422);
+  const docxBody = await docx.json();
+  assert.equal(docxBody.code, "UNSUPPORTED_FORMAT");
+  assert.equal(docxBody.details.detected, "docx");
+  assert.match(docxBody.message, /DOCX/);
+});
+
+test("responses follow Accept-Language and the lang parameter", async () => {
+  const r = await fetch(`${BASE}/v1/public/export/analysis/analysis_does_not_exist`, {
+    headers: { "Accept-Language": "en-US,en;q=0.9" },
+  });
+  assert.equal(r.status, 404);
+  assert.equal(r.headers.get("content-language"), "en");
+  const j = await r.json();
+  assert.equal(j.message, "There is no analysis with ID 'analysis_does_not_exist'.");
+
+  const pt = await fetch(`${BASE}/v1/analyze/profile?lang=pt`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY, "Accept-Language": "en" },
+    body: JSON.stringify({ profile: {} }),
+  });
+  assert.equal(pt.status, 400);
+  assert.equal(pt.headers.get("content-language"), "pt");
+});
+
+test("GET /v1/private/analyses/:id/blind strips identity but keeps skills", async () => {
+  const created = await fetch(`${BASE}/v1/analyze/profile`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY },
+    body: JSON.stringify({
+      profile: {
+        nombre: "Ana López",
+        paisResidencia: "Venezuela",
+        aniosExperiencia: 8,
+        habilidades: ["HSE", "NEBOSH"],
+        descripcion: "Ingeniera venezolana, ana.lopez@example.com",
+      },
+    }),
+  }).then(r => r.json());
+
+  const r = await fetch(`${BASE}/v1/private/analyses/${created.analysis_id}/blind`, {
+    headers: { "X-API-Key": KEY },
+  });
+  assert.equal(r.status, 200);
+  const { profile } = await r.json();
+  assert.match(profile.candidate_ref, /^CAND-[0-9A-F]{8}$/);
+  assert.ok(profile.analysis.skills.length > 0);
+  const body = JSON.stringify(profile);
+  for (const leaked of ["Ana", "López", "ana.lopez@example.com", "Venezuela", created.analysis_id]) {
+    assert.ok(!body.includes(leaked), `blind profile leaks ${leaked}`);
+  }
+});
+
+test("admin keys: created keys authenticate once and stop working when revoked", async () => {
+  const admin = { "Content-Type": "application/json", "X-API-Key": KEY };
+  const created = await fetch(`${BASE}/v1/admin/keys`, {
+    method: "POST",
+    headers: admin,
+    body: JSON.stringify({ name: "test key" }),
+  });
+  assert.equal(created.status, 201);
+  const { key, api_key } = await created.json();
+  assert.ok(api_key);
+  assert.equal(key.key_hash, undefined);
+
+  const usage = () => fetch(`${BASE}/v1/stats/usage`, { headers: { "X-API-Key": api_key } });
+  assert.equal((await usage()).status, 200);
+
+  const listed = await fetch(`${BASE}/v1/admin/keys/${key.id}`, { headers: admin }).then(r => r.json());
+  assert.equal(listed.key.api_key, undefined);
+  assert.ok(listed.key.last_used_at);
+
+  const forbidden = await fetch(`${BASE}/v1/admin/keys`, { headers: { "X-API-Key": api_key } });
+  assert.equal(forbidden.status, 403);
+
+  await fetch(`${BASE}/v1/admin/keys/${key.id}/revoke`, { method: "POST", headers: admin });
+  assert.equal((await usage()).status, 401);
+});
+
+test("admin keys: a key cannot rotate, edit or revoke a key with more scopes", async () => {
+  const admin = { "Content-Type": "application/json", "X-API-Key": KEY };
+  const create = permissions => fetch(`${BASE}/v1/admin/keys`, {
+    method: "POST",
+    headers: admin,
+    body: JSON.stringify({ name: "scope test", permissions }),
+  }).then(r => r.json());
+
+  const root = await create(["*"]);
+  const manager = await create(["admin:keys"]);
+  const peer = await create(["admin:keys"]);
+  const asManager = { "Content-Type": "application/json", "X-API-Key": manager.api_key };
+
+  const rotated = await fetch(`${BASE}/v1/admin/keys/${root.key.id}/rotate`, { method: "POST", headers: asManager, body: "{}" });
+  assert.equal(rotated.status, 403);
+  const body = await rotated.json();
+  assert.equal(body.code, "KEY_PERMISSIONS_EXCEEDED");
+  assert.equal(body.api_key, undefined);
+  assert.deepEqual(body.details.permissions, ["*"]);
+
+  const patched = await fetch(`${BASE}/v1/admin/keys/${root.key.id}`, {
+    method: "PATCH",
+    headers: asManager,
+    body: JSON.stringify({ expires_at: null }),
+  });
+  assert.equal(patched.status, 403);
+  const revoked = await fetch(`${BASE}/v1/admin/keys/${root.key.id}/revoke`, { method: "POST", headers: asManager });
+  assert.equal(revoked.status, 403);
+
+  // La key sigue intacta y las keys con los mismos scopes se pueden rotar
+  const stored = await fetch(`${BASE}/v1/admin/keys/${root.key.id}`, { headers: admin }).then(r => r.json());
+  assert.equal(stored.key.status, "active");
+  assert.equal(stored.key.rotated_to, null);
+  const ownLevel = await fetch(`${BASE}/v1/admin/keys/${peer.key.id}/rotate`, { method: "POST", headers: asManager, body: "{}" });
+  assert.equal(ownLevel.status, 201);
+});
+
+test("admin keys: field errors follow the request language", async () => {
+  const create = lang => fetch(`${BASE}/v1/admin/keys`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY, "Accept-Language": lang },
+    body: JSON.stringify({ permissions: ["nope:read"], expires_at: "2001-01-01T00:00:00Z" }),
+  });
+
+  const en = await create("en");
+  assert.equal(en.status, 400);
+  const enBody = await en.json();
+  assert.equal(enBody.code, "KEY_INVALID");
+  assert.deepEqual(enBody.details, [
+    { field: "expires_at", message: "Must be a future ISO 8601 date (or null to never expire)." },
+    { field: "permissions", message: "Unknown scopes: nope:read." },
+  ]);
+
+  const es = await create("es").then(r => r.json());
+  assert.equal(es.details[1].message, "Scopes desconocidos: nope:read.");
+});
+
+test("GET /v1/stats/usage groups calls by endpoint and reads the quota of the calling key", async () => {
+  const { api_key } = await fetch(`${BASE}/v1/admin/keys`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY },
+    body: JSON.stringify({ name: "quota key", monthly_quota: 500 }),
+  }).then(r => r.json());
+
+  const analyzed = await fetch(`${BASE}/v1/analyze/profile`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": api_key },
+    body: JSON.stringify({ profile: { nombre: "Luis Pérez", habilidades: ["HSE", "Perforación"] } }),
+  });
+  assert.equal(analyzed.status, 200);
+
+  // La fila del log se escribe cuando termina la respuesta
+  let stats;
+  for (let i = 0; i < 10; i++) {
+    stats = await fetch(`${BASE}/v1/stats/usage?granularity=hour`, { headers: { "X-API-Key": api_key } }).then(r => r.json());
+    if (stats.quota.used > 0) break;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.equal(stats.ok, true);
+  assert.equal(stats.quota.limit, 500);
+  assert.ok(stats.quota.used >= 1);
+  assert.equal(stats.quota.remaining, 500 - stats.quota.used);
+
+  const endpoint = stats.endpoints.find(e => e.endpoint === "POST /v1/analyze/profile");
+  assert.ok(endpoint && endpoint.calls >= 1);
+  assert.equal(stats.totals.calls, stats.series.reduce((sum, bucket) => sum + bucket.calls, 0));
+
+  const invalid = await fetch(`${BASE}/v1/stats/usage?granularity=hour&from=2020-01-01`, { headers: { "X-API-Key": api_key } });
+  assert.equal(invalid.status, 400);
+});
+
+test("routes reject keys without the required scope and name it", async () => {
+  const { api_key } = await fetch(`${BASE}/v1/admin/keys`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY },
+    body: JSON.stringify({ name: "search only", permissions: ["search:read"] }),
+  }).then(r => r.json());
+
+  const allowed = await fetch(`${BASE}/v1/private/search`, { headers: { "X-API-Key": api_key } });
+  assert.equal(allowed.status, 200);
+
+  const r = await fetch(`${BASE}/v1/private/jobs`, { headers: { "X-API-Key": api_key } });
+  assert.equal(r.status, 403);
+  const j = await r.json();
+  assert.equal(j.code, "INSUFFICIENT_SCOPE");
+  assert.deepEqual(j.missing_scopes, ["jobs:read"]);
+
+  const spec = await fetch(`${BASE}/api-spec`).then(r => r.json());
+  assert.deepEqual(spec.paths["/v1/private/jobs"].get["x-required-scopes"], ["jobs:read"]);
+});
+
+test("requests are logged with their X-Request-Id and without credentials", async () => {
+  const r = await fetch(`${BASE}/v1/private/search?api_key=${KEY}&limit=5`);
+  assert.equal(r.status, 200);
+  const requestId = r.headers.get("x-request-id");
+  assert.ok(requestId);
+  assert.equal((await r.json()).request_id, requestId);
+
+  // La fila se escribe cuando termina la respuesta
+  let entry;
+  for (let i = 0; i < 10 && !entry; i++) {
+    const { logs } = await fetch(`${BASE}/v1/private/logs?path=/v1/private/search`, {
+      headers: { "X-API-Key": KEY },
+    }).then(r => r.json());
+    entry = logs.find(log => log.request_id === requestId);
+    if (!entry) await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.ok(entry);
+  assert.equal(entry.status_code, 200);
+  assert.equal(entry.query.api_key, undefined);
+  assert.equal(entry.query.limit, "5");
+});
+
+test("webhook test events are signed with the subscription secret and logged", async () => {
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.end("ok");
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  const headers = { "Content-Type": "application/json", "X-API-Key": KEY };
+
+  try {
+    const created = await fetch(`${BASE}/v1/private/webhooks`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ url, events: ["analysis.completed"] }),
+    });
+    assert.equal(created.status, 201);
+    const { webhook, secret } = await created.json();
+    assert.equal(webhook.secret, undefined);
+
+    const sent = await fetch(`${BASE}/v1/private/webhooks/${webhook.id}/test`, { method: "POST", headers }).then(r => r.json());
+    assert.equal(sent.delivery.status, "delivered");
+
+    const [{ headers: h, body }] = received;
+    assert.equal(h["x-petrolink-event"], "webhook.test");
+    const expected = "sha256=" + crypto.createHmac("sha256", secret).update(`${h["x-petrolink-timestamp"]}.${body}`).digest("hex");
+    assert.equal(h["x-petrolink-signature"], expected);
+
+    const { deliveries } = await fetch(`${BASE}/v1/private/webhooks/${webhook.id}/deliveries`, { headers }).then(r => r.json());
+    assert.equal(deliveries[0].id, h["x-petrolink-delivery"]);
+
+    await fetch(`${BASE}/v1/private/webhooks/${webhook.id}`, { method: "DELETE", headers });
+  } finally {
+    receiver.close();
+  }
+});
+
+test("requests are validated against the OpenAPI spec and list every invalid field", async () => {
+  const r = await fetch(`${BASE}/v1/private/jobs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY },
+    body: JSON.stringify({ min_years: "five", status: "paused" }),
+  });
+  assert.equal(r.status, 400);
+  const j = await r.json();
+  assert.equal(j.code, "INVALID_REQUEST");
+  assert.deepEqual(
+    j.errors.map(e => `${e.location}:${e.field}`).sort(),
+    ["body:min_years", "body:status", "body:title"]
+  );
+
+  const search = await fetch(`${BASE}/v1/private/search?limit=abc&sort=SCORE_DESC`, { headers: { "X-API-Key": KEY } });
+  assert.equal(search.status, 400);
+  assert.deepEqual((await search.json()).errors.map(e => `${e.location}:${e.field}`), ["query:limit"]);
+
+  const spec = await fetch(`${BASE}/api-spec`).then(r => r.json());
+  assert.equal(spec.paths["/v1/private/jobs"].post.responses["400"].content["application/json"].schema.allOf[1].properties.code.enum[0], "INVALID_REQUEST");
+});
+
+test("oneOf fields report the nested errors of the alternative whose type matches", async () => {
+  const match = job => fetch(`${BASE}/v1/private/match`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY, "Accept-Language": "en" },
+    body: JSON.stringify({ job, cv_text: "x" }),
+  }).then(r => r.json());
+
+  const nested = await match({ min_years: 99 });
+  assert.equal(nested.code, "INVALID_REQUEST");
+  assert.deepEqual(nested.errors, [{ location: "body", field: "job.min_years", message: "Must be less than or equal to 80." }]);
+
+  const wrongType = await match(5);
+  assert.deepEqual(wrongType.errors, [{ location: "body", field: "job", message: "Must be of type string | object." }]);
+});
+
+test("GET /v1/private/search finds the client's analyses by skill and experience", async () => {
+  const nombre = `Search ${Date.now()}`;
+  const created = await fetch(`${BASE}/v1/analyze/profile`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY },
+    body: JSON.stringify({ profile: { nombre, aniosExperiencia: 12, habilidades: ["IWCF", "Perforación direccional"] } }),
+  }).then(r => r.json());
+
+  const r = await fetch(`${BASE}/v1/private/search?skills=iwcf,drilling.directional&skills_match=all&min_years=10&limit=100`, {
+    headers: { "X-API-Key": KEY },
+  });
+  assert.equal(r.status, 200);
+  const j = await r.json();
+  const hit = j.results.find(result => result.analysis_id === created.analysis_id);
+  assert.ok(hit);
+  assert.equal(hit.candidate.nombre, nombre);
+  assert.equal(hit.years_experience, 12);
+  assert.ok(j.results.every(result => result.years_experience >= 10));
+});
+
+test("profile and CV analyses share the canonical industry", async () => {
+  const profile = await fetch(`${BASE}/v1/analyze/profile`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY },
+    body: JSON.stringify({ profile: { nombre: "Pedro Gil", experienciaOilGas: "12 años en perforación offshore", habilidades: ["IWCF"] } }),
+  }).then(r => r.json());
+  assert.equal(profile.analysis.industry, "Energía");
+
+  const cv = await fetch(`${BASE}/v1/public/analyze/cv-text`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      cv_text: `Supervisor de perforación direccional con 12 años en pozos offshore. IWCF y H2S. ${Date.now()}`,
+      email: `industry-${Date.now()}@example.com`,
+    }),
+  }).then(r => r.json());
+  assert.equal(cv.analysis.industry, profile.analysis.industry);
+
+  const { results } = await fetch(`${BASE}/v1/private/search?industry=${encodeURIComponent("Oil & Gas")}&limit=100`, {
+    headers: { "X-API-Key": KEY },
+  }).then(r => r.json());
+  assert.ok(results.some(r => r.analysis_id === profile.analysis_id));
+  assert.ok(results.every(r => r.industry === "Energía"));
+});
+
+test("GET /v1/private/search rejects contradictory ranges", async () => {
+  const r = await fetch(`${BASE}/v1/private/search?min_score=8&max_score=2`, { headers: { "X-API-Key": KEY } });
+  assert.equal(r.status, 400);
+  const j = await r.json();
+  assert.equal(j.code, "INVALID_SEARCH_PARAMS");
+  assert.deepEqual(j.errors.map(e => e.field), ["min_score"]);
+});
+
+test("POST /v1/private/match scores own and public analyses against a job", async () => {
+  const headers = { "Content-Type": "application/json", "X-API-Key": KEY };
+  const job = { title: "Asesor HSE", required_skills: ["HSE", "Permisos de trabajo"], certifications: ["NEBOSH"], min_years: 5 };
+
+  const own = await fetch(`${BASE}/v1/analyze/profile`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ profile: { nombre: "Ana López", aniosExperiencia: 8, habilidades: ["HSE", "NEBOSH"] } }),
+  }).then(r => r.json());
+
+  const r = await fetch(`${BASE}/v1/private/match`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ job, analysis_id: own.analysis_id }),
+  });
+  assert.equal(r.status, 200);
+  const j = await r.json();
+  assert.equal(j.candidate.analysis_id, own.analysis_id);
+  assert.ok(j.match.score >= 0 && j.match.score <= 100);
+  assert.ok(["strong", "partial", "weak"].includes(j.match.fit));
+
+  const shared = await fetch(`${BASE}/v1/public/analyze/cv-text`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      cv_text: `Asesor HSE con 7 años en perforación. Certificado NEBOSH y H2S. ${Date.now()}`,
+      email: `match-${Date.now()}@example.com`,
+    }),
+  }).then(r => r.json());
+  const pub = await fetch(`${BASE}/v1/private/match`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ job, analysis_id: shared.analysis_id }),
+  });
+  assert.equal(pub.status, 200);
+});
+
+test("POST /v1/private/match rejects missing candidates and unknown analyses", async () => {
+  const post = body => fetch(`${BASE}/v1/private/match`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY },
+    body: JSON.stringify(body),
+  });
+  const job = { title: "Perforador", required_skills: ["Perforación direccional"] };
+
+  const missing = await post({ job, cv_text: "corto" });
+  assert.equal(missing.status, 400);
+  assert.equal((await missing.json()).code, "CANDIDATE_REQUIRED");
+
+  const unknown = await post({ job, analysis_id: "analysis_does_not_exist" });
+  assert.equal(unknown.status, 404);
+  assert.equal((await unknown.json()).code, "ANALYSIS_NOT_FOUND");
+});
+
+test("private jobs: create, rank analyzed candidates, update and delete", async () => {
+  const headers = { "Content-Type": "application/json", "X-API-Key": KEY };
+  const analyzed = await fetch(`${BASE}/v1/analyze/profile`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ profile: { nombre: "Ana López", aniosExperiencia: 9, habilidades: ["HSE", "NEBOSH", "H2S"] } }),
+  }).then(r => r.json());
+
+  const created = await fetch(`${BASE}/v1/private/jobs`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ title: "Asesor HSE", required_skills: ["HSE"], certifications: ["NEBOSH"], min_years: 5 }),
+  });
+  assert.equal(created.status, 201);
+  const { job } = await created.json();
+  assert.equal(job.status, "open");
+
+  const listed = await fetch(`${BASE}/v1/private/jobs?status=open`, { headers }).then(r => r.json());
+  assert.ok(listed.jobs.some(j => j.id === job.id));
+
+  const ranking = await fetch(`${BASE}/v1/private/jobs/${job.id}/candidates?limit=100`, { headers }).then(r => r.json());
+  assert.equal(ranking.job.id, job.id);
+  const candidate = ranking.candidates.find(c => c.analysis_id === analyzed.analysis_id);
+  assert.ok(candidate);
+  const scores = ranking.candidates.map(c => c.score);
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+
+  const updated = await fetch(`${BASE}/v1/private/jobs/${job.id}`, {
+    method: "PATCH",
+    headers,
+    body: JSON.stringify({ status: "closed" }),
+  }).then(r => r.json());
+  assert.equal(updated.job.status, "closed");
+
+  const deleted = await fetch(`${BASE}/v1/private/jobs/${job.id}`, { method: "DELETE", headers });
+  assert.equal(deleted.status, 200);
+  const gone = await fetch(`${BASE}/v1/private/jobs/${job.id}`, { headers });
+  assert.equal(gone.status, 404);
+  assert.equal((await gone.json()).code, "JOB_NOT_FOUND");
+});
+
+test("private jobs reject offers without a title and invalid ranking filters", async () => {
+  const headers = { "Content-Type": "application/json", "X-API-Key": KEY };
+  const untitled = await fetch(`${BASE}/v1/private/jobs`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ required_skills: ["HSE"] }),
+  });
+  assert.equal(untitled.status, 400);
+  const j = await untitled.json();
+  assert.equal(j.code, "INVALID_REQUEST");
+  assert.deepEqual(j.errors.map(e => e.field), ["title"]);
+
+  const { job } = await fetch(`${BASE}/v1/private/jobs`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ title: "Perforador", required_skills: ["Perforación direccional"] }),
+  }).then(r => r.json());
+  const r = await fetch(`${BASE}/v1/private/jobs/${job.id}/candidates?min_score=150`, { headers });
+  assert.equal(r.status, 400);
+  assert.deepEqual((await r.json()).errors.map(e => e.field), ["min_score"]);
+
+  const missing = await fetch(`${BASE}/v1/private/jobs/job_does_not_exist/candidates`, { headers });
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).code, "JOB_NOT_FOUND");
+});
+
+test("field errors of search, stats and webhooks follow the request language", async () => {
+  const headers = { "Content-Type": "application/json", "X-API-Key": KEY, "Accept-Language": "en" };
+  const get = path => fetch(`${BASE}${path}`, { headers }).then(r => r.json());
+
+  const search = await get("/v1/private/search?min_score=8&max_score=2");
+  assert.equal(search.code, "INVALID_SEARCH_PARAMS");
+  assert.deepEqual(search.errors, [{ field: "min_score", message: "min_score cannot be greater than max_score." }]);
+
+  const stats = await get("/v1/stats/usage?granularity=hour&from=2020-01-01");
+  assert.deepEqual(stats.errors, [{ field: "to", message: "The maximum range with granularity=hour is 7 days." }]);
+
+  const webhook = url => fetch(`${BASE}/v1/private/webhooks`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ url, events: ["*"] }),
+  }).then(r => r.json());
+  assert.deepEqual((await webhook("http://10.0.0.5/hook")).details, [
+    { field: "url", message: "Cannot point to a local, private or reserved address." },
+  ]);
+  assert.deepEqual((await webhook("ftp://example.com/hook")).details, [{ field: "url", message: "Must use https / http." }]);
+});
+
+test("webhooks cannot target local, private or metadata addresses", async () => {
+  const headers = { "Content-Type": "application/json", "X-API-Key": KEY };
+  for (const url of ["http://localhost:8080/hook", "http://169.254.169.254/latest/meta-data", "http://10.0.0.5/hook", "http://[::1]/hook", "http://[2002:7f00:1::]/hook", "http://[::127.0.0.1]/hook"]) {
+    const r = await fetch(`${BASE}/v1/private/webhooks`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ url, events: ["analysis.completed"] }),
+    });
+    assert.equal(r.status, 400, url);
+    const j = await r.json();
+    assert.equal(j.code, "WEBHOOK_INVALID");
+    assert.deepEqual(j.details.map(d => d.field), ["url"]);
+  }
+});
+
+test("POST /v1/batch/analyze processes every item and keeps its analyses private", async () => {
+  const headers = { "Content-Type": "application/json", "X-API-Key": KEY };
+  const created = await fetch(`${BASE}/v1/batch/analyze`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      profiles: [
+        { external_id: "c-1", nombre: "Ana López", habilidades: ["HSE", "NEBOSH"] },
+        { external_id: "c-2", cv_text: `Supervisor de perforación con 10 años en campo, certificado IWCF y NEBOSH. ${Date.now()}` },
+      ],
+    }),
+  });
+  assert.equal(created.status, 202);
+  const { batch_id } = await created.json();
+
+  let batch;
+  for (let i = 0; i < 50; i++) {
+    batch = await fetch(`${BASE}/v1/batch/${batch_id}`, { headers }).then(r => r.json());
+    if (batch.completed_at) break;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.equal(batch.status, "completed");
+  assert.deepEqual(batch.items.map(item => [item.external_id, item.status]), [["c-1", "completed"], ["c-2", "completed"]]);
+
+  for (const { analysis_id } of batch.items) {
+    const leaked = await fetch(`${BASE}/v1/public/export/analysis/${analysis_id}`);
+    assert.equal(leaked.status, 404);
+    const own = await fetch(`${BASE}/v1/private/export/analysis/${analysis_id}`, { headers });
+    assert.equal(own.status, 200);
+  }
+});
+
+test("POST /v1/batch/analyze rejects empty batches and internal callback URLs", async () => {
+  const post = body => fetch(`${BASE}/v1/batch/analyze`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-API-Key": KEY },
+    body: JSON.stringify(body),
+  }).then(async r => ({ status: r.status, body: await r.json() }));
+
+  const empty = await post({ profiles: [] });
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.code, "INVALID_REQUEST");
+  assert.deepEqual(empty.body.errors.map(e => e.field), ["profiles"]);
+
+  const internal = await post({ profiles: [{ nombre: "Ana" }], callback_url: "http://169.254.169.254/latest/meta-data" });
+  assert.equal(internal.status, 400);
+  assert.equal(internal.body.code, "CALLBACK_URL_INVALID");
+});
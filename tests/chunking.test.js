@@ -0,0 +1,106 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { chunkCvText, mergeCvResults } = require("../services/ai/chunking.js");
+
+const jobs = Array.from({ length: 12 }, (_, i) => [
+  `Supervisor de perforación — Empresa ${i}`,
+  "2010 - 2015",
+  "Operación de taladros en campo, control de pozos y reportes diarios.",
+].join("\n")).join("\n");
+
+const longCv = [
+  "Ana López",
+  "Ingeniera de perforación",
+  "Perfil",
+  "Ingeniera con 12 años en pozos de tierra y costa afuera.",
+  "Experiencia",
+  jobs,
+  "Educación",
+  "Ingeniería de Petróleo, UCV",
+  "Certificaciones",
+  "IWCF Nivel 4",
+  "NEBOSH IGC",
+  "Idiomas",
+  "Inglés avanzado",
+].join("\n");
+
+const lines = text => text.split("\n").map(l => l.trim()).filter(Boolean);
+
+test("a CV under the limit is sent whole", () => {
+  const result = chunkCvText("Operador de producción con 5 años.", { maxChars: 100 });
+  assert.equal(result.strategy, "single");
+  assert.equal(result.chunks.length, 1);
+  assert.equal(result.chunks[0].text, "Operador de producción con 5 años.");
+  assert.equal(result.truncated, false);
+});
+
+test("long CVs are split on section headings without exceeding the limit", () => {
+  const result = chunkCvText(longCv, { maxChars: 400, maxChunks: 10 });
+  assert.equal(result.strategy, "sections");
+  assert.ok(result.chunks.length > 1);
+  assert.ok(result.chunks.every(c => c.text.length <= 400));
+  assert.deepEqual(result.chunks.map(c => c.index), result.chunks.map((c, i) => i));
+
+  // Ninguna línea se pierde ni cambia de orden
+  assert.deepEqual(result.chunks.flatMap(c => lines(c.text)), lines(longCv));
+
+  // Las secciones cortas se agrupan y cada encabezado abre el bloque de su sección
+  assert.deepEqual(result.chunks[0].sections, ["header", "summary"]);
+  const education = result.chunks.find(c => c.sections.includes("education"));
+  assert.ok(education.text.includes("Educación\nIngeniería de Petróleo, UCV"));
+  assert.equal(result.chunks.at(-1).sections.at(-1), "languages");
+});
+
+test("text without headings is cut by lines, and huge lines by force", () => {
+  const text = ["a".repeat(250), "b".repeat(120), "c".repeat(700)].join("\n");
+  const result = chunkCvText(text, { maxChars: 300, maxChunks: 10 });
+  assert.equal(result.strategy, "lines");
+  assert.ok(result.chunks.every(c => c.text.length <= 300));
+  assert.equal(result.chunks.map(c => c.text.replace(/\s/g, "")).join(""), text.replace(/\s/g, ""));
+});
+
+test("chunks beyond maxChunks are dropped and reported", () => {
+  const result = chunkCvText(longCv, { maxChars: 400, maxChunks: 2 });
+  assert.equal(result.chunks.length, 2);
+  assert.equal(result.truncated, true);
+  assert.equal(result.total_chars, longCv.length);
+});
+
+test("chunk results are merged into one analysis", () => {
+  const chunks = [{ text: "x".repeat(300) }, { text: "y".repeat(100) }];
+  const { value } = mergeCvResults([
+    {
+      industry: "Oil & Gas",
+      role_seniority: "Senior",
+      top_roles: ["Drilling Supervisor"],
+      skills: ["IWCF", "HSE"],
+      score: 8,
+      red_flags: [],
+      summary: "Supervisor con experiencia en taladros.",
+      next_steps: ["Actualizar IWCF"],
+    },
+    {
+      industry: "General",
+      role_seniority: "Mid-Level",
+      top_roles: ["drilling supervisor", "Toolpusher"],
+      skills: ["hse", "NEBOSH"],
+      score: 6,
+      red_flags: ["Fechas superpuestas"],
+      summary: "Formación en ingeniería de petróleo.",
+      next_steps: ["actualizar iwcf"],
+    },
+  ], chunks, longCv);
+
+  assert.equal(value.industry, "Energía");
+  assert.equal(value.role_seniority, "Senior");
+  assert.equal(value.score, 7.5);
+  assert.deepEqual(value.top_roles, ["Drilling Supervisor", "Toolpusher"]);
+  assert.deepEqual(value.skills, ["IWCF", "HSE", "NEBOSH"]);
+  assert.deepEqual(value.red_flags, ["Fechas superpuestas"]);
+  assert.deepEqual(value.next_steps, ["Actualizar IWCF"]);
+  assert.equal(value.summary, "Supervisor con experiencia en taladros. Formación en ingeniería de petróleo.");
+  assert.equal(typeof value.years_experience, "number");
+});
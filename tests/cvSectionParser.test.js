@@ -0,0 +1,127 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { parseCvSections, extractDateRange, yearsFromExperience } = require("../services/cvSectionParser.js");
+
+const cv = [
+  "Carlos Méndez",
+  "Supervisor de Perforación",
+  "carlos.mendez@example.com | +58 414 555 1234 | Maracaibo, Venezuela",
+  "linkedin.com/in/carlosmendez",
+  "Resumen Profesional",
+  "Supervisor con 12 años en operaciones de taladro.",
+  "Experiencia Laboral",
+  "Supervisor de Perforación — Schlumberger",
+  "Enero 2018 - Actualidad",
+  "- Coordinación de cuadrillas de 40 personas",
+  "Ingeniero de Pozos | PDVSA | Maturín",
+  "03/2010 - 12/2017",
+  "Educación",
+  "Ingeniería de Petróleo, Universidad del Zulia, 2009",
+  "Certificaciones",
+  "- IWCF Nivel 4 (IWCF) 2021",
+  "- NEBOSH IGC - NEBOSH 2019",
+  "Idiomas",
+  "Español (Nativo), Inglés: Avanzado",
+].join("\n");
+
+const now = new Date("2026-01-15T00:00:00Z");
+
+test("contact, headline and summary come from the header and summary section", () => {
+  const parsed = parseCvSections(cv);
+  assert.deepEqual(parsed.contact, {
+    name: "Carlos Méndez",
+    email: "carlos.mendez@example.com",
+    phone: "+58 414 555 1234",
+    location: "Maracaibo, Venezuela",
+    linkedin: "linkedin.com/in/carlosmendez",
+    website: null,
+  });
+  assert.equal(parsed.headline, "Supervisor de Perforación");
+  assert.equal(parsed.summary, "Supervisor con 12 años en operaciones de taladro.");
+  assert.deepEqual(parsed.meta, {
+    language: "es",
+    sections_found: ["summary", "experience", "education", "certifications", "languages"],
+  });
+});
+
+test("experience entries get title, company, dates and bullets", () => {
+  const { experience } = parseCvSections(cv);
+  assert.deepEqual(experience, [
+    {
+      title: "Supervisor de Perforación",
+      company: "Schlumberger",
+      location: null,
+      start_date: "2018-01",
+      end_date: null,
+      current: true,
+      description: "Coordinación de cuadrillas de 40 personas",
+    },
+    {
+      title: "Ingeniero de Pozos",
+      company: "PDVSA",
+      location: "Maturín",
+      start_date: "2010-03",
+      end_date: "2017-12",
+      current: false,
+      description: null,
+    },
+  ]);
+});
+
+test("education, certifications and languages are split into fields", () => {
+  const parsed = parseCvSections(cv);
+  assert.deepEqual(parsed.education, [
+    { degree: "Ingeniería de Petróleo", institution: "Universidad del Zulia", location: null, start_date: null, end_date: "2009" },
+  ]);
+  assert.deepEqual(parsed.certifications, [
+    { name: "IWCF Nivel 4", issuer: "IWCF", year: "2021" },
+    { name: "NEBOSH IGC", issuer: "NEBOSH", year: "2019" },
+  ]);
+  assert.deepEqual(parsed.languages, [
+    { language: "Español", level: "Nativo" },
+    { language: "Inglés", level: "Avanzado" },
+  ]);
+});
+
+test("English headings are recognised and empty text never throws", () => {
+  const parsed = parseCvSections("Work Experience\nField Engineer at Halliburton\nJan 2015 - Present\nEducation\nBSc Petroleum Engineering, University of Texas");
+  assert.deepEqual(parsed.meta.sections_found, ["experience", "education"]);
+  assert.equal(parsed.experience[0].company, "Halliburton");
+  assert.equal(parsed.experience[0].current, true);
+  assert.equal(parsed.meta.language, "en");
+
+  const empty = parseCvSections("");
+  assert.deepEqual(empty.experience, []);
+  assert.equal(empty.contact.name, null);
+  assert.deepEqual(empty.meta.sections_found, []);
+});
+
+test("date ranges accept month names, numeric months and present words", () => {
+  assert.deepEqual(extractDateRange("Operador (Mar 2012 a 2014)"), { start_date: "2012-03", end_date: "2014", current: false, rest: "Operador" });
+  assert.equal(extractDateRange("Desde 06/2019 hasta la fecha").current, true);
+  assert.equal(extractDateRange("Sin fechas"), null);
+});
+
+test("years of experience merge overlapping jobs and count current ones up to now", () => {
+  const { experience } = parseCvSections(cv);
+  // 2010-03..2017-12 (94 meses) + 2018-01..2026-01 (97 meses)
+  assert.equal(yearsFromExperience(experience, now), 15.9);
+
+  const overlapping = [
+    { start_date: "2015", end_date: "2018-12" },
+    { start_date: "2017-01", end_date: "2020-12" },
+  ];
+  assert.equal(yearsFromExperience(overlapping, now), 6);
+
+  const current = [{ start_date: "2025-02", end_date: null, current: true }];
+  assert.equal(yearsFromExperience(current, now), 1);
+});
+
+test("years of experience is null without usable dates", () => {
+  assert.equal(yearsFromExperience([], now), null);
+  assert.equal(yearsFromExperience([{ title: "Operador", start_date: null }], now), null);
+  assert.equal(yearsFromExperience([{ start_date: "2020", end_date: "2018" }], now), null);
+});
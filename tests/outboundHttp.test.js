@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { isBlockedAddress, parseOutboundUrl, OutboundUrlError } = require("../services/outboundHttp.js");
+
+test("private, loopback, link-local and reserved addresses are blocked", () => {
+  for (const address of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "::", "fd00:ec2::254", "fe80::1"]) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+});
+
+test("IPv6 forms that carry an internal IPv4 are blocked", () => {
+  // Mapeada, compatible (::/96), NAT64 y 6to4 (2002::/16)
+  for (const address of ["::ffff:127.0.0.1", "::127.0.0.1", "::a00:1", "64:ff9b::a9fe:a9fe", "2002:7f00:1::", "2002:a9fe:a9fe::1"]) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+});
+
+test("public addresses and invalid input", () => {
+  for (const address of ["8.8.8.8", "1.1.1.1", "::ffff:8.8.8.8", "2001:4860:4860::8888", "2606:4700::1111"]) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+  assert.equal(isBlockedAddress("not-an-ip"), true);
+});
+
+test("literal IPv6 hosts in URLs go through the same check", () => {
+  for (const url of ["http://[2002:7f00:1::]/hook", "http://[::127.0.0.1]/hook"]) {
+    assert.throws(() => parseOutboundUrl(url), error => error instanceof OutboundUrlError && error.reason === "private_address", url);
+  }
+  assert.equal(parseOutboundUrl("https://[2001:4860:4860::8888]/hook").hostname, "[2001:4860:4860::8888]");
+});
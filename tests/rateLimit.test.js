@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { consumeRateLimit, createRedisCounterStore, createMemoryCounterStore } = require("../middleware/rateLimit.js");
+
+// Servidor Redis REST falso que responde con `handler` (o nunca)
+async function fakeRedis(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return { url: `http://127.0.0.1:${server.address().port}`, close: () => server.close() };
+}
+
+test("memory store limits once the window is full", async () => {
+  const store = createMemoryCounterStore();
+  const now = 60_000 * 10;
+  const results = [];
+  for (let i = 0; i < 3; i++) results.push(await consumeRateLimit({ key: "k", max: 2, windowMs: 60_000, store, now }));
+  assert.deepEqual(results.map(r => r.limited), [false, false, true]);
+  assert.equal(results[2].retryAfter, 60);
+});
+
+test("redis store reads the pipelined counters", async () => {
+  const redis = await fakeRedis((req, res) => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify([{ result: 5 }, { result: 1 }, { result: "0" }]));
+  });
+  try {
+    const store = createRedisCounterStore({ url: redis.url, token: "t" });
+    const result = await consumeRateLimit({ key: "k", max: 4, windowMs: 60_000, store, now: 60_000 * 10 });
+    assert.equal(result.limited, true);
+  } finally {
+    redis.close();
+  }
+});
+
+test("a hanging redis store times out and lets the request through", async () => {
+  const pending = [];
+  const redis = await fakeRedis((req, res) => pending.push(res));
+  try {
+    const store = createRedisCounterStore({ url: redis.url, token: "t", timeoutMs: 100 });
+    const started = Date.now();
+    const result = await consumeRateLimit({ key: "k", max: 1, windowMs: 60_000, store });
+    assert.ok(Date.now() - started < 2000);
+    assert.equal(result.limited, false);
+    assert.equal(result.remaining, 1);
+  } finally {
+    for (const res of pending) res.destroy();
+    redis.close();
+  }
+});
+
+test("redis errors let the request through", async () => {
+  const redis = await fakeRedis((req, res) => {
+    res.statusCode = 503;
+    res.end();
+  });
+  try {
+    const store = createRedisCounterStore({ url: redis.url, token: "t" });
+    const result = await consumeRateLimit({ key: "k", max: 1, windowMs: 60_000, store });
+    assert.equal(result.limited, false);
+  } finally {
+    redis.close();
+  }
+});
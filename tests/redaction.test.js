@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { redactInput, rehydrate } = require("../services/ai/redaction.js");
+const { registerProvider, runAnalysis } = require("../services/ai/index.js");
+
+const cv = [
+  "María Fernanda Rojas",
+  "Ingeniera de Producción",
+  "maria.rojas@example.com | +58 414-555-1234 | Maracaibo, Zulia",
+  "Cédula: V-12.345.678",
+  "Dirección: Av. 5 de Julio, Edif. Las Palmas, piso 3",
+  "Experiencia",
+  "Ingeniera de producción — PDVSA",
+  "2012 - 2020",
+  "Contacto alterno: 0212 555 98 76, maria.rojas@example.com",
+].join("\n");
+
+const personal = ["María Fernanda Rojas", "maria.rojas@example.com", "414-555-1234", "0212 555 98 76", "12.345.678", "Av. 5 de Julio"];
+
+test("CV text loses names, emails, phones, IDs and addresses", () => {
+  const { input, counts, entities } = redactInput("cv", { text: cv, lang: "es" });
+
+  for (const value of personal) assert.ok(!input.text.includes(value), `still contains ${value}`);
+  assert.deepEqual(counts, { name: 1, email: 1, phone: 2, cedula: 1, address: 1 });
+  assert.equal(entities.get("[EMAIL_1]"), "maria.rojas@example.com");
+  assert.equal(input.lang, "es");
+
+  // Lo que sirve para el análisis queda
+  for (const kept of ["Maracaibo, Zulia", "PDVSA", "2012 - 2020", "Ingeniera de producción"]) {
+    assert.ok(input.text.includes(kept), `lost ${kept}`);
+  }
+  // El mismo valor siempre recibe el mismo marcador
+  assert.equal(input.text.match(/\[EMAIL_1\]/g).length, 2);
+});
+
+test("profile fields are replaced whole and names are redacted inside free text", () => {
+  const { input, counts } = redactInput("profile", {
+    profile: {
+      nombre: "Luis Pérez",
+      email: "luis.perez@example.com",
+      telefono: "04141234567",
+      descripcion: "Luis Pérez trabajó 10 años en perforación direccional",
+      habilidades: ["HSE", "IWCF"],
+    },
+  });
+
+  assert.equal(input.profile.nombre, "[NAME_1]");
+  assert.equal(input.profile.email, "[EMAIL_1]");
+  assert.equal(input.profile.telefono, "[PHONE_1]");
+  assert.equal(input.profile.descripcion, "[NAME_1] trabajó 10 años en perforación direccional");
+  assert.deepEqual(input.profile.habilidades, ["HSE", "IWCF"]);
+  assert.deepEqual(counts, { name: 1, email: 1, phone: 1 });
+});
+
+test("year ranges are not mistaken for phone numbers", () => {
+  const { input, counts } = redactInput("cv", { text: "Supervisor de taladro\n2008 - 2012 2014 - 2019" });
+  assert.equal(input.text, "Supervisor de taladro\n2008 - 2012 2014 - 2019");
+  assert.deepEqual(counts, {});
+});
+
+test("rehydrate restores known markers and leaves unknown ones", () => {
+  const { entities } = redactInput("cv", { text: cv });
+  const result = rehydrate({ summary: "Candidata [NAME_1], contacto [EMAIL_1]", red_flags: ["[PHONE_9]"] }, entities);
+  assert.equal(result.summary, "Candidata María Fernanda Rojas, contacto maria.rojas@example.com");
+  assert.deepEqual(result.red_flags, ["[PHONE_9]"]);
+});
+
+test("LLM providers only receive redacted text and the result is rehydrated", async () => {
+  const sent = [];
+  registerProvider({
+    name: "capture-redaction",
+    kind: "llm",
+    model: "capture-1",
+    isConfigured: () => true,
+    async chat(messages) {
+      sent.push(messages);
+      return {
+        model: "capture-1",
+        content: JSON.stringify({
+          industry: "Oil & Gas",
+          role_seniority: "Senior",
+          skills: ["Producción"],
+          score: 8,
+          summary: "[NAME_1] tiene 8 años en producción.",
+        }),
+      };
+    },
+  });
+
+  const run = await runAnalysis({ task: "cv", input: { text: cv, lang: "es" }, provider: "capture-redaction", requireRedaction: true });
+
+  assert.equal(run.provider, "capture-redaction");
+  assert.ok(sent.length >= 1);
+  const payload = JSON.stringify(sent);
+  for (const value of personal) assert.ok(!payload.includes(value), `provider received ${value}`);
+  assert.ok(payload.includes("[EMAIL_1]"));
+
+  assert.equal(run.redaction.applied, true);
+  assert.equal(run.redaction.required, true);
+  assert.equal(run.result.summary, "María Fernanda Rojas tiene 8 años en producción.");
+});
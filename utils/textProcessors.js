@@ -35,13 +35,29 @@ function uniqueLower(list = []) {
   return out;
 }
 
-// Heurística mínima para extraer skills desde texto
+// Minúsculas y sin tildes para comparar términos ES/EN ("Perforación" == "perforacion")
+function normalizeForMatch(input = "") {
+  return String(input || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Heurística mínima para extraer skills desde texto.
+// Compara por palabra completa ("rig" no matchea "origen") e ignora tildes y mayúsculas.
 function extractSkillsFromText(text, dictionary = []) {
-  const t = (text || "").toLowerCase();
+  const t = normalizeForMatch(text);
   const found = [];
   for (const skill of dictionary) {
-    const s = String(skill).toLowerCase();
-    if (s && t.includes(s)) found.push(skill);
+    const s = normalizeForMatch(skill);
+    if (!s || !t.includes(s)) continue;
+    if (new RegExp(`(^|[^a-z0-9])${escapeRegExp(s)}(?![a-z0-9])`).test(t)) found.push(skill);
   }
   return uniqueLower(found);
 }
@@ -51,5 +67,6 @@ module.exports = {
   cleanText,
   toArray,
   uniqueLower,
+  normalizeForMatch,
   extractSkillsFromText
 };
\ No newline at end of file